@@ -0,0 +1,15 @@
+-- Multi-photo product galleries.
+-- `image_urls` holds every photo in display order; the first entry is the cover.
+-- `image_url` is kept in sync with the cover so older clients keep working.
+
+alter table public.products
+  add column if not exists image_urls text[] not null default '{}';
+
+update public.products
+set image_urls = array[image_url]
+where image_url is not null
+  and cardinality(image_urls) = 0;
+
+alter table public.products
+  add constraint products_image_urls_limit
+  check (cardinality(image_urls) <= 5);
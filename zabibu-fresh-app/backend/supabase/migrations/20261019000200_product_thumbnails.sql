@@ -0,0 +1,6 @@
+-- Thumbnails for product photos.
+-- `thumbnail_urls[i]` is the small variant of `image_urls[i]`; list cards load
+-- these while detail views load the full-size photos.
+
+alter table public.products
+  add column if not exists thumbnail_urls text[] not null default '{}';
@@ -0,0 +1,20 @@
+-- Server-side catalog search.
+-- `search_vector` indexes title, description and location for prefix full-text
+-- queries from `getProducts`. The 'simple' config is used because listings are
+-- written in a mix of English and Swahili.
+
+alter table public.products
+  add column if not exists search_vector tsvector
+  generated always as (
+    to_tsvector(
+      'simple',
+      coalesce(title, '') || ' ' || coalesce(description, '') || ' ' || coalesce(location, '')
+    )
+  ) stored;
+
+create index if not exists products_search_vector_idx
+  on public.products using gin (search_vector);
+
+create index if not exists products_price_idx on public.products (price);
+create index if not exists products_quantity_idx on public.products (quantity);
+create index if not exists products_created_at_idx on public.products (created_at desc);
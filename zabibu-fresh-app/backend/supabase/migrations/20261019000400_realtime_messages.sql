@@ -0,0 +1,13 @@
+-- Realtime chat delivery.
+-- `client_id` is generated on the device before sending, so the optimistic
+-- bubble, the insert response and the realtime echo can be matched up.
+
+alter table public.messages
+  add column if not exists client_id uuid;
+
+create unique index if not exists messages_client_id_key
+  on public.messages (client_id)
+  where client_id is not null;
+
+-- Stream inserts on messages to subscribed clients
+alter publication supabase_realtime add table public.messages;
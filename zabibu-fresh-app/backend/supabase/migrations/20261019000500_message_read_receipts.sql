@@ -0,0 +1,51 @@
+-- Delivered / read tracking for chat messages.
+-- Receivers can't update messages directly; they go through the functions
+-- below, which only ever stamp their own incoming messages.
+
+alter table public.messages
+  add column if not exists delivered_at timestamptz,
+  add column if not exists read_at timestamptz;
+
+create index if not exists messages_unread_idx
+  on public.messages (receiver_id)
+  where read_at is null;
+
+-- Stamp every undelivered message addressed to the current user
+create or replace function public.mark_messages_delivered()
+returns integer
+language sql
+security definer
+set search_path = public
+as $$
+  with updated as (
+    update public.messages
+    set delivered_at = now()
+    where receiver_id = auth.uid()
+      and delivered_at is null
+    returning 1
+  )
+  select count(*)::integer from updated;
+$$;
+
+-- Mark one conversation (other user + product) as read by the current user
+create or replace function public.mark_conversation_read(p_other_user_id uuid, p_product_id uuid)
+returns integer
+language sql
+security definer
+set search_path = public
+as $$
+  with updated as (
+    update public.messages
+    set read_at = now(),
+        delivered_at = coalesce(delivered_at, now())
+    where receiver_id = auth.uid()
+      and sender_id = p_other_user_id
+      and product_id = p_product_id
+      and read_at is null
+    returning 1
+  )
+  select count(*)::integer from updated;
+$$;
+
+grant execute on function public.mark_messages_delivered() to authenticated;
+grant execute on function public.mark_conversation_read(uuid, uuid) to authenticated;
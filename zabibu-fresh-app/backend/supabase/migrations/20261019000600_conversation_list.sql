@@ -0,0 +1,81 @@
+-- One row per conversation (other user + product) for the Messages tab.
+-- Replaces downloading the user's whole message history and grouping it on
+-- the device. Rows are newest first; pass the last row's `last_message_at`
+-- as `p_before` to fetch the next page.
+
+create index if not exists messages_sender_created_idx
+  on public.messages (sender_id, created_at desc);
+
+create index if not exists messages_receiver_created_idx
+  on public.messages (receiver_id, created_at desc);
+
+create or replace function public.get_conversations(
+  p_limit integer default 20,
+  p_before timestamptz default null
+)
+returns table (
+  other_user_id uuid,
+  other_user_name text,
+  other_user_phone text,
+  product_id uuid,
+  product_title text,
+  product_seller_id uuid,
+  last_message text,
+  last_message_at timestamptz,
+  last_message_sender_id uuid,
+  unread_count integer
+)
+language sql
+stable
+security invoker
+set search_path = public
+as $$
+  with mine as (
+    select
+      m.*,
+      case when m.sender_id = auth.uid() then m.receiver_id else m.sender_id end as other_id
+    from public.messages m
+    where m.sender_id = auth.uid()
+       or m.receiver_id = auth.uid()
+  ),
+  latest as (
+    select distinct on (other_id, mine.product_id)
+      other_id,
+      mine.product_id,
+      mine.content,
+      mine.created_at,
+      mine.sender_id
+    from mine
+    order by other_id, mine.product_id, mine.created_at desc
+  ),
+  unread as (
+    select other_id, mine.product_id, count(*)::integer as unread_count
+    from mine
+    where mine.receiver_id = auth.uid()
+      and mine.read_at is null
+    group by other_id, mine.product_id
+  )
+  select
+    latest.other_id,
+    other_profile.full_name,
+    other_profile.phone,
+    latest.product_id,
+    product.title,
+    product.seller_id,
+    latest.content,
+    latest.created_at,
+    latest.sender_id,
+    coalesce(unread.unread_count, 0)
+  from latest
+  join public.products product on product.id = latest.product_id
+  join public.profiles other_profile on other_profile.id = latest.other_id
+  left join unread
+    on unread.other_id = latest.other_id
+   and unread.product_id = latest.product_id
+  where p_before is null
+     or latest.created_at < p_before
+  order by latest.created_at desc
+  limit p_limit;
+$$;
+
+grant execute on function public.get_conversations(integer, timestamptz) to authenticated;
@@ -0,0 +1,166 @@
+-- Orders: a buyer's request to purchase part of a listing.
+--
+-- Status flow:
+--   pending   -> accepted | rejected | countered (seller), cancelled (buyer)
+--   countered -> accepted | cancelled (buyer)
+--   accepted  -> ready (seller), cancelled (either party)
+--   ready     -> collected (either party), cancelled (either party)
+--   collected -> completed (either party)
+--
+-- A counter offer stores the seller's terms in the counter_* columns; when the
+-- buyer accepts it they replace the order's quantity, price and date.
+
+create type public.order_status as enum (
+  'pending',
+  'countered',
+  'accepted',
+  'rejected',
+  'ready',
+  'collected',
+  'completed',
+  'cancelled'
+);
+
+create table public.orders (
+  id uuid primary key default gen_random_uuid(),
+  product_id uuid references public.products (id) on delete set null,
+  -- Kept so the order still reads well if the listing is deleted
+  product_title text not null,
+  buyer_id uuid not null references public.profiles (id),
+  seller_id uuid not null references public.profiles (id),
+  quantity_kg numeric(10, 2) not null check (quantity_kg > 0),
+  price_per_kg numeric(12, 2) not null check (price_per_kg >= 0),
+  requested_date date,
+  note text,
+  status public.order_status not null default 'pending',
+  counter_quantity_kg numeric(10, 2) check (counter_quantity_kg > 0),
+  counter_price_per_kg numeric(12, 2) check (counter_price_per_kg >= 0),
+  counter_date date,
+  counter_note text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  check (buyer_id <> seller_id)
+);
+
+create index orders_buyer_created_idx on public.orders (buyer_id, created_at desc);
+create index orders_seller_created_idx on public.orders (seller_id, created_at desc);
+create index orders_product_idx on public.orders (product_id);
+
+-- New orders always start as pending, at the listing's current price
+create or replace function public.orders_before_insert()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_product public.products%rowtype;
+begin
+  select * into v_product from public.products where id = new.product_id;
+  if not found then
+    raise exception 'Product not found';
+  end if;
+
+  if new.quantity_kg > v_product.quantity then
+    raise exception 'Only % kg are available', v_product.quantity;
+  end if;
+
+  new.buyer_id := auth.uid();
+  new.seller_id := v_product.seller_id;
+  new.product_title := v_product.title;
+  new.price_per_kg := v_product.price;
+  new.status := 'pending';
+  new.counter_quantity_kg := null;
+  new.counter_price_per_kg := null;
+  new.counter_date := null;
+  new.counter_note := null;
+  new.created_at := now();
+  new.updated_at := now();
+  return new;
+end;
+$$;
+
+create trigger orders_before_insert
+  before insert on public.orders
+  for each row execute function public.orders_before_insert();
+
+-- Enforce the status flow and who may take each step
+create or replace function public.orders_before_update()
+returns trigger
+language plpgsql
+set search_path = public
+as $$
+declare
+  v_is_seller boolean := auth.uid() = old.seller_id;
+  v_is_buyer boolean := auth.uid() = old.buyer_id;
+begin
+  if new.product_id is distinct from old.product_id
+     or new.buyer_id is distinct from old.buyer_id
+     or new.seller_id is distinct from old.seller_id
+     or new.product_title is distinct from old.product_title
+     or new.created_at is distinct from old.created_at then
+    raise exception 'The product and parties of an order cannot be changed';
+  end if;
+
+  if not (
+    (old.status = 'pending' and new.status in ('accepted', 'rejected', 'countered') and v_is_seller)
+    or (old.status = 'pending' and new.status = 'cancelled' and v_is_buyer)
+    or (old.status = 'countered' and new.status in ('accepted', 'cancelled') and v_is_buyer)
+    or (old.status = 'accepted' and new.status = 'ready' and v_is_seller)
+    or (old.status in ('accepted', 'ready') and new.status = 'cancelled' and (v_is_seller or v_is_buyer))
+    or (old.status = 'ready' and new.status = 'collected' and (v_is_seller or v_is_buyer))
+    or (old.status = 'collected' and new.status = 'completed' and (v_is_seller or v_is_buyer))
+  ) then
+    raise exception 'Cannot change order from % to %', old.status, new.status;
+  end if;
+
+  if new.status = 'countered' then
+    if new.counter_quantity_kg is null
+       and new.counter_price_per_kg is null
+       and new.counter_date is null then
+      raise exception 'A counter offer must change the quantity, price or date';
+    end if;
+  elsif old.status = 'countered' and new.status = 'accepted' then
+    new.quantity_kg := coalesce(old.counter_quantity_kg, old.quantity_kg);
+    new.price_per_kg := coalesce(old.counter_price_per_kg, old.price_per_kg);
+    new.requested_date := coalesce(old.counter_date, old.requested_date);
+    new.counter_quantity_kg := old.counter_quantity_kg;
+    new.counter_price_per_kg := old.counter_price_per_kg;
+    new.counter_date := old.counter_date;
+    new.counter_note := old.counter_note;
+    new.updated_at := now();
+    return new;
+  else
+    new.counter_quantity_kg := old.counter_quantity_kg;
+    new.counter_price_per_kg := old.counter_price_per_kg;
+    new.counter_date := old.counter_date;
+    new.counter_note := old.counter_note;
+  end if;
+
+  -- Agreed terms only change by accepting a counter offer
+  new.quantity_kg := old.quantity_kg;
+  new.price_per_kg := old.price_per_kg;
+  new.requested_date := old.requested_date;
+  new.note := old.note;
+  new.updated_at := now();
+  return new;
+end;
+$$;
+
+create trigger orders_before_update
+  before update on public.orders
+  for each row execute function public.orders_before_update();
+
+alter table public.orders enable row level security;
+
+create policy "Parties can view their orders"
+  on public.orders for select
+  using (auth.uid() in (buyer_id, seller_id));
+
+create policy "Buyers can place orders"
+  on public.orders for insert
+  with check (auth.uid() is not null);
+
+create policy "Parties can update their orders"
+  on public.orders for update
+  using (auth.uid() in (buyer_id, seller_id));
@@ -0,0 +1,170 @@
+-- Stock reservation for orders.
+--
+-- `quantity` is the stock the seller still holds and `reserved_quantity` the
+-- part of it promised to accepted orders. Buyers can only order what is left:
+-- `available_quantity`, and `is_sold_out` turns on once that reaches zero.
+-- Stock moves with the order status:
+--
+--   -> accepted                    reserve the order's kilograms
+--   accepted | ready -> cancelled  release them again
+--   ready -> collected             deduct them from quantity and the reservation
+--
+-- The moves run inside the status update, so an order can only be accepted if
+-- the stock is still there when the product row is locked. Two acceptances
+-- racing for the last kilograms cannot both succeed.
+
+alter table public.products
+  alter column quantity type numeric(10, 2);
+
+alter table public.products
+  add column reserved_quantity numeric(10, 2) not null default 0,
+  add constraint products_reserved_quantity_check
+    check (reserved_quantity >= 0 and reserved_quantity <= quantity);
+
+alter table public.products
+  add column available_quantity numeric(10, 2)
+    generated always as (quantity - reserved_quantity) stored,
+  add column is_sold_out boolean
+    generated always as (quantity - reserved_quantity <= 0) stored;
+
+drop index if exists products_quantity_idx;
+create index products_available_quantity_idx on public.products (available_quantity);
+
+-- Only the stock functions below may touch reservations. They run as the
+-- function owner, while requests from the app run as anon or authenticated.
+create or replace function public.products_protect_reserved_quantity()
+returns trigger
+language plpgsql
+as $$
+begin
+  if new.reserved_quantity is distinct from old.reserved_quantity
+     and current_user in ('anon', 'authenticated') then
+    raise exception 'Reserved stock is managed by orders';
+  end if;
+  return new;
+end;
+$$;
+
+create trigger products_protect_reserved_quantity
+  before update on public.products
+  for each row execute function public.products_protect_reserved_quantity();
+
+-- Orders may only ask for stock that is not already promised to someone else
+create or replace function public.orders_before_insert()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_product public.products%rowtype;
+begin
+  select * into v_product from public.products where id = new.product_id;
+  if not found then
+    raise exception 'Product not found';
+  end if;
+
+  if new.quantity_kg > v_product.available_quantity then
+    raise exception 'Only % kg are available', v_product.available_quantity;
+  end if;
+
+  new.buyer_id := auth.uid();
+  new.seller_id := v_product.seller_id;
+  new.product_title := v_product.title;
+  new.price_per_kg := v_product.price;
+  new.status := 'pending';
+  new.counter_quantity_kg := null;
+  new.counter_price_per_kg := null;
+  new.counter_date := null;
+  new.counter_note := null;
+  new.created_at := now();
+  new.updated_at := now();
+  return new;
+end;
+$$;
+
+-- Reserve part of a product's stock. The check and the update are one
+-- statement, so a concurrent reservation that got the row lock first is seen
+-- before deciding.
+create or replace function public.reserve_product_stock(p_product_id uuid, p_quantity numeric)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_available numeric;
+begin
+  update public.products
+  set reserved_quantity = reserved_quantity + p_quantity
+  where id = p_product_id
+    and quantity - reserved_quantity >= p_quantity;
+
+  if not found then
+    select available_quantity into v_available from public.products where id = p_product_id;
+    raise exception 'Only % kg are still available', coalesce(v_available, 0);
+  end if;
+end;
+$$;
+
+-- Give reserved stock back, e.g. when an accepted order is cancelled
+create or replace function public.release_product_stock(p_product_id uuid, p_quantity numeric)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  update public.products
+  set reserved_quantity = greatest(reserved_quantity - p_quantity, 0)
+  where id = p_product_id;
+end;
+$$;
+
+-- The buyer has the goods: they leave both the stock and the reservation
+create or replace function public.deduct_product_stock(p_product_id uuid, p_quantity numeric)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  update public.products
+  set quantity = greatest(quantity - p_quantity, 0),
+      reserved_quantity = greatest(reserved_quantity - p_quantity, 0)
+  where id = p_product_id;
+end;
+$$;
+
+-- Only reachable through the orders trigger
+revoke execute on function public.reserve_product_stock(uuid, numeric) from public, anon, authenticated;
+revoke execute on function public.release_product_stock(uuid, numeric) from public, anon, authenticated;
+revoke execute on function public.deduct_product_stock(uuid, numeric) from public, anon, authenticated;
+
+create or replace function public.orders_after_update()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  -- The listing was deleted: there is no stock left to track
+  if new.product_id is null or new.status = old.status then
+    return null;
+  end if;
+
+  if new.status = 'accepted' then
+    perform public.reserve_product_stock(new.product_id, new.quantity_kg);
+  elsif new.status = 'cancelled' and old.status in ('accepted', 'ready') then
+    perform public.release_product_stock(new.product_id, new.quantity_kg);
+  elsif new.status = 'collected' then
+    perform public.deduct_product_stock(new.product_id, new.quantity_kg);
+  end if;
+
+  return null;
+end;
+$$;
+
+create trigger orders_after_update
+  after update on public.orders
+  for each row execute function public.orders_after_update();
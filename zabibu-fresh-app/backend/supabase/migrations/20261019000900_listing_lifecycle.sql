@@ -0,0 +1,224 @@
+-- Listing lifecycle.
+--
+--   draft    -> active                 seller publishes
+--   active   -> paused | sold_out      seller takes the listing down for now
+--   paused   -> active | sold_out      seller puts it back up
+--   sold_out -> active                 seller relists, once there is stock
+--   active   -> sold_out               automatic, when available stock reaches zero
+--   sold_out -> active                 automatic, when stock comes back (an order is cancelled)
+--   active | paused -> expired         hourly job, once `expires_at` has passed
+--
+-- A listing stays up for `listing_lifetime_days` (in app_settings) after it is
+-- published or renewed. Renewing goes through `renew_product`, which also
+-- brings an expired listing back.
+--
+-- Only active listings belong in the catalog. The others stay readable so
+-- conversations and orders about them keep working.
+
+create type public.listing_status as enum (
+  'draft',
+  'active',
+  'paused',
+  'sold_out',
+  'expired'
+);
+
+create table public.app_settings (
+  key text primary key,
+  value text not null
+);
+
+alter table public.app_settings enable row level security;
+
+create policy "Anyone can read app settings"
+  on public.app_settings for select
+  using (true);
+
+insert into public.app_settings (key, value) values ('listing_lifetime_days', '30');
+
+create or replace function public.listing_lifetime()
+returns interval
+language sql
+stable
+set search_path = public
+as $$
+  select make_interval(days => coalesce(
+    (select value::int from public.app_settings where key = 'listing_lifetime_days'),
+    30
+  ));
+$$;
+
+alter table public.products
+  add column status public.listing_status not null default 'active',
+  add column expires_at timestamptz;
+
+-- Replaced by status = 'sold_out', which the seller can also set by hand
+alter table public.products drop column is_sold_out;
+
+update public.products
+set expires_at = greatest(created_at, now()) + public.listing_lifetime(),
+    status = case when quantity - reserved_quantity <= 0 then 'sold_out' else 'active' end::public.listing_status;
+
+create index products_status_created_at_idx on public.products (status, created_at desc);
+create index products_expires_at_idx on public.products (expires_at) where status in ('active', 'paused');
+
+create or replace function public.products_before_insert()
+returns trigger
+language plpgsql
+set search_path = public
+as $$
+begin
+  if new.status not in ('draft', 'active') then
+    new.status := 'active';
+  end if;
+
+  new.expires_at := case when new.status = 'active' then now() + public.listing_lifetime() end;
+  return new;
+end;
+$$;
+
+create trigger products_before_insert
+  before insert on public.products
+  for each row execute function public.products_before_insert();
+
+create or replace function public.products_before_update()
+returns trigger
+language plpgsql
+set search_path = public
+as $$
+declare
+  v_old_available numeric := old.quantity - old.reserved_quantity;
+  v_new_available numeric := new.quantity - new.reserved_quantity;
+  v_is_app_user boolean := current_user in ('anon', 'authenticated');
+begin
+  if v_is_app_user then
+    if new.expires_at is distinct from old.expires_at then
+      raise exception 'Use renew_product to extend a listing';
+    end if;
+
+    if new.status is distinct from old.status and not (
+      (old.status = 'draft' and new.status = 'active')
+      or (old.status = 'active' and new.status in ('paused', 'sold_out'))
+      or (old.status = 'paused' and new.status in ('active', 'sold_out'))
+      or (old.status = 'sold_out' and new.status = 'active')
+    ) then
+      raise exception 'Cannot change listing from % to %', old.status, new.status;
+    end if;
+
+    if new.status = 'active' and old.status <> 'active' and v_new_available <= 0 then
+      raise exception 'Add stock before putting the listing back up';
+    end if;
+  end if;
+
+  if old.status = 'draft' and new.status = 'active' then
+    new.expires_at := now() + public.listing_lifetime();
+  end if;
+
+  -- Follow the stock, unless the seller changed the status in this same update
+  if new.status = old.status then
+    if old.status = 'active' and v_new_available <= 0 then
+      new.status := 'sold_out';
+    elsif old.status = 'sold_out' and v_old_available <= 0 and v_new_available > 0 then
+      new.status := 'active';
+    end if;
+  end if;
+
+  return new;
+end;
+$$;
+
+create trigger products_before_update
+  before update on public.products
+  for each row execute function public.products_before_update();
+
+-- Extend a listing by another lifetime from now. An expired listing goes back
+-- up (or to sold out if it has no stock left).
+create or replace function public.renew_product(p_product_id uuid)
+returns public.products
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_product public.products;
+begin
+  update public.products
+  set expires_at = now() + public.listing_lifetime(),
+      status = case
+        when status <> 'expired' then status
+        when quantity - reserved_quantity <= 0 then 'sold_out'
+        else 'active'
+      end
+  where id = p_product_id
+    and seller_id = auth.uid()
+    and status <> 'draft'
+  returning * into v_product;
+
+  if not found then
+    raise exception 'Listing not found';
+  end if;
+
+  return v_product;
+end;
+$$;
+
+-- Expire listings whose lifetime has run out. Run by pg_cron every hour.
+create or replace function public.expire_listings()
+returns integer
+language sql
+security definer
+set search_path = public
+as $$
+  with expired as (
+    update public.products
+    set status = 'expired'
+    where status in ('active', 'paused')
+      and expires_at <= now()
+    returning 1
+  )
+  select count(*)::integer from expired;
+$$;
+
+revoke execute on function public.expire_listings() from public, anon, authenticated;
+
+create extension if not exists pg_cron;
+
+select cron.schedule('expire-listings', '0 * * * *', 'select public.expire_listings()');
+
+-- Orders can only be placed on listings that are up
+create or replace function public.orders_before_insert()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_product public.products%rowtype;
+begin
+  select * into v_product from public.products where id = new.product_id;
+  if not found then
+    raise exception 'Product not found';
+  end if;
+
+  if v_product.status <> 'active' or v_product.expires_at <= now() then
+    raise exception 'This listing is not available right now';
+  end if;
+
+  if new.quantity_kg > v_product.available_quantity then
+    raise exception 'Only % kg are available', v_product.available_quantity;
+  end if;
+
+  new.buyer_id := auth.uid();
+  new.seller_id := v_product.seller_id;
+  new.product_title := v_product.title;
+  new.price_per_kg := v_product.price;
+  new.status := 'pending';
+  new.counter_quantity_kg := null;
+  new.counter_price_per_kg := null;
+  new.counter_date := null;
+  new.counter_note := null;
+  new.created_at := now();
+  new.updated_at := now();
+  return new;
+end;
+$$;
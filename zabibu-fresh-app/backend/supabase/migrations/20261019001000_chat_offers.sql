@@ -0,0 +1,236 @@
+-- Price offers in chat.
+--
+-- An offer is a message with `message_type = 'offer'`, a price per kg, a
+-- quantity and an expiry. The buyer opens with an offer; whoever receives an
+-- offer can accept it, decline it or send a counter offer, which points back
+-- at it through `offer_parent_id`:
+--
+--   pending -> accepted | declined   receiver, through respond_to_offer
+--   pending -> countered             receiver sends an offer with offer_parent_id
+--
+-- A pending offer past `offer_expires_at` can no longer be answered. Accepting
+-- an offer records the price and quantity in `agreed_prices`. The buyer's next
+-- orders on that listing of up to that quantity are placed at the agreed
+-- price; larger orders pay the listed price.
+
+alter table public.messages
+  add column message_type text not null default 'text',
+  add column offer_price_per_kg numeric(12, 2),
+  add column offer_quantity_kg numeric(10, 2),
+  add column offer_expires_at timestamptz,
+  add column offer_status text,
+  add column offer_parent_id uuid references public.messages (id) on delete set null,
+  add constraint messages_message_type_check
+    check (message_type in ('text', 'offer')),
+  add constraint messages_offer_status_check
+    check (offer_status in ('pending', 'accepted', 'declined', 'countered')),
+  add constraint messages_offer_terms_check
+    check (
+      message_type <> 'offer'
+      or (offer_price_per_kg >= 0 and offer_quantity_kg > 0 and offer_expires_at is not null)
+    );
+
+create table public.agreed_prices (
+  product_id uuid not null references public.products (id) on delete cascade,
+  buyer_id uuid not null references public.profiles (id),
+  seller_id uuid not null references public.profiles (id),
+  price_per_kg numeric(12, 2) not null,
+  quantity_kg numeric(10, 2) not null,
+  offer_id uuid references public.messages (id) on delete set null,
+  agreed_at timestamptz not null default now(),
+  primary key (product_id, buyer_id)
+);
+
+alter table public.agreed_prices enable row level security;
+
+create policy "Parties can view their agreed prices"
+  on public.agreed_prices for select
+  using (auth.uid() in (buyer_id, seller_id));
+
+-- Check a new offer and, for a counter offer, close the one it answers
+create or replace function public.messages_before_insert_offer()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_seller_id uuid;
+  v_parent public.messages%rowtype;
+begin
+  if new.message_type <> 'offer' then
+    new.offer_price_per_kg := null;
+    new.offer_quantity_kg := null;
+    new.offer_expires_at := null;
+    new.offer_status := null;
+    new.offer_parent_id := null;
+    return new;
+  end if;
+
+  select seller_id into v_seller_id from public.products where id = new.product_id;
+  if v_seller_id is null or v_seller_id not in (new.sender_id, new.receiver_id) then
+    raise exception 'Offers are made between the buyer and the seller of a listing';
+  end if;
+
+  if new.offer_parent_id is null then
+    if new.sender_id = v_seller_id then
+      raise exception 'Only the buyer can open with an offer';
+    end if;
+  else
+    select * into v_parent from public.messages where id = new.offer_parent_id for update;
+    if not found
+       or v_parent.message_type <> 'offer'
+       or v_parent.product_id <> new.product_id
+       or v_parent.sender_id <> new.receiver_id
+       or v_parent.receiver_id <> new.sender_id then
+      raise exception 'Counter offers must answer an offer you received';
+    end if;
+
+    if v_parent.offer_status <> 'pending' or v_parent.offer_expires_at <= now() then
+      raise exception 'This offer can no longer be countered';
+    end if;
+
+    update public.messages set offer_status = 'countered' where id = v_parent.id;
+  end if;
+
+  new.offer_status := 'pending';
+  new.offer_expires_at := least(
+    coalesce(new.offer_expires_at, now() + interval '48 hours'),
+    now() + interval '7 days'
+  );
+  if new.offer_expires_at <= now() then
+    raise exception 'An offer must expire in the future';
+  end if;
+
+  return new;
+end;
+$$;
+
+create trigger messages_before_insert_offer
+  before insert on public.messages
+  for each row execute function public.messages_before_insert_offer();
+
+-- Offers are answered through respond_to_offer, never edited directly
+create or replace function public.messages_protect_offer()
+returns trigger
+language plpgsql
+as $$
+begin
+  if current_user in ('anon', 'authenticated') and (
+    new.message_type is distinct from old.message_type
+    or new.offer_price_per_kg is distinct from old.offer_price_per_kg
+    or new.offer_quantity_kg is distinct from old.offer_quantity_kg
+    or new.offer_expires_at is distinct from old.offer_expires_at
+    or new.offer_status is distinct from old.offer_status
+    or new.offer_parent_id is distinct from old.offer_parent_id
+  ) then
+    raise exception 'Offers are answered with respond_to_offer';
+  end if;
+  return new;
+end;
+$$;
+
+create trigger messages_protect_offer
+  before update on public.messages
+  for each row execute function public.messages_protect_offer();
+
+-- Accept or decline an offer the current user received
+create or replace function public.respond_to_offer(p_message_id uuid, p_response text)
+returns public.messages
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_offer public.messages%rowtype;
+  v_seller_id uuid;
+begin
+  if p_response not in ('accepted', 'declined') then
+    raise exception 'An offer can only be accepted or declined';
+  end if;
+
+  select * into v_offer from public.messages where id = p_message_id for update;
+  if not found or v_offer.message_type <> 'offer' or v_offer.receiver_id <> auth.uid() then
+    raise exception 'Offer not found';
+  end if;
+
+  if v_offer.offer_status <> 'pending' then
+    raise exception 'This offer has already been answered';
+  end if;
+
+  if v_offer.offer_expires_at <= now() then
+    raise exception 'This offer has expired';
+  end if;
+
+  update public.messages
+  set offer_status = p_response
+  where id = p_message_id
+  returning * into v_offer;
+
+  if p_response = 'accepted' then
+    select seller_id into v_seller_id from public.products where id = v_offer.product_id;
+
+    insert into public.agreed_prices (product_id, buyer_id, seller_id, price_per_kg, quantity_kg, offer_id)
+    values (
+      v_offer.product_id,
+      case when v_offer.sender_id = v_seller_id then v_offer.receiver_id else v_offer.sender_id end,
+      v_seller_id,
+      v_offer.offer_price_per_kg,
+      v_offer.offer_quantity_kg,
+      v_offer.id
+    )
+    on conflict (product_id, buyer_id) do update
+    set price_per_kg = excluded.price_per_kg,
+        quantity_kg = excluded.quantity_kg,
+        offer_id = excluded.offer_id,
+        agreed_at = now();
+  end if;
+
+  return v_offer;
+end;
+$$;
+
+-- Orders use the price agreed in chat, if there is one
+create or replace function public.orders_before_insert()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_product public.products%rowtype;
+  v_agreed_price numeric;
+begin
+  select * into v_product from public.products where id = new.product_id;
+  if not found then
+    raise exception 'Product not found';
+  end if;
+
+  if v_product.status <> 'active' or v_product.expires_at <= now() then
+    raise exception 'This listing is not available right now';
+  end if;
+
+  if new.quantity_kg > v_product.available_quantity then
+    raise exception 'Only % kg are available', v_product.available_quantity;
+  end if;
+
+  select price_per_kg into v_agreed_price
+  from public.agreed_prices
+  where product_id = new.product_id
+    and buyer_id = auth.uid()
+    and new.quantity_kg <= quantity_kg;
+
+  new.buyer_id := auth.uid();
+  new.seller_id := v_product.seller_id;
+  new.product_title := v_product.title;
+  new.price_per_kg := coalesce(v_agreed_price, v_product.price);
+  new.status := 'pending';
+  new.counter_quantity_kg := null;
+  new.counter_price_per_kg := null;
+  new.counter_date := null;
+  new.counter_note := null;
+  new.created_at := now();
+  new.updated_at := now();
+  return new;
+end;
+$$;
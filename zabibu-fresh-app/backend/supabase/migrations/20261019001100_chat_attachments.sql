@@ -0,0 +1,56 @@
+-- Photo and voice-note attachments in chat.
+--
+-- Attachments live in the private `chat-attachments` bucket, under
+-- `<sender_id>/<receiver_id>/<file>`. Only the two people in the conversation
+-- can read them (through signed URLs) and only the sender can upload.
+
+insert into storage.buckets (id, name, public, file_size_limit, allowed_mime_types)
+values (
+  'chat-attachments',
+  'chat-attachments',
+  false,
+  10485760,
+  array['image/jpeg', 'audio/mp4', 'audio/m4a', 'audio/x-m4a', 'audio/aac']
+);
+
+create policy "Senders can upload chat attachments"
+  on storage.objects for insert
+  to authenticated
+  with check (
+    bucket_id = 'chat-attachments'
+    and (storage.foldername(name))[1] = auth.uid()::text
+  );
+
+create policy "Participants can read chat attachments"
+  on storage.objects for select
+  to authenticated
+  using (
+    bucket_id = 'chat-attachments'
+    and auth.uid()::text in ((storage.foldername(name))[1], (storage.foldername(name))[2])
+  );
+
+create policy "Senders can delete chat attachments"
+  on storage.objects for delete
+  to authenticated
+  using (
+    bucket_id = 'chat-attachments'
+    and (storage.foldername(name))[1] = auth.uid()::text
+  );
+
+alter table public.messages
+  add column attachment_path text,
+  add column attachment_duration_ms integer check (attachment_duration_ms >= 0);
+
+alter table public.messages
+  drop constraint messages_message_type_check,
+  add constraint messages_message_type_check
+    check (message_type in ('text', 'offer', 'image', 'audio')),
+  -- An attachment must sit in the folder of this conversation's sender and receiver
+  add constraint messages_attachment_check
+    check (
+      (message_type in ('image', 'audio')) = (attachment_path is not null)
+      and (
+        attachment_path is null
+        or attachment_path like sender_id::text || '/' || receiver_id::text || '/%'
+      )
+    );
@@ -0,0 +1,10 @@
+-- Offline outbox for listings.
+-- New listings queued on the device carry a `client_id`, like messages do, so a
+-- retry after a lost response cannot create the same listing twice.
+
+alter table public.products
+  add column if not exists client_id uuid;
+
+create unique index if not exists products_client_id_key
+  on public.products (client_id)
+  where client_id is not null;
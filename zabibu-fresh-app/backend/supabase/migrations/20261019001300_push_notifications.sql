@@ -0,0 +1,328 @@
+-- Push notifications.
+--
+-- Each signed-in device registers its Expo push token through
+-- register_push_token. Database triggers then send a push through the Expo
+-- push API (with pg_net) when someone:
+--
+--   messages   sends the user a chat message, photo or voice note
+--   offers     sends the user an offer or counter offer, or answers theirs
+--   orders     places an order with the user, or moves one of their orders on
+--
+-- Users can turn each category off and set quiet hours in
+-- notification_preferences. During quiet hours notifications still arrive,
+-- but silently. Users without a preferences row get everything.
+--
+-- A failed push never fails the change that caused it.
+
+create extension if not exists pg_net;
+
+create table public.push_tokens (
+  token text primary key,
+  user_id uuid not null references public.profiles (id) on delete cascade,
+  platform text not null check (platform in ('ios', 'android')),
+  updated_at timestamptz not null default now()
+);
+
+create index push_tokens_user_idx on public.push_tokens (user_id);
+
+alter table public.push_tokens enable row level security;
+
+create policy "Users can view their push tokens"
+  on public.push_tokens for select
+  using (auth.uid() = user_id);
+
+-- A device that signs in with another account moves over to it
+create or replace function public.register_push_token(p_token text, p_platform text)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if auth.uid() is null then
+    raise exception 'Not signed in';
+  end if;
+
+  insert into public.push_tokens (token, user_id, platform)
+  values (p_token, auth.uid(), p_platform)
+  on conflict (token) do update
+  set user_id = excluded.user_id,
+      platform = excluded.platform,
+      updated_at = now();
+end;
+$$;
+
+-- Called on sign out, so the device stops receiving the user's notifications
+create or replace function public.unregister_push_token(p_token text)
+returns void
+language sql
+security definer
+set search_path = public
+as $$
+  delete from public.push_tokens where token = p_token and user_id = auth.uid();
+$$;
+
+create table public.notification_preferences (
+  user_id uuid primary key default auth.uid() references public.profiles (id) on delete cascade,
+  messages boolean not null default true,
+  offers boolean not null default true,
+  orders boolean not null default true,
+  quiet_hours_enabled boolean not null default false,
+  quiet_hours_start time not null default '22:00',
+  quiet_hours_end time not null default '07:00',
+  -- Quiet hours are in the user's local time
+  time_zone text not null default 'Africa/Dar_es_Salaam',
+  updated_at timestamptz not null default now()
+);
+
+alter table public.notification_preferences enable row level security;
+
+create policy "Users can view their notification preferences"
+  on public.notification_preferences for select
+  using (auth.uid() = user_id);
+
+create policy "Users can create their notification preferences"
+  on public.notification_preferences for insert
+  with check (auth.uid() = user_id);
+
+create policy "Users can update their notification preferences"
+  on public.notification_preferences for update
+  using (auth.uid() = user_id);
+
+-- An unknown time zone would break every quiet hours check for the user
+create or replace function public.notification_preferences_before_write()
+returns trigger
+language plpgsql
+as $$
+begin
+  if not exists (select 1 from pg_timezone_names where name = new.time_zone) then
+    raise exception 'Unknown time zone %', new.time_zone;
+  end if;
+
+  new.updated_at := now();
+  return new;
+end;
+$$;
+
+create trigger notification_preferences_before_write
+  before insert or update on public.notification_preferences
+  for each row execute function public.notification_preferences_before_write();
+
+-- Send a push to every device of a user, unless they turned the category off.
+-- `p_data` travels with the notification and tells the app where to open.
+create or replace function public.notify_user(
+  p_user_id uuid,
+  p_category text,
+  p_title text,
+  p_body text,
+  p_data jsonb
+)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_prefs public.notification_preferences%rowtype;
+  v_local_time time;
+  v_quiet boolean := false;
+  v_messages jsonb;
+begin
+  select * into v_prefs from public.notification_preferences where user_id = p_user_id;
+
+  if found then
+    if (p_category = 'messages' and not v_prefs.messages)
+      or (p_category = 'offers' and not v_prefs.offers)
+      or (p_category = 'orders' and not v_prefs.orders) then
+      return;
+    end if;
+
+    if v_prefs.quiet_hours_enabled then
+      v_local_time := (now() at time zone v_prefs.time_zone)::time;
+      -- Quiet hours usually run over midnight, e.g. 22:00 to 07:00
+      v_quiet := case
+        when v_prefs.quiet_hours_start <= v_prefs.quiet_hours_end
+          then v_local_time >= v_prefs.quiet_hours_start and v_local_time < v_prefs.quiet_hours_end
+        else v_local_time >= v_prefs.quiet_hours_start or v_local_time < v_prefs.quiet_hours_end
+      end;
+    end if;
+  end if;
+
+  select jsonb_agg(jsonb_build_object(
+    'to', token,
+    'title', p_title,
+    'body', p_body,
+    'data', p_data || jsonb_build_object('category', p_category),
+    'sound', case when v_quiet then null else 'default' end,
+    'priority', case when v_quiet then 'normal' else 'high' end,
+    -- Android channels created by the app, see services/notifications.js
+    'channelId', case when v_quiet then 'quiet' else 'default' end
+  ))
+  into v_messages
+  from public.push_tokens
+  where user_id = p_user_id;
+
+  if v_messages is null then
+    return;
+  end if;
+
+  perform net.http_post(
+    url := 'https://exp.host/--/api/v2/push/send',
+    body := v_messages,
+    headers := '{"Content-Type": "application/json", "Accept": "application/json"}'::jsonb
+  );
+exception
+  when others then
+    raise warning 'Could not send push notification to %: %', p_user_id, sqlerrm;
+end;
+$$;
+
+revoke execute on function public.notify_user(uuid, text, text, text, jsonb) from public, anon, authenticated;
+
+-- Data a notification needs to open the conversation it belongs to
+create or replace function public.message_notification_data(p_message public.messages, p_recipient_id uuid)
+returns jsonb
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select jsonb_build_object(
+    'type', 'message',
+    'otherUserId', other_profile.id,
+    'otherUserName', other_profile.full_name,
+    'productId', p_message.product_id,
+    'productTitle', product.title
+  )
+  from public.profiles other_profile
+  left join public.products product on product.id = p_message.product_id
+  where other_profile.id = case
+    when p_message.sender_id = p_recipient_id then p_message.receiver_id
+    else p_message.sender_id
+  end;
+$$;
+
+revoke execute on function public.message_notification_data(public.messages, uuid) from public, anon, authenticated;
+
+create or replace function public.messages_after_insert_notify()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_sender_name text;
+begin
+  select coalesce(full_name, 'Someone') into v_sender_name from public.profiles where id = new.sender_id;
+
+  perform public.notify_user(
+    new.receiver_id,
+    case when new.message_type = 'offer' then 'offers' else 'messages' end,
+    v_sender_name,
+    case new.message_type
+      when 'image' then 'Sent a photo'
+      when 'audio' then 'Sent a voice note'
+      else left(new.content, 200)
+    end,
+    public.message_notification_data(new, new.receiver_id)
+  );
+  return null;
+end;
+$$;
+
+create trigger messages_after_insert_notify
+  after insert on public.messages
+  for each row execute function public.messages_after_insert_notify();
+
+-- Tell whoever made an offer that it was accepted or declined. Counter offers
+-- arrive as a new message, so they are covered by messages_after_insert_notify.
+create or replace function public.messages_after_offer_answer_notify()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_receiver_name text;
+begin
+  if new.offer_status not in ('accepted', 'declined') then
+    return null;
+  end if;
+
+  select coalesce(full_name, 'Someone') into v_receiver_name from public.profiles where id = new.receiver_id;
+
+  perform public.notify_user(
+    new.sender_id,
+    'offers',
+    case when new.offer_status = 'accepted' then 'Offer accepted' else 'Offer declined' end,
+    v_receiver_name || ' ' || new.offer_status || ' your ' || lower(left(new.content, 1)) || substr(new.content, 2),
+    public.message_notification_data(new, new.sender_id)
+  );
+  return null;
+end;
+$$;
+
+create trigger messages_after_offer_answer_notify
+  after update of offer_status on public.messages
+  for each row
+  when (old.offer_status is distinct from new.offer_status)
+  execute function public.messages_after_offer_answer_notify();
+
+create or replace function public.orders_after_write_notify()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_recipient_id uuid;
+  v_actor_name text;
+  v_title text;
+  v_body text;
+begin
+  if tg_op = 'INSERT' then
+    v_recipient_id := new.seller_id;
+    select coalesce(full_name, 'A buyer') into v_actor_name from public.profiles where id = new.buyer_id;
+    v_title := 'New order';
+    v_body := v_actor_name || ' ordered ' || new.quantity_kg || ' kg of ' || new.product_title;
+  else
+    -- Whoever did not take the step hears about it
+    v_recipient_id := case when auth.uid() = new.seller_id then new.buyer_id else new.seller_id end;
+    v_title := 'Order ' || case new.status
+      when 'countered' then 'counter offer'
+      else new.status::text
+    end;
+    v_body := case
+      when new.status = 'accepted' and old.status = 'countered'
+        then 'The buyer accepted your counter offer for ' || new.product_title
+      when new.status = 'accepted' then 'Your order of ' || new.product_title || ' was accepted'
+      when new.status = 'rejected' then 'Your order of ' || new.product_title || ' was rejected'
+      when new.status = 'countered' then 'The seller sent new terms for ' || new.product_title
+      when new.status = 'ready' then new.product_title || ' is ready for collection'
+      when new.status = 'collected' then new.product_title || ' was marked as collected'
+      when new.status = 'completed' then 'The order of ' || new.product_title || ' is complete'
+      when new.status = 'cancelled' then 'The order of ' || new.product_title || ' was cancelled'
+      else 'The order of ' || new.product_title || ' was updated'
+    end;
+  end if;
+
+  perform public.notify_user(
+    v_recipient_id,
+    'orders',
+    v_title,
+    v_body,
+    jsonb_build_object('type', 'order', 'orderId', new.id)
+  );
+  return null;
+end;
+$$;
+
+create trigger orders_after_insert_notify
+  after insert on public.orders
+  for each row execute function public.orders_after_write_notify();
+
+create trigger orders_after_status_notify
+  after update of status on public.orders
+  for each row
+  when (old.status is distinct from new.status)
+  execute function public.orders_after_write_notify();
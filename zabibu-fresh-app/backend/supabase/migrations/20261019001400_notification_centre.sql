@@ -0,0 +1,246 @@
+-- In-app notification centre.
+--
+-- Everything notify_user sends is also kept in `notifications`, whether or not
+-- the user wants it as a push, and listed in the app with read/unread state.
+-- Unread notifications about the same conversation or order are replaced by
+-- the newest one, so a busy chat shows up once. Reading the conversation
+-- marks its notification read.
+--
+-- A new `listings` category warns sellers a day before a listing expires.
+
+create table public.notifications (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references public.profiles (id) on delete cascade,
+  category text not null check (category in ('messages', 'offers', 'orders', 'listings')),
+  title text not null,
+  body text not null,
+  -- Where the app opens it, as in the push payload
+  data jsonb not null default '{}',
+  group_key text,
+  read_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index notifications_user_created_idx on public.notifications (user_id, created_at desc);
+create index notifications_unread_idx on public.notifications (user_id, group_key) where read_at is null;
+
+alter table public.notifications enable row level security;
+
+create policy "Users can view their notifications"
+  on public.notifications for select
+  using (auth.uid() = user_id);
+
+alter publication supabase_realtime add table public.notifications;
+
+-- Mark the given notifications, or all of them when p_ids is null, as read
+create or replace function public.mark_notifications_read(p_ids uuid[] default null)
+returns integer
+language sql
+security definer
+set search_path = public
+as $$
+  with updated as (
+    update public.notifications
+    set read_at = now()
+    where user_id = auth.uid()
+      and read_at is null
+      and (p_ids is null or id = any (p_ids))
+    returning 1
+  )
+  select count(*)::integer from updated;
+$$;
+
+grant execute on function public.mark_notifications_read(uuid[]) to authenticated;
+
+alter table public.notification_preferences
+  add column listings boolean not null default true;
+
+-- Now records the notification before sending the push, and the push carries
+-- its id so opening it marks it read
+create or replace function public.notify_user(
+  p_user_id uuid,
+  p_category text,
+  p_title text,
+  p_body text,
+  p_data jsonb
+)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_prefs public.notification_preferences%rowtype;
+  v_group_key text;
+  v_notification_id uuid;
+  v_local_time time;
+  v_quiet boolean := false;
+  v_messages jsonb;
+begin
+  v_group_key := case
+    when p_category = 'messages' then 'conversation:' || (p_data ->> 'otherUserId') || ':' || (p_data ->> 'productId')
+    when p_category = 'orders' then 'order:' || (p_data ->> 'orderId')
+  end;
+
+  update public.notifications
+  set title = p_title,
+      body = p_body,
+      data = p_data,
+      created_at = now()
+  where user_id = p_user_id
+    and group_key = v_group_key
+    and read_at is null
+  returning id into v_notification_id;
+
+  if v_notification_id is null then
+    insert into public.notifications (user_id, category, title, body, data, group_key)
+    values (p_user_id, p_category, p_title, p_body, p_data, v_group_key)
+    returning id into v_notification_id;
+  end if;
+
+  select * into v_prefs from public.notification_preferences where user_id = p_user_id;
+
+  if found then
+    if (p_category = 'messages' and not v_prefs.messages)
+      or (p_category = 'offers' and not v_prefs.offers)
+      or (p_category = 'orders' and not v_prefs.orders)
+      or (p_category = 'listings' and not v_prefs.listings) then
+      return;
+    end if;
+
+    if v_prefs.quiet_hours_enabled then
+      v_local_time := (now() at time zone v_prefs.time_zone)::time;
+      -- Quiet hours usually run over midnight, e.g. 22:00 to 07:00
+      v_quiet := case
+        when v_prefs.quiet_hours_start <= v_prefs.quiet_hours_end
+          then v_local_time >= v_prefs.quiet_hours_start and v_local_time < v_prefs.quiet_hours_end
+        else v_local_time >= v_prefs.quiet_hours_start or v_local_time < v_prefs.quiet_hours_end
+      end;
+    end if;
+  end if;
+
+  select jsonb_agg(jsonb_build_object(
+    'to', token,
+    'title', p_title,
+    'body', p_body,
+    'data', p_data || jsonb_build_object('category', p_category, 'notificationId', v_notification_id),
+    'sound', case when v_quiet then null else 'default' end,
+    'priority', case when v_quiet then 'normal' else 'high' end,
+    -- Android channels created by the app, see services/notifications.js
+    'channelId', case when v_quiet then 'quiet' else 'default' end
+  ))
+  into v_messages
+  from public.push_tokens
+  where user_id = p_user_id;
+
+  if v_messages is null then
+    return;
+  end if;
+
+  perform net.http_post(
+    url := 'https://exp.host/--/api/v2/push/send',
+    body := v_messages,
+    headers := '{"Content-Type": "application/json", "Accept": "application/json"}'::jsonb
+  );
+exception
+  when others then
+    raise warning 'Could not notify %: %', p_user_id, sqlerrm;
+end;
+$$;
+
+-- Name the listing as well as the sender, so the notification centre reads
+-- "Amina about Red Globe" rather than just "Amina"
+create or replace function public.messages_after_insert_notify()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_sender_name text;
+  v_product_title text;
+begin
+  select coalesce(full_name, 'Someone') into v_sender_name from public.profiles where id = new.sender_id;
+  select title into v_product_title from public.products where id = new.product_id;
+
+  perform public.notify_user(
+    new.receiver_id,
+    case when new.message_type = 'offer' then 'offers' else 'messages' end,
+    v_sender_name || coalesce(' about ' || v_product_title, ''),
+    case new.message_type
+      when 'image' then 'Sent a photo'
+      when 'audio' then 'Sent a voice note'
+      else left(new.content, 200)
+    end,
+    public.message_notification_data(new, new.receiver_id)
+  );
+  return null;
+end;
+$$;
+
+-- Reading a conversation reads its notification too
+create or replace function public.messages_after_read_clear_notification()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  update public.notifications
+  set read_at = now()
+  where user_id = new.receiver_id
+    and group_key = 'conversation:' || new.sender_id || ':' || new.product_id
+    and read_at is null;
+  return null;
+end;
+$$;
+
+create trigger messages_after_read_clear_notification
+  after update of read_at on public.messages
+  for each row
+  when (old.read_at is null and new.read_at is not null)
+  execute function public.messages_after_read_clear_notification();
+
+-- Warn sellers about active listings expiring within a day, once per expiry
+-- date, so renewing a listing brings the warning back for its new date.
+-- Run by pg_cron every hour.
+create or replace function public.notify_expiring_listings()
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_product public.products%rowtype;
+  v_count integer := 0;
+begin
+  for v_product in
+    select * from public.products
+    where status = 'active'
+      and expires_at > now()
+      and expires_at <= now() + interval '1 day'
+      and not exists (
+        select 1 from public.notifications
+        where notifications.user_id = products.seller_id
+          and notifications.category = 'listings'
+          and notifications.data ->> 'productId' = products.id::text
+          and notifications.data ->> 'expiresAt' = products.expires_at::text
+      )
+  loop
+    perform public.notify_user(
+      v_product.seller_id,
+      'listings',
+      'Listing expires tomorrow',
+      v_product.title || ' comes down within a day. Renew it to keep it up.',
+      jsonb_build_object('type', 'product', 'productId', v_product.id, 'expiresAt', v_product.expires_at::text)
+    );
+    v_count := v_count + 1;
+  end loop;
+
+  return v_count;
+end;
+$$;
+
+revoke execute on function public.notify_expiring_listings() from public, anon, authenticated;
+
+select cron.schedule('notify-expiring-listings', '30 * * * *', 'select public.notify_expiring_listings()');
@@ -0,0 +1,138 @@
+-- Phone number verification.
+--
+-- Supabase Auth texts a one-time code when someone signs up with their phone,
+-- signs in with a code instead of a password, or verifies the phone on their
+-- account. It hands each text to send_sms_hook (set it under Authentication >
+-- Hooks > Send SMS), which sends it with the provider named by the
+-- `sms_provider` row of app_settings:
+--
+--   stub            keeps the text in public.sms_outbox instead of sending it,
+--                   for development and tests (the default)
+--   africastalking  Africa's Talking bulk SMS API, with the Vault secrets
+--                   `africastalking_username` and `africastalking_api_key`
+--
+-- Accounts without a verified phone number cannot list products or send messages.
+
+insert into public.app_settings (key, value) values ('sms_provider', 'stub');
+
+create table public.sms_outbox (
+  id uuid primary key default gen_random_uuid(),
+  phone text not null,
+  body text not null,
+  created_at timestamptz not null default now()
+);
+
+-- No policies: only the dashboard and the service role can read the stub's texts
+alter table public.sms_outbox enable row level security;
+
+create or replace function public.vault_secret(p_name text)
+returns text
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select decrypted_secret from vault.decrypted_secrets where name = p_name;
+$$;
+
+revoke execute on function public.vault_secret(text) from public, anon, authenticated;
+
+-- Send a text message with the configured provider. `p_phone` may come with
+-- or without the leading +, as Supabase Auth stores it without.
+create or replace function public.send_sms(p_phone text, p_body text)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_provider text;
+  v_phone text := '+' || ltrim(p_phone, '+');
+begin
+  select value into v_provider from public.app_settings where key = 'sms_provider';
+
+  case coalesce(v_provider, 'stub')
+    when 'stub' then
+      insert into public.sms_outbox (phone, body) values (v_phone, p_body);
+    when 'africastalking' then
+      perform net.http_post(
+        url := 'https://api.africastalking.com/version1/messaging/bulk',
+        body := jsonb_build_object(
+          'username', public.vault_secret('africastalking_username'),
+          'message', p_body,
+          'phoneNumbers', jsonb_build_array(v_phone)
+        ),
+        headers := jsonb_build_object(
+          'Content-Type', 'application/json',
+          'Accept', 'application/json',
+          'apiKey', public.vault_secret('africastalking_api_key')
+        )
+      );
+    else
+      raise exception 'Unknown SMS provider %', v_provider;
+  end case;
+end;
+$$;
+
+revoke execute on function public.send_sms(text, text) from public, anon, authenticated;
+
+-- Supabase Auth's Send SMS hook. A phone being verified for an existing
+-- account is still in `phone_change` until the code is entered.
+create or replace function public.send_sms_hook(event jsonb)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  perform public.send_sms(
+    coalesce(nullif(event -> 'user' ->> 'phone_change', ''), event -> 'user' ->> 'phone'),
+    'Your Zabibu Fresh code is ' || (event -> 'sms' ->> 'otp') || '. Do not share it with anyone.'
+  );
+  return '{}'::jsonb;
+exception
+  when others then
+    return jsonb_build_object(
+      'error', jsonb_build_object('http_code', 500, 'message', 'Could not send the code: ' || sqlerrm)
+    );
+end;
+$$;
+
+grant usage on schema public to supabase_auth_admin;
+grant execute on function public.send_sms_hook(jsonb) to supabase_auth_admin;
+revoke execute on function public.send_sms_hook(jsonb) from public, anon, authenticated;
+
+create or replace function public.is_phone_verified()
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select coalesce(
+    (select phone_confirmed_at is not null from auth.users where id = auth.uid()),
+    false
+  );
+$$;
+
+grant execute on function public.is_phone_verified() to authenticated;
+
+create or replace function public.require_verified_phone()
+returns trigger
+language plpgsql
+as $$
+begin
+  if current_user in ('anon', 'authenticated') and not public.is_phone_verified() then
+    raise exception 'Verify your phone number first';
+  end if;
+  return new;
+end;
+$$;
+
+create trigger products_require_verified_phone
+  before insert on public.products
+  for each row execute function public.require_verified_phone();
+
+create trigger messages_require_verified_phone
+  before insert on public.messages
+  for each row execute function public.require_verified_phone();
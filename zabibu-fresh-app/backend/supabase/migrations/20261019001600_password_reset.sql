@@ -0,0 +1,138 @@
+-- Password reset by SMS.
+--
+-- Almost every account signs up with a phone number and no email, so the
+-- email reset link cannot reach them. Instead request_password_reset texts a
+-- six-digit code to the account's phone with public.send_sms, and
+-- reset_password_with_code sets the new password once the code is entered.
+--
+-- Each number can get 3 codes an hour. A code lasts 10 minutes and allows
+-- 5 wrong guesses; a newer code replaces it.
+--
+-- A number without an account gets the same answer and the same limits, so
+-- the reset screen cannot be used to find out who has an account. Its code is
+-- recorded without a user and never sent, and no code can reset it.
+
+create extension if not exists pgcrypto with schema extensions;
+
+create table public.password_reset_codes (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid references auth.users (id) on delete cascade,
+  phone text not null,
+  code_hash text not null,
+  attempts integer not null default 0,
+  used_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index password_reset_codes_phone_created_at_idx
+  on public.password_reset_codes (phone, created_at desc);
+
+-- No policies: only the functions below use it
+alter table public.password_reset_codes enable row level security;
+
+-- Supabase Auth stores phone numbers as digits only
+create or replace function public.normalize_phone(p_phone text)
+returns text
+language sql
+immutable
+as $$
+  select regexp_replace(coalesce(p_phone, ''), '[^0-9]', '', 'g');
+$$;
+
+create or replace function public.request_password_reset(p_phone text)
+returns void
+language plpgsql
+security definer
+set search_path = public, extensions
+as $$
+declare
+  v_phone text := public.normalize_phone(p_phone);
+  v_user_id uuid;
+  v_code text;
+begin
+  if v_phone = '' then
+    raise exception 'Please enter a valid phone number.';
+  end if;
+
+  select id into v_user_id from auth.users where phone = v_phone;
+
+  if (
+    select count(*) from public.password_reset_codes
+    where phone = v_phone and created_at > now() - interval '1 hour'
+  ) >= 3 then
+    raise exception 'Too many reset codes for this number. Please try again in an hour.';
+  end if;
+
+  delete from public.password_reset_codes where created_at < now() - interval '1 day';
+
+  v_code := lpad((('x' || encode(gen_random_bytes(4), 'hex'))::bit(32)::bigint % 1000000)::text, 6, '0');
+
+  insert into public.password_reset_codes (user_id, phone, code_hash)
+  values (v_user_id, v_phone, crypt(v_code, gen_salt('bf')));
+
+  if v_user_id is not null then
+    perform public.send_sms(
+      v_phone,
+      'Your Zabibu Fresh password reset code is ' || v_code || '. Do not share it with anyone.'
+    );
+  end if;
+end;
+$$;
+
+-- Returns false for a wrong code, so the failed attempt is still counted.
+-- Entering the code also proves the phone, and every device is signed out.
+create or replace function public.reset_password_with_code(
+  p_phone text,
+  p_code text,
+  p_new_password text
+)
+returns boolean
+language plpgsql
+security definer
+set search_path = public, extensions
+as $$
+declare
+  v_phone text := public.normalize_phone(p_phone);
+  v_reset public.password_reset_codes;
+begin
+  if length(coalesce(p_new_password, '')) < 6 then
+    raise exception 'Password must be at least 6 characters long.';
+  end if;
+
+  select * into v_reset from public.password_reset_codes
+  where phone = v_phone and used_at is null
+  order by created_at desc
+  limit 1
+  for update;
+
+  if v_reset.id is null or v_reset.created_at < now() - interval '10 minutes' then
+    raise exception 'This code has expired. Please request a new one.';
+  end if;
+
+  if v_reset.attempts >= 5 then
+    raise exception 'Too many wrong codes. Please request a new one.';
+  end if;
+
+  if v_reset.user_id is null or crypt(p_code, v_reset.code_hash) <> v_reset.code_hash then
+    update public.password_reset_codes set attempts = attempts + 1 where id = v_reset.id;
+    return false;
+  end if;
+
+  update public.password_reset_codes set used_at = now() where id = v_reset.id;
+
+  update auth.users
+  set encrypted_password = crypt(p_new_password, gen_salt('bf')),
+      phone_confirmed_at = coalesce(phone_confirmed_at, now()),
+      updated_at = now()
+  where id = v_reset.user_id;
+
+  delete from auth.sessions where user_id = v_reset.user_id;
+
+  return true;
+end;
+$$;
+
+revoke execute on function public.request_password_reset(text) from public;
+revoke execute on function public.reset_password_with_code(text, text, text) from public;
+grant execute on function public.request_password_reset(text) to anon, authenticated;
+grant execute on function public.reset_password_with_code(text, text, text) to anon, authenticated;
@@ -0,0 +1,119 @@
+-- Editable profiles: a photo, a home location, a short bio and how the user
+-- prefers to be contacted.
+--
+-- Photos live in the public `avatars` bucket under `<user_id>/<file>`. Each
+-- upload gets a new file name, so the old photo never shows from a cache.
+
+alter table public.profiles
+  add column avatar_url text,
+  add column home_location text,
+  add column bio text check (char_length(bio) <= 300),
+  add column preferred_contact text not null default 'chat'
+    check (preferred_contact in ('chat', 'phone', 'whatsapp'));
+
+create policy "Users can update their own profile"
+  on public.profiles for update
+  to authenticated
+  using (id = auth.uid())
+  with check (id = auth.uid());
+
+insert into storage.buckets (id, name, public, file_size_limit, allowed_mime_types)
+values (
+  'avatars',
+  'avatars',
+  true,
+  2097152,
+  array['image/jpeg', 'image/png']
+);
+
+create policy "Users can upload their own avatar"
+  on storage.objects for insert
+  to authenticated
+  with check (
+    bucket_id = 'avatars'
+    and (storage.foldername(name))[1] = auth.uid()::text
+  );
+
+create policy "Users can delete their own avatar"
+  on storage.objects for delete
+  to authenticated
+  using (
+    bucket_id = 'avatars'
+    and (storage.foldername(name))[1] = auth.uid()::text
+  );
+
+-- Same as before, plus the other user's photo for the Messages tab
+drop function public.get_conversations(integer, timestamptz);
+
+create function public.get_conversations(
+  p_limit integer default 20,
+  p_before timestamptz default null
+)
+returns table (
+  other_user_id uuid,
+  other_user_name text,
+  other_user_phone text,
+  other_user_avatar_url text,
+  product_id uuid,
+  product_title text,
+  product_seller_id uuid,
+  last_message text,
+  last_message_at timestamptz,
+  last_message_sender_id uuid,
+  unread_count integer
+)
+language sql
+stable
+security invoker
+set search_path = public
+as $$
+  with mine as (
+    select
+      m.*,
+      case when m.sender_id = auth.uid() then m.receiver_id else m.sender_id end as other_id
+    from public.messages m
+    where m.sender_id = auth.uid()
+       or m.receiver_id = auth.uid()
+  ),
+  latest as (
+    select distinct on (other_id, mine.product_id)
+      other_id,
+      mine.product_id,
+      mine.content,
+      mine.created_at,
+      mine.sender_id
+    from mine
+    order by other_id, mine.product_id, mine.created_at desc
+  ),
+  unread as (
+    select other_id, mine.product_id, count(*)::integer as unread_count
+    from mine
+    where mine.receiver_id = auth.uid()
+      and mine.read_at is null
+    group by other_id, mine.product_id
+  )
+  select
+    latest.other_id,
+    other_profile.full_name,
+    other_profile.phone,
+    other_profile.avatar_url,
+    latest.product_id,
+    product.title,
+    product.seller_id,
+    latest.content,
+    latest.created_at,
+    latest.sender_id,
+    coalesce(unread.unread_count, 0)
+  from latest
+  join public.products product on product.id = latest.product_id
+  join public.profiles other_profile on other_profile.id = latest.other_id
+  left join unread
+    on unread.other_id = latest.other_id
+   and unread.product_id = latest.product_id
+  where p_before is null
+     or latest.created_at < p_before
+  order by latest.created_at desc
+  limit p_limit;
+$$;
+
+grant execute on function public.get_conversations(integer, timestamptz) to authenticated;
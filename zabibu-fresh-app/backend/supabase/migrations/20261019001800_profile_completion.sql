@@ -0,0 +1,8 @@
+-- Let a signed-in user create their own profile row, for accounts the signup
+-- trigger failed to create one for. The app offers this on its "Complete Your
+-- Profile" screen.
+
+create policy "Users can create their own profile"
+  on public.profiles for insert
+  to authenticated
+  with check (id = auth.uid());
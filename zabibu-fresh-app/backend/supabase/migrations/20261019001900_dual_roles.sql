@@ -0,0 +1,30 @@
+-- Accounts that both buy and sell.
+--
+-- `roles` holds every role of the account and `role` stays the active one,
+-- which decides what the app shows. Switching is an update of `role`; a role
+-- the account did not hold yet is added to `roles` along the way.
+
+alter table public.profiles add column roles text[];
+
+update public.profiles set roles = array[role::text];
+
+alter table public.profiles
+  alter column roles set not null,
+  alter column roles set default '{}',
+  add constraint profiles_roles_check check (roles <@ array['buyer', 'seller']);
+
+create or replace function public.profiles_sync_roles()
+returns trigger
+language plpgsql
+as $$
+begin
+  new.roles := array(
+    select distinct r from unnest(coalesce(new.roles, '{}') || new.role::text) as r order by r
+  );
+  return new;
+end;
+$$;
+
+create trigger profiles_sync_roles
+  before insert or update of role, roles on public.profiles
+  for each row execute function public.profiles_sync_roles();
@@ -0,0 +1,395 @@
+-- Moderation: reports, admins, hidden listings and suspended accounts.
+--
+-- Anyone can report a listing or a user. Accounts holding the `admin` role
+-- see the reports in the app's moderation console, where they can hide or
+-- restore listings and suspend or reinstate accounts. Every admin action goes
+-- through one of the admin_* functions below, which record it in
+-- public.admin_audit_log.
+--
+-- `admin` is only ever one of an account's `roles`, never its active `role`,
+-- and only the dashboard or the service role can grant it:
+--
+--   update public.profiles set roles = roles || '{admin}' where phone = '+255...';
+
+alter table public.profiles
+  drop constraint profiles_roles_check,
+  add constraint profiles_roles_check check (roles <@ array['buyer', 'seller', 'admin']),
+  add column suspended_at timestamptz,
+  add column suspension_reason text;
+
+alter table public.products
+  add column hidden_at timestamptz,
+  add column hidden_reason text;
+
+create or replace function public.is_admin()
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select coalesce(
+    (select 'admin' = any(roles) from public.profiles where id = auth.uid()),
+    false
+  );
+$$;
+
+grant execute on function public.is_admin() to authenticated;
+
+-- Admin, suspension and hiding are changed by the admin_* functions only
+create or replace function public.profiles_protect_moderation()
+returns trigger
+language plpgsql
+as $$
+begin
+  if current_user in ('anon', 'authenticated') then
+    if coalesce('admin' = any(new.roles), false)
+      is distinct from (tg_op = 'UPDATE' and 'admin' = any(old.roles)) then
+      raise exception 'Only the dashboard can grant or remove the admin role';
+    end if;
+
+    if tg_op = 'INSERT' and new.suspended_at is not null
+      or tg_op = 'UPDATE' and (
+        new.suspended_at is distinct from old.suspended_at
+        or new.suspension_reason is distinct from old.suspension_reason
+      ) then
+      raise exception 'Suspensions are managed by admins';
+    end if;
+  end if;
+  return new;
+end;
+$$;
+
+create trigger profiles_protect_moderation
+  before insert or update on public.profiles
+  for each row execute function public.profiles_protect_moderation();
+
+create or replace function public.products_protect_hidden()
+returns trigger
+language plpgsql
+as $$
+begin
+  if current_user in ('anon', 'authenticated') and (
+    new.hidden_at is distinct from old.hidden_at
+    or new.hidden_reason is distinct from old.hidden_reason
+  ) then
+    raise exception 'Hidden listings are managed by admins';
+  end if;
+  return new;
+end;
+$$;
+
+create trigger products_protect_hidden
+  before update on public.products
+  for each row execute function public.products_protect_hidden();
+
+-- Suspended accounts cannot list, message or order; hidden listings cannot be ordered
+create or replace function public.require_active_account()
+returns trigger
+language plpgsql
+as $$
+begin
+  if current_user in ('anon', 'authenticated')
+    and exists (select 1 from public.profiles where id = auth.uid() and suspended_at is not null) then
+    raise exception 'Your account is suspended';
+  end if;
+  return new;
+end;
+$$;
+
+create trigger products_require_active_account
+  before insert on public.products
+  for each row execute function public.require_active_account();
+
+create trigger messages_require_active_account
+  before insert on public.messages
+  for each row execute function public.require_active_account();
+
+create trigger orders_require_active_account
+  before insert on public.orders
+  for each row execute function public.require_active_account();
+
+create or replace function public.orders_reject_hidden_product()
+returns trigger
+language plpgsql
+as $$
+begin
+  if exists (select 1 from public.products where id = new.product_id and hidden_at is not null) then
+    raise exception 'This listing is not available right now';
+  end if;
+  return new;
+end;
+$$;
+
+create trigger orders_reject_hidden_product
+  before insert on public.orders
+  for each row execute function public.orders_reject_hidden_product();
+
+create table public.reports (
+  id uuid primary key default gen_random_uuid(),
+  reporter_id uuid not null default auth.uid() references public.profiles (id) on delete cascade,
+  product_id uuid references public.products (id) on delete cascade,
+  reported_user_id uuid references public.profiles (id) on delete cascade,
+  reason text not null check (reason in ('scam', 'spam', 'abuse', 'inappropriate', 'other')),
+  details text check (char_length(details) <= 500),
+  status text not null default 'open' check (status in ('open', 'resolved', 'dismissed')),
+  resolved_by uuid references public.profiles (id) on delete set null,
+  resolved_at timestamptz,
+  created_at timestamptz not null default now(),
+  -- A report is about one listing or one user
+  check ((product_id is null) <> (reported_user_id is null))
+);
+
+create index reports_status_created_at_idx on public.reports (status, created_at desc);
+
+alter table public.reports enable row level security;
+
+create policy "Users can report listings and users"
+  on public.reports for insert
+  to authenticated
+  with check (
+    reporter_id = auth.uid()
+    and status = 'open'
+    and resolved_by is null
+    and resolved_at is null
+    and reported_user_id is distinct from auth.uid()
+  );
+
+create policy "Reporters and admins can view reports"
+  on public.reports for select
+  to authenticated
+  using (reporter_id = auth.uid() or public.is_admin());
+
+create table public.admin_audit_log (
+  id uuid primary key default gen_random_uuid(),
+  admin_id uuid references public.profiles (id) on delete set null,
+  action text not null,
+  target_type text not null check (target_type in ('product', 'user', 'report')),
+  target_id uuid not null,
+  details jsonb not null default '{}',
+  created_at timestamptz not null default now()
+);
+
+create index admin_audit_log_created_at_idx on public.admin_audit_log (created_at desc);
+
+-- Written by the admin_* functions only
+alter table public.admin_audit_log enable row level security;
+
+create policy "Admins can view the audit log"
+  on public.admin_audit_log for select
+  to authenticated
+  using (public.is_admin());
+
+create or replace function public.require_admin()
+returns void
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+begin
+  if not public.is_admin() then
+    raise exception 'Only admins can do this';
+  end if;
+end;
+$$;
+
+create or replace function public.log_admin_action(
+  p_action text,
+  p_target_type text,
+  p_target_id uuid,
+  p_details jsonb default '{}'
+)
+returns void
+language sql
+security definer
+set search_path = public
+as $$
+  insert into public.admin_audit_log (admin_id, action, target_type, target_id, details)
+  values (auth.uid(), p_action, p_target_type, p_target_id, coalesce(p_details, '{}'));
+$$;
+
+revoke execute on function public.require_admin() from public, anon, authenticated;
+revoke execute on function public.log_admin_action(text, text, uuid, jsonb) from public, anon, authenticated;
+
+-- Close the open reports about a listing or user once it has been dealt with
+create or replace function public.resolve_reports_about(p_product_id uuid, p_user_id uuid)
+returns void
+language sql
+security definer
+set search_path = public
+as $$
+  update public.reports
+  set status = 'resolved', resolved_by = auth.uid(), resolved_at = now()
+  where status = 'open'
+    and (product_id = p_product_id or reported_user_id = p_user_id);
+$$;
+
+revoke execute on function public.resolve_reports_about(uuid, uuid) from public, anon, authenticated;
+
+-- Hide a listing from buyers (resolving its reports), or bring it back
+create or replace function public.admin_set_product_hidden(
+  p_product_id uuid,
+  p_hidden boolean,
+  p_reason text default null
+)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_product public.products;
+begin
+  perform public.require_admin();
+
+  update public.products
+  set hidden_at = case when p_hidden then now() end,
+      hidden_reason = case when p_hidden then nullif(trim(p_reason), '') end
+  where id = p_product_id
+  returning * into v_product;
+
+  if v_product.id is null then
+    raise exception 'Listing not found';
+  end if;
+
+  if p_hidden then
+    perform public.resolve_reports_about(p_product_id, null);
+  end if;
+
+  perform public.log_admin_action(
+    case when p_hidden then 'hide_product' else 'restore_product' end,
+    'product',
+    p_product_id,
+    jsonb_build_object('title', v_product.title, 'reason', nullif(trim(p_reason), ''))
+  );
+
+  perform public.notify_user(
+    v_product.seller_id,
+    'listings',
+    case when p_hidden then 'Listing hidden' else 'Listing restored' end,
+    case
+      when p_hidden then '"' || v_product.title || '" was hidden by Zabibu Fresh'
+        || coalesce(': ' || nullif(trim(p_reason), ''), '.')
+      else '"' || v_product.title || '" is visible to buyers again.'
+    end,
+    jsonb_build_object('type', 'product', 'productId', v_product.id)
+  );
+end;
+$$;
+
+-- Suspend an account (resolving the reports about it), or reinstate it
+create or replace function public.admin_set_user_suspended(
+  p_user_id uuid,
+  p_suspended boolean,
+  p_reason text default null
+)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_profile public.profiles;
+begin
+  perform public.require_admin();
+
+  if p_user_id = auth.uid() then
+    raise exception 'You cannot suspend your own account';
+  end if;
+
+  update public.profiles
+  set suspended_at = case when p_suspended then now() end,
+      suspension_reason = case when p_suspended then nullif(trim(p_reason), '') end
+  where id = p_user_id
+  returning * into v_profile;
+
+  if v_profile.id is null then
+    raise exception 'User not found';
+  end if;
+
+  if p_suspended then
+    perform public.resolve_reports_about(null, p_user_id);
+  end if;
+
+  perform public.log_admin_action(
+    case when p_suspended then 'suspend_user' else 'reinstate_user' end,
+    'user',
+    p_user_id,
+    jsonb_build_object('name', v_profile.full_name, 'reason', nullif(trim(p_reason), ''))
+  );
+end;
+$$;
+
+-- Close a report without hiding or suspending anything. `p_status` is
+-- 'resolved' or 'dismissed'.
+create or replace function public.admin_close_report(p_report_id uuid, p_status text)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  perform public.require_admin();
+
+  if p_status not in ('resolved', 'dismissed') then
+    raise exception 'A report can only be resolved or dismissed';
+  end if;
+
+  update public.reports
+  set status = p_status, resolved_by = auth.uid(), resolved_at = now()
+  where id = p_report_id and status = 'open';
+
+  if not found then
+    raise exception 'This report has already been closed';
+  end if;
+
+  perform public.log_admin_action(
+    case when p_status = 'resolved' then 'resolve_report' else 'dismiss_report' end,
+    'report',
+    p_report_id
+  );
+end;
+$$;
+
+-- Platform-wide counts, with messages per day for the last `p_days` days
+-- (East Africa time), oldest first.
+create or replace function public.admin_get_platform_stats(p_days integer default 14)
+returns jsonb
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+declare
+  v_today date := (now() at time zone 'Africa/Dar_es_Salaam')::date;
+begin
+  perform public.require_admin();
+
+  return jsonb_build_object(
+    'users', (select count(*) from public.profiles),
+    'suspended_users', (select count(*) from public.profiles where suspended_at is not null),
+    'active_listings', (
+      select count(*) from public.products
+      where status = 'active' and expires_at > now() and hidden_at is null
+    ),
+    'hidden_listings', (select count(*) from public.products where hidden_at is not null),
+    'open_reports', (select count(*) from public.reports where status = 'open'),
+    'messages_per_day', (
+      select coalesce(jsonb_agg(jsonb_build_object('day', d.day, 'count', d.total) order by d.day), '[]')
+      from (
+        select s.day::date as day, count(m.id) as total
+        from generate_series(v_today - (p_days - 1), v_today, interval '1 day') as s (day)
+        left join public.messages m
+          on (m.created_at at time zone 'Africa/Dar_es_Salaam')::date = s.day::date
+        group by s.day
+      ) d
+    )
+  );
+end;
+$$;
+
+grant execute on function public.admin_set_product_hidden(uuid, boolean, text) to authenticated;
+grant execute on function public.admin_set_user_suspended(uuid, boolean, text) to authenticated;
+grant execute on function public.admin_close_report(uuid, text) to authenticated;
+grant execute on function public.admin_get_platform_stats(integer) to authenticated;
@@ -0,0 +1,81 @@
+-- Let sellers delete listings that have orders.
+--
+-- orders.product_id is `on delete set null`, and that update went through
+-- orders_before_update, which rejected it: the product of an order cannot
+-- change and the status did not move. Deleting such a listing failed. The
+-- trigger now lets that update through once the listing is gone, and nothing
+-- else.
+
+-- Enforce the status flow and who may take each step
+create or replace function public.orders_before_update()
+returns trigger
+language plpgsql
+set search_path = public
+as $$
+declare
+  v_is_seller boolean := auth.uid() = old.seller_id;
+  v_is_buyer boolean := auth.uid() = old.buyer_id;
+  v_detached public.orders;
+begin
+  -- Deleting the listing sets product_id to null through the foreign key; the
+  -- order keeps its title snapshot and everything else
+  v_detached := old;
+  v_detached.product_id := null;
+  if old.product_id is not null
+     and new is not distinct from v_detached
+     and not exists (select 1 from public.products where id = old.product_id) then
+    return new;
+  end if;
+
+  if new.product_id is distinct from old.product_id
+     or new.buyer_id is distinct from old.buyer_id
+     or new.seller_id is distinct from old.seller_id
+     or new.product_title is distinct from old.product_title
+     or new.created_at is distinct from old.created_at then
+    raise exception 'The product and parties of an order cannot be changed';
+  end if;
+
+  if not (
+    (old.status = 'pending' and new.status in ('accepted', 'rejected', 'countered') and v_is_seller)
+    or (old.status = 'pending' and new.status = 'cancelled' and v_is_buyer)
+    or (old.status = 'countered' and new.status in ('accepted', 'cancelled') and v_is_buyer)
+    or (old.status = 'accepted' and new.status = 'ready' and v_is_seller)
+    or (old.status in ('accepted', 'ready') and new.status = 'cancelled' and (v_is_seller or v_is_buyer))
+    or (old.status = 'ready' and new.status = 'collected' and (v_is_seller or v_is_buyer))
+    or (old.status = 'collected' and new.status = 'completed' and (v_is_seller or v_is_buyer))
+  ) then
+    raise exception 'Cannot change order from % to %', old.status, new.status;
+  end if;
+
+  if new.status = 'countered' then
+    if new.counter_quantity_kg is null
+       and new.counter_price_per_kg is null
+       and new.counter_date is null then
+      raise exception 'A counter offer must change the quantity, price or date';
+    end if;
+  elsif old.status = 'countered' and new.status = 'accepted' then
+    new.quantity_kg := coalesce(old.counter_quantity_kg, old.quantity_kg);
+    new.price_per_kg := coalesce(old.counter_price_per_kg, old.price_per_kg);
+    new.requested_date := coalesce(old.counter_date, old.requested_date);
+    new.counter_quantity_kg := old.counter_quantity_kg;
+    new.counter_price_per_kg := old.counter_price_per_kg;
+    new.counter_date := old.counter_date;
+    new.counter_note := old.counter_note;
+    new.updated_at := now();
+    return new;
+  else
+    new.counter_quantity_kg := old.counter_quantity_kg;
+    new.counter_price_per_kg := old.counter_price_per_kg;
+    new.counter_date := old.counter_date;
+    new.counter_note := old.counter_note;
+  end if;
+
+  -- Agreed terms only change by accepting a counter offer
+  new.quantity_kg := old.quantity_kg;
+  new.price_per_kg := old.price_per_kg;
+  new.requested_date := old.requested_date;
+  new.note := old.note;
+  new.updated_at := now();
+  return new;
+end;
+$$;
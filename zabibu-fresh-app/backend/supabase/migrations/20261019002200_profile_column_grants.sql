@@ -0,0 +1,17 @@
+-- Limit which profile columns the app can change.
+--
+-- "Users can update their own profile" decides whose row can be updated, but
+-- not which columns, so anyone could rewrite their `phone` (the contact number
+-- other users see, separate from the verified phone of the account) through
+-- the API. Signed-in users may now only update what the edit profile screen
+-- and the role switch in Settings send. Database functions and triggers keep
+-- updating the other columns as before.
+--
+-- The values of `role` and `roles` are checked by triggers, not by this grant:
+-- `profiles_zz_protect_moderation` (moderation and admin role guard
+-- migrations) rejects an `admin` role and any change to who holds it.
+
+revoke update on public.profiles from anon, authenticated;
+
+grant update (full_name, avatar_url, home_location, bio, preferred_contact, role, roles)
+  on public.profiles to authenticated;
@@ -0,0 +1,80 @@
+-- Suspended sellers: nobody can order from them or message them anymore.
+--
+-- The moderation migration only stopped suspended accounts from acting
+-- themselves. Their listings now count as unavailable like hidden ones, and
+-- the app leaves them out of browsing.
+
+create or replace function public.orders_reject_hidden_product()
+returns trigger
+language plpgsql
+as $$
+begin
+  if exists (
+    select 1
+    from public.products p
+    join public.profiles s on s.id = p.seller_id
+    where p.id = new.product_id
+      and (p.hidden_at is not null or s.suspended_at is not null)
+  ) or exists (
+    select 1 from public.profiles where id = new.seller_id and suspended_at is not null
+  ) then
+    raise exception 'This listing is not available right now';
+  end if;
+  return new;
+end;
+$$;
+
+create or replace function public.messages_reject_suspended_receiver()
+returns trigger
+language plpgsql
+as $$
+begin
+  if current_user in ('anon', 'authenticated')
+    and exists (select 1 from public.profiles where id = new.receiver_id and suspended_at is not null) then
+    raise exception 'This account is suspended';
+  end if;
+  return new;
+end;
+$$;
+
+create trigger messages_reject_suspended_receiver
+  before insert on public.messages
+  for each row execute function public.messages_reject_suspended_receiver();
+
+-- Same as before, without the listings of suspended sellers
+create or replace function public.admin_get_platform_stats(p_days integer default 14)
+returns jsonb
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+declare
+  v_today date := (now() at time zone 'Africa/Dar_es_Salaam')::date;
+begin
+  perform public.require_admin();
+
+  return jsonb_build_object(
+    'users', (select count(*) from public.profiles),
+    'suspended_users', (select count(*) from public.profiles where suspended_at is not null),
+    'active_listings', (
+      select count(*) from public.products p
+      join public.profiles s on s.id = p.seller_id
+      where p.status = 'active' and p.expires_at > now() and p.hidden_at is null
+        and s.suspended_at is null
+    ),
+    'hidden_listings', (select count(*) from public.products where hidden_at is not null),
+    'open_reports', (select count(*) from public.reports where status = 'open'),
+    'messages_per_day', (
+      select coalesce(jsonb_agg(jsonb_build_object('day', d.day, 'count', d.total) order by d.day), '[]')
+      from (
+        select s.day::date as day, count(m.id) as total
+        from generate_series(v_today - (p_days - 1), v_today, interval '1 day') as s (day)
+        left join public.messages m
+          on (m.created_at at time zone 'Africa/Dar_es_Salaam')::date = s.day::date
+        group by s.day
+      ) d
+    )
+  );
+end;
+$$;
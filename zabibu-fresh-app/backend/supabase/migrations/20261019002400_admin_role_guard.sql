@@ -0,0 +1,49 @@
+-- Keep the admin role out of reach of the app.
+--
+-- The moderation migration only checked `roles` for a new `admin`, but an
+-- `admin` active `role` got through: `profiles_protect_moderation` ran before
+-- `profiles_sync_roles` (before triggers fire in name order), so the sync then
+-- copied it into `roles`. `admin` can now never be the active role, and the
+-- check runs after the sync has settled `roles`.
+
+alter table public.profiles
+  add constraint profiles_role_not_admin check (role::text <> 'admin');
+
+create or replace function public.profiles_protect_moderation()
+returns trigger
+language plpgsql
+as $$
+begin
+  if current_user in ('anon', 'authenticated') then
+    if new.role::text = 'admin' then
+      raise exception 'The admin role cannot be the active role';
+    end if;
+
+    if coalesce('admin' = any(new.roles), false)
+      is distinct from (tg_op = 'UPDATE' and 'admin' = any(old.roles)) then
+      raise exception 'Only the dashboard can grant or remove the admin role';
+    end if;
+
+    if tg_op = 'INSERT' and new.suspended_at is not null
+      or tg_op = 'UPDATE' and (
+        new.suspended_at is distinct from old.suspended_at
+        or new.suspension_reason is distinct from old.suspension_reason
+      ) then
+      raise exception 'Suspensions are managed by admins';
+    end if;
+  end if;
+  return new;
+end;
+$$;
+
+-- Sorts after profiles_sync_roles
+alter trigger profiles_protect_moderation on public.profiles
+  rename to profiles_zz_protect_moderation;
+
+-- Manual check, in the SQL Editor (replace the id with one of a non-admin profile):
+--
+--   begin;
+--   set local role authenticated;
+--   set local request.jwt.claims = '{"sub": "<profile id>", "role": "authenticated"}';
+--   update public.profiles set role = 'admin' where id = '<profile id>';   -- fails
+--   rollback;
@@ -1,12 +1,47 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import { Tabs, Redirect } from 'expo-router';
 import { useAuth } from '../../contexts/AuthContext';
+import { getUnreadCount, markMessagesDelivered } from '../../services/supabase';
+import { subscribeToUserMessages } from '../../services/realtime';
 import { Ionicons } from '@expo/vector-icons';
 import { TouchableOpacity, Platform } from 'react-native';
 import { router } from 'expo-router';
 
 export default function TabLayout() {
   const { profile } = useAuth();
+  const [unreadCount, setUnreadCount] = useState(0);
+
+  // The tabs stay mounted for the whole session, so this is also where incoming
+  // messages get marked as delivered to this device.
+  useEffect(() => {
+    if (!profile?.id) return;
+
+    const refreshUnreadCount = async () => {
+      const { data } = await getUnreadCount(profile.id);
+      setUnreadCount(data);
+    };
+
+    markMessagesDelivered();
+    refreshUnreadCount();
+
+    return subscribeToUserMessages(profile.id, {
+      onMessage: (message) => {
+        if (message.receiver_id === profile.id) {
+          markMessagesDelivered();
+          refreshUnreadCount();
+        }
+      },
+      onMessageUpdate: (message) => {
+        if (message.receiver_id === profile.id && message.read_at) {
+          refreshUnreadCount();
+        }
+      },
+      onResync: () => {
+        markMessagesDelivered();
+        refreshUnreadCount();
+      },
+    });
+  }, [profile?.id]);
 
   if (!profile) {
     return <Redirect href="/(auth)/login" />;
@@ -21,6 +56,8 @@ export default function TabLayout() {
             iconName = focused ? 'home' : 'home-outline';
           } else if (route.name === 'products') {
             iconName = focused ? 'leaf' : 'leaf-outline';
+          } else if (route.name === 'orders') {
+            iconName = focused ? 'receipt' : 'receipt-outline';
           } else if (route.name === 'chat') {
             iconName = focused ? 'chatbubbles' : 'chatbubbles-outline';
           } else if (route.name === 'settings') {
@@ -58,11 +95,20 @@ export default function TabLayout() {
           tabBarLabel: profile.role === 'seller' ? 'My Products' : 'Browse',
         }}
       />
+      <Tabs.Screen
+        name="orders"
+        options={{
+          title: profile.role === 'seller' ? 'Orders' : 'My Orders',
+          tabBarLabel: profile.role === 'seller' ? 'Orders' : 'My Orders',
+        }}
+      />
       <Tabs.Screen
         name="chat"
         options={{
           title: 'Messages',
           tabBarLabel: 'Messages',
+          tabBarBadge: unreadCount > 0 ? unreadCount : undefined,
+          tabBarBadgeStyle: { backgroundColor: '#6200ee' },
         }}
       />
       <Tabs.Screen
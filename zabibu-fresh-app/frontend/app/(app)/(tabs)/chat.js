@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { 
   View, 
   Text, 
@@ -11,72 +11,101 @@ import {
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { useAuth } from '../../contexts/AuthContext';
-import { getConversations } from '../../services/supabase';
+import { subscribeToUserMessages } from '../../services/realtime';
+import useConversations from '../../hooks/useConversations';
+import CacheStatusBanner from '../../components/CacheStatusBanner';
+import Avatar from '../../components/Avatar';
 import { router, useFocusEffect, useLocalSearchParams } from 'expo-router';
 
 const ChatScreen = () => {
   const { profile } = useAuth();
-  const [conversations, setConversations] = useState([]);
-  const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
   const params = useLocalSearchParams();
+  const {
+    data: conversations,
+    updatedAt,
+    error,
+    isLoading: loading,
+    loadingMore,
+    revalidate,
+    refetch: fetchConversations,
+    fetchMore,
+    setData: setConversations
+  } = useConversations();
+  // Latest list for the realtime handler, which is created once per subscription
+  const conversationsRef = useRef([]);
 
-  const fetchConversations = async () => {
-    if (!profile) return;
-    setLoading(true);
-    try {
-      const { data: messages, error } = await getConversations(profile.id);
-
-      if (error) throw error;
-
-      // Group messages by conversation (unique combination of users and product)
-      const conversationMap = new Map();
-      
-      for (const message of messages || []) {
-        if (!message.products) continue;
-        
-        const otherUserId = message.sender_id === profile.id ? message.receiver_id : message.sender_id;
-        const conversationKey = `${otherUserId}_${message.product_id}`;
-        
-        if (!conversationMap.has(conversationKey)) {
-          const otherUser = message.sender_id === profile.id ? message.receiver : message.sender;
-          
-          conversationMap.set(conversationKey, {
-            id: conversationKey,
-            otherUser: {
-              id: otherUser.id,
-              fullName: otherUser.full_name,
-              phone: otherUser.phone
-            },
-            product: {
-              id: message.products.id,
-              title: message.products.title,
-              sellerId: message.products.seller_id
-            },
-            lastMessage: message.content,
-            lastMessageTime: message.created_at,
-            unreadCount: 0,
-          });
-        }
-      }
+  useEffect(() => {
+    conversationsRef.current = conversations;
+  }, [conversations]);
 
-      setConversations(Array.from(conversationMap.values()));
-    } catch (error) {
+  // Only interrupt when there is nothing to show; otherwise the banner says the list is old
+  useEffect(() => {
+    if (error && !updatedAt) {
       console.error("Error fetching conversations:", error);
       Alert.alert('Error', 'Could not fetch conversations: ' + error.message);
-    } finally {
-      setLoading(false);
+    }
+  }, [error]);
+
+  const fetchMoreConversations = async () => {
+    const { error: fetchError } = await fetchMore();
+    if (fetchError) {
+      console.error("Error fetching conversations:", fetchError);
+      Alert.alert('Error', 'Could not fetch conversations: ' + fetchError.message);
     }
   };
 
   useFocusEffect(
     useCallback(() => {
-      if (profile?.id) {
-        fetchConversations();
-      }
-    }, [profile?.id])
+      revalidate();
+    }, [revalidate])
   );
 
+  // Move the conversation a live message belongs to to the top. Messages that
+  // start a new conversation need the product and profile details, so refetch.
+  const handleLiveMessage = (message) => {
+    const otherUserId = message.sender_id === profile.id ? message.receiver_id : message.sender_id;
+    const conversationKey = `${otherUserId}_${message.product_id}`;
+
+    if (!conversationsRef.current.some(conversation => conversation.id === conversationKey)) {
+      fetchConversations();
+      return;
+    }
+
+    setConversations(prev => {
+      const existing = prev.find(conversation => conversation.id === conversationKey);
+      return [
+        {
+          ...existing,
+          lastMessage: message.content,
+          lastMessageTime: message.created_at,
+          unreadCount: existing.unreadCount + (message.receiver_id === profile.id ? 1 : 0),
+        },
+        ...prev.filter(conversation => conversation.id !== conversationKey)
+      ];
+    });
+  };
+
+  // A conversation was opened (here or on another device): clear its badge
+  const handleMessageUpdate = (message) => {
+    if (message.receiver_id !== profile.id || !message.read_at) return;
+    const conversationKey = `${message.sender_id}_${message.product_id}`;
+
+    setConversations(prev => prev.map(conversation =>
+      conversation.id === conversationKey ? { ...conversation, unreadCount: 0 } : conversation
+    ));
+  };
+
+  useEffect(() => {
+    if (!profile?.id) return;
+
+    return subscribeToUserMessages(profile.id, {
+      onMessage: handleLiveMessage,
+      onMessageUpdate: handleMessageUpdate,
+      onResync: fetchConversations,
+    });
+  }, [profile?.id]);
+
   useEffect(() => {
     // Handle navigation from product screen to start new chat
     const { productId, sellerId, productTitle, receiverName } = params;
@@ -128,11 +157,7 @@ const ChatScreen = () => {
         }
       })}
     >
-      <View style={styles.avatarContainer}>
-        <Text style={styles.avatarText}>
-          {item.otherUser.fullName?.charAt(0).toUpperCase() || 'U'}
-        </Text>
-      </View>
+      <Avatar uri={item.otherUser.avatarUrl} name={item.otherUser.fullName} style={styles.avatar} />
       
       <View style={styles.conversationDetails}>
         <View style={styles.conversationHeader}>
@@ -142,9 +167,19 @@ const ChatScreen = () => {
         <Text style={styles.productTitle} numberOfLines={1}>
           📦 {item.product.title}
         </Text>
-        <Text style={styles.lastMessage} numberOfLines={1}>
-          {item.lastMessage}
-        </Text>
+        <View style={styles.lastMessageRow}>
+          <Text 
+            style={[styles.lastMessage, item.unreadCount > 0 && styles.lastMessageUnread]} 
+            numberOfLines={1}
+          >
+            {item.lastMessage}
+          </Text>
+          {item.unreadCount > 0 && (
+            <View style={styles.unreadBadge}>
+              <Text style={styles.unreadBadgeText}>{item.unreadCount}</Text>
+            </View>
+          )}
+        </View>
       </View>
       
       <Ionicons name="chevron-forward" size={20} color="#ccc" />
@@ -192,6 +227,8 @@ const ChatScreen = () => {
         </Text>
       </View>
 
+      <CacheStatusBanner updatedAt={updatedAt} refreshFailed={!!error} />
+
       {/* Conversations List */}
       <FlatList
         data={conversations}
@@ -203,6 +240,11 @@ const ChatScreen = () => {
           <RefreshControl refreshing={refreshing} onRefresh={onRefresh} />
         }
         ListEmptyComponent={EmptyState}
+        ListFooterComponent={
+          loadingMore ? <ActivityIndicator style={styles.listFooter} color="#6200ee" /> : null
+        }
+        onEndReached={fetchMoreConversations}
+        onEndReachedThreshold={0.5}
         showsVerticalScrollIndicator={false}
       />
     </View>
@@ -244,6 +286,9 @@ const styles = StyleSheet.create({
   list: {
     flex: 1,
   },
+  listFooter: {
+    marginVertical: 10,
+  },
   emptyListContainer: {
     flex: 1,
   },
@@ -256,20 +301,9 @@ const styles = StyleSheet.create({
     borderBottomWidth: 1,
     borderBottomColor: '#f0f0f0',
   },
-  avatarContainer: {
-    width: 50,
-    height: 50,
-    borderRadius: 25,
-    backgroundColor: '#6200ee',
-    justifyContent: 'center',
-    alignItems: 'center',
+  avatar: {
     marginRight: 15,
   },
-  avatarText: {
-    color: '#fff',
-    fontSize: 18,
-    fontWeight: 'bold',
-  },
   conversationDetails: {
     flex: 1,
   },
@@ -294,10 +328,34 @@ const styles = StyleSheet.create({
     marginBottom: 2,
     fontWeight: '500',
   },
+  lastMessageRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
   lastMessage: {
+    flex: 1,
     fontSize: 14,
     color: '#666',
   },
+  lastMessageUnread: {
+    color: '#333',
+    fontWeight: '600',
+  },
+  unreadBadge: {
+    minWidth: 20,
+    height: 20,
+    borderRadius: 10,
+    paddingHorizontal: 6,
+    backgroundColor: '#6200ee',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginLeft: 8,
+  },
+  unreadBadgeText: {
+    color: '#fff',
+    fontSize: 12,
+    fontWeight: 'bold',
+  },
   emptyContainer: {
     flex: 1,
     justifyContent: 'center',
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { 
   View, 
   Text, 
@@ -10,21 +10,39 @@ import {
 import { Ionicons } from '@expo/vector-icons';
 import { useAuth } from '../../contexts/AuthContext';
 import { supabase } from '../../services/supabase';
-import { router } from 'expo-router';
+import { openNotificationItem } from '../../services/notifications';
+import useNotifications from '../../hooks/useNotifications';
+import useUnreadNotificationCount from '../../hooks/useUnreadNotificationCount';
+import useRequireVerifiedPhone from '../../hooks/useRequireVerifiedPhone';
+import NotificationItem from '../../components/NotificationItem';
+import Avatar from '../../components/Avatar';
+import { router, useFocusEffect } from 'expo-router';
+
+// How many notifications the Recent Activity section shows
+const RECENT_ACTIVITY_COUNT = 5;
 
 const HomeScreen = () => {
   const { user, profile } = useAuth();
   const [stats, setStats] = useState({
     totalProducts: 0,
-    totalMessages: 0,
-    recentActivity: []
+    totalMessages: 0
   });
   const [loading, setLoading] = useState(true);
+  const { data: notifications, revalidate: revalidateNotifications } = useNotifications();
+  const { count: unreadNotificationCount } = useUnreadNotificationCount();
+  const recentActivity = notifications.slice(0, RECENT_ACTIVITY_COUNT);
+  const requireVerifiedPhone = useRequireVerifiedPhone();
 
   useEffect(() => {
     fetchDashboardStats();
   }, [profile]);
 
+  useFocusEffect(
+    useCallback(() => {
+      revalidateNotifications();
+    }, [revalidateNotifications])
+  );
+
   const fetchDashboardStats = async () => {
     if (!profile) return;
     
@@ -33,38 +51,36 @@ const HomeScreen = () => {
       
       if (profile.role === 'seller') {
         // Fetch seller stats
-        const { data: products, error: productsError } = await supabase
-          .from('Product')
-          .select('id')
-          .eq('sellerId', profile.id);
+        const { count: productCount, error: productsError } = await supabase
+          .from('products')
+          .select('id', { count: 'exact', head: true })
+          .eq('seller_id', profile.id);
         
         if (productsError) throw productsError;
 
-        const { data: messages, error: messagesError } = await supabase
-          .from('Message')
-          .select('id')
-          .eq('receiverId', profile.id);
+        const { count: messageCount, error: messagesError } = await supabase
+          .from('messages')
+          .select('id', { count: 'exact', head: true })
+          .eq('receiver_id', profile.id);
         
         if (messagesError) throw messagesError;
 
         setStats({
-          totalProducts: products?.length || 0,
-          totalMessages: messages?.length || 0,
-          recentActivity: []
+          totalProducts: productCount || 0,
+          totalMessages: messageCount || 0
         });
       } else {
         // Fetch buyer stats
-        const { data: messages, error: messagesError } = await supabase
-          .from('Message')
-          .select('id')
-          .eq('senderId', profile.id);
+        const { count: messageCount, error: messagesError } = await supabase
+          .from('messages')
+          .select('id', { count: 'exact', head: true })
+          .eq('sender_id', profile.id);
         
         if (messagesError) throw messagesError;
 
         setStats({
           totalProducts: 0,
-          totalMessages: messages?.length || 0,
-          recentActivity: []
+          totalMessages: messageCount || 0
         });
       }
     } catch (error) {
@@ -74,6 +90,12 @@ const HomeScreen = () => {
     }
   };
 
+  const handleAddProduct = () => {
+    if (requireVerifiedPhone()) {
+      router.push('/(app)/add-product');
+    }
+  };
+
   const QuickActionCard = ({ icon, title, subtitle, onPress, color = "#6200ee" }) => (
     <TouchableOpacity style={[styles.actionCard, { borderLeftColor: color }]} onPress={onPress}>
       <View style={styles.actionCardContent}>
@@ -120,13 +142,37 @@ const HomeScreen = () => {
             <Text style={styles.roleText}>{profile.role}</Text>
           </View>
         </View>
-        <View style={styles.avatarContainer}>
-          <Text style={styles.avatarText}>
-            {profile.fullName?.charAt(0).toUpperCase() || 'U'}
-          </Text>
-        </View>
+        <TouchableOpacity
+          style={styles.bellButton}
+          onPress={() => router.push('/(app)/notifications')}
+        >
+          <Ionicons name="notifications-outline" size={26} color="#333" />
+          {unreadNotificationCount > 0 && (
+            <View style={styles.bellBadge}>
+              <Text style={styles.bellBadgeText}>
+                {unreadNotificationCount > 9 ? '9+' : unreadNotificationCount}
+              </Text>
+            </View>
+          )}
+        </TouchableOpacity>
+        <TouchableOpacity onPress={() => router.push('/(app)/edit-profile')}>
+          <Avatar uri={profile.avatarUrl} name={profile.fullName} />
+        </TouchableOpacity>
       </View>
 
+      {!!profile.suspendedAt && (
+        <View style={styles.suspendedBanner}>
+          <Ionicons name="ban-outline" size={22} color="#c0392b" />
+          <View style={styles.suspendedTextContainer}>
+            <Text style={styles.suspendedTitle}>Your account is suspended</Text>
+            <Text style={styles.suspendedText}>
+              {profile.suspensionReason ? `Reason: ${profile.suspensionReason}. ` : ''}
+              You cannot list products, send messages or place orders. Contact support@zabibufresh.com if you think this is a mistake.
+            </Text>
+          </View>
+        </View>
+      )}
+
       {/* Stats Section */}
       {!loading && (
         <View style={styles.statsSection}>
@@ -150,6 +196,33 @@ const HomeScreen = () => {
         </View>
       )}
 
+      {/* Recent Activity */}
+      <View style={styles.activitySection}>
+        <View style={styles.sectionHeader}>
+          <Text style={styles.sectionTitle}>Recent Activity</Text>
+          {recentActivity.length > 0 && (
+            <TouchableOpacity onPress={() => router.push('/(app)/notifications')}>
+              <Text style={styles.seeAllText}>See all</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+        {recentActivity.length > 0 ? (
+          <View style={styles.activityCard}>
+            {recentActivity.map((notification) => (
+              <NotificationItem
+                key={notification.id}
+                notification={notification}
+                onPress={openNotificationItem}
+              />
+            ))}
+          </View>
+        ) : (
+          <Text style={styles.emptyActivityText}>
+            Messages, offers and order updates will show up here.
+          </Text>
+        )}
+      </View>
+
       {/* Quick Actions */}
       <View style={styles.actionsSection}>
         <Text style={styles.sectionTitle}>Quick Actions</Text>
@@ -160,7 +233,7 @@ const HomeScreen = () => {
               icon="add-circle-outline"
               title="Add New Product"
               subtitle="List fresh grapes for sale"
-              onPress={() => router.push('/(app)/add-product')}
+              onPress={handleAddProduct}
               color="#27ae60"
             />
             <QuickActionCard
@@ -278,19 +351,49 @@ const styles = StyleSheet.create({
     textTransform: 'capitalize',
     fontWeight: '600',
   },
-  avatarContainer: {
-    width: 50,
-    height: 50,
-    borderRadius: 25,
-    backgroundColor: '#6200ee',
+  bellButton: {
+    marginRight: 15,
+  },
+  bellBadge: {
+    position: 'absolute',
+    top: -4,
+    right: -6,
+    minWidth: 18,
+    height: 18,
+    borderRadius: 9,
+    paddingHorizontal: 4,
+    backgroundColor: '#e74c3c',
     justifyContent: 'center',
     alignItems: 'center',
   },
-  avatarText: {
+  bellBadgeText: {
     color: '#fff',
-    fontSize: 20,
+    fontSize: 11,
     fontWeight: 'bold',
   },
+  suspendedBanner: {
+    flexDirection: 'row',
+    backgroundColor: '#fdecea',
+    borderRadius: 12,
+    padding: 15,
+    marginHorizontal: 20,
+    marginTop: 20,
+  },
+  suspendedTextContainer: {
+    flex: 1,
+    marginLeft: 10,
+  },
+  suspendedTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#c0392b',
+    marginBottom: 4,
+  },
+  suspendedText: {
+    fontSize: 14,
+    color: '#8a3a30',
+    lineHeight: 20,
+  },
   statsSection: {
     padding: 20,
   },
@@ -329,6 +432,34 @@ const styles = StyleSheet.create({
     textAlign: 'center',
     marginTop: 5,
   },
+  activitySection: {
+    paddingHorizontal: 20,
+    paddingBottom: 20,
+  },
+  sectionHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'baseline',
+  },
+  seeAllText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#6200ee',
+  },
+  activityCard: {
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    overflow: 'hidden',
+    shadowColor: "#000",
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 2,
+  },
+  emptyActivityText: {
+    fontSize: 14,
+    color: '#999',
+  },
   actionsSection: {
     paddingHorizontal: 20,
     paddingBottom: 20,
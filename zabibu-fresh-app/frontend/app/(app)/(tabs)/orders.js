@@ -0,0 +1,295 @@
+import React, { useState, useCallback } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert,
+  RefreshControl
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useAuth } from '../../contexts/AuthContext';
+import { getOrders } from '../../services/supabase';
+import { ORDER_STATUS_LABELS, ORDER_STATUS_COLORS, getOrderTotal } from '../../services/orders';
+import { router, useFocusEffect } from 'expo-router';
+
+const OrdersScreen = () => {
+  const { profile } = useAuth();
+  const [orders, setOrders] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const isSeller = profile?.role === 'seller';
+
+  const fetchOrders = async () => {
+    if (!profile) return;
+    try {
+      const { data, nextCursor: cursor, error } = await getOrders(profile.id, profile.role);
+
+      if (error) throw error;
+
+      setOrders(data || []);
+      setNextCursor(cursor);
+    } catch (error) {
+      console.error("Error fetching orders:", error);
+      Alert.alert('Error', 'Could not fetch orders: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchMoreOrders = async () => {
+    if (!profile || !nextCursor || loading || loadingMore) return;
+    setLoadingMore(true);
+    try {
+      const { data, nextCursor: cursor, error } = await getOrders(profile.id, profile.role, {
+        cursor: nextCursor
+      });
+
+      if (error) throw error;
+
+      setOrders(prev => [...prev, ...(data || [])]);
+      setNextCursor(cursor);
+    } catch (error) {
+      console.error("Error fetching orders:", error);
+      Alert.alert('Error', 'Could not fetch orders: ' + error.message);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  // Statuses change from the detail screen, so refetch whenever the tab is shown
+  useFocusEffect(
+    useCallback(() => {
+      fetchOrders();
+    }, [profile?.id, profile?.role])
+  );
+
+  const onRefresh = async () => {
+    setRefreshing(true);
+    await fetchOrders();
+    setRefreshing(false);
+  };
+
+  const renderOrderItem = ({ item }) => {
+    const otherParty = isSeller ? item.buyer : item.seller;
+
+    return (
+      <TouchableOpacity
+        style={styles.orderCard}
+        onPress={() => router.push({
+          pathname: '/(app)/order/[orderId]',
+          params: { orderId: item.id }
+        })}
+      >
+        <View style={styles.orderHeader}>
+          <Text style={styles.productTitle} numberOfLines={1}>{item.product_title}</Text>
+          <View style={[styles.statusBadge, { backgroundColor: ORDER_STATUS_COLORS[item.status] }]}>
+            <Text style={styles.statusText}>{ORDER_STATUS_LABELS[item.status]}</Text>
+          </View>
+        </View>
+        <Text style={styles.orderMeta}>
+          {isSeller ? 'From' : 'Sold by'} {otherParty?.full_name || 'Unknown'}
+        </Text>
+        <View style={styles.orderFooter}>
+          <Text style={styles.orderMeta}>
+            {item.quantity_kg} kg · TZS {getOrderTotal(item).toLocaleString()}
+          </Text>
+          <Text style={styles.orderDate}>{new Date(item.created_at).toLocaleDateString()}</Text>
+        </View>
+      </TouchableOpacity>
+    );
+  };
+
+  const EmptyState = () => (
+    <View style={styles.emptyContainer}>
+      <Ionicons name="receipt-outline" size={80} color="#ccc" />
+      <Text style={styles.emptyTitle}>No Orders Yet</Text>
+      <Text style={styles.emptyText}>
+        {isSeller
+          ? "Orders from buyers for your products will appear here."
+          : "Open a product and tap Place Order to buy from a seller."
+        }
+      </Text>
+      {!isSeller && (
+        <TouchableOpacity
+          style={styles.browseButton}
+          onPress={() => router.push('/(app)/(tabs)/products')}
+        >
+          <Ionicons name="search" size={16} color="#fff" />
+          <Text style={styles.browseButtonText}>Browse Products</Text>
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+
+  if (loading) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color="#6200ee" />
+        <Text style={styles.loadingText}>Loading orders...</Text>
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <Text style={styles.headerTitle}>{isSeller ? 'Orders' : 'My Orders'}</Text>
+        <Text style={styles.headerSubtitle}>
+          {orders.length} order{orders.length !== 1 ? 's' : ''}
+        </Text>
+      </View>
+
+      <FlatList
+        data={orders}
+        renderItem={renderOrderItem}
+        keyExtractor={(item) => item.id}
+        style={styles.list}
+        contentContainerStyle={orders.length === 0 ? styles.emptyListContainer : styles.listContent}
+        refreshControl={
+          <RefreshControl refreshing={refreshing} onRefresh={onRefresh} />
+        }
+        ListEmptyComponent={EmptyState}
+        ListFooterComponent={
+          loadingMore ? <ActivityIndicator style={styles.listFooter} color="#6200ee" /> : null
+        }
+        onEndReached={fetchMoreOrders}
+        onEndReachedThreshold={0.5}
+        showsVerticalScrollIndicator={false}
+      />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8f9fa',
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  loadingText: {
+    marginTop: 10,
+    fontSize: 16,
+    color: '#666',
+  },
+  header: {
+    backgroundColor: '#fff',
+    paddingHorizontal: 20,
+    paddingVertical: 20,
+    borderBottomWidth: 1,
+    borderBottomColor: '#e0e0e0',
+  },
+  headerTitle: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  headerSubtitle: {
+    fontSize: 14,
+    color: '#666',
+    marginTop: 2,
+  },
+  list: {
+    flex: 1,
+  },
+  listContent: {
+    padding: 15,
+  },
+  listFooter: {
+    marginVertical: 10,
+  },
+  emptyListContainer: {
+    flex: 1,
+  },
+  orderCard: {
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 15,
+    marginBottom: 12,
+    shadowColor: "#000",
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 2,
+  },
+  orderHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 6,
+  },
+  productTitle: {
+    flex: 1,
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#333',
+    marginRight: 10,
+  },
+  statusBadge: {
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    borderRadius: 12,
+  },
+  statusText: {
+    color: '#fff',
+    fontSize: 12,
+    fontWeight: 'bold',
+  },
+  orderMeta: {
+    fontSize: 14,
+    color: '#666',
+  },
+  orderFooter: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginTop: 4,
+  },
+  orderDate: {
+    fontSize: 12,
+    color: '#999',
+  },
+  emptyContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    paddingHorizontal: 40,
+  },
+  emptyTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#333',
+    marginTop: 20,
+    marginBottom: 10,
+  },
+  emptyText: {
+    fontSize: 16,
+    color: '#666',
+    textAlign: 'center',
+    lineHeight: 22,
+    marginBottom: 30,
+  },
+  browseButton: {
+    backgroundColor: '#6200ee',
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingVertical: 12,
+    borderRadius: 8,
+  },
+  browseButtonText: {
+    color: '#fff',
+    fontWeight: 'bold',
+    marginLeft: 8,
+  },
+});
+
+export default OrdersScreen;
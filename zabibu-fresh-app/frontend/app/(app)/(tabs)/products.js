@@ -7,127 +7,296 @@ import {
   TouchableOpacity, 
   ActivityIndicator, 
   Alert, 
-  Image,
   TextInput,
+  Image,
   RefreshControl 
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { useAuth } from '../../contexts/AuthContext';
-import { getProducts, deleteProduct } from '../../services/supabase';
+import { deleteProduct, setProductStatus, renewProduct } from '../../services/supabase';
+import { getProductThumbnailUrls } from '../../services/storage';
+import { subscribeToOutbox, retryOutboxItem, discardOutboxItem } from '../../services/outbox';
+import { invalidateQueries } from '../../services/queries';
+import useProducts from '../../hooks/useProducts';
+import useRequireVerifiedPhone from '../../hooks/useRequireVerifiedPhone';
+import {
+  LISTING_STATUS_LABELS,
+  LISTING_STATUS_COLORS,
+  HIDDEN_LISTING_LABEL,
+  HIDDEN_LISTING_COLOR,
+  getListingActions,
+  formatListingExpiry
+} from '../../services/listings';
+import ProductImageCarousel from '../../components/ProductImageCarousel';
+import CacheStatusBanner from '../../components/CacheStatusBanner';
+import ProductFilterSheet, {
+  DEFAULT_PRODUCT_FILTERS,
+  countActiveFilters
+} from '../../components/ProductFilterSheet';
 import { router, useFocusEffect } from 'expo-router';
 
+// Wait for the buyer to stop typing before querying the server
+const SEARCH_DEBOUNCE_MS = 400;
+
 const ProductsScreen = () => {
   const { profile } = useAuth();
-  const [products, setProducts] = useState([]);
-  const [filteredProducts, setFilteredProducts] = useState([]);
-  const [loading, setLoading] = useState(false);
+  const requireVerifiedPhone = useRequireVerifiedPhone();
   const [refreshing, setRefreshing] = useState(false);
   const [searchQuery, setSearchQuery] = useState('');
+  const [debouncedSearch, setDebouncedSearch] = useState('');
+  const [filters, setFilters] = useState(DEFAULT_PRODUCT_FILTERS);
+  const [filterSheetVisible, setFilterSheetVisible] = useState(false);
+  // The seller's new listings and edits still waiting in the outbox
+  const [queuedListings, setQueuedListings] = useState([]);
 
-  const fetchProducts = async () => {
-    if (!profile) return;
-    setLoading(true);
-    try {
-      let sellerId = null;
-      if (profile.role === 'seller') {
-        sellerId = profile.id;
-      }
+  const activeFilterCount = countActiveFilters(filters);
+
+  const {
+    data: products,
+    updatedAt,
+    error,
+    isLoading: loading,
+    loadingMore,
+    revalidate,
+    refetch,
+    fetchMore
+  } = useProducts(
+    profile.role === 'seller'
+      ? { sellerId: profile.id }
+      : { ...filters, status: 'active', search: debouncedSearch.trim() }
+  );
 
-      const { data, error } = await getProducts(sellerId);
-      if (error) throw error;
-      
-      setProducts(data || []);
-      setFilteredProducts(data || []);
-    } catch (error) {
+  // Only interrupt when there is nothing to show; otherwise the banner says the list is old
+  useEffect(() => {
+    if (error && !updatedAt) {
       Alert.alert('Error fetching products', error.message);
-    } finally {
-      setLoading(false);
+    }
+  }, [error]);
+
+  const fetchMoreProducts = async () => {
+    const { error: fetchError } = await fetchMore();
+    if (fetchError) {
+      Alert.alert('Error fetching products', fetchError.message);
     }
   };
 
+  useEffect(() => {
+    const timeout = setTimeout(() => setDebouncedSearch(searchQuery), SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timeout);
+  }, [searchQuery]);
+
   useFocusEffect(
     useCallback(() => {
-      fetchProducts();
-    }, [profile])
+      revalidate();
+    }, [revalidate])
   );
 
   useEffect(() => {
-    if (searchQuery.trim() === '') {
-      setFilteredProducts(products);
-    } else {
-      const filtered = products.filter(product =>
-        product.title.toLowerCase().includes(searchQuery.toLowerCase()) ||
-        product.description.toLowerCase().includes(searchQuery.toLowerCase()) ||
-        product.location.toLowerCase().includes(searchQuery.toLowerCase())
-      );
-      setFilteredProducts(filtered);
-    }
-  }, [searchQuery, products]);
+    if (profile?.role !== 'seller') return;
+
+    return subscribeToOutbox({
+      onChange: (items) => setQueuedListings(items.filter((item) =>
+        item.type === 'createProduct' || item.type === 'updateProduct'
+      )),
+    });
+  }, [profile?.role]);
+
+  const queuedNewListings = queuedListings.filter((item) => item.type === 'createProduct');
+  const getQueuedChanges = (productId) =>
+    queuedListings.find((item) => item.type === 'updateProduct' && item.payload.productId === productId);
+
+  const handleDiscardQueued = (item) => {
+    Alert.alert(
+      item.type === 'createProduct' ? "Discard Listing" : "Discard Changes",
+      item.type === 'createProduct'
+        ? "This listing has not been uploaded yet. Discard it?"
+        : "These changes have not been saved yet. Discard them?",
+      [
+        { text: "Cancel", style: "cancel" },
+        { text: "Discard", style: "destructive", onPress: () => discardOutboxItem(item.id) }
+      ]
+    );
+  };
+
+  const handleApplyFilters = (nextFilters) => {
+    setFilters(nextFilters);
+    setFilterSheetVisible(false);
+  };
 
   const onRefresh = async () => {
     setRefreshing(true);
-    await fetchProducts();
+    await refetch();
     setRefreshing(false);
   };
 
-  const handleDeleteProduct = async (productId) => {
+  const runListingAction = async (product, action) => {
+    const { error } = action.renew
+      ? await renewProduct(product.id)
+      : await setProductStatus(product.id, action.status);
+
+    if (error) {
+      Alert.alert('Error updating listing', error.message);
+      return;
+    }
+    invalidateQueries('products:');
+  };
+
+  const handleManageListing = (product) => {
+    Alert.alert(
+      product.title,
+      `This listing is ${LISTING_STATUS_LABELS[product.status].toLowerCase()}.`,
+      [
+        ...getListingActions(product).map((action) => ({
+          text: action.label,
+          onPress: () => runListingAction(product, action)
+        })),
+        { text: "Cancel", style: "cancel" }
+      ]
+    );
+  };
+
+  // Deleting also removes the listing from its conversations, so offer to pause it instead
+  const handleDeleteProduct = async (product) => {
+    const productId = product.id;
     Alert.alert(
       "Confirm Delete",
-      "Are you sure you want to delete this product? This action cannot be undone.",
+      "Are you sure you want to delete this product? This action cannot be undone. Pausing hides it from buyers but keeps its conversations.",
       [
         { text: "Cancel", style: "cancel" },
+        ...(product.status === 'active' ? [{
+          text: "Pause Instead",
+          onPress: () => runListingAction(product, { status: 'paused' })
+        }] : []),
         {
           text: "Delete",
           style: "destructive",
           onPress: async () => {
-            try {
-              setLoading(true);
-              const { error } = await deleteProduct(productId);
-              if (error) throw error;
-
-              Alert.alert('Success', 'Product deleted successfully.');
-              fetchProducts();
-            } catch (error) {
+            const { error } = await deleteProduct(productId);
+            if (error) {
               Alert.alert('Error deleting product', error.message);
-            } finally {
-              setLoading(false);
+              return;
             }
+
+            Alert.alert('Success', 'Product deleted successfully.');
+            invalidateQueries('products:');
+            // Its conversations went with it
+            invalidateQueries('conversations:');
           }
         }
       ]
     );
   };
 
+  const handleAddProduct = () => {
+    if (requireVerifiedPhone()) {
+      router.push('/(app)/add-product');
+    }
+  };
+
   const handleContactSeller = (product) => {
     router.push({
       pathname: '/(app)/chat',
       params: {
         productId: product.id,
-        sellerId: product.sellerId,
+        sellerId: product.seller_id,
         productTitle: product.title,
         receiverName: 'Seller'
       }
     });
   };
 
+  const openProduct = (product) => {
+    router.push({
+      pathname: '/(app)/product/[productId]',
+      params: { productId: product.id }
+    });
+  };
+
+  // Waiting for a connection, or failed with a Retry button
+  const renderQueuedStatus = (item) => {
+    const failed = item.status === 'failed';
+    return (
+      <View style={styles.queuedStatus}>
+        <Ionicons
+          name={failed ? "alert-circle-outline" : "cloud-upload-outline"}
+          size={16}
+          color={failed ? "#e74c3c" : "#f39c12"}
+        />
+        <Text style={[styles.queuedStatusText, failed && styles.queuedFailedText]} numberOfLines={2}>
+          {failed
+            ? `Not uploaded: ${item.lastError}`
+            : item.type === 'createProduct' ? "Waiting to upload" : "Changes waiting to upload"}
+        </Text>
+        {failed && (
+          <TouchableOpacity onPress={() => retryOutboxItem(item.id)}>
+            <Text style={styles.queuedActionText}>Retry</Text>
+          </TouchableOpacity>
+        )}
+        <TouchableOpacity onPress={() => handleDiscardQueued(item)}>
+          <Text style={[styles.queuedActionText, styles.queuedDiscardText]}>Discard</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  };
+
+  const renderQueuedListing = (item) => {
+    const { product, images } = item.payload;
+    return (
+      <View key={item.id} style={styles.queuedCard}>
+        <View style={styles.queuedCardBody}>
+          {images[0] && <Image source={{ uri: images[0].uri }} style={styles.queuedImage} />}
+          <View style={styles.queuedInfo}>
+            <Text style={styles.productTitle} numberOfLines={1}>{product.title}</Text>
+            <Text style={styles.queuedPrice}>TZS {product.price.toLocaleString()}/kg</Text>
+          </View>
+        </View>
+        {renderQueuedStatus(item)}
+      </View>
+    );
+  };
+
   const renderProductItem = ({ item }) => (
-    <View style={styles.productCard}>
-      <Image
-        source={
-          item.image_url 
-            ? { uri: item.image_url } 
-            : { uri: 'https://images.pexels.com/photos/708777/pexels-photo-708777.jpeg?auto=compress&cs=tinysrgb&w=400' }
-        }
-        style={styles.productImage}
-      />
+    <TouchableOpacity 
+      style={styles.productCard} 
+      activeOpacity={0.9}
+      onPress={() => openProduct(item)}
+    >
+      <View>
+        <ProductImageCarousel images={getProductThumbnailUrls(item)} height={200} />
+        {profile?.role === 'seller' && (
+          <View
+            style={[
+              styles.statusBadge,
+              { backgroundColor: item.hidden_at ? HIDDEN_LISTING_COLOR : LISTING_STATUS_COLORS[item.status] }
+            ]}
+          >
+            <Text style={styles.statusBadgeText}>
+              {item.hidden_at ? HIDDEN_LISTING_LABEL : LISTING_STATUS_LABELS[item.status]}
+            </Text>
+          </View>
+        )}
+      </View>
       <View style={styles.productInfo}>
+        {getQueuedChanges(item.id) && renderQueuedStatus(getQueuedChanges(item.id))}
         <Text style={styles.productTitle}>{item.title}</Text>
         <Text style={styles.productPrice}>TZS {item.price.toLocaleString()}/kg</Text>
         <View style={styles.productDetails}>
           <View style={styles.detailItem}>
             <Ionicons name="cube-outline" size={16} color="#666" />
-            <Text style={styles.detailText}>{item.quantity} kg available</Text>
+            <Text style={styles.detailText}>{item.available_quantity} kg available</Text>
           </View>
+          {profile?.role === 'seller' && item.reserved_quantity > 0 && (
+            <View style={styles.detailItem}>
+              <Ionicons name="lock-closed-outline" size={16} color="#666" />
+              <Text style={styles.detailText}>{item.reserved_quantity} kg reserved</Text>
+            </View>
+          )}
+          {profile?.role === 'seller' && formatListingExpiry(item) && (
+            <View style={styles.detailItem}>
+              <Ionicons name="hourglass-outline" size={16} color="#666" />
+              <Text style={styles.detailText}>{formatListingExpiry(item)}</Text>
+            </View>
+          )}
           <View style={styles.detailItem}>
             <Ionicons name="location-outline" size={16} color="#666" />
             <Text style={styles.detailText}>{item.location}</Text>
@@ -139,13 +308,32 @@ const ProductsScreen = () => {
         
         <View style={styles.actionButtons}>
           {profile?.role === 'seller' ? (
-            <TouchableOpacity 
-              style={styles.deleteButton} 
-              onPress={() => handleDeleteProduct(item.id)}
-            >
-              <Ionicons name="trash-outline" size={16} color="#fff" />
-              <Text style={styles.deleteButtonText}>Delete</Text>
-            </TouchableOpacity>
+            <>
+              <TouchableOpacity 
+                style={styles.editButton} 
+                onPress={() => router.push({
+                  pathname: '/(app)/edit-product/[productId]',
+                  params: { productId: item.id }
+                })}
+              >
+                <Ionicons name="create-outline" size={16} color="#fff" />
+                <Text style={styles.editButtonText}>Edit</Text>
+              </TouchableOpacity>
+              <TouchableOpacity 
+                style={styles.manageButton} 
+                onPress={() => handleManageListing(item)}
+              >
+                <Ionicons name="options-outline" size={16} color="#fff" />
+                <Text style={styles.editButtonText}>Status</Text>
+              </TouchableOpacity>
+              <TouchableOpacity 
+                style={styles.deleteButton} 
+                onPress={() => handleDeleteProduct(item)}
+              >
+                <Ionicons name="trash-outline" size={16} color="#fff" />
+                <Text style={styles.deleteButtonText}>Delete</Text>
+              </TouchableOpacity>
+            </>
           ) : (
             <TouchableOpacity 
               style={styles.contactButton} 
@@ -157,7 +345,7 @@ const ProductsScreen = () => {
           )}
         </View>
       </View>
-    </View>
+    </TouchableOpacity>
   );
 
   const EmptyState = () => (
@@ -173,15 +361,15 @@ const ProductsScreen = () => {
       <Text style={styles.emptyText}>
         {profile?.role === 'seller' 
           ? "Start by adding your first grape product to connect with buyers."
-          : searchQuery 
-            ? "Try adjusting your search terms."
+          : searchQuery || activeFilterCount > 0
+            ? "Try adjusting your search terms or filters."
             : "No grape products available at the moment. Check back soon!"
         }
       </Text>
       {profile?.role === 'seller' && (
         <TouchableOpacity 
           style={styles.addFirstProductButton} 
-          onPress={() => router.push('/(app)/add-product')}
+          onPress={handleAddProduct}
         >
           <Ionicons name="add" size={20} color="#fff" />
           <Text style={styles.addFirstProductButtonText}>Add Your First Product</Text>
@@ -190,7 +378,8 @@ const ProductsScreen = () => {
     </View>
   );
 
-  if (loading && !products.length) {
+  // Keep the search bar mounted while a search or filter is loading
+  if (loading && !products.length && !searchQuery && activeFilterCount === 0) {
     return (
       <View style={styles.loadingContainer}>
         <ActivityIndicator size="large" color="#6200ee" />
@@ -209,7 +398,7 @@ const ProductsScreen = () => {
         {profile?.role === 'seller' && (
           <TouchableOpacity 
             style={styles.addButton} 
-            onPress={() => router.push('/(app)/add-product')}
+            onPress={handleAddProduct}
           >
             <Ionicons name="add" size={20} color="#fff" />
           </TouchableOpacity>
@@ -231,19 +420,47 @@ const ProductsScreen = () => {
               <Ionicons name="close-circle" size={20} color="#666" />
             </TouchableOpacity>
           )}
+          <TouchableOpacity 
+            style={styles.filterButton} 
+            onPress={() => setFilterSheetVisible(true)}
+          >
+            <Ionicons name="options-outline" size={22} color="#6200ee" />
+            {activeFilterCount > 0 && (
+              <View style={styles.filterBadge}>
+                <Text style={styles.filterBadgeText}>{activeFilterCount}</Text>
+              </View>
+            )}
+          </TouchableOpacity>
         </View>
       )}
 
+      <CacheStatusBanner updatedAt={updatedAt} refreshFailed={!!error} />
+
+      <ProductFilterSheet
+        visible={filterSheetVisible}
+        filters={filters}
+        onApply={handleApplyFilters}
+        onClose={() => setFilterSheetVisible(false)}
+      />
+
       {/* Products List */}
       <FlatList
-        data={filteredProducts}
+        data={products}
         renderItem={renderProductItem}
         keyExtractor={(item) => item.id}
         contentContainerStyle={styles.listContainer}
         refreshControl={
           <RefreshControl refreshing={refreshing} onRefresh={onRefresh} />
         }
-        ListEmptyComponent={EmptyState}
+        ListHeaderComponent={
+          queuedNewListings.length > 0 ? <View>{queuedNewListings.map(renderQueuedListing)}</View> : null
+        }
+        ListEmptyComponent={queuedNewListings.length > 0 ? null : EmptyState}
+        ListFooterComponent={
+          loadingMore ? <ActivityIndicator style={styles.listFooter} color="#6200ee" /> : null
+        }
+        onEndReached={fetchMoreProducts}
+        onEndReachedThreshold={0.5}
         showsVerticalScrollIndicator={false}
       />
     </View>
@@ -311,9 +528,32 @@ const styles = StyleSheet.create({
     fontSize: 16,
     color: '#333',
   },
+  filterButton: {
+    marginLeft: 10,
+    padding: 5,
+  },
+  filterBadge: {
+    position: 'absolute',
+    top: 0,
+    right: 0,
+    minWidth: 16,
+    height: 16,
+    borderRadius: 8,
+    backgroundColor: '#6200ee',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  filterBadgeText: {
+    color: '#fff',
+    fontSize: 10,
+    fontWeight: 'bold',
+  },
   listContainer: {
     padding: 20,
   },
+  listFooter: {
+    marginVertical: 10,
+  },
   productCard: {
     backgroundColor: '#fff',
     borderRadius: 15,
@@ -325,13 +565,79 @@ const styles = StyleSheet.create({
     elevation: 3,
     overflow: 'hidden',
   },
-  productImage: {
-    width: '100%',
-    height: 200,
+  statusBadge: {
+    position: 'absolute',
+    top: 10,
+    left: 10,
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    borderRadius: 12,
+  },
+  statusBadgeText: {
+    color: '#fff',
+    fontSize: 12,
+    fontWeight: 'bold',
   },
   productInfo: {
     padding: 15,
   },
+  queuedCard: {
+    backgroundColor: '#fff',
+    borderRadius: 15,
+    marginBottom: 20,
+    padding: 15,
+    shadowColor: "#000",
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 3,
+  },
+  queuedCardBody: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  queuedImage: {
+    width: 60,
+    height: 60,
+    borderRadius: 8,
+    marginRight: 12,
+  },
+  queuedInfo: {
+    flex: 1,
+  },
+  queuedPrice: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#27ae60',
+  },
+  queuedStatus: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fdf6e3',
+    borderRadius: 8,
+    paddingHorizontal: 10,
+    paddingVertical: 8,
+    marginTop: 10,
+    marginBottom: 10,
+  },
+  queuedStatusText: {
+    flex: 1,
+    fontSize: 13,
+    color: '#666',
+    marginLeft: 6,
+  },
+  queuedFailedText: {
+    color: '#e74c3c',
+  },
+  queuedActionText: {
+    fontSize: 13,
+    fontWeight: 'bold',
+    color: '#6200ee',
+    marginLeft: 12,
+  },
+  queuedDiscardText: {
+    color: '#e74c3c',
+  },
   productTitle: {
     fontSize: 18,
     fontWeight: 'bold',
@@ -380,6 +686,29 @@ const styles = StyleSheet.create({
     fontWeight: 'bold',
     marginLeft: 5,
   },
+  editButton: {
+    backgroundColor: '#6200ee',
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 15,
+    paddingVertical: 8,
+    borderRadius: 8,
+    marginRight: 10,
+  },
+  manageButton: {
+    backgroundColor: '#f39c12',
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 15,
+    paddingVertical: 8,
+    borderRadius: 8,
+    marginRight: 10,
+  },
+  editButtonText: {
+    color: '#fff',
+    fontWeight: 'bold',
+    marginLeft: 5,
+  },
   deleteButton: {
     backgroundColor: '#dc3545',
     flexDirection: 'row',
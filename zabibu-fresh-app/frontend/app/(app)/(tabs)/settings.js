@@ -1,11 +1,42 @@
-import React from "react";
-import { View, Text, StyleSheet, TouchableOpacity, Alert, ScrollView } from "react-native";
+import React, { useState } from "react";
+import { View, Text, StyleSheet, TouchableOpacity, Alert, ScrollView, ActivityIndicator } from "react-native";
 import { Ionicons } from '@expo/vector-icons';
-import { supabase } from "../../services/supabase";
+import { router } from "expo-router";
 import { useAuth } from "../../contexts/AuthContext";
+import Avatar from "../../components/Avatar";
 
 const SettingsScreen = () => {
-  const { profile } = useAuth();
+  const { profile, signOut, switchRole, isAdmin } = useAuth();
+  const [switchingTo, setSwitchingTo] = useState(null);
+
+  const changeRole = async (role) => {
+    setSwitchingTo(role);
+    const { error } = await switchRole(role);
+    setSwitchingTo(null);
+    if (error) {
+      Alert.alert("Error", "Could not switch your account: " + error.message);
+    }
+  };
+
+  const handleRolePress = (role) => {
+    if (switchingTo || profile?.role === role) return;
+
+    if (profile?.roles?.includes(role)) {
+      changeRole(role);
+      return;
+    }
+
+    Alert.alert(
+      role === "seller" ? "Start Selling" : "Start Buying",
+      role === "seller"
+        ? "Add selling to your account? You can list your grapes and switch back to buying any time here."
+        : "Add buying to your account? You can browse other sellers and switch back to selling any time here.",
+      [
+        { text: "Cancel", style: "cancel" },
+        { text: "Continue", onPress: () => changeRole(role) }
+      ]
+    );
+  };
 
   const handleLogout = async () => {
     Alert.alert(
@@ -17,7 +48,7 @@ const SettingsScreen = () => {
           text: "Logout",
           style: "destructive",
           onPress: async () => {
-            const { error } = await supabase.auth.signOut();
+            const { error } = await signOut();
             if (error) {
               Alert.alert("Logout Error", error.message);
             }
@@ -37,30 +68,67 @@ const SettingsScreen = () => {
     </TouchableOpacity>
   );
 
+  const RoleItem = ({ role, icon, title, subtitle }) => {
+    const active = profile?.role === role;
+    const held = profile?.roles?.includes(role);
+    return (
+      <TouchableOpacity style={styles.settingItem} onPress={() => handleRolePress(role)}>
+        <View style={styles.settingLeft}>
+          <Ionicons name={icon} size={24} color={active ? "#6200ee" : "#333"} />
+          <View style={styles.roleTextContainer}>
+            <Text style={[styles.roleTitle, active && styles.roleTitleActive]}>{title}</Text>
+            <Text style={styles.roleSubtitle}>{subtitle}</Text>
+          </View>
+        </View>
+        {switchingTo === role ? (
+          <ActivityIndicator size="small" color="#6200ee" />
+        ) : active ? (
+          <Ionicons name="checkmark-circle" size={22} color="#6200ee" />
+        ) : held ? (
+          <Text style={styles.roleAction}>Switch</Text>
+        ) : (
+          <Text style={styles.roleAction}>Add</Text>
+        )}
+      </TouchableOpacity>
+    );
+  };
+
   return (
     <ScrollView style={styles.container}>
       <View style={styles.header}>
-        <View style={styles.avatarContainer}>
-          <Text style={styles.avatarText}>
-            {profile?.fullName?.charAt(0).toUpperCase() || 'U'}
-          </Text>
-        </View>
+        <Avatar uri={profile?.avatarUrl} name={profile?.fullName} size={80} style={styles.avatar} />
         <Text style={styles.userName}>{profile?.fullName || 'User'}</Text>
         <Text style={styles.userRole}>{profile?.role || 'Role'}</Text>
         <Text style={styles.userPhone}>{profile?.phone || 'Phone not set'}</Text>
       </View>
 
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Use Zabibu Fresh As</Text>
+        <RoleItem
+          role="buyer"
+          icon="storefront-outline"
+          title="Buyer"
+          subtitle="Browse grapes and place orders"
+        />
+        <RoleItem
+          role="seller"
+          icon="leaf-outline"
+          title="Seller"
+          subtitle="List your grapes and handle orders"
+        />
+      </View>
+
       <View style={styles.section}>
         <Text style={styles.sectionTitle}>Account</Text>
         <SettingItem
           icon="person-outline"
           title="Edit Profile"
-          onPress={() => Alert.alert("Coming Soon", "Profile editing will be available soon")}
+          onPress={() => router.push('/(app)/edit-profile')}
         />
         <SettingItem
           icon="notifications-outline"
           title="Notifications"
-          onPress={() => Alert.alert("Coming Soon", "Notification settings will be available soon")}
+          onPress={() => router.push('/(app)/notification-settings')}
         />
         <SettingItem
           icon="language-outline"
@@ -69,6 +137,22 @@ const SettingsScreen = () => {
         />
       </View>
 
+      {isAdmin && (
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Admin</Text>
+          <SettingItem
+            icon="shield-half-outline"
+            title="Moderation Console"
+            onPress={() => router.push('/(app)/admin')}
+          />
+          <SettingItem
+            icon="document-text-outline"
+            title="Audit Trail"
+            onPress={() => router.push('/(app)/admin-audit-log')}
+          />
+        </View>
+      )}
+
       <View style={styles.section}>
         <Text style={styles.sectionTitle}>Support</Text>
         <SettingItem
@@ -119,20 +203,9 @@ const styles = StyleSheet.create({
     paddingHorizontal: 20,
     marginBottom: 20,
   },
-  avatarContainer: {
-    width: 80,
-    height: 80,
-    borderRadius: 40,
-    backgroundColor: '#6200ee',
-    justifyContent: 'center',
-    alignItems: 'center',
+  avatar: {
     marginBottom: 15,
   },
-  avatarText: {
-    color: '#fff',
-    fontSize: 32,
-    fontWeight: 'bold',
-  },
   userName: {
     fontSize: 24,
     fontWeight: 'bold',
@@ -179,6 +252,27 @@ const styles = StyleSheet.create({
     fontSize: 16,
     marginLeft: 15,
   },
+  roleTextContainer: {
+    marginLeft: 15,
+  },
+  roleTitle: {
+    fontSize: 16,
+    color: '#333',
+  },
+  roleTitleActive: {
+    color: '#6200ee',
+    fontWeight: '600',
+  },
+  roleSubtitle: {
+    fontSize: 13,
+    color: '#666',
+    marginTop: 2,
+  },
+  roleAction: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#6200ee',
+  },
   footer: {
     alignItems: 'center',
     paddingVertical: 30,
@@ -1,14 +1,26 @@
-import React from 'react';
+import React, { useEffect } from 'react';
 import { Stack, Redirect } from 'expo-router';
 import { useAuth } from '../contexts/AuthContext';
+import { subscribeToNotificationTaps } from '../services/notifications';
 
 export default function AppLayout() {
-  const { session, profile, loading, initialLoading } = useAuth();
+  const { session, profile, profileStatus, loading, initialLoading } = useAuth();
+  const isReady = !initialLoading && !loading && !!session && !!profile;
+
+  // Tapped notifications open once the screens they point to can be shown
+  useEffect(() => {
+    if (!isReady) return;
+    return subscribeToNotificationTaps();
+  }, [isReady]);
 
   if (initialLoading || loading) {
     return null;
   }
 
+  if (session && profileStatus === 'missing') {
+    return <Redirect href="/(auth)/complete-profile" />;
+  }
+
   if (!session || !profile) {
     return <Redirect href="/(auth)/login" />;
   }
@@ -23,12 +35,74 @@ export default function AppLayout() {
           headerShown: false,
         }}
       />
+      <Stack.Screen
+        name="edit-product/[productId]"
+        options={{
+          presentation: 'modal',
+          headerShown: false,
+        }}
+      />
+      <Stack.Screen
+        name="product/[productId]"
+        options={{
+          headerShown: false,
+        }}
+      />
+      <Stack.Screen
+        name="place-order/[productId]"
+        options={{
+          presentation: 'modal',
+          headerShown: false,
+        }}
+      />
+      <Stack.Screen
+        name="order/[orderId]"
+        options={{
+          headerShown: false,
+        }}
+      />
       <Stack.Screen
         name="chat/[chatId]"
         options={{
           headerShown: false,
         }}
       />
+      <Stack.Screen
+        name="verify-phone"
+        options={{
+          headerShown: false,
+        }}
+      />
+      <Stack.Screen
+        name="edit-profile"
+        options={{
+          headerShown: false,
+        }}
+      />
+      <Stack.Screen
+        name="notifications"
+        options={{
+          headerShown: false,
+        }}
+      />
+      <Stack.Screen
+        name="notification-settings"
+        options={{
+          headerShown: false,
+        }}
+      />
+      <Stack.Screen
+        name="admin"
+        options={{
+          headerShown: false,
+        }}
+      />
+      <Stack.Screen
+        name="admin-audit-log"
+        options={{
+          headerShown: false,
+        }}
+      />
     </Stack>
   );
 }
\ No newline at end of file
@@ -0,0 +1,5 @@
+import AdminAuditLogScreen from '../screens/AdminAuditLogScreen';
+
+export default function AdminAuditLogPage() {
+  return <AdminAuditLogScreen />;
+}
@@ -0,0 +1,5 @@
+import AdminScreen from '../screens/AdminScreen';
+
+export default function AdminPage() {
+  return <AdminScreen />;
+}
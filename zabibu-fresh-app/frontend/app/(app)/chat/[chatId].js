@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
 import { 
   View, 
   Text, 
@@ -13,56 +13,168 @@ import {
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { useAuth } from '../../contexts/AuthContext';
-import { getMessages, sendMessage } from '../../services/supabase';
-import { useLocalSearchParams, router } from 'expo-router';
+import {
+  getMessages,
+  markConversationRead,
+  getProductById,
+  respondToOffer,
+  reportContent
+} from '../../services/supabase';
+import { subscribeToConversation, upsertMessage, generateClientId } from '../../services/realtime';
+import { isOfferMessage, formatOfferSummary, getOfferExpiryDate } from '../../services/offers';
+import {
+  enqueueOutboxItem,
+  subscribeToOutbox,
+  retryOutboxItem,
+  discardOutboxItem
+} from '../../services/outbox';
+import { cacheKeys, fetchWithCache, writeCache } from '../../services/cache';
+import { setOpenConversation } from '../../services/notifications';
+import useRequireVerifiedPhone from '../../hooks/useRequireVerifiedPhone';
+import OfferCard from '../../components/OfferCard';
+import OfferSheet from '../../components/OfferSheet';
+import ReportSheet from '../../components/ReportSheet';
+import ImageViewer from '../../components/ImageViewer';
+import CacheStatusBanner from '../../components/CacheStatusBanner';
+import { ChatImage, VoiceNotePlayer, formatDuration } from '../../components/ChatAttachment';
+import * as ImagePicker from 'expo-image-picker';
+import {
+  useAudioRecorder,
+  useAudioRecorderState,
+  RecordingPresets,
+  AudioModule,
+  setAudioModeAsync
+} from 'expo-audio';
+import { useLocalSearchParams, router, useFocusEffect } from 'expo-router';
+
+// How many of the newest messages are kept on the phone per conversation
+const CACHED_MESSAGE_COUNT = 50;
 
 const ChatDetailScreen = () => {
-  const { profile } = useAuth();
+  const { profile, isPhoneConfirmed } = useAuth();
+  const requireVerifiedPhone = useRequireVerifiedPhone();
   const params = useLocalSearchParams();
   const { chatId, receiverId, receiverName, productId, productTitle } = params;
   
   const [messages, setMessages] = useState([]);
+  // Messages of this conversation still waiting in the outbox, oldest first
+  const [queuedMessages, setQueuedMessages] = useState([]);
   const [newMessage, setNewMessage] = useState('');
   const [loading, setLoading] = useState(true);
   const [sending, setSending] = useState(false);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loadingOlder, setLoadingOlder] = useState(false);
+  // When the messages were last fetched, and whether the latest refresh failed
+  const [lastUpdated, setLastUpdated] = useState(null);
+  const [refreshFailed, setRefreshFailed] = useState(false);
+  const [product, setProduct] = useState(null);
+  // `parent` is the offer being countered, or null for a new offer
+  const [offerSheet, setOfferSheet] = useState({ visible: false, parent: null });
+  const [respondingOfferId, setRespondingOfferId] = useState(null);
+  const [viewerUri, setViewerUri] = useState(null);
+  const [reportVisible, setReportVisible] = useState(false);
+  const [reporting, setReporting] = useState(false);
+  const recorder = useAudioRecorder(RecordingPresets.HIGH_QUALITY);
+  const recorderState = useAudioRecorderState(recorder);
   const flatListRef = useRef(null);
+  const isFocusedRef = useRef(false);
+  const messagesCacheKey = cacheKeys.messages(profile.id, receiverId, productId);
 
   useEffect(() => {
     fetchMessages();
-    
-    // Subscribe to new messages
-    const subscription = supabase
-      .channel(`chat_${chatId}`)
-      .on('postgres_changes', 
-        { 
-          event: 'INSERT', 
-          schema: 'public', 
-          table: 'Message',
-          filter: `productId=eq.${productId}`
-        }, 
-        (payload) => {
-          const newMsg = payload.new;
-          // Only add if it's for this conversation
-          if ((newMsg.senderId === profile.id && newMsg.receiverId === receiverId) ||
-              (newMsg.senderId === receiverId && newMsg.receiverId === profile.id)) {
-            setMessages(prev => [...prev, newMsg]);
+    getProductById(productId).then(({ data }) => setProduct(data));
+
+    const unsubscribe = subscribeToConversation(
+      { userId: profile.id, otherUserId: receiverId, productId },
+      {
+        onMessage: (message) => {
+          setMessages(prev => upsertMessage(prev, message));
+          // The other side's message arrived while we're looking at it
+          if (message.sender_id === receiverId && isFocusedRef.current) {
+            markConversationRead(receiverId, productId);
           }
-        }
-      )
-      .subscribe();
+        },
+        onMessageUpdate: (message) => setMessages(prev => upsertMessage(prev, message)),
+        onResync: syncLatestMessages,
+      }
+    );
 
-    return () => {
-      subscription.unsubscribe();
-    };
+    return unsubscribe;
   }, [chatId, productId, receiverId, profile.id]);
 
+  useEffect(() => {
+    const isThisConversation = (item) =>
+      item.type === 'message' &&
+      item.payload.receiverId === receiverId &&
+      item.payload.productId === productId;
+
+    return subscribeToOutbox({
+      onChange: (items) => {
+        setQueuedMessages(items.filter(isThisConversation).map((item) => ({
+          ...item.payload.preview,
+          pending: item.status === 'pending',
+          failed: item.status === 'failed',
+        })));
+      },
+      onSent: (item, data) => {
+        if (data && isThisConversation(item)) {
+          setMessages(prev => upsertMessage(prev, data));
+        }
+      },
+    });
+  }, [productId, receiverId]);
+
+  // Queued messages that are not saved yet, merged in by time
+  const displayedMessages = useMemo(() => {
+    const unsaved = queuedMessages.filter(queued =>
+      !messages.some(message => message.client_id === queued.client_id)
+    );
+    if (!unsaved.length) return messages;
+    return [...unsaved, ...messages].sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+  }, [messages, queuedMessages]);
+
+  useFocusEffect(
+    useCallback(() => {
+      isFocusedRef.current = true;
+      markConversationRead(receiverId, productId);
+      setOpenConversation(receiverId, productId);
+      return () => {
+        isFocusedRef.current = false;
+        setOpenConversation(null);
+      };
+    }, [receiverId, productId])
+  );
+
+  // Keep live messages in the cache too, stamped with the last fetch time
+  useEffect(() => {
+    if (!lastUpdated) return;
+    const cached = messages.slice(0, CACHED_MESSAGE_COUNT);
+    const oldest = cached[cached.length - 1];
+    writeCache(messagesCacheKey, {
+      data: cached,
+      nextCursor: nextCursor || messages.length > cached.length
+        ? { value: oldest.created_at, id: oldest.id }
+        : null,
+    }, lastUpdated);
+  }, [messages]);
+
+  // Messages are kept newest first to match the inverted list
   const fetchMessages = async () => {
     try {
       setLoading(true);
-      const { data, error } = await getMessages(profile.id, receiverId, productId);
+      const { error, hasCache } = await fetchWithCache(
+        messagesCacheKey,
+        () => getMessages(profile.id, receiverId, productId),
+        ({ data, nextCursor: cursor }, updatedAt) => {
+          setMessages(data || []);
+          setNextCursor(cursor);
+          setLastUpdated(updatedAt);
+          setLoading(false);
+        }
+      );
 
-      if (error) throw error;
-      setMessages(data || []);
+      setRefreshFailed(!!error);
+      if (error && !hasCache) throw error;
     } catch (error) {
       console.error('Error fetching messages:', error);
       Alert.alert('Error', 'Could not load messages');
@@ -71,55 +183,338 @@ const ChatDetailScreen = () => {
     }
   };
 
-  const sendMessage = async () => {
-    if (!newMessage.trim()) return;
-    
-    setSending(true);
-    try {
-      const messageData = {
-        senderId: profile.id,
-        receiverId: receiverId,
-        productId: productId,
-        content: newMessage.trim(),
-      };
+  // Merge the newest page into what's loaded, e.g. after the connection dropped
+  const syncLatestMessages = async () => {
+    const { data, error } = await getMessages(profile.id, receiverId, productId);
+    setRefreshFailed(!!error);
+    if (error || !data) return;
 
-      const { data, error } = await sendMessage(messageData);
+    setLastUpdated(Date.now());
+    setMessages(prev =>
+      data
+        .reduce((merged, message) => upsertMessage(merged, message), prev)
+        .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+    );
+  };
 
-      if (error) throw error;
+  const fetchOlderMessages = async () => {
+    if (!nextCursor || loadingOlder) return;
+    try {
+      setLoadingOlder(true);
+      const { data, nextCursor: cursor, error } = await getMessages(
+        profile.id,
+        receiverId,
+        productId,
+        { cursor: nextCursor }
+      );
 
-      setNewMessage('');
-      // Add message to local state immediately
-      setMessages(prev => [...prev, data]);
+      if (error) throw error;
+      setMessages(prev => [...prev, ...(data || [])]);
+      setNextCursor(cursor);
     } catch (error) {
-      console.error('Error sending message:', error);
-      Alert.alert('Error', 'Could not send message');
+      console.error('Error fetching older messages:', error);
     } finally {
-      setSending(false);
+      setLoadingOlder(false);
+    }
+  };
+
+  // Messages go through the outbox, which shows them right away and keeps
+  // retrying while offline. `optimisticFields` are the extra columns to show
+  // until it is saved, and `attachment` is `{ kind, localUri }` for a photo or
+  // voice note. Returns false if the server rejected the message.
+  const postMessage = async (messageData, optimisticFields = {}, attachment = null) => {
+    if (!requireVerifiedPhone()) return false;
+
+    const clientId = generateClientId();
+    const preview = {
+      id: clientId,
+      client_id: clientId,
+      sender_id: profile.id,
+      receiver_id: receiverId,
+      product_id: productId,
+      content: messageData.content,
+      created_at: new Date().toISOString(),
+      ...optimisticFields,
+    };
+
+    setSending(true);
+    const { data, error } = await enqueueOutboxItem('message', {
+      ...messageData,
+      senderId: profile.id,
+      receiverId: receiverId,
+      productId: productId,
+      attachment,
+      preview,
+    }, clientId);
+    setSending(false);
+
+    if (error) {
+      Alert.alert('Error', error.message || 'Could not send message');
+      return false;
+    }
+    if (data) {
+      setMessages(prev => upsertMessage(prev, data));
+    }
+    return true;
+  };
+
+  const handleFailedMessage = (message) => {
+    Alert.alert(
+      'Message Not Sent',
+      'This message could not be sent.',
+      [
+        { text: 'Retry', onPress: () => retryOutboxItem(message.client_id) },
+        { text: 'Delete', style: 'destructive', onPress: () => discardOutboxItem(message.client_id) },
+        { text: 'Cancel', style: 'cancel' }
+      ]
+    );
+  };
+
+  const handleSend = async () => {
+    if (!newMessage.trim()) return;
+
+    const content = newMessage.trim();
+    setNewMessage('');
+
+    const sent = await postMessage({ content });
+    if (!sent) {
+      setNewMessage(content);
+    }
+  };
+
+  const sendPhoto = async (imageUri) => {
+    await postMessage(
+      { content: '📷 Photo', messageType: 'image' },
+      { message_type: 'image', local_uri: imageUri },
+      { kind: 'image', localUri: imageUri }
+    );
+  };
+
+  const pickPhotoFromGallery = async () => {
+    const { status } = await ImagePicker.requestMediaLibraryPermissionsAsync();
+    if (status !== 'granted') {
+      Alert.alert('Permission Denied', 'Sorry, we need camera roll permissions to make this work!');
+      return;
+    }
+
+    const result = await ImagePicker.launchImageLibraryAsync({
+      mediaTypes: ImagePicker.MediaTypeOptions.Images,
+      quality: 0.7,
+    });
+
+    if (!result.canceled) {
+      sendPhoto(result.assets[0].uri);
+    }
+  };
+
+  const takePhoto = async () => {
+    const { status } = await ImagePicker.requestCameraPermissionsAsync();
+    if (status !== 'granted') {
+      Alert.alert('Permission Denied', 'Sorry, we need camera permissions to make this work!');
+      return;
+    }
+
+    const result = await ImagePicker.launchCameraAsync({
+      quality: 0.7,
+    });
+
+    if (!result.canceled) {
+      sendPhoto(result.assets[0].uri);
+    }
+  };
+
+  const showPhotoPicker = () => {
+    Alert.alert(
+      "Send Photo",
+      "Choose how you want to add a photo",
+      [
+        { text: "Camera", onPress: takePhoto },
+        { text: "Gallery", onPress: pickPhotoFromGallery },
+        { text: "Cancel", style: "cancel" }
+      ]
+    );
+  };
+
+  const startRecording = async () => {
+    try {
+      const { granted } = await AudioModule.requestRecordingPermissionsAsync();
+      if (!granted) {
+        Alert.alert('Permission Denied', 'Sorry, we need microphone permissions to record voice notes!');
+        return;
+      }
+
+      await setAudioModeAsync({ allowsRecording: true, playsInSilentMode: true });
+      await recorder.prepareToRecordAsync();
+      recorder.record();
+    } catch (error) {
+      console.error('Error starting recording:', error);
+      Alert.alert('Error', 'Could not start recording');
+    }
+  };
+
+  // `send` is false when the user discards the recording
+  const stopRecording = async (send) => {
+    const durationMillis = recorderState.durationMillis;
+    try {
+      await recorder.stop();
+      await setAudioModeAsync({ allowsRecording: false, playsInSilentMode: true });
+    } catch (error) {
+      console.error('Error stopping recording:', error);
+      return;
+    }
+
+    const audioUri = recorder.uri;
+    // Anything shorter is almost certainly an accidental tap
+    if (!send || !audioUri || durationMillis < 1000) return;
+
+    await postMessage(
+      { content: '🎤 Voice message', messageType: 'audio', attachmentDurationMs: Math.round(durationMillis) },
+      { message_type: 'audio', local_uri: audioUri, attachment_duration_ms: Math.round(durationMillis) },
+      { kind: 'audio', localUri: audioUri }
+    );
+  };
+
+  const handleReportUser = async ({ reason, details }) => {
+    setReporting(true);
+    const { error } = await reportContent({ userId: receiverId, reason, details });
+    setReporting(false);
+
+    if (error) {
+      Alert.alert('Error', 'Could not send your report: ' + error.message);
+      return;
+    }
+    setReportVisible(false);
+    Alert.alert('Report Sent', `Thanks for letting us know. Our team will review ${receiverName}'s account.`);
+  };
+
+  const handleSendOffer = async (terms) => {
+    const parent = offerSheet.parent;
+    setOfferSheet({ visible: false, parent: null });
+
+    const offerExpiresAt = getOfferExpiryDate();
+    await postMessage(
+      {
+        content: formatOfferSummary(terms, !!parent),
+        messageType: 'offer',
+        offerPricePerKg: terms.pricePerKg,
+        offerQuantityKg: terms.quantityKg,
+        offerExpiresAt,
+        offerParentId: parent?.id,
+      },
+      {
+        message_type: 'offer',
+        offer_price_per_kg: terms.pricePerKg,
+        offer_quantity_kg: terms.quantityKg,
+        offer_expires_at: offerExpiresAt,
+        offer_status: 'pending',
+        offer_parent_id: parent?.id || null,
+      }
+    );
+
+    // The countered offer is closed by the server; refresh it
+    if (parent) {
+      syncLatestMessages();
+    }
+  };
+
+  const handleRespondToOffer = async (offer, response) => {
+    setRespondingOfferId(offer.id);
+    const { data, error } = await respondToOffer(offer.id, response);
+    setRespondingOfferId(null);
+
+    if (error) {
+      Alert.alert('Error', error.message || 'Could not answer the offer');
+      syncLatestMessages();
+      return;
+    }
+
+    setMessages(prev => upsertMessage(prev, data));
+    if (response === 'accepted') {
+      Alert.alert(
+        'Offer Accepted',
+        `TZS ${Number(data.offer_price_per_kg).toLocaleString()}/kg is now the agreed price for up to ${Number(data.offer_quantity_kg).toLocaleString()} kg of this listing.`
+      );
+    }
+  };
+
+  // Only the buyer opens with an offer; either side can counter one they received
+  const canMakeOffer = product && product.seller_id !== profile.id;
+
+  // Clock while sending, one tick once saved, two ticks when delivered, blue ticks when read
+  const renderStatusIcon = (message) => {
+    if (message.failed) {
+      return <Ionicons name="alert-circle" size={14} style={styles.statusIcon} color="#ff8a80" />;
+    }
+    if (message.pending) {
+      return <Ionicons name="time-outline" size={14} style={styles.statusIcon} color="#fff" />;
+    }
+    if (message.read_at) {
+      return <Ionicons name="checkmark-done" size={14} style={styles.statusIcon} color="#4fc3f7" />;
     }
+    if (message.delivered_at) {
+      return <Ionicons name="checkmark-done" size={14} style={styles.statusIcon} color="#fff" />;
+    }
+    return <Ionicons name="checkmark" size={14} style={styles.statusIcon} color="#fff" />;
   };
 
   const renderMessage = ({ item }) => {
+    if (!item.failed) {
+      return renderBubble(item);
+    }
+    return (
+      <TouchableOpacity activeOpacity={0.8} onPress={() => handleFailedMessage(item)}>
+        {renderBubble(item)}
+        <Text style={styles.failedText}>Not sent. Tap to retry.</Text>
+      </TouchableOpacity>
+    );
+  };
+
+  const renderBubble = (item) => {
+    if (isOfferMessage(item)) {
+      return (
+        <OfferCard
+          message={item}
+          userId={profile.id}
+          responding={respondingOfferId === item.id}
+          onAccept={() => handleRespondToOffer(item, 'accepted')}
+          onDecline={() => handleRespondToOffer(item, 'declined')}
+          onCounter={() => setOfferSheet({ visible: true, parent: item })}
+        />
+      );
+    }
+
     const isMyMessage = item.sender_id === profile.id;
     return (
       <View style={[
         styles.messageContainer,
-        isMyMessage ? styles.myMessage : styles.otherMessage
+        isMyMessage ? styles.myMessage : styles.otherMessage,
+        item.message_type === 'image' && styles.imageMessage,
+        (item.pending || item.failed) && styles.pendingMessage
       ]}>
-        <Text style={[
-          styles.messageText,
-          isMyMessage ? styles.myMessageText : styles.otherMessageText
-        ]}>
-          {item.content}
-        </Text>
-        <Text style={[
-          styles.messageTime,
-          isMyMessage ? styles.myMessageTime : styles.otherMessageTime
-        ]}>
-          {new Date(item.timestamp).toLocaleTimeString([], { 
-            hour: '2-digit', 
-            minute: '2-digit' 
-          })}
-        </Text>
+        {item.message_type === 'image' ? (
+          <ChatImage message={item} onOpen={setViewerUri} />
+        ) : item.message_type === 'audio' ? (
+          <VoiceNotePlayer message={item} isMine={isMyMessage} />
+        ) : (
+          <Text style={[
+            styles.messageText,
+            isMyMessage ? styles.myMessageText : styles.otherMessageText
+          ]}>
+            {item.content}
+          </Text>
+        )}
+        <View style={[styles.messageMeta, isMyMessage && styles.myMessageMeta]}>
+          <Text style={[
+            styles.messageTime,
+            isMyMessage ? styles.myMessageTime : styles.otherMessageTime
+          ]}>
+            {new Date(item.created_at).toLocaleTimeString([], { 
+              hour: '2-digit', 
+              minute: '2-digit' 
+            })}
+          </Text>
+          {isMyMessage && renderStatusIcon(item)}
+        </View>
       </View>
     );
   };
@@ -142,21 +537,39 @@ const ChatDetailScreen = () => {
         <TouchableOpacity onPress={() => router.back()} style={styles.backButton}>
           <Ionicons name="arrow-back" size={24} color="#fff" />
         </TouchableOpacity>
-        <View style={styles.headerInfo}>
+        {/* The listing stays viewable after it is paused, sold out or expired */}
+        <TouchableOpacity
+          style={styles.headerInfo}
+          onPress={() => router.push({
+            pathname: '/(app)/product/[productId]',
+            params: { productId }
+          })}
+        >
           <Text style={styles.headerName}>{receiverName}</Text>
-          <Text style={styles.headerProduct}>{productTitle}</Text>
-        </View>
+          <Text style={styles.headerProduct}>{productTitle} ›</Text>
+        </TouchableOpacity>
+        <TouchableOpacity onPress={() => setReportVisible(true)} style={styles.headerAction}>
+          <Ionicons name="flag-outline" size={22} color="#fff" />
+        </TouchableOpacity>
       </View>
 
+      <CacheStatusBanner updatedAt={lastUpdated} refreshFailed={refreshFailed} />
+
       {/* Messages */}
       <FlatList
         ref={flatListRef}
-        data={messages}
+        data={displayedMessages}
         renderItem={renderMessage}
-        keyExtractor={(item) => item.id}
+        keyExtractor={(item) => item.client_id || item.id}
         style={styles.messagesList}
         contentContainerStyle={styles.messagesContent}
-        onContentSizeChange={() => flatListRef.current?.scrollToEnd()}
+        // Inverted: newest message at the bottom, scrolling up loads older history
+        inverted={displayedMessages.length > 0}
+        onEndReached={fetchOlderMessages}
+        onEndReachedThreshold={0.3}
+        ListFooterComponent={
+          loadingOlder ? <ActivityIndicator style={styles.loadingOlder} color="#6200ee" /> : null
+        }
         ListEmptyComponent={
           <View style={styles.emptyContainer}>
             <Text style={styles.emptyText}>
@@ -167,27 +580,102 @@ const ChatDetailScreen = () => {
       />
 
       {/* Input */}
-      <View style={styles.inputContainer}>
-        <TextInput
-          style={styles.textInput}
-          value={newMessage}
-          onChangeText={setNewMessage}
-          placeholder="Type a message..."
-          multiline
-          maxLength={500}
-        />
-        <TouchableOpacity 
-          style={[styles.sendButton, (!newMessage.trim() || sending) && styles.sendButtonDisabled]}
-          onPress={sendMessage}
-          disabled={!newMessage.trim() || sending}
-        >
-          {sending ? (
-            <ActivityIndicator size="small" color="#fff" />
-          ) : (
+      {!isPhoneConfirmed ? (
+        <View style={[styles.inputContainer, styles.verifyPrompt]}>
+          <Text style={styles.verifyPromptText}>Verify your phone number to send messages</Text>
+          <TouchableOpacity
+            style={styles.verifyButton}
+            onPress={() => router.push('/(app)/verify-phone')}
+          >
+            <Text style={styles.verifyButtonText}>Verify</Text>
+          </TouchableOpacity>
+        </View>
+      ) : recorderState.isRecording ? (
+        <View style={styles.inputContainer}>
+          <TouchableOpacity style={styles.offerButton} onPress={() => stopRecording(false)}>
+            <Ionicons name="trash-outline" size={22} color="#e74c3c" />
+          </TouchableOpacity>
+          <View style={styles.recordingBar}>
+            <View style={styles.recordingDot} />
+            <Text style={styles.recordingText}>
+              Recording {formatDuration(recorderState.durationMillis)}
+            </Text>
+          </View>
+          <TouchableOpacity style={styles.sendButton} onPress={() => stopRecording(true)}>
             <Ionicons name="send" size={20} color="#fff" />
+          </TouchableOpacity>
+        </View>
+      ) : (
+        <View style={styles.inputContainer}>
+          {canMakeOffer && (
+            <TouchableOpacity
+              style={styles.offerButton}
+              onPress={() => setOfferSheet({ visible: true, parent: null })}
+              disabled={sending}
+            >
+              <Ionicons name="pricetag-outline" size={22} color="#6200ee" />
+            </TouchableOpacity>
           )}
-        </TouchableOpacity>
-      </View>
+          <TouchableOpacity style={styles.offerButton} onPress={showPhotoPicker} disabled={sending}>
+            <Ionicons name="camera-outline" size={22} color="#6200ee" />
+          </TouchableOpacity>
+          <TextInput
+            style={styles.textInput}
+            value={newMessage}
+            onChangeText={setNewMessage}
+            placeholder="Type a message..."
+            multiline
+            maxLength={500}
+          />
+          {newMessage.trim() ? (
+            <TouchableOpacity
+              style={[styles.sendButton, sending && styles.sendButtonDisabled]}
+              onPress={handleSend}
+              disabled={sending}
+            >
+              {sending ? (
+                <ActivityIndicator size="small" color="#fff" />
+              ) : (
+                <Ionicons name="send" size={20} color="#fff" />
+              )}
+            </TouchableOpacity>
+          ) : (
+            <TouchableOpacity
+              style={[styles.sendButton, sending && styles.sendButtonDisabled]}
+              onPress={startRecording}
+              disabled={sending}
+            >
+              {sending ? (
+                <ActivityIndicator size="small" color="#fff" />
+              ) : (
+                <Ionicons name="mic" size={20} color="#fff" />
+              )}
+            </TouchableOpacity>
+          )}
+        </View>
+      )}
+
+      <ImageViewer
+        visible={!!viewerUri}
+        uri={viewerUri}
+        onClose={() => setViewerUri(null)}
+      />
+
+      <OfferSheet
+        visible={offerSheet.visible}
+        title={offerSheet.parent ? 'Counter Offer' : 'Make an Offer'}
+        initialPrice={offerSheet.parent ? offerSheet.parent.offer_price_per_kg : product?.price}
+        initialQuantity={offerSheet.parent?.offer_quantity_kg}
+        onSubmit={handleSendOffer}
+        onClose={() => setOfferSheet({ visible: false, parent: null })}
+      />
+      <ReportSheet
+        visible={reportVisible}
+        title={`Report ${receiverName}`}
+        submitting={reporting}
+        onSubmit={handleReportUser}
+        onClose={() => setReportVisible(false)}
+      />
     </KeyboardAvoidingView>
   );
 };
@@ -226,12 +714,18 @@ const styles = StyleSheet.create({
     fontSize: 14,
     opacity: 0.8,
   },
+  headerAction: {
+    marginLeft: 15,
+  },
   messagesList: {
     flex: 1,
   },
   messagesContent: {
     padding: 15,
   },
+  loadingOlder: {
+    marginVertical: 10,
+  },
   messageContainer: {
     marginVertical: 5,
     maxWidth: '80%',
@@ -248,6 +742,18 @@ const styles = StyleSheet.create({
     borderWidth: 1,
     borderColor: '#e0e0e0',
   },
+  imageMessage: {
+    padding: 4,
+  },
+  pendingMessage: {
+    opacity: 0.6,
+  },
+  failedText: {
+    alignSelf: 'flex-end',
+    fontSize: 12,
+    color: '#e74c3c',
+    marginBottom: 5,
+  },
   messageText: {
     fontSize: 16,
     lineHeight: 20,
@@ -258,9 +764,19 @@ const styles = StyleSheet.create({
   otherMessageText: {
     color: '#333',
   },
+  messageMeta: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 5,
+  },
+  myMessageMeta: {
+    justifyContent: 'flex-end',
+  },
+  statusIcon: {
+    marginLeft: 4,
+  },
   messageTime: {
     fontSize: 12,
-    marginTop: 5,
   },
   myMessageTime: {
     color: '#fff',
@@ -289,6 +805,14 @@ const styles = StyleSheet.create({
     borderTopWidth: 1,
     borderTopColor: '#e0e0e0',
   },
+  offerButton: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 5,
+  },
   textInput: {
     flex: 1,
     borderWidth: 1,
@@ -311,6 +835,47 @@ const styles = StyleSheet.create({
   sendButtonDisabled: {
     backgroundColor: '#ccc',
   },
+  recordingBar: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    height: 40,
+    paddingHorizontal: 15,
+    marginRight: 10,
+    borderRadius: 20,
+    backgroundColor: '#fdecea',
+  },
+  recordingDot: {
+    width: 10,
+    height: 10,
+    borderRadius: 5,
+    backgroundColor: '#e74c3c',
+    marginRight: 8,
+  },
+  recordingText: {
+    fontSize: 16,
+    color: '#e74c3c',
+  },
+  verifyPrompt: {
+    alignItems: 'center',
+  },
+  verifyPromptText: {
+    flex: 1,
+    fontSize: 14,
+    color: '#666',
+    marginRight: 10,
+  },
+  verifyButton: {
+    backgroundColor: '#6200ee',
+    borderRadius: 20,
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+  },
+  verifyButtonText: {
+    color: '#fff',
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
 });
 
 export default ChatDetailScreen;
\ No newline at end of file
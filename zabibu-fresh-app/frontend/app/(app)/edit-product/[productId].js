@@ -0,0 +1,43 @@
+import React, { useState, useEffect } from 'react';
+import { View, ActivityIndicator, Alert, StyleSheet } from 'react-native';
+import { useLocalSearchParams, router } from 'expo-router';
+import AddProductScreen from '../../screens/AddProductScreen';
+import { getProductById } from '../../services/supabase';
+
+export default function EditProductPage() {
+  const { productId } = useLocalSearchParams();
+  const [product, setProduct] = useState(null);
+
+  useEffect(() => {
+    const fetchProduct = async () => {
+      const { data, error } = await getProductById(productId);
+      if (error || !data) {
+        Alert.alert('Error', 'Could not load this product.', [
+          { text: 'OK', onPress: () => router.back() }
+        ]);
+        return;
+      }
+      setProduct(data);
+    };
+
+    fetchProduct();
+  }, [productId]);
+
+  if (!product) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color="#6200ee" />
+      </View>
+    );
+  }
+
+  return <AddProductScreen product={product} />;
+}
+
+const styles = StyleSheet.create({
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+});
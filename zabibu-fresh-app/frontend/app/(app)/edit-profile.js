@@ -0,0 +1,5 @@
+import EditProfileScreen from '../screens/EditProfileScreen';
+
+export default function EditProfilePage() {
+  return <EditProfileScreen />;
+}
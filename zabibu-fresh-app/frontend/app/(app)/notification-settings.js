@@ -0,0 +1,5 @@
+import NotificationSettingsScreen from '../screens/NotificationSettingsScreen';
+
+export default function NotificationSettingsPage() {
+  return <NotificationSettingsScreen />;
+}
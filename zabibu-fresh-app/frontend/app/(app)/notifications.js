@@ -0,0 +1,5 @@
+import NotificationsScreen from '../screens/NotificationsScreen';
+
+export default function NotificationsPage() {
+  return <NotificationsScreen />;
+}
@@ -0,0 +1,5 @@
+import OrderDetailScreen from '../../screens/OrderDetailScreen';
+
+export default function OrderDetailPage() {
+  return <OrderDetailScreen />;
+}
@@ -0,0 +1,5 @@
+import PlaceOrderScreen from '../../screens/PlaceOrderScreen';
+
+export default function PlaceOrderPage() {
+  return <PlaceOrderScreen />;
+}
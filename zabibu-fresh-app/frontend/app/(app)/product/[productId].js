@@ -0,0 +1,5 @@
+import ProductDetailScreen from '../../screens/ProductDetailScreen';
+
+export default function ProductDetailPage() {
+  return <ProductDetailScreen />;
+}
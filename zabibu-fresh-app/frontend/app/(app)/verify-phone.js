@@ -0,0 +1,5 @@
+import VerifyPhoneScreen from '../screens/VerifyPhoneScreen';
+
+export default function VerifyPhonePage() {
+  return <VerifyPhoneScreen />;
+}
@@ -7,6 +7,8 @@ export default function AuthLayout() {
       <Stack.Screen name="login" />
       <Stack.Screen name="signup" />
       <Stack.Screen name="forgot-password" />
+      <Stack.Screen name="verify-phone" />
+      <Stack.Screen name="complete-profile" />
       {/* Add other auth-related screens here if needed, e.g., reset-password */}
     </Stack>
   );
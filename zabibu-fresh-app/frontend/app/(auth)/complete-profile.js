@@ -0,0 +1,5 @@
+import CompleteProfileScreen from '../screens/CompleteProfileScreen';
+
+export default function CompleteProfilePage() {
+  return <CompleteProfileScreen />;
+}
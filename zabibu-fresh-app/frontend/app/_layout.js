@@ -1,6 +1,7 @@
 import React, { useEffect } from 'react';
 import { Slot, SplashScreen, Stack, useRouter, useSegments } from 'expo-router';
 import { AuthProvider, useAuth } from './contexts/AuthContext';
+import ProfileErrorScreen from './screens/ProfileErrorScreen';
 import { GestureHandlerRootView } from 'react-native-gesture-handler';
 import { Platform } from 'react-native';
 
@@ -8,7 +9,7 @@ import { Platform } from 'react-native';
 SplashScreen.preventAutoHideAsync();
 
 const InitialLayout = () => {
-  const { session, loading, initialLoading, profile } = useAuth();
+  const { session, loading, initialLoading, profile, profileStatus } = useAuth();
   const segments = useSegments();
   const router = useRouter();
 
@@ -17,6 +18,7 @@ const InitialLayout = () => {
 
     const inAuthGroup = segments[0] === '(auth)';
     const inAppGroup = segments[0] === '(app)';
+    const onCompleteProfile = inAuthGroup && segments[1] === 'complete-profile';
 
     if (session && profile) { // User is authenticated and has a profile
       if (inAuthGroup || segments.length === 0 || (segments.length > 0 && segments[0] === 'index')) {
@@ -25,28 +27,26 @@ const InitialLayout = () => {
       }
       SplashScreen.hideAsync();
     } else if (!session) { // User is not authenticated
-      if (inAppGroup) {
+      if (inAppGroup || onCompleteProfile) {
         // If in app routes, redirect to login
         router.replace('/(auth)/login');
       }
       SplashScreen.hideAsync();
-    } else if (session && !profile && !loading) {
-      // User is authed but profile is still loading or missing
-      // This could be a brief moment or indicate an issue (e.g. profile creation failed post-signup)
-      // For now, we assume AuthContext handles fetching profile. If it's missing for a logged-in user,
-      // they might be stuck on auth pages or need a dedicated "complete profile" page.
-      // If they are on an app page, they might get redirected to login if we are too strict.
-      // Let's keep them on auth pages if profile is missing.
-      if (inAppGroup) {
-        router.replace('/(auth)/login'); // Or a dedicated "profile_pending" screen
+    } else if (profileStatus === 'missing') {
+      // Signed in, but the signup trigger never created the profile: finish it here
+      if (!onCompleteProfile) {
+        router.replace('/(auth)/complete-profile');
       }
       SplashScreen.hideAsync();
+    } else if (profileStatus === 'error') {
+      // The profile may well exist: stay put and offer a retry instead
+      SplashScreen.hideAsync();
     } else if (!initialLoading && !loading) {
       // Fallback to hide splash screen if no other condition met it
       SplashScreen.hideAsync();
     }
 
-  }, [session, profile, initialLoading, loading, segments, router]);
+  }, [session, profile, profileStatus, initialLoading, loading, segments, router]);
 
 
   if (initialLoading) {
@@ -54,6 +54,10 @@ const InitialLayout = () => {
     return null;
   }
 
+  if (session && profileStatus === 'error') {
+    return <ProfileErrorScreen />;
+  }
+
   // Slot will render the current child route.
   // Stack can be used here if you want a global header/navigation options for all routes.
   // return <Slot />;
@@ -0,0 +1,39 @@
+import React from 'react';
+import { View, Text, Image, StyleSheet } from 'react-native';
+
+/**
+ * A user's profile photo, or the first letter of their name on a purple
+ * circle when they have not added one.
+ */
+const Avatar = ({ uri, name, size = 50, fallback = 'U', style }) => {
+  const circle = { width: size, height: size, borderRadius: size / 2 };
+
+  if (uri) {
+    return <Image source={{ uri }} style={[styles.image, circle, style]} />;
+  }
+
+  return (
+    <View style={[styles.placeholder, circle, style]}>
+      <Text style={[styles.initial, { fontSize: Math.round(size * 0.4) }]}>
+        {name?.charAt(0).toUpperCase() || fallback}
+      </Text>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  image: {
+    backgroundColor: '#e0e0e0',
+  },
+  placeholder: {
+    backgroundColor: '#6200ee',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  initial: {
+    color: '#fff',
+    fontWeight: 'bold',
+  },
+});
+
+export default Avatar;
@@ -0,0 +1,56 @@
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useNetInfo } from '@react-native-community/netinfo';
+import { isStale, formatLastUpdated } from '../services/cache';
+
+/**
+ * Tells the user they are looking at cached data: shown while offline, when the
+ * last refresh failed or when the data is getting old. Renders nothing otherwise.
+ */
+const CacheStatusBanner = ({ updatedAt, refreshFailed }) => {
+  const { isConnected } = useNetInfo();
+  const offline = isConnected === false;
+
+  if (!updatedAt || (!offline && !refreshFailed && !isStale(updatedAt))) {
+    return null;
+  }
+
+  return (
+    <View style={[styles.banner, offline && styles.offlineBanner]}>
+      <Ionicons
+        name={offline ? 'cloud-offline-outline' : 'time-outline'}
+        size={16}
+        color={offline ? '#fff' : '#8a6d3b'}
+      />
+      <Text style={[styles.bannerText, offline && styles.offlineBannerText]}>
+        {offline ? "You're offline. " : refreshFailed ? "Couldn't refresh. " : ''}
+        Last updated {formatLastUpdated(updatedAt)}
+      </Text>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  banner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingVertical: 8,
+    backgroundColor: '#fdf6e3',
+  },
+  offlineBanner: {
+    backgroundColor: '#555',
+  },
+  bannerText: {
+    flex: 1,
+    fontSize: 13,
+    color: '#8a6d3b',
+    marginLeft: 8,
+  },
+  offlineBannerText: {
+    color: '#fff',
+  },
+});
+
+export default CacheStatusBanner;
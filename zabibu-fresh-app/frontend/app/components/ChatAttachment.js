@@ -0,0 +1,175 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, Image, TouchableOpacity, ActivityIndicator, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useAudioPlayer, useAudioPlayerStatus } from 'expo-audio';
+import { getChatAttachmentUrl } from '../services/storage';
+
+/**
+ * Where to load an attachment from: the local file while it is still being
+ * sent, otherwise a signed URL for the private bucket.
+ */
+const useAttachmentUrl = (attachmentPath, localUri) => {
+  const [url, setUrl] = useState(localUri || null);
+  const [failed, setFailed] = useState(false);
+
+  useEffect(() => {
+    if (localUri || !attachmentPath) return;
+
+    let cancelled = false;
+    getChatAttachmentUrl(attachmentPath).then((result) => {
+      if (cancelled) return;
+      if (result.success) {
+        setUrl(result.data.url);
+      } else {
+        setFailed(true);
+      }
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [attachmentPath, localUri]);
+
+  return { url, failed };
+};
+
+export const formatDuration = (millis) => {
+  const totalSeconds = Math.max(0, Math.round((millis || 0) / 1000));
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+};
+
+/**
+ * Photo attachment. Tapping it calls `onOpen(url)` to show it full screen.
+ */
+export const ChatImage = ({ message, onOpen }) => {
+  const { url, failed } = useAttachmentUrl(message.attachment_path, message.local_uri);
+
+  if (failed) {
+    return (
+      <View style={[styles.image, styles.imagePlaceholder]}>
+        <Ionicons name="image-outline" size={32} color="#999" />
+        <Text style={styles.placeholderText}>Photo unavailable</Text>
+      </View>
+    );
+  }
+
+  if (!url) {
+    return (
+      <View style={[styles.image, styles.imagePlaceholder]}>
+        <ActivityIndicator color="#6200ee" />
+      </View>
+    );
+  }
+
+  return (
+    <TouchableOpacity activeOpacity={0.9} onPress={() => onOpen(url)} disabled={message.pending}>
+      <Image source={{ uri: url }} style={styles.image} />
+    </TouchableOpacity>
+  );
+};
+
+/**
+ * Voice note attachment with play/pause and progress
+ */
+export const VoiceNotePlayer = ({ message, isMine }) => {
+  const { url, failed } = useAttachmentUrl(message.attachment_path, message.local_uri);
+  const player = useAudioPlayer(url ? { uri: url } : null);
+  const status = useAudioPlayerStatus(player);
+  const color = isMine ? '#fff' : '#6200ee';
+
+  const durationMillis = status.duration ? status.duration * 1000 : message.attachment_duration_ms;
+  const positionMillis = (status.currentTime || 0) * 1000;
+  const progress = durationMillis ? Math.min(1, positionMillis / durationMillis) : 0;
+
+  const togglePlayback = () => {
+    if (status.playing) {
+      player.pause();
+      return;
+    }
+    // Start over once the clip has played to the end
+    if (status.didJustFinish || (durationMillis && positionMillis >= durationMillis - 100)) {
+      player.seekTo(0);
+    }
+    player.play();
+  };
+
+  return (
+    <View style={styles.audioRow}>
+      <TouchableOpacity onPress={togglePlayback} disabled={!url || failed || message.pending}>
+        {url && !status.isLoaded && !failed ? (
+          <ActivityIndicator color={color} style={styles.playButton} />
+        ) : (
+          <Ionicons
+            name={failed ? 'alert-circle-outline' : status.playing ? 'pause' : 'play'}
+            size={28}
+            color={color}
+            style={styles.playButton}
+          />
+        )}
+      </TouchableOpacity>
+      <View style={styles.audioInfo}>
+        <View style={[styles.progressTrack, isMine && styles.myProgressTrack]}>
+          <View style={[styles.progressFill, { width: `${progress * 100}%`, backgroundColor: color }]} />
+        </View>
+        <Text style={[styles.durationText, isMine && styles.myDurationText]}>
+          {status.playing || positionMillis > 0
+            ? formatDuration(positionMillis)
+            : formatDuration(durationMillis)}
+        </Text>
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  image: {
+    width: 220,
+    height: 220,
+    borderRadius: 10,
+  },
+  imagePlaceholder: {
+    backgroundColor: '#f0f0f0',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  placeholderText: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 4,
+  },
+  audioRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    width: 200,
+  },
+  playButton: {
+    width: 32,
+    marginRight: 8,
+  },
+  audioInfo: {
+    flex: 1,
+  },
+  progressTrack: {
+    height: 4,
+    borderRadius: 2,
+    backgroundColor: '#e0e0e0',
+    overflow: 'hidden',
+  },
+  myProgressTrack: {
+    backgroundColor: 'rgba(255, 255, 255, 0.3)',
+  },
+  progressFill: {
+    height: 4,
+  },
+  durationText: {
+    fontSize: 12,
+    color: '#666',
+    marginTop: 4,
+  },
+  myDurationText: {
+    color: '#fff',
+    opacity: 0.8,
+  },
+});
@@ -0,0 +1,67 @@
+import React from 'react';
+import {
+  Modal,
+  View,
+  Image,
+  ScrollView,
+  TouchableOpacity,
+  StyleSheet,
+  Dimensions,
+  StatusBar
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+
+const { width, height } = Dimensions.get('window');
+
+/**
+ * Full-screen photo on a black background. Pinch to zoom where the platform supports it.
+ */
+const ImageViewer = ({ visible, uri, onClose }) => (
+  <Modal visible={visible} transparent animationType="fade" onRequestClose={onClose}>
+    <StatusBar barStyle="light-content" />
+    <View style={styles.container}>
+      <ScrollView
+        contentContainerStyle={styles.content}
+        maximumZoomScale={3}
+        minimumZoomScale={1}
+        centerContent
+        showsHorizontalScrollIndicator={false}
+        showsVerticalScrollIndicator={false}
+      >
+        {uri && <Image source={{ uri }} style={styles.image} resizeMode="contain" />}
+      </ScrollView>
+      <TouchableOpacity style={styles.closeButton} onPress={onClose}>
+        <Ionicons name="close" size={28} color="#fff" />
+      </TouchableOpacity>
+    </View>
+  </Modal>
+);
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#000',
+  },
+  content: {
+    flexGrow: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  image: {
+    width,
+    height: height * 0.8,
+  },
+  closeButton: {
+    position: 'absolute',
+    top: 50,
+    right: 20,
+    width: 44,
+    height: 44,
+    borderRadius: 22,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+});
+
+export default ImageViewer;
@@ -0,0 +1,86 @@
+import React from 'react';
+import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { NOTIFICATION_CATEGORY_ICONS, NOTIFICATION_CATEGORY_COLORS } from '../services/notifications';
+import { formatLastUpdated } from '../services/cache';
+
+/**
+ * One row of the notification centre, also used for Recent Activity on the
+ * home screen. Unread notifications are bold with a dot.
+ */
+const NotificationItem = ({ notification, onPress }) => {
+  const isUnread = !notification.read_at;
+  const color = NOTIFICATION_CATEGORY_COLORS[notification.category] || '#6200ee';
+
+  return (
+    <TouchableOpacity style={styles.item} onPress={() => onPress(notification)}>
+      <View style={[styles.iconContainer, { backgroundColor: `${color}1a` }]}>
+        <Ionicons
+          name={NOTIFICATION_CATEGORY_ICONS[notification.category] || 'notifications-outline'}
+          size={20}
+          color={color}
+        />
+      </View>
+      <View style={styles.content}>
+        <Text style={[styles.title, isUnread && styles.unreadText]} numberOfLines={1}>
+          {notification.title}
+        </Text>
+        <Text style={styles.body} numberOfLines={2}>{notification.body}</Text>
+        <Text style={styles.time}>
+          {formatLastUpdated(new Date(notification.created_at).getTime())}
+        </Text>
+      </View>
+      {isUnread && <View style={styles.unreadDot} />}
+    </TouchableOpacity>
+  );
+};
+
+const styles = StyleSheet.create({
+  item: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    backgroundColor: '#fff',
+    paddingHorizontal: 15,
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+  iconContainer: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 12,
+  },
+  content: {
+    flex: 1,
+  },
+  title: {
+    fontSize: 15,
+    color: '#333',
+  },
+  unreadText: {
+    fontWeight: 'bold',
+  },
+  body: {
+    fontSize: 14,
+    color: '#666',
+    marginTop: 2,
+  },
+  time: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 4,
+  },
+  unreadDot: {
+    width: 10,
+    height: 10,
+    borderRadius: 5,
+    backgroundColor: '#6200ee',
+    marginLeft: 8,
+    marginTop: 6,
+  },
+});
+
+export default NotificationItem;
@@ -0,0 +1,171 @@
+import React from 'react';
+import { View, Text, TouchableOpacity, ActivityIndicator, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import {
+  OFFER_STATUS_LABELS,
+  OFFER_STATUS_COLORS,
+  getOfferStatus,
+  canRespondToOffer
+} from '../services/offers';
+
+const formatExpiry = (timestamp) => {
+  const diffInHours = Math.round((new Date(timestamp).getTime() - Date.now()) / (1000 * 60 * 60));
+  if (diffInHours < 1) {
+    return 'Expires in less than an hour';
+  }
+  return `Expires in ${diffInHours} hour${diffInHours !== 1 ? 's' : ''}`;
+};
+
+/**
+ * A price offer in the chat. The receiver gets Accept, Decline and Counter
+ * buttons while the offer is pending.
+ */
+const OfferCard = ({ message, userId, responding, onAccept, onDecline, onCounter }) => {
+  const isMine = message.sender_id === userId;
+  const status = getOfferStatus(message);
+  const price = Number(message.offer_price_per_kg);
+  const quantity = Number(message.offer_quantity_kg);
+
+  return (
+    <View style={[styles.card, isMine ? styles.myCard : styles.otherCard, message.pending && styles.pendingCard]}>
+      <View style={styles.cardHeader}>
+        <Ionicons name="pricetag" size={16} color="#6200ee" />
+        <Text style={styles.cardTitle}>
+          {message.offer_parent_id ? 'Counter Offer' : 'Offer'}
+          {isMine ? ' (you)' : ''}
+        </Text>
+      </View>
+
+      <Text style={styles.price}>TZS {price.toLocaleString()}/kg</Text>
+      <Text style={styles.quantity}>
+        {quantity} kg · TZS {(price * quantity).toLocaleString()} total
+      </Text>
+
+      <View style={styles.statusRow}>
+        <View style={[styles.statusDot, { backgroundColor: OFFER_STATUS_COLORS[status] }]} />
+        <Text style={styles.statusText}>
+          {status === 'pending' && !message.pending
+            ? formatExpiry(message.offer_expires_at)
+            : OFFER_STATUS_LABELS[status]}
+        </Text>
+      </View>
+
+      {canRespondToOffer(message, userId) && (
+        responding ? (
+          <ActivityIndicator style={styles.actions} color="#6200ee" />
+        ) : (
+          <View style={styles.actions}>
+            <TouchableOpacity style={[styles.actionButton, styles.acceptButton]} onPress={onAccept}>
+              <Text style={styles.acceptButtonText}>Accept</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.actionButton} onPress={onCounter}>
+              <Text style={styles.actionButtonText}>Counter</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.actionButton} onPress={onDecline}>
+              <Text style={styles.declineButtonText}>Decline</Text>
+            </TouchableOpacity>
+          </View>
+        )
+      )}
+
+      <Text style={styles.time}>
+        {new Date(message.created_at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+      </Text>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  card: {
+    marginVertical: 5,
+    width: '80%',
+    padding: 15,
+    borderRadius: 15,
+    backgroundColor: '#fff',
+    borderWidth: 1,
+  },
+  myCard: {
+    alignSelf: 'flex-end',
+    borderColor: '#6200ee',
+  },
+  otherCard: {
+    alignSelf: 'flex-start',
+    borderColor: '#e0e0e0',
+  },
+  pendingCard: {
+    opacity: 0.6,
+  },
+  cardHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  cardTitle: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#6200ee',
+    marginLeft: 6,
+  },
+  price: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#27ae60',
+  },
+  quantity: {
+    fontSize: 14,
+    color: '#666',
+    marginTop: 2,
+  },
+  statusRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 10,
+  },
+  statusDot: {
+    width: 8,
+    height: 8,
+    borderRadius: 4,
+    marginRight: 6,
+  },
+  statusText: {
+    fontSize: 13,
+    color: '#333',
+  },
+  actions: {
+    flexDirection: 'row',
+    marginTop: 12,
+  },
+  actionButton: {
+    flex: 1,
+    paddingVertical: 8,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#e0e0e0',
+    alignItems: 'center',
+    marginRight: 6,
+  },
+  acceptButton: {
+    backgroundColor: '#27ae60',
+    borderColor: '#27ae60',
+  },
+  acceptButtonText: {
+    color: '#fff',
+    fontWeight: 'bold',
+  },
+  actionButtonText: {
+    color: '#6200ee',
+    fontWeight: '600',
+  },
+  declineButtonText: {
+    color: '#e74c3c',
+    fontWeight: '600',
+  },
+  time: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 8,
+    textAlign: 'right',
+  },
+});
+
+export default OfferCard;
@@ -0,0 +1,189 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  Modal,
+  StyleSheet,
+  KeyboardAvoidingView,
+  Platform
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { OFFER_EXPIRY_HOURS } from '../services/offers';
+
+const toText = (value) => (value == null ? '' : String(value));
+
+/**
+ * Bottom sheet to make an offer or counter offer: price per kg and quantity.
+ * `onSubmit({ pricePerKg, quantityKg })` is called with valid numbers only.
+ */
+const OfferSheet = ({ visible, title, initialPrice, initialQuantity, onSubmit, onClose }) => {
+  const [price, setPrice] = useState('');
+  const [quantity, setQuantity] = useState('');
+  const [errorMessage, setErrorMessage] = useState('');
+
+  useEffect(() => {
+    if (visible) {
+      setPrice(toText(initialPrice));
+      setQuantity(toText(initialQuantity));
+      setErrorMessage('');
+    }
+  }, [visible]);
+
+  const handleSubmit = () => {
+    const pricePerKg = parseFloat(price);
+    const quantityKg = parseFloat(quantity);
+
+    if (Number.isNaN(pricePerKg) || pricePerKg < 0 || Number.isNaN(quantityKg) || quantityKg <= 0) {
+      setErrorMessage('Please enter a valid price and quantity');
+      return;
+    }
+
+    onSubmit({ pricePerKg, quantityKg });
+  };
+
+  const pricePerKg = parseFloat(price);
+  const quantityKg = parseFloat(quantity);
+  const total = Number.isNaN(pricePerKg) || Number.isNaN(quantityKg) ? null : pricePerKg * quantityKg;
+
+  return (
+    <Modal visible={visible} animationType="slide" transparent onRequestClose={onClose}>
+      <KeyboardAvoidingView
+        style={styles.overlay}
+        behavior={Platform.OS === 'ios' ? 'padding' : undefined}
+      >
+        <TouchableOpacity style={styles.backdrop} activeOpacity={1} onPress={onClose} />
+        <View style={styles.sheet}>
+          <View style={styles.sheetHeader}>
+            <Text style={styles.sheetTitle}>{title}</Text>
+            <TouchableOpacity onPress={onClose}>
+              <Ionicons name="close" size={24} color="#333" />
+            </TouchableOpacity>
+          </View>
+
+          <View style={styles.row}>
+            <View style={styles.halfWidth}>
+              <Text style={styles.label}>Price (TZS per Kg)</Text>
+              <TextInput
+                style={styles.input}
+                placeholder="e.g., 2500"
+                value={price}
+                onChangeText={setPrice}
+                keyboardType="numeric"
+              />
+            </View>
+            <View style={styles.halfWidth}>
+              <Text style={styles.label}>Quantity (Kg)</Text>
+              <TextInput
+                style={styles.input}
+                placeholder="e.g., 50"
+                value={quantity}
+                onChangeText={setQuantity}
+                keyboardType="numeric"
+              />
+            </View>
+          </View>
+
+          {total !== null && total > 0 && (
+            <Text style={styles.totalText}>Total: TZS {total.toLocaleString()}</Text>
+          )}
+          <Text style={styles.helperText}>
+            The offer expires if it is not answered within {OFFER_EXPIRY_HOURS} hours.
+          </Text>
+          {!!errorMessage && <Text style={styles.errorText}>{errorMessage}</Text>}
+
+          <TouchableOpacity style={styles.submitButton} onPress={handleSubmit}>
+            <Ionicons name="pricetag-outline" size={18} color="#fff" />
+            <Text style={styles.submitButtonText}>Send Offer</Text>
+          </TouchableOpacity>
+        </View>
+      </KeyboardAvoidingView>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    justifyContent: 'flex-end',
+  },
+  backdrop: {
+    ...StyleSheet.absoluteFillObject,
+    backgroundColor: 'rgba(0, 0, 0, 0.4)',
+  },
+  sheet: {
+    backgroundColor: '#fff',
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    padding: 20,
+    paddingBottom: Platform.OS === 'ios' ? 40 : 20,
+  },
+  sheetHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  sheetTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  row: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  halfWidth: {
+    width: '48%',
+  },
+  label: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+    marginTop: 15,
+    marginBottom: 8,
+  },
+  input: {
+    backgroundColor: '#f8f9fa',
+    borderRadius: 12,
+    paddingHorizontal: 15,
+    paddingVertical: 10,
+    fontSize: 16,
+    borderWidth: 1,
+    borderColor: '#e0e0e0',
+  },
+  totalText: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#27ae60',
+    marginTop: 15,
+  },
+  helperText: {
+    fontSize: 13,
+    color: '#666',
+    marginTop: 10,
+  },
+  errorText: {
+    fontSize: 14,
+    color: '#e74c3c',
+    marginTop: 10,
+  },
+  submitButton: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginTop: 20,
+    paddingVertical: 14,
+    borderRadius: 12,
+    backgroundColor: '#6200ee',
+  },
+  submitButtonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: 'bold',
+    marginLeft: 8,
+  },
+});
+
+export default OfferSheet;
@@ -0,0 +1,262 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  Modal,
+  StyleSheet,
+  KeyboardAvoidingView,
+  Platform
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+
+export const DEFAULT_PRODUCT_FILTERS = {
+  minPrice: null,
+  maxPrice: null,
+  minQuantity: null,
+  location: '',
+  sort: 'newest',
+};
+
+const SORT_LABELS = {
+  newest: 'Newest',
+  cheapest: 'Cheapest',
+  largest_quantity: 'Largest Quantity',
+};
+
+/**
+ * Number of filters that differ from the defaults, for the badge on the filter button
+ */
+export const countActiveFilters = (filters) =>
+  Object.keys(DEFAULT_PRODUCT_FILTERS).filter(
+    (key) => filters[key] !== DEFAULT_PRODUCT_FILTERS[key]
+  ).length;
+
+const toNumberOrNull = (value) => {
+  const number = parseFloat(value);
+  return Number.isNaN(number) ? null : number;
+};
+
+const toText = (value) => (value == null ? '' : String(value));
+
+/**
+ * Bottom sheet for the buyer catalog: price range, minimum quantity, location and sort order
+ */
+const ProductFilterSheet = ({ visible, filters, onApply, onClose }) => {
+  const [minPrice, setMinPrice] = useState('');
+  const [maxPrice, setMaxPrice] = useState('');
+  const [minQuantity, setMinQuantity] = useState('');
+  const [location, setLocation] = useState('');
+  const [sort, setSort] = useState(DEFAULT_PRODUCT_FILTERS.sort);
+
+  // Start from the applied filters every time the sheet opens
+  useEffect(() => {
+    if (visible) {
+      setMinPrice(toText(filters.minPrice));
+      setMaxPrice(toText(filters.maxPrice));
+      setMinQuantity(toText(filters.minQuantity));
+      setLocation(filters.location || '');
+      setSort(filters.sort || DEFAULT_PRODUCT_FILTERS.sort);
+    }
+  }, [visible]);
+
+  const handleApply = () => {
+    onApply({
+      minPrice: toNumberOrNull(minPrice),
+      maxPrice: toNumberOrNull(maxPrice),
+      minQuantity: toNumberOrNull(minQuantity),
+      location: location.trim(),
+      sort,
+    });
+  };
+
+  const handleReset = () => {
+    onApply(DEFAULT_PRODUCT_FILTERS);
+  };
+
+  return (
+    <Modal visible={visible} animationType="slide" transparent onRequestClose={onClose}>
+      <KeyboardAvoidingView
+        style={styles.overlay}
+        behavior={Platform.OS === 'ios' ? 'padding' : undefined}
+      >
+        <TouchableOpacity style={styles.backdrop} activeOpacity={1} onPress={onClose} />
+        <View style={styles.sheet}>
+          <View style={styles.sheetHeader}>
+            <Text style={styles.sheetTitle}>Filter & Sort</Text>
+            <TouchableOpacity onPress={onClose}>
+              <Ionicons name="close" size={24} color="#333" />
+            </TouchableOpacity>
+          </View>
+
+          <Text style={styles.label}>Price (TZS per Kg)</Text>
+          <View style={styles.row}>
+            <TextInput
+              style={[styles.input, styles.halfWidth]}
+              placeholder="Min"
+              value={minPrice}
+              onChangeText={setMinPrice}
+              keyboardType="numeric"
+            />
+            <TextInput
+              style={[styles.input, styles.halfWidth]}
+              placeholder="Max"
+              value={maxPrice}
+              onChangeText={setMaxPrice}
+              keyboardType="numeric"
+            />
+          </View>
+
+          <Text style={styles.label}>Minimum Quantity (Kg)</Text>
+          <TextInput
+            style={styles.input}
+            placeholder="e.g., 50"
+            value={minQuantity}
+            onChangeText={setMinQuantity}
+            keyboardType="numeric"
+          />
+
+          <Text style={styles.label}>Location or District</Text>
+          <TextInput
+            style={styles.input}
+            placeholder="e.g., Chamwino"
+            value={location}
+            onChangeText={setLocation}
+          />
+
+          <Text style={styles.label}>Sort By</Text>
+          <View style={styles.sortRow}>
+            {Object.entries(SORT_LABELS).map(([value, label]) => (
+              <TouchableOpacity
+                key={value}
+                style={[styles.sortChip, sort === value && styles.sortChipActive]}
+                onPress={() => setSort(value)}
+              >
+                <Text style={[styles.sortChipText, sort === value && styles.sortChipTextActive]}>
+                  {label}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          <View style={styles.actions}>
+            <TouchableOpacity style={styles.resetButton} onPress={handleReset}>
+              <Text style={styles.resetButtonText}>Reset</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.applyButton} onPress={handleApply}>
+              <Text style={styles.applyButtonText}>Show Results</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </KeyboardAvoidingView>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    justifyContent: 'flex-end',
+  },
+  backdrop: {
+    ...StyleSheet.absoluteFillObject,
+    backgroundColor: 'rgba(0, 0, 0, 0.4)',
+  },
+  sheet: {
+    backgroundColor: '#fff',
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    padding: 20,
+    paddingBottom: Platform.OS === 'ios' ? 40 : 20,
+  },
+  sheetHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  sheetTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  label: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+    marginTop: 15,
+    marginBottom: 8,
+  },
+  row: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  halfWidth: {
+    width: '48%',
+  },
+  input: {
+    backgroundColor: '#f8f9fa',
+    borderRadius: 12,
+    paddingHorizontal: 15,
+    paddingVertical: 10,
+    fontSize: 16,
+    borderWidth: 1,
+    borderColor: '#e0e0e0',
+  },
+  sortRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  sortChip: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 20,
+    borderWidth: 1,
+    borderColor: '#6200ee',
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  sortChipActive: {
+    backgroundColor: '#6200ee',
+  },
+  sortChipText: {
+    color: '#6200ee',
+    fontWeight: '600',
+  },
+  sortChipTextActive: {
+    color: '#fff',
+  },
+  actions: {
+    flexDirection: 'row',
+    marginTop: 20,
+  },
+  resetButton: {
+    flex: 1,
+    paddingVertical: 14,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#e0e0e0',
+    alignItems: 'center',
+    marginRight: 10,
+  },
+  resetButtonText: {
+    color: '#333',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  applyButton: {
+    flex: 2,
+    paddingVertical: 14,
+    borderRadius: 12,
+    backgroundColor: '#6200ee',
+    alignItems: 'center',
+  },
+  applyButtonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+});
+
+export default ProductFilterSheet;
@@ -0,0 +1,79 @@
+import React, { useState } from 'react';
+import { View, FlatList, Image, StyleSheet } from 'react-native';
+
+const PLACEHOLDER_IMAGE = 'https://images.pexels.com/photos/708777/pexels-photo-708777.jpeg?auto=compress&cs=tinysrgb&w=400';
+
+/**
+ * Swipeable, paged photo carousel with position dots.
+ * Renders the placeholder grape photo when a listing has no images.
+ */
+const ProductImageCarousel = ({ images = [], height = 200, style }) => {
+  const [width, setWidth] = useState(0);
+  const [activeIndex, setActiveIndex] = useState(0);
+  const photos = images.length > 0 ? images : [PLACEHOLDER_IMAGE];
+
+  const handleMomentumScrollEnd = (event) => {
+    if (!width) return;
+    const index = Math.round(event.nativeEvent.contentOffset.x / width);
+    setActiveIndex(index);
+  };
+
+  return (
+    <View
+      style={[styles.container, { height }, style]}
+      onLayout={(event) => setWidth(event.nativeEvent.layout.width)}
+    >
+      {width > 0 && (
+        <FlatList
+          data={photos}
+          keyExtractor={(uri, index) => `${uri}_${index}`}
+          renderItem={({ item }) => (
+            <Image source={{ uri: item }} style={{ width, height }} />
+          )}
+          horizontal
+          pagingEnabled
+          showsHorizontalScrollIndicator={false}
+          onMomentumScrollEnd={handleMomentumScrollEnd}
+          getItemLayout={(_, index) => ({ length: width, offset: width * index, index })}
+        />
+      )}
+      {photos.length > 1 && (
+        <View style={styles.dots}>
+          {photos.map((uri, index) => (
+            <View
+              key={`${uri}_${index}`}
+              style={[styles.dot, index === activeIndex && styles.dotActive]}
+            />
+          ))}
+        </View>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    width: '100%',
+    backgroundColor: '#eee',
+  },
+  dots: {
+    position: 'absolute',
+    bottom: 10,
+    left: 0,
+    right: 0,
+    flexDirection: 'row',
+    justifyContent: 'center',
+  },
+  dot: {
+    width: 8,
+    height: 8,
+    borderRadius: 4,
+    backgroundColor: 'rgba(255, 255, 255, 0.5)',
+    marginHorizontal: 3,
+  },
+  dotActive: {
+    backgroundColor: '#fff',
+  },
+});
+
+export default ProductImageCarousel;
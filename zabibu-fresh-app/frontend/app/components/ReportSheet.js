@@ -0,0 +1,201 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  Modal,
+  StyleSheet,
+  KeyboardAvoidingView,
+  ActivityIndicator,
+  Platform
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { REPORT_REASONS, REPORT_DETAILS_MAX_LENGTH } from '../services/moderation';
+
+/**
+ * Bottom sheet to report a listing or a user: a reason and optional details.
+ * `onSubmit({ reason, details })` is called once a reason is picked.
+ */
+const ReportSheet = ({ visible, title, submitting = false, onSubmit, onClose }) => {
+  const [reason, setReason] = useState(null);
+  const [details, setDetails] = useState('');
+  const [errorMessage, setErrorMessage] = useState('');
+
+  useEffect(() => {
+    if (visible) {
+      setReason(null);
+      setDetails('');
+      setErrorMessage('');
+    }
+  }, [visible]);
+
+  const handleSubmit = () => {
+    if (!reason) {
+      setErrorMessage('Please choose what is wrong');
+      return;
+    }
+
+    onSubmit({ reason, details: details.trim() });
+  };
+
+  return (
+    <Modal visible={visible} animationType="slide" transparent onRequestClose={onClose}>
+      <KeyboardAvoidingView
+        style={styles.overlay}
+        behavior={Platform.OS === 'ios' ? 'padding' : undefined}
+      >
+        <TouchableOpacity style={styles.backdrop} activeOpacity={1} onPress={onClose} />
+        <View style={styles.sheet}>
+          <View style={styles.sheetHeader}>
+            <Text style={styles.sheetTitle}>{title}</Text>
+            <TouchableOpacity onPress={onClose}>
+              <Ionicons name="close" size={24} color="#333" />
+            </TouchableOpacity>
+          </View>
+          <Text style={styles.helperText}>
+            Reports are private. Our team reviews them and takes action when needed.
+          </Text>
+
+          {REPORT_REASONS.map((option) => {
+            const selected = reason === option.value;
+            return (
+              <TouchableOpacity
+                key={option.value}
+                style={[styles.reasonOption, selected && styles.reasonOptionSelected]}
+                onPress={() => setReason(option.value)}
+              >
+                <Ionicons name={option.icon} size={20} color={selected ? '#6200ee' : '#666'} />
+                <Text style={[styles.reasonText, selected && styles.reasonTextSelected]}>
+                  {option.label}
+                </Text>
+                {selected && <Ionicons name="checkmark-circle" size={20} color="#6200ee" />}
+              </TouchableOpacity>
+            );
+          })}
+
+          <TextInput
+            style={styles.input}
+            placeholder="Anything else we should know? (optional)"
+            value={details}
+            onChangeText={setDetails}
+            multiline
+            maxLength={REPORT_DETAILS_MAX_LENGTH}
+          />
+          {!!errorMessage && <Text style={styles.errorText}>{errorMessage}</Text>}
+
+          <TouchableOpacity
+            style={[styles.submitButton, submitting && styles.submitButtonDisabled]}
+            onPress={handleSubmit}
+            disabled={submitting}
+          >
+            {submitting ? (
+              <ActivityIndicator size="small" color="#fff" />
+            ) : (
+              <>
+                <Ionicons name="flag-outline" size={18} color="#fff" />
+                <Text style={styles.submitButtonText}>Send Report</Text>
+              </>
+            )}
+          </TouchableOpacity>
+        </View>
+      </KeyboardAvoidingView>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    justifyContent: 'flex-end',
+  },
+  backdrop: {
+    ...StyleSheet.absoluteFillObject,
+    backgroundColor: 'rgba(0, 0, 0, 0.4)',
+  },
+  sheet: {
+    backgroundColor: '#fff',
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    padding: 20,
+    paddingBottom: Platform.OS === 'ios' ? 40 : 20,
+  },
+  sheetHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  sheetTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  helperText: {
+    fontSize: 13,
+    color: '#666',
+    marginBottom: 15,
+  },
+  reasonOption: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#f8f9fa',
+    borderRadius: 12,
+    paddingHorizontal: 15,
+    paddingVertical: 12,
+    marginBottom: 8,
+    borderWidth: 1,
+    borderColor: '#e0e0e0',
+  },
+  reasonOptionSelected: {
+    borderColor: '#6200ee',
+    backgroundColor: '#f3ebff',
+  },
+  reasonText: {
+    flex: 1,
+    fontSize: 16,
+    color: '#333',
+    marginLeft: 10,
+  },
+  reasonTextSelected: {
+    color: '#6200ee',
+    fontWeight: '600',
+  },
+  input: {
+    backgroundColor: '#f8f9fa',
+    borderRadius: 12,
+    paddingHorizontal: 15,
+    paddingVertical: 10,
+    fontSize: 16,
+    borderWidth: 1,
+    borderColor: '#e0e0e0',
+    height: 80,
+    marginTop: 7,
+    textAlignVertical: 'top',
+  },
+  errorText: {
+    fontSize: 14,
+    color: '#e74c3c',
+    marginTop: 10,
+  },
+  submitButton: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginTop: 20,
+    paddingVertical: 14,
+    borderRadius: 12,
+    backgroundColor: '#6200ee',
+  },
+  submitButtonDisabled: {
+    backgroundColor: '#ccc',
+  },
+  submitButtonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: 'bold',
+    marginLeft: 8,
+  },
+});
+
+export default ReportSheet;
@@ -1,21 +1,54 @@
 import React, { createContext, useState, useEffect, useContext } from "react";
 import {
   supabase,
-  getUserProfile,
   signUp,
   signIn,
   signOut,
+  createUserProfile,
+  setActiveRole,
+  SWITCHABLE_ROLES,
 } from "../services/supabase";
+import { fetchProfile } from "../services/queries";
+import { startOutbox, stopOutbox } from "../services/outbox";
+import {
+  registerForPushNotifications,
+  unregisterFromPushNotifications,
+} from "../services/notifications";
 
 const AuthContext = createContext(null);
 
+// Attempts at creating a missing profile before giving up, with a growing pause between them
+const PROFILE_CREATE_ATTEMPTS = 3;
+const PROFILE_CREATE_RETRY_DELAY_MS = 1000;
+// Postgres unique violation: the profile exists already
+const UNIQUE_VIOLATION = "23505";
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
 export const AuthProvider = ({ children }) => {
   const [session, setSession] = useState(null);
   const [user, setUser] = useState(null); // This will be the Supabase auth user
   const [profile, setProfile] = useState(null); // This will be the user profile from 'User' table (includes role)
+  // 'idle' without a user, then 'loading', 'ready', 'missing' (signed in, but no
+  // profile row) or 'error' (the profile could not be loaded, e.g. offline)
+  const [profileStatus, setProfileStatus] = useState("idle");
   const [loading, setLoading] = useState(true);
   const [initialLoading, setInitialLoading] = useState(true); // For initial session check
 
+  const loadProfile = async (userId, options) => {
+    if (!userId) {
+      setProfile(null);
+      setProfileStatus("idle");
+      return null;
+    }
+    // A retry keeps the error screen up; it shows its own spinner
+    setProfileStatus((status) => (status === "error" ? status : "loading"));
+    const { profile: userProfile, error } = await fetchProfile(userId, options);
+    setProfile(userProfile);
+    setProfileStatus(userProfile ? "ready" : error ? "error" : "missing");
+    return userProfile;
+  };
+
   useEffect(() => {
     const fetchSession = async () => {
       try {
@@ -28,22 +61,17 @@ export const AuthProvider = ({ children }) => {
           console.error("Error fetching session on load:", error.message);
           setSession(null);
           setUser(null);
-          setProfile(null);
+          await loadProfile(null);
         } else {
           setSession(currentSession);
           setUser(currentSession?.user ?? null);
-          if (currentSession?.user) {
-            const userProfile = await getUserProfile(currentSession.user.id);
-            setProfile(userProfile);
-          } else {
-            setProfile(null);
-          }
+          await loadProfile(currentSession?.user?.id);
         }
       } catch (e) {
         console.error("Exception fetching session on load:", e.message);
         setSession(null);
         setUser(null);
-        setProfile(null);
+        await loadProfile(null);
       } finally {
         setLoading(false);
         setInitialLoading(false);
@@ -53,16 +81,19 @@ export const AuthProvider = ({ children }) => {
     fetchSession();
 
     const { data: authListener } = supabase.auth.onAuthStateChange(
-      async (_event, newSession) => {
+      async (event, newSession) => {
+        // Same user, new token or details (e.g. a phone just verified): no
+        // need to reload the profile or show the loading screen
+        if (event === "TOKEN_REFRESHED" || event === "USER_UPDATED") {
+          setSession(newSession);
+          setUser(newSession?.user ?? null);
+          return;
+        }
+
         setLoading(true);
         setSession(newSession);
         setUser(newSession?.user ?? null);
-        if (newSession?.user) {
-          const userProfile = await getUserProfile(newSession.user.id);
-          setProfile(userProfile);
-        } else {
-          setProfile(null); // Clear profile on logout
-        }
+        await loadProfile(newSession?.user?.id); // Clears the profile on logout
         setLoading(false);
       }
     );
@@ -72,22 +103,27 @@ export const AuthProvider = ({ children }) => {
     };
   }, []);
 
+  // Send whatever this user queued while offline, now and whenever the connection returns
+  useEffect(() => {
+    if (!user) return;
+    startOutbox(user.id);
+    return stopOutbox;
+  }, [user?.id]);
+
+  // Send this user's push notifications to this device. Tokens belong to a
+  // profile, so this waits for sign-up to create it.
+  useEffect(() => {
+    if (!profile) return;
+    registerForPushNotifications();
+  }, [profile?.id]);
+
   // Auth functions
   const handleSignUp = async (userData) => {
     setLoading(true);
     try {
-      const result = await signUp(userData);
-      if (result.data && !result.error) {
-        // The auth state change listener will handle updating the state
-        // But we can also refresh the profile after a short delay
-        setTimeout(async () => {
-          if (result.data.user) {
-            const userProfile = await getUserProfile(result.data.user.id);
-            setProfile(userProfile);
-          }
-        }, 2000); // Give the trigger time to complete
-      }
-      return result;
+      // The signup trigger creates the profile along with the user, so the auth
+      // state change listener finds it, or sends the user to complete it
+      return await signUp(userData);
     } catch (error) {
       console.error("SignUp error in context:", error);
       return { data: null, error };
@@ -113,6 +149,7 @@ export const AuthProvider = ({ children }) => {
   const handleSignOut = async () => {
     setLoading(true);
     try {
+      await unregisterFromPushNotifications();
       const result = await signOut();
       // The auth state change listener will handle clearing the state
       return result;
@@ -126,11 +163,65 @@ export const AuthProvider = ({ children }) => {
 
   const refreshProfile = async () => {
     if (user) {
-      const userProfile = await getUserProfile(user.id);
-      setProfile(userProfile);
+      await loadProfile(user.id, { force: true });
     }
   };
 
+  // Change the role the app is used as, adding it to the account if needed.
+  // Screens follow `profile.role`, so they switch over straight away.
+  const switchRole = async (role) => {
+    if (!SWITCHABLE_ROLES.includes(role)) {
+      return { error: new Error(`Cannot switch to the ${role} role`) };
+    }
+    if (!profile || profile.role === role) return { error: null };
+
+    const previous = profile;
+    setProfile({
+      ...profile,
+      role,
+      roles: profile.roles.includes(role) ? profile.roles : [...profile.roles, role],
+    });
+
+    const { error } = await setActiveRole(profile.id, role);
+    if (error) {
+      setProfile(previous);
+      return { error };
+    }
+
+    await loadProfile(profile.id, { force: true });
+    return { error: null };
+  };
+
+  // Create the profile the signup trigger failed to create. Retries failed
+  // attempts, and a profile that turns out to exist already counts as done.
+  const completeProfile = async ({ fullName, role }) => {
+    if (!user) return { error: new Error("Not signed in") };
+
+    let lastError = null;
+    for (let attempt = 1; attempt <= PROFILE_CREATE_ATTEMPTS; attempt++) {
+      const { error } = await createUserProfile({
+        id: user.id,
+        fullName,
+        // Auth keeps the number without its leading +
+        phone: user.user_metadata?.phone || (user.phone ? `+${user.phone}` : null),
+        role,
+      });
+      if (!error || error.code === UNIQUE_VIOLATION) {
+        lastError = null;
+        break;
+      }
+      lastError = error;
+      if (attempt < PROFILE_CREATE_ATTEMPTS) {
+        await wait(PROFILE_CREATE_RETRY_DELAY_MS * attempt);
+      }
+    }
+
+    if (lastError) return { error: lastError };
+
+    const userProfile = await loadProfile(user.id, { force: true });
+    return userProfile ? { error: null } : { error: new Error("Profile not found") };
+  };
+
   const value = {
     session,
     user,
@@ -139,6 +230,9 @@ export const AuthProvider = ({ children }) => {
     initialLoading,
     setProfile, // Allow manual setting of profile if needed
     refreshProfile, // Allow manual refresh of profile
+    profileStatus,
+    completeProfile,
+    switchRole,
     // Auth functions
     signUp: handleSignUp,
     signIn: handleSignIn,
@@ -147,8 +241,11 @@ export const AuthProvider = ({ children }) => {
     isAuthenticated: !!user,
     isPhoneConfirmed: user?.phone_confirmed_at != null,
     userRole: profile?.role || null,
+    userRoles: profile?.roles || [],
     isSeller: profile?.role === "seller",
     isBuyer: profile?.role === "buyer",
+    isAdmin: !!profile?.roles?.includes("admin"),
+    isSuspended: !!profile?.suspendedAt,
     userPhone: profile?.phone || user?.phone || null,
   };
 
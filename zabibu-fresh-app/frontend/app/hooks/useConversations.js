@@ -0,0 +1,19 @@
+import { useAuth } from '../contexts/AuthContext';
+import { getConversations } from '../services/supabase';
+import { queryKeys } from '../services/queries';
+import usePaginatedQuery from './usePaginatedQuery';
+
+/**
+ * The signed-in user's conversations, newest first, one page at a time
+ */
+const useConversations = () => {
+  const { profile } = useAuth();
+
+  return usePaginatedQuery(
+    profile ? queryKeys.conversations(profile.id) : null,
+    (cursor) => getConversations({ cursor }),
+    { persist: true }
+  );
+};
+
+export default useConversations;
@@ -0,0 +1,30 @@
+import { useEffect } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { getNotifications } from '../services/supabase';
+import { queryKeys, invalidateQueries } from '../services/queries';
+import { subscribeToNotifications } from '../services/realtime';
+import usePaginatedQuery from './usePaginatedQuery';
+
+/**
+ * The signed-in user's notifications, newest first, one page at a time.
+ * Kept up to date while on screen.
+ */
+const useNotifications = () => {
+  const { profile } = useAuth();
+  const query = usePaginatedQuery(
+    profile ? queryKeys.notifications(profile.id) : null,
+    (cursor) => getNotifications(profile.id, { cursor }),
+    { persist: true }
+  );
+
+  useEffect(() => {
+    if (!profile) return;
+    return subscribeToNotifications(profile.id, {
+      onChange: () => invalidateQueries(queryKeys.notifications(profile.id)),
+    });
+  }, [profile?.id]);
+
+  return query;
+};
+
+export default useNotifications;
@@ -0,0 +1,86 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import {
+  fetchQuery,
+  getQueryState,
+  setQueryData,
+  subscribeToQuery
+} from '../services/queries';
+
+/**
+ * A cursor-paginated list shared through the query layer. `fetchPage(cursor)`
+ * returns `{ data, nextCursor, error }` like the supabase.js list functions and
+ * is called with null for the first page. A null `key` waits without fetching.
+ *
+ * Returns `{ data, nextCursor, updatedAt, error, isLoading, isFetching, loadingMore,
+ * revalidate, refetch, fetchMore, setData }`. `revalidate()` refetches only when
+ * the data is stale, `refetch()` always does, and `setData(updater)` changes the
+ * loaded rows in place.
+ */
+const usePaginatedQuery = (key, fetchPage, { persist = false } = {}) => {
+  const [state, setState] = useState(() => getQueryState(key));
+  const [loadingMore, setLoadingMore] = useState(false);
+  // Latest fetchPage, so a new closure every render doesn't restart the query
+  const fetchPageRef = useRef(fetchPage);
+  fetchPageRef.current = fetchPage;
+
+  const fetchFirstPage = useCallback(() => fetchPageRef.current(null), []);
+
+  const revalidate = useCallback(() => {
+    if (!key) return Promise.resolve({ value: undefined, error: null });
+    return fetchQuery(key, fetchFirstPage, { persist });
+  }, [key, persist]);
+
+  const refetch = useCallback(() => {
+    if (!key) return Promise.resolve({ value: undefined, error: null });
+    return fetchQuery(key, fetchFirstPage, { persist, force: true });
+  }, [key, persist]);
+
+  useEffect(() => {
+    setState(getQueryState(key));
+    if (!key) return;
+
+    const unsubscribe = subscribeToQuery(key, setState);
+    revalidate();
+    return unsubscribe;
+  }, [key]);
+
+  // Rows that moved up to an earlier page in the meantime are not added twice
+  const fetchMore = async () => {
+    const { value, isFetching } = getQueryState(key);
+    if (!value?.nextCursor || isFetching || loadingMore) return { error: null };
+
+    setLoadingMore(true);
+    const { data, nextCursor, error } = await fetchPageRef.current(value.nextCursor);
+    setLoadingMore(false);
+    if (error) return { error };
+
+    setQueryData(key, (current) => ({
+      data: [
+        ...current.data,
+        ...(data || []).filter((row) => !current.data.some((existing) => existing.id === row.id))
+      ],
+      nextCursor,
+    }));
+    return { error: null };
+  };
+
+  const setData = useCallback((updater) => {
+    setQueryData(key, (current) => ({ ...current, data: updater(current.data || []) }));
+  }, [key]);
+
+  return {
+    data: state.value?.data || [],
+    nextCursor: state.value?.nextCursor ?? null,
+    updatedAt: state.updatedAt,
+    error: state.error,
+    isLoading: !!key && state.value === undefined && !state.error,
+    isFetching: state.isFetching,
+    loadingMore,
+    revalidate,
+    refetch,
+    fetchMore,
+    setData,
+  };
+};
+
+export default usePaginatedQuery;
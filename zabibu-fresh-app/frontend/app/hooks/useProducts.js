@@ -0,0 +1,20 @@
+import { useAuth } from '../contexts/AuthContext';
+import { getProducts } from '../services/supabase';
+import { queryKeys } from '../services/queries';
+import usePaginatedQuery from './usePaginatedQuery';
+
+/**
+ * Products matching a `getProducts` query, one page at a time. Screens showing
+ * the same query share one request and one list. Searches are not kept offline.
+ */
+const useProducts = (query) => {
+  const { profile } = useAuth();
+
+  return usePaginatedQuery(
+    profile ? queryKeys.products(profile.id, query) : null,
+    (cursor) => getProducts({ ...query, cursor }),
+    { persist: !query.search }
+  );
+};
+
+export default useProducts;
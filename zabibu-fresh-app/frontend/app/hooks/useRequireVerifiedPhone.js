@@ -0,0 +1,28 @@
+import { Alert } from 'react-native';
+import { router } from 'expo-router';
+import { useAuth } from '../contexts/AuthContext';
+
+/**
+ * Listing products and sending messages need a verified phone number.
+ * Returns `requireVerifiedPhone()`: true when the phone is verified, otherwise
+ * false after offering to verify it.
+ */
+const useRequireVerifiedPhone = () => {
+  const { isPhoneConfirmed } = useAuth();
+
+  return () => {
+    if (isPhoneConfirmed) return true;
+
+    Alert.alert(
+      'Verify Your Phone',
+      'Verify your phone number to list products and send messages.',
+      [
+        { text: 'Not Now', style: 'cancel' },
+        { text: 'Verify', onPress: () => router.push('/(app)/verify-phone') }
+      ]
+    );
+    return false;
+  };
+};
+
+export default useRequireVerifiedPhone;
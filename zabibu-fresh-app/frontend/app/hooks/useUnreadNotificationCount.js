@@ -0,0 +1,43 @@
+import { useState, useEffect } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { getUnreadNotificationCount } from '../services/supabase';
+import {
+  queryKeys,
+  fetchQuery,
+  getQueryState,
+  subscribeToQuery,
+  invalidateQueries
+} from '../services/queries';
+import { subscribeToNotifications } from '../services/realtime';
+
+/**
+ * How many of the signed-in user's notifications are unread, kept up to date
+ * while on screen. Returns `{ count, refetch }`.
+ */
+const useUnreadNotificationCount = () => {
+  const { profile } = useAuth();
+  const key = profile ? queryKeys.unreadNotificationCount(profile.id) : null;
+  const [state, setState] = useState(() => getQueryState(key));
+
+  const refetch = () => fetchQuery(key, () => getUnreadNotificationCount(profile.id), { force: true });
+
+  useEffect(() => {
+    setState(getQueryState(key));
+    if (!key) return;
+
+    const unsubscribeQuery = subscribeToQuery(key, setState);
+    fetchQuery(key, () => getUnreadNotificationCount(profile.id));
+    const unsubscribeRealtime = subscribeToNotifications(profile.id, {
+      onChange: () => invalidateQueries(key),
+    });
+
+    return () => {
+      unsubscribeQuery();
+      unsubscribeRealtime();
+    };
+  }, [key]);
+
+  return { count: state.value?.data || 0, refetch };
+};
+
+export default useUnreadNotificationCount;
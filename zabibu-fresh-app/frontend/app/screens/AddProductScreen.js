@@ -13,23 +13,46 @@ import {
   Platform 
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
-import { createProduct } from '../services/supabase';
-import { uploadImage, generateImageFileName } from '../services/storage';
+import {
+  getProductImageUrls,
+  getProductThumbnailUrls,
+  MAX_PRODUCT_IMAGES
+} from '../services/storage';
+import { enqueueOutboxItem } from '../services/outbox';
 import { useAuth } from '../contexts/AuthContext';
+import useRequireVerifiedPhone from '../hooks/useRequireVerifiedPhone';
 import * as ImagePicker from 'expo-image-picker';
 import { router } from 'expo-router';
 
-const AddProductScreen = () => {
+const OFFLINE_MESSAGE = "You're offline. Your listing is saved on this phone and will be uploaded when you're back online.";
+
+// When `product` is passed the form is pre-filled and saves changes to that listing
+const AddProductScreen = ({ product = null }) => {
   const { user, profile } = useAuth();
-  const [title, setTitle] = useState('');
-  const [description, setDescription] = useState('');
-  const [price, setPrice] = useState('');
-  const [quantity, setQuantity] = useState('');
-  const [location, setLocation] = useState('');
-  const [image, setImage] = useState(null);
-  const [imageFile, setImageFile] = useState(null);
+  const isEditing = !!product;
+  const requireVerifiedPhone = useRequireVerifiedPhone();
+  const [title, setTitle] = useState(product?.title || '');
+  const [description, setDescription] = useState(product?.description || '');
+  const [price, setPrice] = useState(product ? String(product.price) : '');
+  const [quantity, setQuantity] = useState(product ? String(product.quantity) : '');
+  const [location, setLocation] = useState(product?.location || '');
+  const [images, setImages] = useState(() => {
+    const thumbnailUrls = getProductThumbnailUrls(product);
+    return getProductImageUrls(product).map((url, index) => ({
+      uri: url,
+      remoteUrl: url,
+      remoteThumbnailUrl: thumbnailUrls[index],
+    }));
+  });
   const [loading, setLoading] = useState(false);
 
+  const remainingSlots = MAX_PRODUCT_IMAGES - images.length;
+
+  const addPickedAssets = (assets) => {
+    const picked = assets.map((asset) => ({ uri: asset.uri, remoteUrl: null, remoteThumbnailUrl: null }));
+    setImages((prev) => [...prev, ...picked].slice(0, MAX_PRODUCT_IMAGES));
+  };
+
   const pickImage = async () => {
     const { status } = await ImagePicker.requestMediaLibraryPermissionsAsync();
     if (status !== 'granted') {
@@ -39,16 +62,13 @@ const AddProductScreen = () => {
 
     let result = await ImagePicker.launchImageLibraryAsync({
       mediaTypes: ImagePicker.MediaTypeOptions.Images,
-      allowsEditing: true,
-      aspect: [4, 3],
+      allowsMultipleSelection: true,
+      selectionLimit: remainingSlots,
       quality: 0.7,
-      base64: true,
     });
 
     if (!result.canceled && result.assets && result.assets.length > 0) {
-      const asset = result.assets[0];
-      setImage(asset.uri);
-      setImageFile(asset.base64);
+      addPickedAssets(result.assets);
     }
   };
 
@@ -63,17 +83,18 @@ const AddProductScreen = () => {
       allowsEditing: true,
       aspect: [4, 3],
       quality: 0.7,
-      base64: true,
     });
 
     if (!result.canceled && result.assets && result.assets.length > 0) {
-      const asset = result.assets[0];
-      setImage(asset.uri);
-      setImageFile(asset.base64);
+      addPickedAssets(result.assets);
     }
   };
 
   const showImagePicker = () => {
+    if (remainingSlots <= 0) {
+      Alert.alert('Photo Limit Reached', `You can add up to ${MAX_PRODUCT_IMAGES} photos per product.`);
+      return;
+    }
     Alert.alert(
       "Select Image",
       "Choose how you want to add a photo",
@@ -85,48 +106,64 @@ const AddProductScreen = () => {
     );
   };
 
-  const handleAddProduct = async () => {
-    if (!title || !description || !price || !quantity || !location || !imageFile) {
-      Alert.alert('Missing Information', 'Please fill all required fields.');
+  const removeImage = (index) => {
+    setImages((prev) => prev.filter((_, i) => i !== index));
+  };
+
+  const moveImage = (from, to) => {
+    if (to < 0 || to >= images.length) return;
+    setImages((prev) => {
+      const next = [...prev];
+      const [moved] = next.splice(from, 1);
+      next.splice(to, 0, moved);
+      return next;
+    });
+  };
+
+  // `status` is 'draft' to save the listing without publishing it yet
+  const handleAddProduct = async (status = 'active') => {
+    if (isEditing) {
+      return handleUpdateProduct();
+    }
+    if (!title || !description || !price || !quantity || !location || images.length === 0) {
+      Alert.alert('Missing Information', 'Please fill all required fields and add at least one photo.');
       return;
     }
     if (!profile || profile.role !== 'seller') {
       Alert.alert('Unauthorized', 'Only sellers can add products.');
       return;
     }
+    if (!requireVerifiedPhone()) {
+      return;
+    }
 
     setLoading(true);
 
     try {
-      let imageUrl = null;
-      
-      // Upload image if provided
-      if (imageFile) {
-        const fileName = generateImageFileName(user.id, 'product_image.jpg');
-        const uploadResult = await uploadImage(image, fileName);
-        
-        if (uploadResult.success) {
-          imageUrl = uploadResult.data.publicUrl;
-        } else {
-          Alert.alert('Upload Error', 'Failed to upload image. Product will be created without image.');
-        }
-      }
-
       const productData = {
         title,
         description,
-        imageUrl,
         price: parseFloat(price),
-        quantity: parseInt(quantity, 10),
+        quantity: parseFloat(quantity),
         location,
-        sellerId: user.id
+        sellerId: user.id,
+        status
       };
 
-      const { data, error } = await createProduct(productData);
+      const { error, queued } = await enqueueOutboxItem('createProduct', {
+        product: productData,
+        // Photos without a remoteUrl are uploaded by the outbox
+        images,
+      });
 
       if (error) throw error;
 
-      Alert.alert('Success', 'Product added successfully!', [
+      const successMessage = queued
+        ? OFFLINE_MESSAGE
+        : status === 'draft'
+          ? 'Draft saved. Publish it from My Products when you are ready.'
+          : 'Product added successfully!';
+      Alert.alert(queued ? 'Saved Offline' : 'Success', successMessage, [
         { text: 'OK', onPress: () => router.back() }
       ]);
       
@@ -136,8 +173,7 @@ const AddProductScreen = () => {
       setPrice('');
       setQuantity('');
       setLocation('');
-      setImage(null);
-      setImageFile(null);
+      setImages([]);
 
     } catch (error) {
       console.error('Error adding product:', error);
@@ -147,6 +183,54 @@ const AddProductScreen = () => {
     }
   };
 
+  const handleUpdateProduct = async () => {
+    if (!title || !description || !price || !quantity || !location) {
+      Alert.alert('Missing Information', 'Please fill all required fields.');
+      return;
+    }
+    if (!profile || product.seller_id !== user.id) {
+      Alert.alert('Unauthorized', 'You can only edit your own products.');
+      return;
+    }
+    if (parseFloat(quantity) < product.reserved_quantity) {
+      Alert.alert(
+        'Quantity Too Low',
+        `${product.reserved_quantity} kg are reserved for accepted orders. Enter at least that much.`
+      );
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      const { error, queued } = await enqueueOutboxItem('updateProduct', {
+        productId: product.id,
+        product: {
+          title,
+          description,
+          price: parseFloat(price),
+          quantity: parseFloat(quantity),
+          location,
+        },
+        images,
+        previousUrls: getProductImageUrls(product),
+      });
+
+      if (error) throw error;
+
+      Alert.alert(
+        queued ? 'Saved Offline' : 'Success',
+        queued ? OFFLINE_MESSAGE : 'Product updated successfully!',
+        [{ text: 'OK', onPress: () => router.back() }]
+      );
+    } catch (error) {
+      console.error('Error updating product:', error);
+      Alert.alert('Error', `Failed to update product: ${error.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
   if (profile?.role !== 'seller') {
     return (
       <View style={styles.unauthorizedContainer}>
@@ -170,7 +254,7 @@ const AddProductScreen = () => {
           <TouchableOpacity onPress={() => router.back()} style={styles.backButton}>
             <Ionicons name="arrow-back" size={24} color="#333" />
           </TouchableOpacity>
-          <Text style={styles.title}>Add New Product</Text>
+          <Text style={styles.title}>{isEditing ? 'Edit Product' : 'Add New Product'}</Text>
         </View>
 
         <View style={styles.form}>
@@ -217,6 +301,9 @@ const AddProductScreen = () => {
                 onChangeText={setQuantity} 
                 keyboardType="numeric" 
               />
+              {product?.reserved_quantity > 0 && (
+                <Text style={styles.helperText}>{product.reserved_quantity} kg reserved</Text>
+              )}
             </View>
           </View>
 
@@ -231,43 +318,73 @@ const AddProductScreen = () => {
           </View>
 
           <View style={styles.inputContainer}>
-            <Text style={styles.label}>Product Image</Text>
-            <TouchableOpacity style={styles.imagePickerButton} onPress={showImagePicker}>
-              <Ionicons name="camera-outline" size={24} color="#6200ee" />
-              <Text style={styles.imagePickerButtonText}>
-              {image ? 'Change Image' : 'Add Image (Optional)'}
-              </Text>
-            </TouchableOpacity>
-            {image && (
-              <View style={styles.imagePreviewContainer}>
-                <Image source={{ uri: image }} style={styles.imagePreview} />
-                <TouchableOpacity 
-                  style={styles.removeImageButton}
-                  onPress={() => {
-                    setImage(null);
-                    setImageFile(null);
-                  }}
-                >
-                  <Ionicons name="close-circle" size={24} color="#ff6b6b" />
-                </TouchableOpacity>
-              </View>
+            <Text style={styles.label}>Product Photos ({images.length}/{MAX_PRODUCT_IMAGES})</Text>
+            <Text style={styles.helperText}>The first photo is the cover buyers see first.</Text>
+            {images.length > 0 && (
+              <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.galleryRow}>
+                {images.map((photo, index) => (
+                  <View key={`${photo.uri}_${index}`} style={styles.galleryItem}>
+                    <Image source={{ uri: photo.uri }} style={styles.galleryImage} />
+                    {index === 0 && (
+                      <View style={styles.coverBadge}>
+                        <Text style={styles.coverBadgeText}>Cover</Text>
+                      </View>
+                    )}
+                    <TouchableOpacity 
+                      style={styles.removeImageButton}
+                      onPress={() => removeImage(index)}
+                    >
+                      <Ionicons name="close-circle" size={22} color="#ff6b6b" />
+                    </TouchableOpacity>
+                    <View style={styles.galleryControls}>
+                      <TouchableOpacity onPress={() => moveImage(index, index - 1)} disabled={index === 0}>
+                        <Ionicons name="chevron-back" size={18} color={index === 0 ? '#ccc' : '#333'} />
+                      </TouchableOpacity>
+                      <TouchableOpacity onPress={() => moveImage(index, 0)} disabled={index === 0}>
+                        <Ionicons name={index === 0 ? 'star' : 'star-outline'} size={18} color="#f39c12" />
+                      </TouchableOpacity>
+                      <TouchableOpacity onPress={() => moveImage(index, index + 1)} disabled={index === images.length - 1}>
+                        <Ionicons name="chevron-forward" size={18} color={index === images.length - 1 ? '#ccc' : '#333'} />
+                      </TouchableOpacity>
+                    </View>
+                  </View>
+                ))}
+              </ScrollView>
+            )}
+            {remainingSlots > 0 && (
+              <TouchableOpacity style={styles.imagePickerButton} onPress={showImagePicker}>
+                <Ionicons name="camera-outline" size={24} color="#6200ee" />
+                <Text style={styles.imagePickerButtonText}>
+                  {images.length > 0 ? 'Add More Photos' : 'Add Photos'}
+                </Text>
+              </TouchableOpacity>
             )}
           </View>
 
           <TouchableOpacity 
             style={[styles.addButton, loading && styles.addButtonDisabled]}
-            onPress={handleAddProduct}
+            onPress={() => handleAddProduct()}
             disabled={loading}
           >
             {loading ? (
               <ActivityIndicator size="small" color="#fff" />
             ) : (
               <>
-                <Ionicons name="add-circle-outline" size={20} color="#fff" />
-                <Text style={styles.addButtonText}>Add Product</Text>
+                <Ionicons name={isEditing ? 'save-outline' : 'add-circle-outline'} size={20} color="#fff" />
+                <Text style={styles.addButtonText}>{isEditing ? 'Save Changes' : 'Add Product'}</Text>
               </>
             )}
           </TouchableOpacity>
+
+          {!isEditing && (
+            <TouchableOpacity 
+              style={styles.draftButton}
+              onPress={() => handleAddProduct('draft')}
+              disabled={loading}
+            >
+              <Text style={styles.draftButtonText}>Save as Draft</Text>
+            </TouchableOpacity>
+          )}
         </View>
       </ScrollView>
     </KeyboardAvoidingView>
@@ -349,19 +466,51 @@ const styles = StyleSheet.create({
     fontWeight: '600',
     marginLeft: 8,
   },
-  imagePreviewContainer: {
-    position: 'relative',
-    marginTop: 10,
+  helperText: {
+    fontSize: 13,
+    color: '#666',
+    marginBottom: 10,
   },
-  imagePreview: {
-    width: '100%',
-    height: 200,
+  galleryRow: {
+    marginBottom: 10,
+  },
+  galleryItem: {
+    position: 'relative',
+    marginRight: 10,
+    backgroundColor: '#fff',
     borderRadius: 12,
+    overflow: 'hidden',
+    borderWidth: 1,
+    borderColor: '#e0e0e0',
+  },
+  galleryImage: {
+    width: 120,
+    height: 90,
+  },
+  coverBadge: {
+    position: 'absolute',
+    top: 6,
+    left: 6,
+    backgroundColor: '#6200ee',
+    borderRadius: 6,
+    paddingHorizontal: 6,
+    paddingVertical: 2,
+  },
+  coverBadgeText: {
+    color: '#fff',
+    fontSize: 11,
+    fontWeight: 'bold',
+  },
+  galleryControls: {
+    flexDirection: 'row',
+    justifyContent: 'space-around',
+    alignItems: 'center',
+    paddingVertical: 4,
   },
   removeImageButton: {
     position: 'absolute',
-    top: 10,
-    right: 10,
+    top: 4,
+    right: 4,
     backgroundColor: '#fff',
     borderRadius: 12,
   },
@@ -388,6 +537,19 @@ const styles = StyleSheet.create({
     fontWeight: 'bold',
     marginLeft: 8,
   },
+  draftButton: {
+    borderRadius: 12,
+    paddingVertical: 15,
+    alignItems: 'center',
+    marginTop: 10,
+    borderWidth: 1,
+    borderColor: '#6200ee',
+  },
+  draftButtonText: {
+    color: '#6200ee',
+    fontSize: 16,
+    fontWeight: '600',
+  },
   unauthorizedContainer: {
     flex: 1,
     justifyContent: 'center',
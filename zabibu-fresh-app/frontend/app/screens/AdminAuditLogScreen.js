@@ -0,0 +1,259 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert,
+  RefreshControl
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { router, useFocusEffect } from 'expo-router';
+import { useAuth } from '../contexts/AuthContext';
+import { getAuditLog } from '../services/supabase';
+import { queryKeys } from '../services/queries';
+import {
+  AUDIT_ACTION_LABELS,
+  AUDIT_ACTION_ICONS,
+  describeAuditTarget
+} from '../services/moderation';
+import usePaginatedQuery from '../hooks/usePaginatedQuery';
+
+/**
+ * Every action taken in the moderation console, newest first. Admins only.
+ */
+const AdminAuditLogScreen = () => {
+  const { isAdmin } = useAuth();
+  const [refreshing, setRefreshing] = useState(false);
+  const {
+    data: entries,
+    error,
+    isLoading: loading,
+    loadingMore,
+    revalidate,
+    refetch,
+    fetchMore
+  } = usePaginatedQuery(isAdmin ? queryKeys.admin('audit-log') : null, (cursor) => getAuditLog({ cursor }));
+
+  useEffect(() => {
+    if (error) {
+      Alert.alert('Error', 'Could not load the audit trail: ' + error.message);
+    }
+  }, [error]);
+
+  useFocusEffect(
+    useCallback(() => {
+      revalidate();
+    }, [revalidate])
+  );
+
+  const onRefresh = async () => {
+    setRefreshing(true);
+    await refetch();
+    setRefreshing(false);
+  };
+
+  const renderEntry = ({ item }) => (
+    <View style={styles.entry}>
+      <View style={styles.entryIcon}>
+        <Ionicons name={AUDIT_ACTION_ICONS[item.action] || 'ellipse-outline'} size={20} color="#6200ee" />
+      </View>
+      <View style={styles.entryContent}>
+        <Text style={styles.entryTitle}>
+          {AUDIT_ACTION_LABELS[item.action] || item.action}
+          <Text style={styles.entryTarget}> · {describeAuditTarget(item)}</Text>
+        </Text>
+        {!!item.details?.reason && (
+          <Text style={styles.entryReason}>Reason: {item.details.reason}</Text>
+        )}
+        <Text style={styles.entryMeta}>
+          {item.admin?.full_name || 'Former admin'} · {new Date(item.created_at).toLocaleString()}
+        </Text>
+      </View>
+    </View>
+  );
+
+  if (!isAdmin) {
+    return (
+      <View style={styles.unauthorizedContainer}>
+        <Ionicons name="warning-outline" size={60} color="#ff6b6b" />
+        <Text style={styles.unauthorizedTitle}>Access Restricted</Text>
+        <Text style={styles.unauthorizedText}>This page is for admins only.</Text>
+        <TouchableOpacity style={styles.goHomeButton} onPress={() => router.replace('/(app)/home')}>
+          <Text style={styles.goHomeButtonText}>Go Home</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => router.back()} style={styles.backButton}>
+          <Ionicons name="arrow-back" size={24} color="#333" />
+        </TouchableOpacity>
+        <Text style={styles.title}>Audit Trail</Text>
+      </View>
+
+      {loading ? (
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color="#6200ee" />
+        </View>
+      ) : (
+        <FlatList
+          data={entries}
+          renderItem={renderEntry}
+          keyExtractor={(item) => item.id}
+          contentContainerStyle={entries.length === 0 ? styles.emptyListContainer : null}
+          refreshControl={
+            <RefreshControl refreshing={refreshing} onRefresh={onRefresh} />
+          }
+          ListEmptyComponent={
+            <View style={styles.emptyContainer}>
+              <Ionicons name="document-text-outline" size={80} color="#ccc" />
+              <Text style={styles.emptyTitle}>No Admin Actions Yet</Text>
+              <Text style={styles.emptyText}>
+                Hidden listings, suspensions and closed reports will be recorded here.
+              </Text>
+            </View>
+          }
+          ListFooterComponent={
+            loadingMore ? <ActivityIndicator style={styles.listFooter} color="#6200ee" /> : null
+          }
+          onEndReached={fetchMore}
+          onEndReachedThreshold={0.5}
+          showsVerticalScrollIndicator={false}
+        />
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8f9fa',
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingTop: 50,
+    paddingHorizontal: 20,
+    paddingBottom: 20,
+    backgroundColor: '#fff',
+    borderBottomWidth: 1,
+    borderBottomColor: '#e0e0e0',
+  },
+  backButton: {
+    marginRight: 15,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  entry: {
+    flexDirection: 'row',
+    backgroundColor: '#fff',
+    paddingHorizontal: 20,
+    paddingVertical: 15,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+  entryIcon: {
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    backgroundColor: '#f3ebff',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 12,
+  },
+  entryContent: {
+    flex: 1,
+  },
+  entryTitle: {
+    fontSize: 15,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  entryTarget: {
+    fontWeight: 'normal',
+    color: '#333',
+  },
+  entryReason: {
+    fontSize: 14,
+    color: '#666',
+    marginTop: 2,
+  },
+  entryMeta: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 4,
+  },
+  emptyListContainer: {
+    flexGrow: 1,
+  },
+  emptyContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    paddingHorizontal: 40,
+  },
+  emptyTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#333',
+    marginTop: 20,
+    marginBottom: 10,
+  },
+  emptyText: {
+    fontSize: 16,
+    color: '#666',
+    textAlign: 'center',
+    lineHeight: 22,
+  },
+  listFooter: {
+    paddingVertical: 20,
+  },
+  unauthorizedContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 20,
+    backgroundColor: '#f8f9fa',
+  },
+  unauthorizedTitle: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#333',
+    marginTop: 20,
+    marginBottom: 10,
+  },
+  unauthorizedText: {
+    fontSize: 16,
+    color: '#666',
+    textAlign: 'center',
+    marginBottom: 30,
+  },
+  goHomeButton: {
+    backgroundColor: '#6200ee',
+    paddingHorizontal: 30,
+    paddingVertical: 12,
+    borderRadius: 8,
+  },
+  goHomeButtonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+});
+
+export default AdminAuditLogScreen;
@@ -0,0 +1,625 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert,
+  RefreshControl
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { router, useFocusEffect } from 'expo-router';
+import { useAuth } from '../contexts/AuthContext';
+import {
+  getReports,
+  getHiddenProducts,
+  getSuspendedUsers,
+  getPlatformStats,
+  setProductHidden,
+  setUserSuspended,
+  closeReport
+} from '../services/supabase';
+import { queryKeys, invalidateQueries } from '../services/queries';
+import { getReportReasonLabel } from '../services/moderation';
+import usePaginatedQuery from '../hooks/usePaginatedQuery';
+import Avatar from '../components/Avatar';
+
+// How many days the messages chart covers
+const STATS_DAYS = 14;
+
+// key -> list shown under that tab, and how to fetch one page of it
+const TABS = [
+  { key: 'reported-listings', label: 'Listings', fetchPage: (cursor) => getReports('product', { cursor }) },
+  { key: 'reported-users', label: 'Users', fetchPage: (cursor) => getReports('user', { cursor }) },
+  { key: 'hidden-listings', label: 'Hidden', fetchPage: (cursor) => getHiddenProducts({ cursor }) },
+  { key: 'suspended-users', label: 'Suspended', fetchPage: (cursor) => getSuspendedUsers({ cursor }) },
+];
+
+const EMPTY_MESSAGES = {
+  'reported-listings': 'No reported listings. Nice and quiet.',
+  'reported-users': 'No reported users. Nice and quiet.',
+  'hidden-listings': 'No listings are hidden.',
+  'suspended-users': 'No accounts are suspended.',
+};
+
+const formatDate = (timestamp) => new Date(timestamp).toLocaleDateString();
+
+/**
+ * Moderation console for admins: platform counts, reported listings and users,
+ * and what has been hidden or suspended.
+ */
+const AdminScreen = () => {
+  const { isAdmin } = useAuth();
+  const [tab, setTab] = useState(TABS[0]);
+  const [stats, setStats] = useState(null);
+  const [refreshing, setRefreshing] = useState(false);
+  // Id of the row whose action is running
+  const [busyId, setBusyId] = useState(null);
+
+  const {
+    data: items,
+    error,
+    isLoading: loading,
+    loadingMore,
+    revalidate,
+    refetch,
+    fetchMore
+  } = usePaginatedQuery(isAdmin ? queryKeys.admin(tab.key) : null, tab.fetchPage);
+
+  const fetchStats = async () => {
+    const { data, error: statsError } = await getPlatformStats(STATS_DAYS);
+    if (statsError) {
+      console.error("Error fetching platform stats:", statsError);
+      return;
+    }
+    setStats(data);
+  };
+
+  useEffect(() => {
+    if (error) {
+      Alert.alert('Error', 'Could not load this list: ' + error.message);
+    }
+  }, [error]);
+
+  useFocusEffect(
+    useCallback(() => {
+      if (!isAdmin) return;
+      revalidate();
+      fetchStats();
+    }, [isAdmin, revalidate])
+  );
+
+  const onRefresh = async () => {
+    setRefreshing(true);
+    await Promise.all([refetch(), fetchStats()]);
+    setRefreshing(false);
+  };
+
+  const runAction = async (id, action) => {
+    setBusyId(id);
+    const { error: actionError } = await action();
+    setBusyId(null);
+
+    if (actionError) {
+      Alert.alert('Error', actionError.message);
+      return;
+    }
+    invalidateQueries('admin:');
+    invalidateQueries('products:');
+    fetchStats();
+  };
+
+  const confirmAction = (title, message, label, id, action) => {
+    Alert.alert(title, message, [
+      { text: 'Cancel', style: 'cancel' },
+      { text: label, style: 'destructive', onPress: () => runAction(id, action) }
+    ]);
+  };
+
+  const handleHideListing = (report) => {
+    const reason = getReportReasonLabel(report.reason);
+    confirmAction(
+      'Hide Listing',
+      `Hide "${report.product.title}" from buyers for "${reason}"? The seller will be notified and all reports about it are closed.`,
+      'Hide',
+      report.id,
+      () => setProductHidden(report.product.id, true, reason)
+    );
+  };
+
+  const handleSuspendUser = (report) => {
+    const reason = getReportReasonLabel(report.reason);
+    confirmAction(
+      'Suspend Account',
+      `Suspend ${report.reported_user.full_name || 'this user'} for "${reason}"? They will not be able to list, message or order until reinstated.`,
+      'Suspend',
+      report.id,
+      () => setUserSuspended(report.reported_user.id, true, reason)
+    );
+  };
+
+  const handleDismiss = (report) => {
+    runAction(report.id, () => closeReport(report.id, 'dismissed'));
+  };
+
+  const handleRestoreListing = (product) => {
+    runAction(product.id, () => setProductHidden(product.id, false));
+  };
+
+  const handleReinstateUser = (user) => {
+    runAction(user.id, () => setUserSuspended(user.id, false));
+  };
+
+  const openProduct = (productId) => {
+    router.push({
+      pathname: '/(app)/product/[productId]',
+      params: { productId }
+    });
+  };
+
+  const ActionButton = ({ label, onPress, destructive = false }) => (
+    <TouchableOpacity
+      style={[styles.actionButton, destructive && styles.actionButtonDestructive]}
+      onPress={onPress}
+    >
+      <Text style={[styles.actionButtonText, destructive && styles.actionButtonTextDestructive]}>
+        {label}
+      </Text>
+    </TouchableOpacity>
+  );
+
+  const renderActions = (id, buttons) => (
+    <View style={styles.actionsRow}>
+      {busyId === id ? <ActivityIndicator color="#6200ee" /> : buttons}
+    </View>
+  );
+
+  const renderReport = (report) => {
+    const isListing = !!report.product;
+    return (
+      <View style={styles.card}>
+        <TouchableOpacity
+          disabled={!isListing}
+          onPress={() => openProduct(report.product.id)}
+          style={styles.cardHeader}
+        >
+          {isListing ? (
+            <Ionicons name="pricetag-outline" size={22} color="#6200ee" />
+          ) : (
+            <Avatar uri={report.reported_user?.avatar_url} name={report.reported_user?.full_name} size={36} />
+          )}
+          <View style={styles.cardHeaderText}>
+            <Text style={styles.cardTitle} numberOfLines={1}>
+              {isListing ? report.product.title : report.reported_user?.full_name || 'User'}
+            </Text>
+            {!isListing && !!report.reported_user?.phone && (
+              <Text style={styles.cardMeta}>{report.reported_user.phone}</Text>
+            )}
+          </View>
+          {isListing && <Ionicons name="chevron-forward" size={18} color="#999" />}
+        </TouchableOpacity>
+
+        <View style={styles.reasonBadge}>
+          <Text style={styles.reasonBadgeText}>{getReportReasonLabel(report.reason)}</Text>
+        </View>
+        {!!report.details && <Text style={styles.cardBody}>{report.details}</Text>}
+        <Text style={styles.cardMeta}>
+          Reported by {report.reporter?.full_name || 'a user'} on {formatDate(report.created_at)}
+        </Text>
+
+        {renderActions(report.id, (
+          <>
+            <ActionButton label="Dismiss" onPress={() => handleDismiss(report)} />
+            {isListing ? (
+              <ActionButton label="Hide Listing" destructive onPress={() => handleHideListing(report)} />
+            ) : (
+              <ActionButton label="Suspend" destructive onPress={() => handleSuspendUser(report)} />
+            )}
+          </>
+        ))}
+      </View>
+    );
+  };
+
+  const renderHiddenListing = (product) => (
+    <View style={styles.card}>
+      <TouchableOpacity onPress={() => openProduct(product.id)} style={styles.cardHeader}>
+        <Ionicons name="eye-off-outline" size={22} color="#c0392b" />
+        <View style={styles.cardHeaderText}>
+          <Text style={styles.cardTitle} numberOfLines={1}>{product.title}</Text>
+          <Text style={styles.cardMeta}>by {product.profiles?.full_name || 'Seller'}</Text>
+        </View>
+        <Ionicons name="chevron-forward" size={18} color="#999" />
+      </TouchableOpacity>
+      <Text style={styles.cardMeta}>
+        Hidden on {formatDate(product.hidden_at)}{product.hidden_reason ? ` for "${product.hidden_reason}"` : ''}
+      </Text>
+      {renderActions(product.id, (
+        <ActionButton label="Restore" onPress={() => handleRestoreListing(product)} />
+      ))}
+    </View>
+  );
+
+  const renderSuspendedUser = (user) => (
+    <View style={styles.card}>
+      <View style={styles.cardHeader}>
+        <Avatar uri={user.avatar_url} name={user.full_name} size={36} />
+        <View style={styles.cardHeaderText}>
+          <Text style={styles.cardTitle} numberOfLines={1}>{user.full_name || 'User'}</Text>
+          {!!user.phone && <Text style={styles.cardMeta}>{user.phone}</Text>}
+        </View>
+      </View>
+      <Text style={styles.cardMeta}>
+        Suspended on {formatDate(user.suspended_at)}{user.suspension_reason ? ` for "${user.suspension_reason}"` : ''}
+      </Text>
+      {renderActions(user.id, (
+        <ActionButton label="Reinstate" onPress={() => handleReinstateUser(user)} />
+      ))}
+    </View>
+  );
+
+  const renderItem = ({ item }) => {
+    if (tab.key === 'hidden-listings') return renderHiddenListing(item);
+    if (tab.key === 'suspended-users') return renderSuspendedUser(item);
+    return renderReport(item);
+  };
+
+  const StatCard = ({ icon, value, label, color = '#6200ee' }) => (
+    <View style={styles.statCard}>
+      <Ionicons name={icon} size={22} color={color} />
+      <Text style={styles.statValue}>{value ?? '–'}</Text>
+      <Text style={styles.statLabel}>{label}</Text>
+    </View>
+  );
+
+  const MessagesChart = () => {
+    const days = stats?.messages_per_day || [];
+    const max = Math.max(1, ...days.map((day) => day.count));
+    const total = days.reduce((sum, day) => sum + day.count, 0);
+
+    return (
+      <View style={styles.chartCard}>
+        <View style={styles.chartHeader}>
+          <Text style={styles.chartTitle}>Messages per Day</Text>
+          <Text style={styles.chartTotal}>{total.toLocaleString()} in {STATS_DAYS} days</Text>
+        </View>
+        <View style={styles.chartBars}>
+          {days.map((day) => (
+            <View key={day.day} style={styles.chartColumn}>
+              <Text style={styles.chartCount}>{day.count > 0 ? day.count : ''}</Text>
+              <View style={[styles.chartBar, { height: Math.max(2, (day.count / max) * 80) }]} />
+              <Text style={styles.chartDay}>{Number(day.day.slice(8))}</Text>
+            </View>
+          ))}
+        </View>
+      </View>
+    );
+  };
+
+  const ListHeader = () => (
+    <View>
+      <View style={styles.statsGrid}>
+        <StatCard icon="people-outline" value={stats?.users} label="Users" />
+        <StatCard icon="pricetags-outline" value={stats?.active_listings} label="Active Listings" color="#27ae60" />
+        <StatCard icon="flag-outline" value={stats?.open_reports} label="Open Reports" color="#f39c12" />
+        <StatCard icon="eye-off-outline" value={stats?.hidden_listings} label="Hidden Listings" color="#c0392b" />
+        <StatCard icon="ban-outline" value={stats?.suspended_users} label="Suspended" color="#c0392b" />
+      </View>
+      {stats && <MessagesChart />}
+
+      <View style={styles.tabs}>
+        {TABS.map((option) => {
+          const active = tab.key === option.key;
+          return (
+            <TouchableOpacity
+              key={option.key}
+              style={[styles.tab, active && styles.tabActive]}
+              onPress={() => setTab(option)}
+            >
+              <Text style={[styles.tabText, active && styles.tabTextActive]}>{option.label}</Text>
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+    </View>
+  );
+
+  if (!isAdmin) {
+    return (
+      <View style={styles.unauthorizedContainer}>
+        <Ionicons name="warning-outline" size={60} color="#ff6b6b" />
+        <Text style={styles.unauthorizedTitle}>Access Restricted</Text>
+        <Text style={styles.unauthorizedText}>This page is for admins only.</Text>
+        <TouchableOpacity style={styles.goHomeButton} onPress={() => router.replace('/(app)/home')}>
+          <Text style={styles.goHomeButtonText}>Go Home</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => router.back()} style={styles.backButton}>
+          <Ionicons name="arrow-back" size={24} color="#333" />
+        </TouchableOpacity>
+        <Text style={styles.title}>Moderation</Text>
+        <TouchableOpacity onPress={() => router.push('/(app)/admin-audit-log')}>
+          <Ionicons name="document-text-outline" size={24} color="#333" />
+        </TouchableOpacity>
+      </View>
+
+      <FlatList
+        data={items}
+        renderItem={renderItem}
+        keyExtractor={(item) => item.id}
+        ListHeaderComponent={ListHeader}
+        contentContainerStyle={styles.listContent}
+        refreshControl={
+          <RefreshControl refreshing={refreshing} onRefresh={onRefresh} />
+        }
+        ListEmptyComponent={
+          loading ? (
+            <ActivityIndicator style={styles.listFooter} color="#6200ee" />
+          ) : (
+            <Text style={styles.emptyText}>{EMPTY_MESSAGES[tab.key]}</Text>
+          )
+        }
+        ListFooterComponent={
+          loadingMore ? <ActivityIndicator style={styles.listFooter} color="#6200ee" /> : null
+        }
+        onEndReached={fetchMore}
+        onEndReachedThreshold={0.5}
+        showsVerticalScrollIndicator={false}
+      />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8f9fa',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingTop: 50,
+    paddingHorizontal: 20,
+    paddingBottom: 20,
+    backgroundColor: '#fff',
+    borderBottomWidth: 1,
+    borderBottomColor: '#e0e0e0',
+  },
+  backButton: {
+    marginRight: 15,
+  },
+  title: {
+    flex: 1,
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  listContent: {
+    padding: 15,
+  },
+  statsGrid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'space-between',
+  },
+  statCard: {
+    width: '31%',
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    paddingVertical: 12,
+    alignItems: 'center',
+    marginBottom: 10,
+    shadowColor: "#000",
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 2,
+  },
+  statValue: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#333',
+    marginTop: 4,
+  },
+  statLabel: {
+    fontSize: 12,
+    color: '#666',
+    textAlign: 'center',
+  },
+  chartCard: {
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 15,
+    marginBottom: 15,
+    shadowColor: "#000",
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 2,
+  },
+  chartHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  chartTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  chartTotal: {
+    fontSize: 13,
+    color: '#666',
+  },
+  chartBars: {
+    flexDirection: 'row',
+    alignItems: 'flex-end',
+  },
+  chartColumn: {
+    flex: 1,
+    alignItems: 'center',
+  },
+  chartCount: {
+    fontSize: 9,
+    color: '#666',
+    marginBottom: 2,
+  },
+  chartBar: {
+    width: '60%',
+    borderRadius: 3,
+    backgroundColor: '#6200ee',
+  },
+  chartDay: {
+    fontSize: 10,
+    color: '#999',
+    marginTop: 4,
+  },
+  tabs: {
+    flexDirection: 'row',
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 4,
+    marginBottom: 15,
+  },
+  tab: {
+    flex: 1,
+    paddingVertical: 8,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  tabActive: {
+    backgroundColor: '#6200ee',
+  },
+  tabText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#666',
+  },
+  tabTextActive: {
+    color: '#fff',
+  },
+  card: {
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 15,
+    marginBottom: 12,
+    shadowColor: "#000",
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 2,
+  },
+  cardHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  cardHeaderText: {
+    flex: 1,
+    marginLeft: 10,
+  },
+  cardTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  cardBody: {
+    fontSize: 14,
+    color: '#333',
+    lineHeight: 20,
+    marginBottom: 8,
+  },
+  cardMeta: {
+    fontSize: 13,
+    color: '#666',
+  },
+  reasonBadge: {
+    alignSelf: 'flex-start',
+    backgroundColor: '#fdecea',
+    borderRadius: 12,
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    marginBottom: 8,
+  },
+  reasonBadgeText: {
+    fontSize: 12,
+    fontWeight: 'bold',
+    color: '#c0392b',
+  },
+  actionsRow: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: 12,
+  },
+  actionButton: {
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#6200ee',
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    marginLeft: 10,
+  },
+  actionButtonDestructive: {
+    borderColor: '#c0392b',
+    backgroundColor: '#c0392b',
+  },
+  actionButtonText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#6200ee',
+  },
+  actionButtonTextDestructive: {
+    color: '#fff',
+  },
+  emptyText: {
+    fontSize: 15,
+    color: '#666',
+    textAlign: 'center',
+    marginTop: 20,
+  },
+  listFooter: {
+    paddingVertical: 20,
+  },
+  unauthorizedContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 20,
+    backgroundColor: '#f8f9fa',
+  },
+  unauthorizedTitle: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#333',
+    marginTop: 20,
+    marginBottom: 10,
+  },
+  unauthorizedText: {
+    fontSize: 16,
+    color: '#666',
+    textAlign: 'center',
+    marginBottom: 30,
+  },
+  goHomeButton: {
+    backgroundColor: '#6200ee',
+    paddingHorizontal: 30,
+    paddingVertical: 12,
+    borderRadius: 8,
+  },
+  goHomeButtonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+});
+
+export default AdminScreen;
@@ -0,0 +1,245 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  Alert,
+  StyleSheet,
+  ActivityIndicator,
+  KeyboardAvoidingView,
+  Platform,
+  ScrollView
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useAuth } from '../contexts/AuthContext';
+
+const ROLES = [
+  { value: 'buyer', label: 'Buyer', icon: 'storefront-outline' },
+  { value: 'seller', label: 'Seller', icon: 'leaf-outline' },
+];
+
+/**
+ * Shown for a session without a profile row, when the signup trigger failed.
+ * Starts from what was entered at signup; the root layout moves on to the app
+ * once the profile exists.
+ */
+const CompleteProfileScreen = () => {
+  const { user, completeProfile, signOut } = useAuth();
+  const [fullName, setFullName] = useState(user?.user_metadata?.full_name || '');
+  const [role, setRole] = useState(user?.user_metadata?.role === 'seller' ? 'seller' : 'buyer');
+  const [saving, setSaving] = useState(false);
+
+  const handleSave = async () => {
+    if (!fullName.trim()) {
+      Alert.alert('Error', 'Please enter your name.');
+      return;
+    }
+
+    setSaving(true);
+    const { error } = await completeProfile({ fullName: fullName.trim(), role });
+    setSaving(false);
+
+    if (error) {
+      Alert.alert('Could Not Save Profile', 'Please check your connection and try again, or contact support.');
+    }
+  };
+
+  return (
+    <KeyboardAvoidingView
+      style={styles.container}
+      behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+    >
+      <ScrollView contentContainerStyle={styles.scrollContainer}>
+        <View style={styles.header}>
+          <View style={styles.logoContainer}>
+            <Ionicons name="person-add-outline" size={50} color="#6200ee" />
+          </View>
+          <Text style={styles.title}>Complete Your Profile</Text>
+          <Text style={styles.description}>
+            Your account is ready, but we couldn't finish setting up your profile. Check your details to continue.
+          </Text>
+        </View>
+
+        <View style={styles.form}>
+          <View style={styles.inputContainer}>
+            <Ionicons name="person-outline" size={20} color="#666" style={styles.inputIcon} />
+            <TextInput
+              style={styles.input}
+              placeholder="Full Name"
+              value={fullName}
+              onChangeText={setFullName}
+              autoCapitalize="words"
+            />
+          </View>
+
+          <Text style={styles.roleLabel}>I am a:</Text>
+          <View style={styles.roleButtons}>
+            {ROLES.map((option) => {
+              const active = role === option.value;
+              return (
+                <TouchableOpacity
+                  key={option.value}
+                  style={[styles.roleButton, active && styles.roleButtonActive]}
+                  onPress={() => setRole(option.value)}
+                >
+                  <Ionicons name={option.icon} size={24} color={active ? '#fff' : '#6200ee'} />
+                  <Text style={[styles.roleButtonText, active && styles.roleButtonTextActive]}>
+                    {option.label}
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+
+          <TouchableOpacity
+            style={[styles.saveButton, saving && styles.saveButtonDisabled]}
+            onPress={handleSave}
+            disabled={saving}
+          >
+            {saving ? (
+              <ActivityIndicator size="small" color="#fff" />
+            ) : (
+              <Text style={styles.saveButtonText}>Continue</Text>
+            )}
+          </TouchableOpacity>
+
+          <TouchableOpacity onPress={signOut} disabled={saving}>
+            <Text style={styles.linkText}>Log out</Text>
+          </TouchableOpacity>
+        </View>
+      </ScrollView>
+    </KeyboardAvoidingView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8f9fa',
+  },
+  scrollContainer: {
+    flexGrow: 1,
+    justifyContent: 'center',
+    padding: 20,
+  },
+  header: {
+    alignItems: 'center',
+    marginBottom: 30,
+  },
+  logoContainer: {
+    width: 100,
+    height: 100,
+    borderRadius: 50,
+    backgroundColor: '#fff',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginBottom: 20,
+    shadowColor: "#000",
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 5,
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 8,
+  },
+  description: {
+    fontSize: 14,
+    color: '#666',
+    textAlign: 'center',
+    lineHeight: 20,
+  },
+  form: {
+    marginBottom: 20,
+  },
+  inputContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    marginBottom: 20,
+    paddingHorizontal: 15,
+    shadowColor: "#000",
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 2,
+  },
+  inputIcon: {
+    marginRight: 10,
+  },
+  input: {
+    flex: 1,
+    height: 50,
+    fontSize: 16,
+    color: '#333',
+  },
+  roleLabel: {
+    fontSize: 16,
+    color: '#333',
+    marginBottom: 10,
+    fontWeight: '600',
+  },
+  roleButtons: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 20,
+  },
+  roleButton: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    paddingVertical: 15,
+    marginHorizontal: 5,
+    borderWidth: 2,
+    borderColor: '#6200ee',
+  },
+  roleButtonActive: {
+    backgroundColor: '#6200ee',
+  },
+  roleButtonText: {
+    marginLeft: 8,
+    fontSize: 16,
+    color: '#6200ee',
+    fontWeight: '600',
+  },
+  roleButtonTextActive: {
+    color: '#fff',
+  },
+  saveButton: {
+    backgroundColor: '#6200ee',
+    borderRadius: 12,
+    height: 50,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginTop: 10,
+    shadowColor: "#6200ee",
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.3,
+    shadowRadius: 4,
+    elevation: 5,
+  },
+  saveButtonDisabled: {
+    backgroundColor: '#ccc',
+  },
+  saveButtonText: {
+    color: '#fff',
+    fontSize: 18,
+    fontWeight: 'bold',
+  },
+  linkText: {
+    color: '#6200ee',
+    textAlign: 'center',
+    fontSize: 16,
+    marginTop: 20,
+  },
+});
+
+export default CompleteProfileScreen;
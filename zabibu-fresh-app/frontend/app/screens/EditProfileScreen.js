@@ -0,0 +1,353 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  Alert,
+  StyleSheet,
+  ActivityIndicator,
+  ScrollView,
+  KeyboardAvoidingView,
+  Platform
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { router } from 'expo-router';
+import * as ImagePicker from 'expo-image-picker';
+import { useAuth } from '../contexts/AuthContext';
+import { updateUserProfile } from '../services/supabase';
+import { uploadAvatar, deleteAvatar } from '../services/storage';
+import { PREFERRED_CONTACT_OPTIONS, BIO_MAX_LENGTH } from '../services/profiles';
+import Avatar from '../components/Avatar';
+
+const EditProfileScreen = () => {
+  const { profile, refreshProfile } = useAuth();
+  const [fullName, setFullName] = useState(profile?.fullName || '');
+  const [homeLocation, setHomeLocation] = useState(profile?.homeLocation || '');
+  const [bio, setBio] = useState(profile?.bio || '');
+  const [preferredContact, setPreferredContact] = useState(profile?.preferredContact || 'chat');
+  // What the avatar shows: the saved URL, a newly picked local photo, or null
+  const [avatarUri, setAvatarUri] = useState(profile?.avatarUrl || null);
+  const [saving, setSaving] = useState(false);
+
+  const avatarChanged = avatarUri !== (profile?.avatarUrl || null);
+
+  const pickAvatar = async (fromCamera) => {
+    const permission = fromCamera
+      ? await ImagePicker.requestCameraPermissionsAsync()
+      : await ImagePicker.requestMediaLibraryPermissionsAsync();
+    if (permission.status !== 'granted') {
+      Alert.alert(
+        'Permission Denied',
+        `Sorry, we need ${fromCamera ? 'camera' : 'camera roll'} permissions to make this work!`
+      );
+      return;
+    }
+
+    const options = {
+      mediaTypes: ImagePicker.MediaTypeOptions.Images,
+      allowsEditing: true,
+      aspect: [1, 1],
+      quality: 0.6,
+    };
+    const result = fromCamera
+      ? await ImagePicker.launchCameraAsync(options)
+      : await ImagePicker.launchImageLibraryAsync(options);
+
+    if (!result.canceled && result.assets && result.assets.length > 0) {
+      setAvatarUri(result.assets[0].uri);
+    }
+  };
+
+  const showAvatarOptions = () => {
+    const buttons = [
+      { text: 'Camera', onPress: () => pickAvatar(true) },
+      { text: 'Gallery', onPress: () => pickAvatar(false) },
+    ];
+    if (avatarUri) {
+      buttons.push({ text: 'Remove Photo', style: 'destructive', onPress: () => setAvatarUri(null) });
+    }
+    buttons.push({ text: 'Cancel', style: 'cancel' });
+
+    Alert.alert('Profile Photo', 'Choose how you want to add a photo', buttons);
+  };
+
+  const handleSave = async () => {
+    if (!fullName.trim()) {
+      Alert.alert('Error', 'Please enter your name.');
+      return;
+    }
+
+    setSaving(true);
+
+    let avatarUrl = avatarUri;
+    if (avatarChanged && avatarUri) {
+      const upload = await uploadAvatar(profile.id, avatarUri);
+      if (!upload.success) {
+        setSaving(false);
+        Alert.alert('Error', 'Could not upload your photo: ' + upload.error);
+        return;
+      }
+      avatarUrl = upload.data.publicUrl;
+    }
+
+    const { error } = await updateUserProfile(profile.id, {
+      fullName: fullName.trim(),
+      avatarUrl,
+      homeLocation: homeLocation.trim() || null,
+      bio: bio.trim() || null,
+      preferredContact,
+    });
+
+    if (error) {
+      // The new photo belongs to nothing now
+      if (avatarChanged && avatarUrl) {
+        deleteAvatar(avatarUrl);
+      }
+      setSaving(false);
+      Alert.alert('Error', 'Could not save your profile: ' + error.message);
+      return;
+    }
+
+    // The old photo was replaced or removed
+    if (avatarChanged && profile.avatarUrl) {
+      deleteAvatar(profile.avatarUrl);
+    }
+
+    await refreshProfile();
+    setSaving(false);
+    Alert.alert('Profile Saved', 'Your profile has been updated.');
+    router.back();
+  };
+
+  return (
+    <KeyboardAvoidingView
+      style={styles.container}
+      behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+    >
+      <ScrollView contentContainerStyle={styles.scrollContainer}>
+        <View style={styles.header}>
+          <TouchableOpacity onPress={() => router.back()} style={styles.backButton}>
+            <Ionicons name="arrow-back" size={24} color="#333" />
+          </TouchableOpacity>
+          <Text style={styles.title}>Edit Profile</Text>
+        </View>
+
+        <View style={styles.form}>
+          <TouchableOpacity style={styles.avatarSection} onPress={showAvatarOptions}>
+            <View>
+              <Avatar uri={avatarUri} name={fullName} size={100} />
+              <View style={styles.cameraBadge}>
+                <Ionicons name="camera" size={16} color="#fff" />
+              </View>
+            </View>
+            <Text style={styles.changePhotoText}>
+              {avatarUri ? 'Change Photo' : 'Add Photo'}
+            </Text>
+          </TouchableOpacity>
+
+          <View style={styles.inputContainer}>
+            <Text style={styles.label}>Full Name</Text>
+            <TextInput
+              style={styles.input}
+              placeholder="Your name"
+              value={fullName}
+              onChangeText={setFullName}
+            />
+          </View>
+
+          <View style={styles.inputContainer}>
+            <Text style={styles.label}>Home Location</Text>
+            <TextInput
+              style={styles.input}
+              placeholder="e.g., Dodoma, Chamwino"
+              value={homeLocation}
+              onChangeText={setHomeLocation}
+            />
+          </View>
+
+          <View style={styles.inputContainer}>
+            <Text style={styles.label}>Bio</Text>
+            <TextInput
+              style={[styles.input, styles.textArea]}
+              placeholder="Tell buyers and sellers about yourself"
+              value={bio}
+              onChangeText={setBio}
+              multiline
+              numberOfLines={4}
+              maxLength={BIO_MAX_LENGTH}
+            />
+            <Text style={styles.helperText}>{bio.length}/{BIO_MAX_LENGTH}</Text>
+          </View>
+
+          <View style={styles.inputContainer}>
+            <Text style={styles.label}>Preferred Contact</Text>
+            {PREFERRED_CONTACT_OPTIONS.map((option) => {
+              const selected = preferredContact === option.value;
+              return (
+                <TouchableOpacity
+                  key={option.value}
+                  style={[styles.contactOption, selected && styles.contactOptionSelected]}
+                  onPress={() => setPreferredContact(option.value)}
+                >
+                  <Ionicons name={option.icon} size={20} color={selected ? '#6200ee' : '#666'} />
+                  <Text style={[styles.contactOptionText, selected && styles.contactOptionTextSelected]}>
+                    {option.label}
+                  </Text>
+                  {selected && <Ionicons name="checkmark-circle" size={20} color="#6200ee" />}
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+
+          <TouchableOpacity
+            style={[styles.saveButton, saving && styles.saveButtonDisabled]}
+            onPress={handleSave}
+            disabled={saving}
+          >
+            {saving ? (
+              <ActivityIndicator size="small" color="#fff" />
+            ) : (
+              <>
+                <Ionicons name="save-outline" size={20} color="#fff" />
+                <Text style={styles.saveButtonText}>Save Changes</Text>
+              </>
+            )}
+          </TouchableOpacity>
+        </View>
+      </ScrollView>
+    </KeyboardAvoidingView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8f9fa',
+  },
+  scrollContainer: {
+    flexGrow: 1,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingTop: 50,
+    paddingHorizontal: 20,
+    paddingBottom: 20,
+    backgroundColor: '#fff',
+    borderBottomWidth: 1,
+    borderBottomColor: '#e0e0e0',
+  },
+  backButton: {
+    marginRight: 15,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  form: {
+    padding: 20,
+  },
+  avatarSection: {
+    alignItems: 'center',
+    marginBottom: 25,
+  },
+  cameraBadge: {
+    position: 'absolute',
+    right: 0,
+    bottom: 0,
+    width: 30,
+    height: 30,
+    borderRadius: 15,
+    backgroundColor: '#6200ee',
+    borderWidth: 2,
+    borderColor: '#fff',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  changePhotoText: {
+    color: '#6200ee',
+    fontSize: 16,
+    fontWeight: '600',
+    marginTop: 10,
+  },
+  inputContainer: {
+    marginBottom: 20,
+  },
+  label: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 8,
+  },
+  input: {
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    paddingHorizontal: 15,
+    paddingVertical: 12,
+    fontSize: 16,
+    borderWidth: 1,
+    borderColor: '#e0e0e0',
+  },
+  textArea: {
+    height: 100,
+    textAlignVertical: 'top',
+  },
+  helperText: {
+    fontSize: 13,
+    color: '#666',
+    textAlign: 'right',
+    marginTop: 4,
+  },
+  contactOption: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    paddingHorizontal: 15,
+    paddingVertical: 12,
+    marginBottom: 8,
+    borderWidth: 1,
+    borderColor: '#e0e0e0',
+  },
+  contactOptionSelected: {
+    borderColor: '#6200ee',
+    backgroundColor: '#f3ebff',
+  },
+  contactOptionText: {
+    flex: 1,
+    fontSize: 16,
+    color: '#333',
+    marginLeft: 10,
+  },
+  contactOptionTextSelected: {
+    color: '#6200ee',
+    fontWeight: '600',
+  },
+  saveButton: {
+    backgroundColor: '#6200ee',
+    borderRadius: 12,
+    paddingVertical: 15,
+    flexDirection: 'row',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginTop: 10,
+    shadowColor: "#6200ee",
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.3,
+    shadowRadius: 4,
+    elevation: 5,
+  },
+  saveButtonDisabled: {
+    backgroundColor: '#ccc',
+  },
+  saveButtonText: {
+    color: '#fff',
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginLeft: 8,
+  },
+});
+
+export default EditProfileScreen;
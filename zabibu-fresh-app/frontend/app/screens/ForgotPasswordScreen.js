@@ -1,13 +1,31 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { View, Text, TextInput, Button, Alert, StyleSheet, ActivityIndicator, TouchableOpacity } from 'react-native';
-import { supabase } from '../services/supabase';
+import { supabase, requestPasswordReset, resetPasswordWithCode } from '../services/supabase';
 import { Link, router } from 'expo-router';
 
+const CODE_LENGTH = 6;
+// How long to wait before another code can be requested
+const RESEND_DELAY_SECONDS = 60;
+
 const ForgotPasswordScreen = () => {
+  // Accounts sign up with a phone number, so that is the default
+  const [method, setMethod] = useState('phone');
   const [email, setEmail] = useState('');
+  const [phone, setPhone] = useState('');
+  const [code, setCode] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [codeSent, setCodeSent] = useState(false);
+  const [resendIn, setResendIn] = useState(0);
   const [loading, setLoading] = useState(false);
   const [message, setMessage] = useState('');
 
+  useEffect(() => {
+    if (resendIn <= 0) return;
+    const timer = setTimeout(() => setResendIn((seconds) => seconds - 1), 1000);
+    return () => clearTimeout(timer);
+  }, [resendIn]);
+
   const handlePasswordReset = async () => {
     if (!email) {
       Alert.alert('Error', 'Please enter your email address.');
@@ -36,26 +54,166 @@ const ForgotPasswordScreen = () => {
     setLoading(false);
   };
 
+  const handleSendCode = async () => {
+    if (!/^\+?[0-9\s-()]{7,15}$/.test(phone.trim())) {
+      Alert.alert('Error', 'Please enter a valid phone number (e.g., +255xxxxxxxxx).');
+      return;
+    }
+    setLoading(true);
+
+    const { error } = await requestPasswordReset(phone.trim());
+
+    if (error) {
+      Alert.alert('Could Not Send Code', error.message);
+    } else {
+      setCodeSent(true);
+      setCode('');
+      setResendIn(RESEND_DELAY_SECONDS);
+    }
+    setLoading(false);
+  };
+
+  const handleResetWithCode = async () => {
+    if (code.trim().length !== CODE_LENGTH) {
+      Alert.alert('Error', `Please enter the ${CODE_LENGTH}-digit code.`);
+      return;
+    }
+    if (newPassword.length < 6) {
+      Alert.alert('Error', 'Password must be at least 6 characters long.');
+      return;
+    }
+    if (newPassword !== confirmPassword) {
+      Alert.alert('Error', 'Passwords do not match.');
+      return;
+    }
+    setLoading(true);
+
+    const { error } = await resetPasswordWithCode(phone.trim(), code.trim(), newPassword);
+    setLoading(false);
+
+    if (error) {
+      Alert.alert('Could Not Reset Password', error.message);
+      return;
+    }
+
+    Alert.alert('Password Changed', 'You can now log in with your new password.', [
+      { text: 'OK', onPress: () => router.back() }
+    ]);
+  };
+
+  const switchMethod = (nextMethod) => {
+    setMethod(nextMethod);
+    setMessage('');
+  };
+
+  const renderPhoneForm = () => {
+    if (!codeSent) {
+      return (
+        <>
+          <Text style={styles.instructions}>
+            Enter the phone number of your account and we'll text you a code to reset your password.
+          </Text>
+          <TextInput
+            style={styles.input}
+            placeholder="Phone Number (e.g., +2557XXXXXXXX)"
+            value={phone}
+            onChangeText={setPhone}
+            autoCapitalize="none"
+            keyboardType="phone-pad"
+          />
+          {loading ? (
+            <ActivityIndicator size="large" color="#6200ee" />
+          ) : (
+            <Button title="Send Code" onPress={handleSendCode} color="#6200ee" />
+          )}
+        </>
+      );
+    }
+
+    return (
+      <>
+        <Text style={styles.instructions}>
+          If an account uses {phone.trim()}, we have texted it a {CODE_LENGTH}-digit code. Enter it and choose a new password.
+        </Text>
+        <TextInput
+          style={styles.input}
+          placeholder="Code"
+          value={code}
+          onChangeText={(value) => setCode(value.replace(/[^0-9]/g, ''))}
+          keyboardType="number-pad"
+          textContentType="oneTimeCode"
+          autoComplete="sms-otp"
+          maxLength={CODE_LENGTH}
+        />
+        <TextInput
+          style={styles.input}
+          placeholder="New Password"
+          value={newPassword}
+          onChangeText={setNewPassword}
+          secureTextEntry
+        />
+        <TextInput
+          style={styles.input}
+          placeholder="Confirm New Password"
+          value={confirmPassword}
+          onChangeText={setConfirmPassword}
+          secureTextEntry
+        />
+        {loading ? (
+          <ActivityIndicator size="large" color="#6200ee" />
+        ) : (
+          <Button title="Reset Password" onPress={handleResetWithCode} color="#6200ee" />
+        )}
+        <TouchableOpacity onPress={handleSendCode} disabled={resendIn > 0 || loading}>
+          <Text style={[styles.linkText, (resendIn > 0 || loading) && styles.linkTextDisabled]}>
+            {resendIn > 0 ? `Resend code in ${resendIn}s` : 'Resend code'}
+          </Text>
+        </TouchableOpacity>
+        <TouchableOpacity onPress={() => setCodeSent(false)}>
+          <Text style={styles.linkText}>Use a different number</Text>
+        </TouchableOpacity>
+      </>
+    );
+  };
+
   return (
     <View style={styles.container}>
       <Text style={styles.title}>Forgot Password</Text>
-      <Text style={styles.instructions}>
-        Enter your email address below and we'll send you a link to reset your password.
-      </Text>
-      <TextInput
-        style={styles.input}
-        placeholder="Your Email Address"
-        value={email}
-        onChangeText={setEmail}
-        autoCapitalize="none"
-        keyboardType="email-address"
-      />
-      {loading ? (
-        <ActivityIndicator size="large" color="#6200ee" />
-      ) : (
-        <Button title="Send Reset Link" onPress={handlePasswordReset} color="#6200ee" />
+      <View style={styles.methodToggle}>
+        {[
+          { key: 'phone', label: 'Phone' },
+          { key: 'email', label: 'Email' },
+        ].map(({ key, label }) => (
+          <TouchableOpacity
+            key={key}
+            style={[styles.methodOption, method === key && styles.methodOptionActive]}
+            onPress={() => switchMethod(key)}
+          >
+            <Text style={[styles.methodText, method === key && styles.methodTextActive]}>{label}</Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+      {method === 'phone' ? renderPhoneForm() : (
+        <>
+          <Text style={styles.instructions}>
+            Enter your email address below and we'll send you a link to reset your password.
+          </Text>
+          <TextInput
+            style={styles.input}
+            placeholder="Your Email Address"
+            value={email}
+            onChangeText={setEmail}
+            autoCapitalize="none"
+            keyboardType="email-address"
+          />
+          {loading ? (
+            <ActivityIndicator size="large" color="#6200ee" />
+          ) : (
+            <Button title="Send Reset Link" onPress={handlePasswordReset} color="#6200ee" />
+          )}
+          {message ? <Text style={styles.messageText}>{message}</Text> : null}
+        </>
       )}
-      {message ? <Text style={styles.messageText}>{message}</Text> : null}
       <TouchableOpacity onPress={() => router.back()}>
         <Text style={styles.linkText}>Back to Login</Text>
       </TouchableOpacity>
@@ -77,6 +235,31 @@ const styles = StyleSheet.create({
     marginBottom: 20,
     color: '#333',
   },
+  methodToggle: {
+    flexDirection: 'row',
+    backgroundColor: '#fff',
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    marginBottom: 20,
+    overflow: 'hidden',
+  },
+  methodOption: {
+    flex: 1,
+    paddingVertical: 10,
+    alignItems: 'center',
+  },
+  methodOptionActive: {
+    backgroundColor: '#6200ee',
+  },
+  methodText: {
+    fontSize: 16,
+    color: '#555',
+  },
+  methodTextActive: {
+    color: '#fff',
+    fontWeight: 'bold',
+  },
   instructions: {
     fontSize: 16,
     textAlign: 'center',
@@ -99,6 +282,9 @@ const styles = StyleSheet.create({
     textAlign: 'center',
     fontSize: 16,
   },
+  linkTextDisabled: {
+    color: '#999',
+  },
   messageText: {
     marginTop: 15,
     textAlign: 'center',
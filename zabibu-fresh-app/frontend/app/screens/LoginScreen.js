@@ -12,8 +12,7 @@ import {
   ScrollView 
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
-import { supabase, getUserProfile } from '../services/supabase';
-import { useAuth } from '../contexts/AuthContext';
+import { supabase, sendPhoneOtp } from '../services/supabase';
 import { router } from 'expo-router';
 
 const LoginScreen = () => {
@@ -21,7 +20,6 @@ const LoginScreen = () => {
   const [password, setPassword] = useState('');
   const [loading, setLoading] = useState(false);
   const [showPassword, setShowPassword] = useState(false);
-  const { setProfile } = useAuth();
 
   const handleLogin = async () => {
     if (!emailOrPhone || !password) {
@@ -45,23 +43,31 @@ const LoginScreen = () => {
       });
     }
 
-    const { data: authData, error: authError } = authResponse;
+    const { error: authError } = authResponse;
 
     if (authError) {
+      // Signed up but never entered the code: send a new one and finish that instead
+      if (!isEmail && /not confirmed/i.test(authError.message)) {
+        const { error: sendError } = await sendPhoneOtp(emailOrPhone, 'signup');
+        setLoading(false);
+        if (sendError) {
+          Alert.alert('Login Failed', sendError.message);
+          return;
+        }
+        router.push({
+          pathname: '/(auth)/verify-phone',
+          params: { mode: 'signup', phone: emailOrPhone, sent: '1' },
+        });
+        return;
+      }
+
       Alert.alert('Login Failed', authError.message);
       setLoading(false);
       return;
     }
 
-    if (authData.user) {
-      const profile = await getUserProfile(authData.user.id);
-      if (profile) {
-        setProfile(profile);
-      } else {
-        Alert.alert('Login Successful, but profile not found.', 'Please complete your profile or contact support.');
-        await supabase.auth.signOut();
-      }
-    }
+    // AuthContext loads the profile and the root layout takes the user on from
+    // here, to the app or to finishing a missing profile
     setLoading(false);
   };
 
@@ -131,6 +137,15 @@ const LoginScreen = () => {
           <TouchableOpacity onPress={() => router.push('/forgot-password')}>
             <Text style={styles.forgotText}>Forgot Password?</Text>
           </TouchableOpacity>
+
+          <TouchableOpacity
+            onPress={() => router.push({
+              pathname: '/(auth)/verify-phone',
+              params: { mode: 'login', phone: emailOrPhone.includes('@') ? '' : emailOrPhone },
+            })}
+          >
+            <Text style={styles.forgotText}>Sign in with a code instead</Text>
+          </TouchableOpacity>
         </View>
 
         <View style={styles.footer}>
@@ -0,0 +1,395 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  Switch,
+  Alert,
+  StyleSheet,
+  ActivityIndicator,
+  ScrollView,
+  Linking,
+  KeyboardAvoidingView,
+  Platform
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { router } from 'expo-router';
+import { useAuth } from '../contexts/AuthContext';
+import { getNotificationPreferences, updateNotificationPreferences } from '../services/supabase';
+import { getNotificationPermission, registerForPushNotifications } from '../services/notifications';
+
+const CATEGORIES = [
+  {
+    key: 'messages',
+    icon: 'chatbubble-outline',
+    title: 'Messages',
+    description: 'New chat messages, photos and voice notes',
+  },
+  {
+    key: 'offers',
+    icon: 'pricetag-outline',
+    title: 'Offers',
+    description: 'Price offers, counter offers and replies to yours',
+  },
+  {
+    key: 'orders',
+    icon: 'receipt-outline',
+    title: 'Orders',
+    description: 'New orders and changes to your orders',
+  },
+  {
+    key: 'listings',
+    icon: 'time-outline',
+    title: 'Listings',
+    description: 'A reminder the day before a listing expires',
+  },
+];
+
+// Used until the user first saves their preferences; matches the table defaults
+const DEFAULT_PREFERENCES = {
+  messages: true,
+  offers: true,
+  orders: true,
+  listings: true,
+  quietHoursEnabled: false,
+  quietHoursStart: '22:00',
+  quietHoursEnd: '07:00',
+};
+
+// "HH:MM" in 24-hour time, or null
+const parseTimeOfDay = (value) => {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(value.trim());
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) return null;
+  return `${match[1].padStart(2, '0')}:${match[2]}`;
+};
+
+const NotificationSettingsScreen = () => {
+  const { profile } = useAuth();
+  const [preferences, setPreferences] = useState(DEFAULT_PREFERENCES);
+  const [permission, setPermission] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const fetchPreferences = async () => {
+      const [{ data, error }, status] = await Promise.all([
+        getNotificationPreferences(profile.id),
+        getNotificationPermission()
+      ]);
+      if (error) {
+        Alert.alert('Error', 'Could not load your notification settings.');
+      } else if (data) {
+        setPreferences({
+          messages: data.messages,
+          offers: data.offers,
+          orders: data.orders,
+          listings: data.listings,
+          quietHoursEnabled: data.quiet_hours_enabled,
+          // Postgres sends times as HH:MM:SS
+          quietHoursStart: data.quiet_hours_start.slice(0, 5),
+          quietHoursEnd: data.quiet_hours_end.slice(0, 5),
+        });
+      }
+      setPermission(status);
+      setLoading(false);
+    };
+
+    fetchPreferences();
+  }, [profile.id]);
+
+  const setPreference = (key, value) => {
+    setPreferences((current) => ({ ...current, [key]: value }));
+  };
+
+  const handleTurnOn = async () => {
+    if (permission === 'denied') {
+      Linking.openSettings();
+      return;
+    }
+
+    await registerForPushNotifications();
+    setPermission(await getNotificationPermission());
+  };
+
+  const handleSave = async () => {
+    const quietHoursStart = parseTimeOfDay(preferences.quietHoursStart);
+    const quietHoursEnd = parseTimeOfDay(preferences.quietHoursEnd);
+    if (preferences.quietHoursEnabled && (!quietHoursStart || !quietHoursEnd)) {
+      Alert.alert('Error', 'Please enter quiet hours as HH:MM, e.g. 22:00');
+      return;
+    }
+
+    setSaving(true);
+    const { error } = await updateNotificationPreferences(profile.id, {
+      ...preferences,
+      quietHoursStart: quietHoursStart || DEFAULT_PREFERENCES.quietHoursStart,
+      quietHoursEnd: quietHoursEnd || DEFAULT_PREFERENCES.quietHoursEnd,
+      timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone || 'Africa/Dar_es_Salaam',
+    });
+    setSaving(false);
+
+    if (error) {
+      Alert.alert('Error', error.message || 'Failed to save your notification settings.');
+      return;
+    }
+    router.back();
+  };
+
+  if (loading) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color="#6200ee" />
+      </View>
+    );
+  }
+
+  return (
+    <KeyboardAvoidingView
+      style={styles.container}
+      behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+    >
+      <ScrollView contentContainerStyle={styles.scrollContainer}>
+        <View style={styles.header}>
+          <TouchableOpacity onPress={() => router.back()} style={styles.backButton}>
+            <Ionicons name="arrow-back" size={24} color="#333" />
+          </TouchableOpacity>
+          <Text style={styles.title}>Notifications</Text>
+        </View>
+
+        {permission !== 'granted' && Platform.OS !== 'web' && (
+          <View style={styles.permissionCard}>
+            <Ionicons name="notifications-off-outline" size={24} color="#e67e22" />
+            <View style={styles.permissionInfo}>
+              <Text style={styles.permissionText}>
+                {permission === 'denied'
+                  ? "Notifications are turned off for Zabibu Fresh in your phone's settings."
+                  : 'Notifications are not turned on for this phone yet.'}
+              </Text>
+              <TouchableOpacity onPress={handleTurnOn}>
+                <Text style={styles.permissionAction}>
+                  {permission === 'denied' ? 'Open Settings' : 'Turn On'}
+                </Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        )}
+
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Notify me about</Text>
+          {CATEGORIES.map((category) => (
+            <View key={category.key} style={styles.row}>
+              <Ionicons name={category.icon} size={24} color="#333" />
+              <View style={styles.rowText}>
+                <Text style={styles.rowTitle}>{category.title}</Text>
+                <Text style={styles.rowDescription}>{category.description}</Text>
+              </View>
+              <Switch
+                value={preferences[category.key]}
+                onValueChange={(value) => setPreference(category.key, value)}
+                trackColor={{ true: '#b794f6' }}
+                thumbColor={preferences[category.key] ? '#6200ee' : '#f4f3f4'}
+              />
+            </View>
+          ))}
+        </View>
+
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Quiet hours</Text>
+          <View style={styles.row}>
+            <Ionicons name="moon-outline" size={24} color="#333" />
+            <View style={styles.rowText}>
+              <Text style={styles.rowTitle}>Quiet Hours</Text>
+              <Text style={styles.rowDescription}>
+                Notifications still arrive, but without sound or vibration
+              </Text>
+            </View>
+            <Switch
+              value={preferences.quietHoursEnabled}
+              onValueChange={(value) => setPreference('quietHoursEnabled', value)}
+              trackColor={{ true: '#b794f6' }}
+              thumbColor={preferences.quietHoursEnabled ? '#6200ee' : '#f4f3f4'}
+            />
+          </View>
+
+          {preferences.quietHoursEnabled && (
+            <View style={styles.timeRow}>
+              <View style={styles.timeInputContainer}>
+                <Text style={styles.label}>From</Text>
+                <TextInput
+                  style={styles.input}
+                  placeholder="22:00"
+                  value={preferences.quietHoursStart}
+                  onChangeText={(value) => setPreference('quietHoursStart', value)}
+                  keyboardType="numbers-and-punctuation"
+                  maxLength={5}
+                />
+              </View>
+              <View style={styles.timeInputContainer}>
+                <Text style={styles.label}>Until</Text>
+                <TextInput
+                  style={styles.input}
+                  placeholder="07:00"
+                  value={preferences.quietHoursEnd}
+                  onChangeText={(value) => setPreference('quietHoursEnd', value)}
+                  keyboardType="numbers-and-punctuation"
+                  maxLength={5}
+                />
+              </View>
+            </View>
+          )}
+        </View>
+
+        <TouchableOpacity
+          style={[styles.saveButton, saving && styles.saveButtonDisabled]}
+          onPress={handleSave}
+          disabled={saving}
+        >
+          {saving ? (
+            <ActivityIndicator size="small" color="#fff" />
+          ) : (
+            <Text style={styles.saveButtonText}>Save</Text>
+          )}
+        </TouchableOpacity>
+      </ScrollView>
+    </KeyboardAvoidingView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8f9fa',
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  scrollContainer: {
+    flexGrow: 1,
+    paddingBottom: 30,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingTop: 50,
+    paddingHorizontal: 20,
+    paddingBottom: 20,
+    backgroundColor: '#fff',
+    borderBottomWidth: 1,
+    borderBottomColor: '#e0e0e0',
+  },
+  backButton: {
+    marginRight: 15,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  permissionCard: {
+    flexDirection: 'row',
+    backgroundColor: '#fff4e5',
+    borderRadius: 12,
+    padding: 15,
+    marginHorizontal: 20,
+    marginTop: 20,
+  },
+  permissionInfo: {
+    flex: 1,
+    marginLeft: 12,
+  },
+  permissionText: {
+    fontSize: 14,
+    color: '#333',
+  },
+  permissionAction: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#6200ee',
+    marginTop: 8,
+  },
+  section: {
+    backgroundColor: '#fff',
+    marginTop: 20,
+    paddingVertical: 10,
+  },
+  sectionTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#666',
+    paddingHorizontal: 20,
+    paddingVertical: 10,
+    textTransform: 'uppercase',
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+  rowText: {
+    flex: 1,
+    marginHorizontal: 15,
+  },
+  rowTitle: {
+    fontSize: 16,
+    color: '#333',
+  },
+  rowDescription: {
+    fontSize: 13,
+    color: '#999',
+    marginTop: 2,
+  },
+  timeRow: {
+    flexDirection: 'row',
+    paddingHorizontal: 20,
+    paddingTop: 15,
+    paddingBottom: 5,
+  },
+  timeInputContainer: {
+    flex: 1,
+    marginRight: 10,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 8,
+  },
+  input: {
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    paddingHorizontal: 15,
+    paddingVertical: 12,
+    fontSize: 16,
+    borderWidth: 1,
+    borderColor: '#e0e0e0',
+  },
+  saveButton: {
+    backgroundColor: '#6200ee',
+    borderRadius: 12,
+    paddingVertical: 15,
+    alignItems: 'center',
+    marginHorizontal: 20,
+    marginTop: 30,
+    shadowColor: "#6200ee",
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.3,
+    shadowRadius: 4,
+    elevation: 5,
+  },
+  saveButtonDisabled: {
+    backgroundColor: '#ccc',
+  },
+  saveButtonText: {
+    color: '#fff',
+    fontSize: 18,
+    fontWeight: 'bold',
+  },
+});
+
+export default NotificationSettingsScreen;
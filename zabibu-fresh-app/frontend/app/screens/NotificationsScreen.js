@@ -0,0 +1,203 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert,
+  RefreshControl
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { router, useFocusEffect } from 'expo-router';
+import { useAuth } from '../contexts/AuthContext';
+import { readNotifications, openNotificationItem } from '../services/notifications';
+import useNotifications from '../hooks/useNotifications';
+import useUnreadNotificationCount from '../hooks/useUnreadNotificationCount';
+import NotificationItem from '../components/NotificationItem';
+import CacheStatusBanner from '../components/CacheStatusBanner';
+
+const NotificationsScreen = () => {
+  const { profile } = useAuth();
+  const [refreshing, setRefreshing] = useState(false);
+  const {
+    data: notifications,
+    updatedAt,
+    error,
+    isLoading: loading,
+    loadingMore,
+    revalidate,
+    refetch,
+    fetchMore
+  } = useNotifications();
+  const { count: unreadCount } = useUnreadNotificationCount();
+
+  // Only interrupt when there is nothing to show; otherwise the banner says the list is old
+  useEffect(() => {
+    if (error && !updatedAt) {
+      console.error("Error fetching notifications:", error);
+      Alert.alert('Error', 'Could not fetch notifications: ' + error.message);
+    }
+  }, [error]);
+
+  useFocusEffect(
+    useCallback(() => {
+      revalidate();
+    }, [revalidate])
+  );
+
+  const onRefresh = async () => {
+    setRefreshing(true);
+    await refetch();
+    setRefreshing(false);
+  };
+
+  const fetchMoreNotifications = async () => {
+    const { error: fetchError } = await fetchMore();
+    if (fetchError) {
+      console.error("Error fetching notifications:", fetchError);
+      Alert.alert('Error', 'Could not fetch notifications: ' + fetchError.message);
+    }
+  };
+
+  const handleMarkAllRead = async () => {
+    const { error: markError } = await readNotifications(profile.id);
+    if (markError) {
+      Alert.alert('Error', 'Could not mark your notifications as read. Please try again.');
+    }
+  };
+
+  const EmptyState = () => (
+    <View style={styles.emptyContainer}>
+      <Ionicons name="notifications-outline" size={80} color="#ccc" />
+      <Text style={styles.emptyTitle}>No Notifications Yet</Text>
+      <Text style={styles.emptyText}>
+        Messages, offers and order updates will show up here.
+      </Text>
+    </View>
+  );
+
+  if (loading) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color="#6200ee" />
+        <Text style={styles.loadingText}>Loading notifications...</Text>
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => router.back()} style={styles.backButton}>
+          <Ionicons name="arrow-back" size={24} color="#333" />
+        </TouchableOpacity>
+        <Text style={styles.title}>Notifications</Text>
+        {unreadCount > 0 && (
+          <TouchableOpacity onPress={handleMarkAllRead} style={styles.headerAction}>
+            <Text style={styles.markAllText}>Mark all read</Text>
+          </TouchableOpacity>
+        )}
+        <TouchableOpacity
+          onPress={() => router.push('/(app)/notification-settings')}
+          style={styles.headerAction}
+        >
+          <Ionicons name="settings-outline" size={22} color="#333" />
+        </TouchableOpacity>
+      </View>
+
+      <CacheStatusBanner updatedAt={updatedAt} refreshFailed={!!error} />
+
+      <FlatList
+        data={notifications}
+        renderItem={({ item }) => (
+          <NotificationItem notification={item} onPress={openNotificationItem} />
+        )}
+        keyExtractor={(item) => item.id}
+        contentContainerStyle={notifications.length === 0 ? styles.emptyListContainer : null}
+        refreshControl={
+          <RefreshControl refreshing={refreshing} onRefresh={onRefresh} />
+        }
+        ListEmptyComponent={EmptyState}
+        ListFooterComponent={
+          loadingMore ? <ActivityIndicator style={styles.listFooter} color="#6200ee" /> : null
+        }
+        onEndReached={fetchMoreNotifications}
+        onEndReachedThreshold={0.5}
+        showsVerticalScrollIndicator={false}
+      />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8f9fa',
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  loadingText: {
+    marginTop: 10,
+    fontSize: 16,
+    color: '#666',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingTop: 50,
+    paddingHorizontal: 20,
+    paddingBottom: 20,
+    backgroundColor: '#fff',
+    borderBottomWidth: 1,
+    borderBottomColor: '#e0e0e0',
+  },
+  backButton: {
+    marginRight: 15,
+  },
+  title: {
+    flex: 1,
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  headerAction: {
+    marginLeft: 15,
+  },
+  markAllText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#6200ee',
+  },
+  emptyListContainer: {
+    flexGrow: 1,
+  },
+  emptyContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    paddingHorizontal: 40,
+  },
+  emptyTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#333',
+    marginTop: 20,
+    marginBottom: 10,
+  },
+  emptyText: {
+    fontSize: 16,
+    color: '#666',
+    textAlign: 'center',
+    lineHeight: 22,
+  },
+  listFooter: {
+    paddingVertical: 20,
+  },
+});
+
+export default NotificationsScreen;
@@ -0,0 +1,561 @@
+import React, { useState, useCallback } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert,
+  KeyboardAvoidingView,
+  Platform
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useLocalSearchParams, router, useFocusEffect } from 'expo-router';
+import { useAuth } from '../contexts/AuthContext';
+import { getOrderById, updateOrderStatus, counterOrder } from '../services/supabase';
+import {
+  ORDER_STATUS_LABELS,
+  ORDER_STATUS_COLORS,
+  getOrderActions,
+  getOrderTotal,
+  parseOrderDate
+} from '../services/orders';
+import Avatar from '../components/Avatar';
+
+const toNumberOrNull = (value) => {
+  const number = parseFloat(value);
+  return Number.isNaN(number) ? null : number;
+};
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : 'Not set');
+
+const OrderDetailScreen = () => {
+  const { profile } = useAuth();
+  const { orderId } = useLocalSearchParams();
+  const [order, setOrder] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [updating, setUpdating] = useState(false);
+  const [showCounterForm, setShowCounterForm] = useState(false);
+  const [counterQuantity, setCounterQuantity] = useState('');
+  const [counterPrice, setCounterPrice] = useState('');
+  const [counterDate, setCounterDate] = useState('');
+  const [counterNote, setCounterNote] = useState('');
+
+  const fetchOrder = async () => {
+    const { data, error } = await getOrderById(orderId);
+    if (!error) {
+      setOrder(data);
+    }
+    setLoading(false);
+  };
+
+  useFocusEffect(
+    useCallback(() => {
+      fetchOrder();
+    }, [orderId])
+  );
+
+  const goBack = () => {
+    if (router.canGoBack()) {
+      router.back();
+    } else {
+      router.replace('/(app)/(tabs)/orders');
+    }
+  };
+
+  const changeStatus = async (status) => {
+    setUpdating(true);
+    const { error } = await updateOrderStatus(order.id, status);
+    setUpdating(false);
+
+    if (error) {
+      Alert.alert('Error', error.message || 'Could not update the order.');
+      return;
+    }
+    fetchOrder();
+  };
+
+  const handleAction = (action) => {
+    if (action.status === 'countered') {
+      setCounterQuantity(String(order.quantity_kg));
+      setCounterPrice(String(order.price_per_kg));
+      setCounterDate(order.requested_date || '');
+      setCounterNote('');
+      setShowCounterForm(true);
+      return;
+    }
+
+    if (action.status === 'cancelled' || action.status === 'rejected') {
+      Alert.alert(
+        action.label,
+        'This cannot be undone. Are you sure?',
+        [
+          { text: 'No', style: 'cancel' },
+          { text: 'Yes', style: 'destructive', onPress: () => changeStatus(action.status) }
+        ]
+      );
+      return;
+    }
+
+    changeStatus(action.status);
+  };
+
+  const handleSendCounter = async () => {
+    const quantityKg = toNumberOrNull(counterQuantity);
+    const pricePerKg = toNumberOrNull(counterPrice);
+
+    if (quantityKg === null || quantityKg <= 0 || pricePerKg === null || pricePerKg < 0) {
+      Alert.alert('Error', 'Please enter a valid quantity and price');
+      return;
+    }
+
+    let date = null;
+    if (counterDate.trim()) {
+      date = parseOrderDate(counterDate);
+      if (!date) {
+        Alert.alert('Error', 'Please enter the date as YYYY-MM-DD');
+        return;
+      }
+    }
+
+    // Only send the terms that actually change
+    const counter = {
+      quantityKg: quantityKg !== Number(order.quantity_kg) ? quantityKg : null,
+      pricePerKg: pricePerKg !== Number(order.price_per_kg) ? pricePerKg : null,
+      date: date !== order.requested_date ? date : null,
+      note: counterNote.trim()
+    };
+
+    if (counter.quantityKg === null && counter.pricePerKg === null && counter.date === null) {
+      Alert.alert('Error', 'Change the quantity, price or date to make a counter offer');
+      return;
+    }
+
+    setUpdating(true);
+    const { error } = await counterOrder(order.id, counter);
+    setUpdating(false);
+
+    if (error) {
+      Alert.alert('Error', error.message || 'Could not send the counter offer.');
+      return;
+    }
+    setShowCounterForm(false);
+    fetchOrder();
+  };
+
+  if (loading) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color="#6200ee" />
+      </View>
+    );
+  }
+
+  if (!order) {
+    return (
+      <View style={styles.loadingContainer}>
+        <Ionicons name="alert-circle-outline" size={60} color="#ccc" />
+        <Text style={styles.errorText}>This order could not be found.</Text>
+        <TouchableOpacity style={styles.primaryButton} onPress={goBack}>
+          <Text style={styles.primaryButtonText}>Go Back</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  }
+
+  const isSeller = order.seller_id === profile?.id;
+  const otherParty = isSeller ? order.buyer : order.seller;
+  const actions = getOrderActions(order, profile?.id);
+  const hasCounter = order.status === 'countered';
+
+  return (
+    <KeyboardAvoidingView
+      style={styles.container}
+      behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+    >
+      <View style={styles.header}>
+        <TouchableOpacity onPress={goBack} style={styles.backButton}>
+          <Ionicons name="arrow-back" size={24} color="#333" />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Order Details</Text>
+      </View>
+
+      <ScrollView contentContainerStyle={styles.content}>
+        <View style={styles.titleRow}>
+          <Text style={styles.productTitle}>{order.product_title}</Text>
+          <View style={[styles.statusBadge, { backgroundColor: ORDER_STATUS_COLORS[order.status] }]}>
+            <Text style={styles.statusText}>{ORDER_STATUS_LABELS[order.status]}</Text>
+          </View>
+        </View>
+        <Text style={styles.meta}>Placed {new Date(order.created_at).toLocaleDateString()}</Text>
+
+        <View style={styles.card}>
+          <View style={styles.detailRow}>
+            <Text style={styles.detailLabel}>Quantity</Text>
+            <Text style={styles.detailValue}>{order.quantity_kg} kg</Text>
+          </View>
+          <View style={styles.detailRow}>
+            <Text style={styles.detailLabel}>Price</Text>
+            <Text style={styles.detailValue}>TZS {Number(order.price_per_kg).toLocaleString()}/kg</Text>
+          </View>
+          <View style={styles.detailRow}>
+            <Text style={styles.detailLabel}>Pickup / Delivery</Text>
+            <Text style={styles.detailValue}>{formatDate(order.requested_date)}</Text>
+          </View>
+          <View style={[styles.detailRow, styles.totalRow]}>
+            <Text style={styles.totalLabel}>Total</Text>
+            <Text style={styles.totalValue}>TZS {getOrderTotal(order).toLocaleString()}</Text>
+          </View>
+        </View>
+
+        {hasCounter && (
+          <View style={[styles.card, styles.counterCard]}>
+            <Text style={styles.sectionTitle}>Seller's Counter Offer</Text>
+            {order.counter_quantity_kg != null && (
+              <Text style={styles.counterText}>Quantity: {order.counter_quantity_kg} kg</Text>
+            )}
+            {order.counter_price_per_kg != null && (
+              <Text style={styles.counterText}>
+                Price: TZS {Number(order.counter_price_per_kg).toLocaleString()}/kg
+              </Text>
+            )}
+            {order.counter_date && (
+              <Text style={styles.counterText}>Date: {formatDate(order.counter_date)}</Text>
+            )}
+            {!!order.counter_note && (
+              <Text style={styles.noteText}>"{order.counter_note}"</Text>
+            )}
+          </View>
+        )}
+
+        {!!order.note && (
+          <>
+            <Text style={styles.sectionTitle}>Buyer's Note</Text>
+            <Text style={styles.noteText}>{order.note}</Text>
+          </>
+        )}
+
+        <Text style={styles.sectionTitle}>{isSeller ? 'Buyer' : 'Seller'}</Text>
+        <View style={styles.partyCard}>
+          <Avatar uri={otherParty?.avatar_url} name={otherParty?.full_name} style={styles.avatar} />
+          <View style={styles.partyInfo}>
+            <Text style={styles.partyName}>{otherParty?.full_name || 'Unknown'}</Text>
+            {!!otherParty?.phone && <Text style={styles.meta}>{otherParty.phone}</Text>}
+          </View>
+          {order.product_id && (
+            <TouchableOpacity
+              onPress={() => router.push({
+                pathname: '/(app)/chat/[chatId]',
+                params: {
+                  chatId: `${otherParty.id}_${order.product_id}`,
+                  receiverId: otherParty.id,
+                  receiverName: otherParty.full_name,
+                  productId: order.product_id,
+                  productTitle: order.product_title
+                }
+              })}
+            >
+              <Ionicons name="chatbubble-outline" size={24} color="#6200ee" />
+            </TouchableOpacity>
+          )}
+        </View>
+
+        {showCounterForm && (
+          <View style={styles.card}>
+            <Text style={styles.sectionTitle}>Counter Offer</Text>
+            <View style={styles.row}>
+              <View style={styles.halfWidth}>
+                <Text style={styles.label}>Quantity (Kg)</Text>
+                <TextInput
+                  style={styles.input}
+                  value={counterQuantity}
+                  onChangeText={setCounterQuantity}
+                  keyboardType="numeric"
+                />
+              </View>
+              <View style={styles.halfWidth}>
+                <Text style={styles.label}>Price (TZS/Kg)</Text>
+                <TextInput
+                  style={styles.input}
+                  value={counterPrice}
+                  onChangeText={setCounterPrice}
+                  keyboardType="numeric"
+                />
+              </View>
+            </View>
+            <Text style={styles.label}>Date</Text>
+            <TextInput
+              style={styles.input}
+              placeholder="YYYY-MM-DD"
+              value={counterDate}
+              onChangeText={setCounterDate}
+              keyboardType="numbers-and-punctuation"
+              maxLength={10}
+            />
+            <Text style={styles.label}>Note (optional)</Text>
+            <TextInput
+              style={styles.input}
+              placeholder="e.g., I can only deliver on Friday"
+              value={counterNote}
+              onChangeText={setCounterNote}
+            />
+            <View style={styles.row}>
+              <TouchableOpacity
+                style={[styles.secondaryButton, styles.halfWidth]}
+                onPress={() => setShowCounterForm(false)}
+              >
+                <Text style={styles.secondaryButtonText}>Cancel</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles.primaryButton, styles.halfWidth]}
+                onPress={handleSendCounter}
+                disabled={updating}
+              >
+                <Text style={styles.primaryButtonText}>Send</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        )}
+      </ScrollView>
+
+      {actions.length > 0 && !showCounterForm && (
+        <View style={styles.footer}>
+          {updating ? (
+            <ActivityIndicator size="small" color="#6200ee" />
+          ) : (
+            actions.map((action) => {
+              const isDestructive = action.status === 'cancelled' || action.status === 'rejected';
+              return (
+                <TouchableOpacity
+                  key={action.status}
+                  style={isDestructive ? styles.secondaryButton : styles.primaryButton}
+                  onPress={() => handleAction(action)}
+                >
+                  <Text style={isDestructive ? styles.destructiveButtonText : styles.primaryButtonText}>
+                    {action.label}
+                  </Text>
+                </TouchableOpacity>
+              );
+            })
+          )}
+        </View>
+      )}
+    </KeyboardAvoidingView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8f9fa',
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 20,
+  },
+  errorText: {
+    fontSize: 16,
+    color: '#666',
+    textAlign: 'center',
+    marginVertical: 20,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingTop: 50,
+    paddingHorizontal: 20,
+    paddingBottom: 20,
+    backgroundColor: '#fff',
+    borderBottomWidth: 1,
+    borderBottomColor: '#e0e0e0',
+  },
+  backButton: {
+    marginRight: 15,
+  },
+  headerTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  content: {
+    padding: 20,
+  },
+  titleRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  productTitle: {
+    flex: 1,
+    fontSize: 22,
+    fontWeight: 'bold',
+    color: '#333',
+    marginRight: 10,
+  },
+  statusBadge: {
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    borderRadius: 12,
+  },
+  statusText: {
+    color: '#fff',
+    fontSize: 12,
+    fontWeight: 'bold',
+  },
+  meta: {
+    fontSize: 13,
+    color: '#666',
+    marginTop: 2,
+  },
+  card: {
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 15,
+    marginTop: 20,
+    shadowColor: "#000",
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 2,
+  },
+  counterCard: {
+    borderLeftWidth: 4,
+    borderLeftColor: '#8e44ad',
+  },
+  detailRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 8,
+  },
+  detailLabel: {
+    fontSize: 15,
+    color: '#666',
+  },
+  detailValue: {
+    fontSize: 15,
+    color: '#333',
+    fontWeight: '600',
+  },
+  totalRow: {
+    borderTopWidth: 1,
+    borderTopColor: '#f0f0f0',
+    paddingTop: 8,
+    marginBottom: 0,
+  },
+  totalLabel: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  totalValue: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#27ae60',
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+    marginTop: 20,
+    marginBottom: 10,
+  },
+  counterText: {
+    fontSize: 15,
+    color: '#333',
+    marginBottom: 4,
+  },
+  noteText: {
+    fontSize: 15,
+    color: '#555',
+    lineHeight: 22,
+    fontStyle: 'italic',
+  },
+  partyCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 15,
+    shadowColor: "#000",
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 2,
+  },
+  avatar: {
+    marginRight: 15,
+  },
+  partyInfo: {
+    flex: 1,
+  },
+  partyName: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#333',
+    marginTop: 10,
+    marginBottom: 6,
+  },
+  input: {
+    backgroundColor: '#f8f9fa',
+    borderRadius: 12,
+    paddingHorizontal: 15,
+    paddingVertical: 10,
+    fontSize: 16,
+    borderWidth: 1,
+    borderColor: '#e0e0e0',
+  },
+  row: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  halfWidth: {
+    width: '48%',
+  },
+  footer: {
+    padding: 15,
+    backgroundColor: '#fff',
+    borderTopWidth: 1,
+    borderTopColor: '#e0e0e0',
+  },
+  primaryButton: {
+    backgroundColor: '#6200ee',
+    borderRadius: 12,
+    paddingVertical: 14,
+    alignItems: 'center',
+    marginTop: 10,
+  },
+  primaryButtonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  secondaryButton: {
+    borderRadius: 12,
+    paddingVertical: 14,
+    alignItems: 'center',
+    borderWidth: 1,
+    borderColor: '#e0e0e0',
+    marginTop: 10,
+  },
+  secondaryButtonText: {
+    color: '#333',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  destructiveButtonText: {
+    color: '#e74c3c',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
+
+export default OrderDetailScreen;
@@ -0,0 +1,348 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  Alert,
+  StyleSheet,
+  ActivityIndicator,
+  ScrollView,
+  KeyboardAvoidingView,
+  Platform
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useLocalSearchParams, router } from 'expo-router';
+import { useAuth } from '../contexts/AuthContext';
+import { getProductById, getAgreedPrice, createOrder } from '../services/supabase';
+import { parseOrderDate } from '../services/orders';
+
+const PlaceOrderScreen = () => {
+  const { profile } = useAuth();
+  const { productId } = useLocalSearchParams();
+  const [product, setProduct] = useState(null);
+  const [agreedPrice, setAgreedPrice] = useState(null);
+  const [quantity, setQuantity] = useState('');
+  const [requestedDate, setRequestedDate] = useState('');
+  const [note, setNote] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    const fetchProduct = async () => {
+      const [{ data, error }, { data: agreed }] = await Promise.all([
+        getProductById(productId),
+        getAgreedPrice(productId, profile.id)
+      ]);
+      if (error || !data) {
+        Alert.alert('Error', 'This product could not be found.');
+        router.back();
+        return;
+      }
+      setProduct(data);
+      setAgreedPrice(agreed);
+      if (agreed) {
+        setQuantity(String(agreed.quantity_kg));
+      }
+      setLoading(false);
+    };
+
+    fetchProduct();
+  }, [productId]);
+
+  // The server places the order at the price agreed in chat, if there is one
+  // and the order is no larger than the quantity it was agreed for
+  const quantityKg = parseFloat(quantity);
+  const agreedPriceApplies = agreedPrice && !(quantityKg > Number(agreedPrice.quantity_kg));
+  const pricePerKg = agreedPriceApplies ? Number(agreedPrice.price_per_kg) : product?.price;
+  const estimatedTotal = Number.isNaN(quantityKg) || !product ? null : quantityKg * pricePerKg;
+
+  const handlePlaceOrder = async () => {
+    if (Number.isNaN(quantityKg) || quantityKg <= 0) {
+      Alert.alert('Error', 'Please enter the quantity you want in kg');
+      return;
+    }
+
+    if (quantityKg > product.available_quantity) {
+      Alert.alert('Error', `Only ${product.available_quantity} kg are available`);
+      return;
+    }
+
+    let date = null;
+    if (requestedDate.trim()) {
+      date = parseOrderDate(requestedDate);
+      if (!date) {
+        Alert.alert('Error', 'Please enter the date as YYYY-MM-DD');
+        return;
+      }
+    }
+
+    setSubmitting(true);
+    try {
+      const { data, error } = await createOrder({
+        productId: product.id,
+        quantityKg,
+        requestedDate: date,
+        note: note.trim()
+      });
+
+      if (error) {
+        throw error;
+      }
+
+      Alert.alert('Order Sent', 'The seller will accept, reject or counter your order.');
+      router.replace({
+        pathname: '/(app)/order/[orderId]',
+        params: { orderId: data.id }
+      });
+    } catch (error) {
+      console.error("Error placing order:", error);
+      Alert.alert('Error', error.message || 'Failed to place order. Please try again.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color="#6200ee" />
+      </View>
+    );
+  }
+
+  return (
+    <KeyboardAvoidingView
+      style={styles.container}
+      behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+    >
+      <ScrollView contentContainerStyle={styles.scrollContainer}>
+        <View style={styles.header}>
+          <TouchableOpacity onPress={() => router.back()} style={styles.backButton}>
+            <Ionicons name="arrow-back" size={24} color="#333" />
+          </TouchableOpacity>
+          <Text style={styles.title}>Place Order</Text>
+        </View>
+
+        <View style={styles.form}>
+          <View style={styles.productCard}>
+            <Text style={styles.productTitle}>{product.title}</Text>
+            <Text style={styles.productMeta}>
+              TZS {product.price.toLocaleString()}/kg · {product.available_quantity} kg available
+            </Text>
+            <Text style={styles.productMeta}>
+              Sold by {product.profiles?.full_name || 'Seller'} · {product.location}
+            </Text>
+            {agreedPrice && (
+              <View style={styles.agreedPriceRow}>
+                <Ionicons name="pricetag" size={16} color="#27ae60" />
+                <Text style={styles.agreedPriceText}>
+                  Agreed price: TZS {Number(agreedPrice.price_per_kg).toLocaleString()}/kg
+                  for up to {Number(agreedPrice.quantity_kg).toLocaleString()} kg
+                </Text>
+              </View>
+            )}
+            {agreedPrice && !agreedPriceApplies && (
+              <Text style={styles.agreedPriceNote}>
+                Orders above {Number(agreedPrice.quantity_kg).toLocaleString()} kg are placed at the listed price.
+              </Text>
+            )}
+          </View>
+
+          <View style={styles.inputContainer}>
+            <Text style={styles.label}>Quantity (Kg)</Text>
+            <TextInput
+              style={styles.input}
+              placeholder="e.g., 50"
+              value={quantity}
+              onChangeText={setQuantity}
+              keyboardType="numeric"
+            />
+          </View>
+
+          <View style={styles.inputContainer}>
+            <Text style={styles.label}>Pickup or Delivery Date (optional)</Text>
+            <TextInput
+              style={styles.input}
+              placeholder="YYYY-MM-DD"
+              value={requestedDate}
+              onChangeText={setRequestedDate}
+              keyboardType="numbers-and-punctuation"
+              maxLength={10}
+            />
+          </View>
+
+          <View style={styles.inputContainer}>
+            <Text style={styles.label}>Note to Seller (optional)</Text>
+            <TextInput
+              style={[styles.input, styles.textArea]}
+              placeholder="e.g., I will collect from the farm in the morning"
+              value={note}
+              onChangeText={setNote}
+              multiline
+              numberOfLines={4}
+            />
+          </View>
+
+          {estimatedTotal !== null && estimatedTotal > 0 && (
+            <View style={styles.totalRow}>
+              <Text style={styles.totalLabel}>Estimated Total</Text>
+              <Text style={styles.totalValue}>TZS {estimatedTotal.toLocaleString()}</Text>
+            </View>
+          )}
+
+          <TouchableOpacity
+            style={[styles.submitButton, submitting && styles.submitButtonDisabled]}
+            onPress={handlePlaceOrder}
+            disabled={submitting}
+          >
+            {submitting ? (
+              <ActivityIndicator size="small" color="#fff" />
+            ) : (
+              <>
+                <Ionicons name="cart-outline" size={20} color="#fff" />
+                <Text style={styles.submitButtonText}>Send Order</Text>
+              </>
+            )}
+          </TouchableOpacity>
+        </View>
+      </ScrollView>
+    </KeyboardAvoidingView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8f9fa',
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  scrollContainer: {
+    flexGrow: 1,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingTop: 50,
+    paddingHorizontal: 20,
+    paddingBottom: 20,
+    backgroundColor: '#fff',
+    borderBottomWidth: 1,
+    borderBottomColor: '#e0e0e0',
+  },
+  backButton: {
+    marginRight: 15,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  form: {
+    padding: 20,
+  },
+  productCard: {
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 15,
+    marginBottom: 20,
+    shadowColor: "#000",
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 2,
+  },
+  productTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 5,
+  },
+  productMeta: {
+    fontSize: 14,
+    color: '#666',
+    marginTop: 2,
+  },
+  agreedPriceRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 8,
+  },
+  agreedPriceText: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#27ae60',
+    marginLeft: 6,
+  },
+  agreedPriceNote: {
+    fontSize: 13,
+    color: '#e67e22',
+    marginTop: 4,
+  },
+  inputContainer: {
+    marginBottom: 20,
+  },
+  label: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 8,
+  },
+  input: {
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    paddingHorizontal: 15,
+    paddingVertical: 12,
+    fontSize: 16,
+    borderWidth: 1,
+    borderColor: '#e0e0e0',
+  },
+  textArea: {
+    height: 100,
+    textAlignVertical: 'top',
+  },
+  totalRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  totalLabel: {
+    fontSize: 16,
+    color: '#666',
+  },
+  totalValue: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#27ae60',
+  },
+  submitButton: {
+    backgroundColor: '#6200ee',
+    borderRadius: 12,
+    paddingVertical: 15,
+    flexDirection: 'row',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginTop: 20,
+    shadowColor: "#6200ee",
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.3,
+    shadowRadius: 4,
+    elevation: 5,
+  },
+  submitButtonDisabled: {
+    backgroundColor: '#ccc',
+  },
+  submitButtonText: {
+    color: '#fff',
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginLeft: 8,
+  },
+});
+
+export default PlaceOrderScreen;
@@ -0,0 +1,506 @@
+import React, { useState, useCallback } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useLocalSearchParams, router, useFocusEffect } from 'expo-router';
+import { useAuth } from '../contexts/AuthContext';
+import { getProductById, reportContent, setProductHidden } from '../services/supabase';
+import { invalidateQueries } from '../services/queries';
+import { getProductImageUrls } from '../services/storage';
+import { LISTING_STATUS_LABELS, isListingAvailable, formatListingExpiry } from '../services/listings';
+import { getPreferredContactLabel } from '../services/profiles';
+import ProductImageCarousel from '../components/ProductImageCarousel';
+import Avatar from '../components/Avatar';
+import ReportSheet from '../components/ReportSheet';
+
+const formatPostedDate = (timestamp) => {
+  const date = new Date(timestamp);
+  const diffInDays = Math.floor((Date.now() - date.getTime()) / (1000 * 60 * 60 * 24));
+
+  if (diffInDays < 1) {
+    return 'Today';
+  } else if (diffInDays === 1) {
+    return 'Yesterday';
+  } else if (diffInDays < 30) {
+    return `${diffInDays} days ago`;
+  }
+  return date.toLocaleDateString();
+};
+
+const ProductDetailScreen = () => {
+  const { profile, isAdmin } = useAuth();
+  const { productId } = useLocalSearchParams();
+  const [product, setProduct] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [errorMessage, setErrorMessage] = useState('');
+  const [reportVisible, setReportVisible] = useState(false);
+  const [reporting, setReporting] = useState(false);
+
+  const fetchProduct = async () => {
+    setLoading(true);
+    setErrorMessage('');
+    const { data, error } = await getProductById(productId);
+    if (error || !data) {
+      setErrorMessage('This product could not be found. It may have been removed by the seller.');
+    } else {
+      setProduct(data);
+    }
+    setLoading(false);
+  };
+
+  // Refetch on focus so edits made from this screen show up when returning
+  useFocusEffect(
+    useCallback(() => {
+      fetchProduct();
+    }, [productId])
+  );
+
+  const goBack = () => {
+    if (router.canGoBack()) {
+      router.back();
+    } else {
+      // Opened from a deep link with nothing underneath
+      router.replace('/(app)/(tabs)/products');
+    }
+  };
+
+  const handleContactSeller = () => {
+    router.push({
+      pathname: '/(app)/chat/[chatId]',
+      params: {
+        chatId: `${product.seller_id}_${product.id}`,
+        receiverId: product.seller_id,
+        receiverName: product.profiles?.full_name || 'Seller',
+        productId: product.id,
+        productTitle: product.title
+      }
+    });
+  };
+
+  const handleReport = async ({ reason, details }) => {
+    setReporting(true);
+    const { error } = await reportContent({ productId: product.id, reason, details });
+    setReporting(false);
+
+    if (error) {
+      Alert.alert('Error', 'Could not send your report: ' + error.message);
+      return;
+    }
+    setReportVisible(false);
+    Alert.alert('Report Sent', 'Thanks for letting us know. Our team will review this listing.');
+  };
+
+  const handleToggleHidden = () => {
+    const hide = !product.hidden_at;
+    Alert.alert(
+      hide ? 'Hide Listing' : 'Restore Listing',
+      hide
+        ? 'Buyers will no longer see this listing. The seller will be notified.'
+        : 'Buyers will be able to see and order this listing again.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: hide ? 'Hide' : 'Restore',
+          style: hide ? 'destructive' : 'default',
+          onPress: async () => {
+            const { error } = await setProductHidden(product.id, hide);
+            if (error) {
+              Alert.alert('Error', error.message);
+              return;
+            }
+            invalidateQueries('products:');
+            invalidateQueries('admin:');
+            fetchProduct();
+          }
+        }
+      ]
+    );
+  };
+
+  if (loading && !product) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color="#6200ee" />
+      </View>
+    );
+  }
+
+  if (!product) {
+    return (
+      <View style={styles.loadingContainer}>
+        <Ionicons name="alert-circle-outline" size={60} color="#ccc" />
+        <Text style={styles.errorText}>{errorMessage}</Text>
+        <TouchableOpacity style={styles.primaryButton} onPress={goBack}>
+          <Text style={styles.primaryButtonText}>Go Back</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  }
+
+  const isOwnProduct = product.seller_id === profile?.id;
+  const seller = product.profiles;
+  const isAvailable = isListingAvailable(product);
+  const sellerSuspended = !!seller?.suspended_at;
+  const statusLabel = product.hidden_at || sellerSuspended
+    ? 'Unavailable'
+    : product.status === 'active' ? 'Expired' : LISTING_STATUS_LABELS[product.status];
+
+  let statusMessage;
+  if (product.hidden_at) {
+    statusMessage = isOwnProduct
+      ? `This listing was hidden by our moderators${product.hidden_reason ? ` (${product.hidden_reason})` : ''}. Contact support if you think this is a mistake.`
+      : 'This listing was hidden by our moderators.';
+  } else if (sellerSuspended) {
+    statusMessage = isOwnProduct
+      ? 'Your account is suspended, so buyers cannot see this listing.'
+      : "This seller's account is suspended.";
+  } else {
+    statusMessage = isOwnProduct
+      ? `This listing is ${statusLabel.toLowerCase()} and hidden from buyers.`
+      : `This listing is ${statusLabel.toLowerCase()}. You can still message the seller about it.`;
+  }
+
+  return (
+    <View style={styles.container}>
+      <ScrollView showsVerticalScrollIndicator={false}>
+        <View>
+          <ProductImageCarousel images={getProductImageUrls(product)} height={300} />
+          <TouchableOpacity onPress={goBack} style={styles.backButton}>
+            <Ionicons name="arrow-back" size={24} color="#333" />
+          </TouchableOpacity>
+        </View>
+
+        <View style={styles.content}>
+          {!isAvailable && (
+            <View style={styles.statusBanner}>
+              <Ionicons name="information-circle-outline" size={20} color="#8a6d3b" />
+              <Text style={styles.statusBannerText}>{statusMessage}</Text>
+            </View>
+          )}
+          <Text style={styles.title}>{product.title}</Text>
+          <Text style={styles.price}>TZS {product.price.toLocaleString()}/kg</Text>
+
+          <View style={styles.detailsCard}>
+            <View style={styles.detailItem}>
+              <Ionicons name="cube-outline" size={18} color="#666" />
+              <Text style={styles.detailText}>
+                {product.status === 'sold_out' ? 'Sold out' : `${product.available_quantity} kg available`}
+              </Text>
+            </View>
+            {isOwnProduct && formatListingExpiry(product) && (
+              <View style={styles.detailItem}>
+                <Ionicons name="hourglass-outline" size={18} color="#666" />
+                <Text style={styles.detailText}>{formatListingExpiry(product)}</Text>
+              </View>
+            )}
+            {isOwnProduct && product.reserved_quantity > 0 && (
+              <View style={styles.detailItem}>
+                <Ionicons name="lock-closed-outline" size={18} color="#666" />
+                <Text style={styles.detailText}>{product.reserved_quantity} kg reserved for accepted orders</Text>
+              </View>
+            )}
+            <View style={styles.detailItem}>
+              <Ionicons name="location-outline" size={18} color="#666" />
+              <Text style={styles.detailText}>{product.location}</Text>
+            </View>
+            <View style={styles.detailItem}>
+              <Ionicons name="time-outline" size={18} color="#666" />
+              <Text style={styles.detailText}>Posted {formatPostedDate(product.created_at)}</Text>
+            </View>
+          </View>
+
+          <Text style={styles.sectionTitle}>Description</Text>
+          <Text style={styles.description}>{product.description}</Text>
+
+          <Text style={styles.sectionTitle}>Seller</Text>
+          <View style={styles.sellerCard}>
+            <Avatar
+              uri={seller?.avatar_url}
+              name={seller?.full_name}
+              fallback="S"
+              style={styles.avatar}
+            />
+            <View style={styles.sellerInfo}>
+              <Text style={styles.sellerName}>{seller?.full_name || 'Seller'}</Text>
+              {!!seller?.home_location && (
+                <Text style={styles.sellerMeta}>{seller.home_location}</Text>
+              )}
+              {seller?.created_at && (
+                <Text style={styles.sellerMeta}>
+                  Member since {new Date(seller.created_at).toLocaleDateString()}
+                </Text>
+              )}
+              {!!getPreferredContactLabel(seller?.preferred_contact) && (
+                <Text style={styles.sellerMeta}>
+                  Prefers {getPreferredContactLabel(seller.preferred_contact)}
+                </Text>
+              )}
+              {!!seller?.bio && <Text style={styles.sellerBio}>{seller.bio}</Text>}
+            </View>
+          </View>
+
+          {!isOwnProduct && (
+            <TouchableOpacity style={styles.textAction} onPress={() => setReportVisible(true)}>
+              <Ionicons name="flag-outline" size={16} color="#999" />
+              <Text style={styles.textActionLabel}>Report this listing</Text>
+            </TouchableOpacity>
+          )}
+          {isAdmin && (
+            <TouchableOpacity style={styles.textAction} onPress={handleToggleHidden}>
+              <Ionicons
+                name={product.hidden_at ? 'eye-outline' : 'eye-off-outline'}
+                size={16}
+                color="#c0392b"
+              />
+              <Text style={[styles.textActionLabel, styles.adminActionLabel]}>
+                {product.hidden_at ? 'Restore listing (admin)' : 'Hide listing (admin)'}
+              </Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      </ScrollView>
+
+      <View style={styles.footer}>
+        {isOwnProduct ? (
+          <TouchableOpacity
+            style={styles.primaryButton}
+            onPress={() => router.push({
+              pathname: '/(app)/edit-product/[productId]',
+              params: { productId: product.id }
+            })}
+          >
+            <Ionicons name="create-outline" size={20} color="#fff" />
+            <Text style={styles.primaryButtonText}>Edit Listing</Text>
+          </TouchableOpacity>
+        ) : (
+          <View style={styles.footerRow}>
+            <TouchableOpacity
+              style={[styles.secondaryButton, styles.footerButton, sellerSuspended && styles.buttonDisabled]}
+              disabled={sellerSuspended}
+              onPress={handleContactSeller}
+            >
+              <Ionicons name="chatbubble-outline" size={20} color="#6200ee" />
+              <Text style={styles.secondaryButtonText}>Contact</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.primaryButton, styles.footerButton, !isAvailable && styles.buttonDisabled]}
+              disabled={!isAvailable}
+              onPress={() => router.push({
+                pathname: '/(app)/place-order/[productId]',
+                params: { productId: product.id }
+              })}
+            >
+              <Ionicons name="cart-outline" size={20} color="#fff" />
+              <Text style={styles.primaryButtonText}>{isAvailable ? 'Place Order' : statusLabel}</Text>
+            </TouchableOpacity>
+          </View>
+        )}
+      </View>
+
+      <ReportSheet
+        visible={reportVisible}
+        title="Report Listing"
+        submitting={reporting}
+        onSubmit={handleReport}
+        onClose={() => setReportVisible(false)}
+      />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8f9fa',
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 20,
+  },
+  errorText: {
+    fontSize: 16,
+    color: '#666',
+    textAlign: 'center',
+    marginVertical: 20,
+  },
+  backButton: {
+    position: 'absolute',
+    top: 50,
+    left: 20,
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: '#fff',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  content: {
+    padding: 20,
+  },
+  statusBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fcf8e3',
+    borderRadius: 12,
+    padding: 12,
+    marginBottom: 15,
+  },
+  statusBannerText: {
+    flex: 1,
+    fontSize: 14,
+    color: '#8a6d3b',
+    marginLeft: 8,
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 5,
+  },
+  price: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    color: '#27ae60',
+    marginBottom: 15,
+  },
+  detailsCard: {
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 15,
+    marginBottom: 20,
+    shadowColor: "#000",
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 2,
+  },
+  detailItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  detailText: {
+    fontSize: 15,
+    color: '#666',
+    marginLeft: 8,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 10,
+  },
+  description: {
+    fontSize: 15,
+    color: '#555',
+    lineHeight: 22,
+    marginBottom: 20,
+  },
+  sellerCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 15,
+    shadowColor: "#000",
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 2,
+  },
+  avatar: {
+    marginRight: 15,
+  },
+  sellerInfo: {
+    flex: 1,
+  },
+  sellerName: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  sellerMeta: {
+    fontSize: 13,
+    color: '#666',
+    marginTop: 2,
+  },
+  sellerBio: {
+    fontSize: 14,
+    color: '#333',
+    lineHeight: 20,
+    marginTop: 6,
+  },
+  textAction: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginTop: 20,
+  },
+  textActionLabel: {
+    fontSize: 14,
+    color: '#999',
+    marginLeft: 6,
+  },
+  adminActionLabel: {
+    color: '#c0392b',
+    fontWeight: '600',
+  },
+  footer: {
+    padding: 15,
+    backgroundColor: '#fff',
+    borderTopWidth: 1,
+    borderTopColor: '#e0e0e0',
+  },
+  footerRow: {
+    flexDirection: 'row',
+  },
+  footerButton: {
+    flex: 1,
+    paddingHorizontal: 10,
+  },
+  secondaryButton: {
+    borderRadius: 12,
+    paddingVertical: 15,
+    borderWidth: 1,
+    borderColor: '#6200ee',
+    flexDirection: 'row',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 10,
+  },
+  secondaryButtonText: {
+    color: '#6200ee',
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginLeft: 8,
+  },
+  primaryButton: {
+    backgroundColor: '#6200ee',
+    borderRadius: 12,
+    paddingVertical: 15,
+    paddingHorizontal: 30,
+    flexDirection: 'row',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  buttonDisabled: {
+    backgroundColor: '#ccc',
+  },
+  primaryButtonText: {
+    color: '#fff',
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginLeft: 8,
+  },
+});
+
+export default ProductDetailScreen;
@@ -0,0 +1,115 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  ActivityIndicator
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useAuth } from '../contexts/AuthContext';
+
+/**
+ * Shown for a session whose profile could not be loaded, e.g. offline.
+ * The root layout moves on to the app once a retry loads it.
+ */
+const ProfileErrorScreen = () => {
+  const { refreshProfile, signOut } = useAuth();
+  const [retrying, setRetrying] = useState(false);
+
+  const handleRetry = async () => {
+    setRetrying(true);
+    await refreshProfile();
+    setRetrying(false);
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.iconContainer}>
+        <Ionicons name="cloud-offline-outline" size={50} color="#6200ee" />
+      </View>
+      <Text style={styles.title}>Could Not Load Your Profile</Text>
+      <Text style={styles.description}>
+        Please check your connection and try again.
+      </Text>
+
+      <TouchableOpacity
+        style={[styles.retryButton, retrying && styles.retryButtonDisabled]}
+        onPress={handleRetry}
+        disabled={retrying}
+      >
+        {retrying ? (
+          <ActivityIndicator size="small" color="#fff" />
+        ) : (
+          <Text style={styles.retryButtonText}>Retry</Text>
+        )}
+      </TouchableOpacity>
+
+      <TouchableOpacity onPress={signOut} disabled={retrying}>
+        <Text style={styles.linkText}>Log out</Text>
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 20,
+    backgroundColor: '#f8f9fa',
+  },
+  iconContainer: {
+    width: 100,
+    height: 100,
+    borderRadius: 50,
+    backgroundColor: '#fff',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginBottom: 20,
+    shadowColor: "#000",
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 5,
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 8,
+    textAlign: 'center',
+  },
+  description: {
+    fontSize: 14,
+    color: '#666',
+    textAlign: 'center',
+    lineHeight: 20,
+    marginBottom: 30,
+  },
+  retryButton: {
+    alignSelf: 'stretch',
+    backgroundColor: '#6200ee',
+    borderRadius: 12,
+    height: 50,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  retryButtonDisabled: {
+    backgroundColor: '#ccc',
+  },
+  retryButtonText: {
+    color: '#fff',
+    fontSize: 18,
+    fontWeight: 'bold',
+  },
+  linkText: {
+    color: '#6200ee',
+    textAlign: 'center',
+    fontSize: 16,
+    marginTop: 20,
+  },
+});
+
+export default ProfileErrorScreen;
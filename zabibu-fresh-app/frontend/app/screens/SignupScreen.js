@@ -57,6 +57,12 @@ const SignupScreen = () => {
 
     if (error) {
       Alert.alert("Signup Failed", error.message);
+    } else if (data?.user && !data.session) {
+      // The account starts once the code texted to this phone is entered
+      router.push({
+        pathname: "/(auth)/verify-phone",
+        params: { mode: "signup", phone, sent: "1" },
+      });
     } else if (data?.user) {
       Alert.alert(
         "Signup Successful!",
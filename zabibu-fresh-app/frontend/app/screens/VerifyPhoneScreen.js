@@ -0,0 +1,304 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  Alert,
+  StyleSheet,
+  ActivityIndicator,
+  KeyboardAvoidingView,
+  Platform,
+  ScrollView
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { router, useLocalSearchParams } from 'expo-router';
+import { useAuth } from '../contexts/AuthContext';
+import { sendPhoneOtp, verifyPhoneOtp } from '../services/supabase';
+
+const CODE_LENGTH = 6;
+// How long to wait before another code can be requested
+const RESEND_DELAY_SECONDS = 60;
+
+const TITLES = {
+  signup: 'Verify Your Phone',
+  login: 'Sign In With a Code',
+  account: 'Verify Your Phone',
+};
+
+/**
+ * One-time code step. `mode` is 'signup' (after signing up), 'login' (signing
+ * in without the password) or 'account' (verifying the signed-in account's
+ * phone); `sent=1` means the code is already on its way.
+ */
+const VerifyPhoneScreen = () => {
+  const { profile } = useAuth();
+  const params = useLocalSearchParams();
+  const purpose = params.mode || 'account';
+  const alreadySent = params.sent === '1';
+
+  const [phone, setPhone] = useState(params.phone || profile?.phone || '');
+  const [code, setCode] = useState('');
+  const [codeSent, setCodeSent] = useState(alreadySent);
+  const [resendIn, setResendIn] = useState(alreadySent ? RESEND_DELAY_SECONDS : 0);
+  const [sending, setSending] = useState(false);
+  const [verifying, setVerifying] = useState(false);
+
+  useEffect(() => {
+    if (resendIn <= 0) return;
+    const timer = setTimeout(() => setResendIn((seconds) => seconds - 1), 1000);
+    return () => clearTimeout(timer);
+  }, [resendIn]);
+
+  const isValidPhone = (value) => /^\+?[0-9\s-()]{7,15}$/.test(value);
+
+  const handleSendCode = async () => {
+    if (!isValidPhone(phone.trim())) {
+      Alert.alert('Error', 'Please enter a valid phone number (e.g., +255xxxxxxxxx).');
+      return;
+    }
+
+    setSending(true);
+    const { error } = await sendPhoneOtp(phone.trim(), purpose);
+    setSending(false);
+
+    if (error) {
+      const message = purpose === 'login' && /signups? not allowed/i.test(error.message)
+        ? 'No account uses this phone number. Please sign up first.'
+        : error.message;
+      Alert.alert('Could Not Send Code', message);
+      return;
+    }
+
+    setCodeSent(true);
+    setCode('');
+    setResendIn(RESEND_DELAY_SECONDS);
+  };
+
+  const handleVerify = async () => {
+    if (code.trim().length !== CODE_LENGTH) {
+      Alert.alert('Error', `Please enter the ${CODE_LENGTH}-digit code.`);
+      return;
+    }
+
+    setVerifying(true);
+    const { error } = await verifyPhoneOtp(phone.trim(), code.trim(), purpose);
+    setVerifying(false);
+
+    if (error) {
+      Alert.alert('Verification Failed', error.message);
+      return;
+    }
+
+    // After signup and login the new session takes the user into the app
+    if (purpose === 'account') {
+      Alert.alert('Phone Verified', 'You can now list products and send messages.');
+      router.back();
+    }
+  };
+
+  return (
+    <KeyboardAvoidingView
+      style={styles.container}
+      behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+    >
+      <ScrollView contentContainerStyle={styles.scrollContainer}>
+        <TouchableOpacity onPress={() => router.back()} style={styles.backButton}>
+          <Ionicons name="arrow-back" size={24} color="#333" />
+        </TouchableOpacity>
+
+        <View style={styles.header}>
+          <View style={styles.logoContainer}>
+            <Ionicons name="shield-checkmark-outline" size={50} color="#6200ee" />
+          </View>
+          <Text style={styles.title}>{TITLES[purpose] || TITLES.account}</Text>
+          <Text style={styles.description}>
+            {codeSent
+              ? `Enter the ${CODE_LENGTH}-digit code we sent to ${phone.trim()}.`
+              : "We'll text a one-time code to this number."}
+          </Text>
+        </View>
+
+        <View style={styles.form}>
+          {!codeSent ? (
+            <>
+              <View style={styles.inputContainer}>
+                <Ionicons name="call-outline" size={20} color="#666" style={styles.inputIcon} />
+                <TextInput
+                  style={styles.input}
+                  placeholder="Phone Number (e.g., +2557XXXXXXXX)"
+                  value={phone}
+                  onChangeText={setPhone}
+                  autoCapitalize="none"
+                  keyboardType="phone-pad"
+                />
+              </View>
+
+              <TouchableOpacity
+                style={[styles.primaryButton, sending && styles.primaryButtonDisabled]}
+                onPress={handleSendCode}
+                disabled={sending}
+              >
+                {sending ? (
+                  <ActivityIndicator size="small" color="#fff" />
+                ) : (
+                  <Text style={styles.primaryButtonText}>Send Code</Text>
+                )}
+              </TouchableOpacity>
+            </>
+          ) : (
+            <>
+              <View style={styles.inputContainer}>
+                <Ionicons name="keypad-outline" size={20} color="#666" style={styles.inputIcon} />
+                <TextInput
+                  style={[styles.input, styles.codeInput]}
+                  placeholder="000000"
+                  value={code}
+                  onChangeText={(value) => setCode(value.replace(/[^0-9]/g, ''))}
+                  keyboardType="number-pad"
+                  textContentType="oneTimeCode"
+                  autoComplete="sms-otp"
+                  maxLength={CODE_LENGTH}
+                  autoFocus
+                />
+              </View>
+
+              <TouchableOpacity
+                style={[styles.primaryButton, verifying && styles.primaryButtonDisabled]}
+                onPress={handleVerify}
+                disabled={verifying}
+              >
+                {verifying ? (
+                  <ActivityIndicator size="small" color="#fff" />
+                ) : (
+                  <Text style={styles.primaryButtonText}>Verify</Text>
+                )}
+              </TouchableOpacity>
+
+              <TouchableOpacity onPress={handleSendCode} disabled={resendIn > 0 || sending}>
+                <Text style={[styles.linkText, (resendIn > 0 || sending) && styles.linkTextDisabled]}>
+                  {resendIn > 0 ? `Resend code in ${resendIn}s` : 'Resend code'}
+                </Text>
+              </TouchableOpacity>
+
+              {purpose !== 'signup' && (
+                <TouchableOpacity onPress={() => setCodeSent(false)}>
+                  <Text style={styles.linkText}>Use a different number</Text>
+                </TouchableOpacity>
+              )}
+            </>
+          )}
+        </View>
+      </ScrollView>
+    </KeyboardAvoidingView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8f9fa',
+  },
+  scrollContainer: {
+    flexGrow: 1,
+    justifyContent: 'center',
+    padding: 20,
+  },
+  backButton: {
+    position: 'absolute',
+    top: 50,
+    left: 20,
+    zIndex: 1,
+  },
+  header: {
+    alignItems: 'center',
+    marginBottom: 40,
+  },
+  logoContainer: {
+    width: 100,
+    height: 100,
+    borderRadius: 50,
+    backgroundColor: '#fff',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginBottom: 20,
+    shadowColor: "#000",
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 5,
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 8,
+  },
+  description: {
+    fontSize: 14,
+    color: '#666',
+    textAlign: 'center',
+    lineHeight: 20,
+  },
+  form: {
+    marginBottom: 30,
+  },
+  inputContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    marginBottom: 15,
+    paddingHorizontal: 15,
+    shadowColor: "#000",
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 2,
+  },
+  inputIcon: {
+    marginRight: 10,
+  },
+  input: {
+    flex: 1,
+    height: 50,
+    fontSize: 16,
+    color: '#333',
+  },
+  codeInput: {
+    fontSize: 22,
+    letterSpacing: 8,
+  },
+  primaryButton: {
+    backgroundColor: '#6200ee',
+    borderRadius: 12,
+    height: 50,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginTop: 10,
+    shadowColor: "#6200ee",
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.3,
+    shadowRadius: 4,
+    elevation: 5,
+  },
+  primaryButtonDisabled: {
+    backgroundColor: '#ccc',
+  },
+  primaryButtonText: {
+    color: '#fff',
+    fontSize: 18,
+    fontWeight: 'bold',
+  },
+  linkText: {
+    color: '#6200ee',
+    textAlign: 'center',
+    fontSize: 16,
+    marginTop: 20,
+  },
+  linkTextDisabled: {
+    color: '#999',
+  },
+});
+
+export default VerifyPhoneScreen;
@@ -0,0 +1,94 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+// Last known server data, kept on the phone so screens have something to show
+// straight away and while there is no signal.
+const KEY_PREFIX = 'cache:';
+// Cached data older than this gets a "last updated" banner
+export const STALE_AFTER_MS = 5 * 60 * 1000;
+
+// Key -> { value, updatedAt }, so revisiting a screen doesn't read storage again
+const memory = new Map();
+
+/**
+ * Cache keys. Each user gets their own copy, since several people may share a phone.
+ */
+export const cacheKeys = {
+  products: (userId, query) => `products:${userId}:${JSON.stringify(query)}`,
+  conversations: (userId) => `conversations:${userId}`,
+  messages: (userId, otherUserId, productId) => `messages:${userId}:${productId}:${otherUserId}`,
+  notifications: (userId) => `notifications:${userId}`,
+};
+
+/**
+ * Returns `{ value, updatedAt }`, or null when nothing is cached under `key`
+ */
+export const readCache = async (key) => {
+  if (memory.has(key)) {
+    return memory.get(key);
+  }
+
+  try {
+    const stored = await AsyncStorage.getItem(KEY_PREFIX + key);
+    if (!stored) return null;
+
+    const entry = JSON.parse(stored);
+    memory.set(key, entry);
+    return entry;
+  } catch (error) {
+    console.error('Error reading cache:', error.message);
+    return null;
+  }
+};
+
+/**
+ * Store `value` under `key`. `updatedAt` is when it was fetched from the server.
+ */
+export const writeCache = async (key, value, updatedAt = Date.now()) => {
+  const entry = { value, updatedAt };
+  memory.set(key, entry);
+
+  try {
+    await AsyncStorage.setItem(KEY_PREFIX + key, JSON.stringify(entry));
+  } catch (error) {
+    console.error('Error writing cache:', error.message);
+  }
+};
+
+/**
+ * Stale-while-revalidate. Calls `onValue(value, updatedAt)` with the cached copy
+ * first, if there is one, and again with fresh data from `fetcher()`, which
+ * returns `{ data, error, ... }` like the supabase.js functions. Everything but
+ * `error` is cached. Resolves to `{ error, hasCache }`, so a failed refresh can
+ * fall back quietly to what is already on screen. A null `key` skips the cache.
+ */
+export const fetchWithCache = async (key, fetcher, onValue) => {
+  const cached = key ? await readCache(key) : null;
+  if (cached) {
+    onValue(cached.value, cached.updatedAt);
+  }
+
+  const { error, ...value } = await fetcher();
+  if (error) {
+    return { error, hasCache: !!cached };
+  }
+
+  const updatedAt = Date.now();
+  if (key) {
+    writeCache(key, value, updatedAt);
+  }
+  onValue(value, updatedAt);
+  return { error: null, hasCache: !!cached };
+};
+
+export const isStale = (updatedAt) => !!updatedAt && Date.now() - updatedAt > STALE_AFTER_MS;
+
+/**
+ * "just now", "5 min ago", "3 h ago" or the date
+ */
+export const formatLastUpdated = (updatedAt) => {
+  const diffInMinutes = Math.floor((Date.now() - updatedAt) / (1000 * 60));
+  if (diffInMinutes < 1) return 'just now';
+  if (diffInMinutes < 60) return `${diffInMinutes} min ago`;
+  if (diffInMinutes < 24 * 60) return `${Math.floor(diffInMinutes / 60)} h ago`;
+  return new Date(updatedAt).toLocaleDateString();
+};
@@ -0,0 +1,74 @@
+// Labels, colours and seller actions for each listing status
+
+export const LISTING_STATUS_LABELS = {
+  draft: 'Draft',
+  active: 'Active',
+  paused: 'Paused',
+  sold_out: 'Sold Out',
+  expired: 'Expired',
+};
+
+export const LISTING_STATUS_COLORS = {
+  draft: '#999',
+  active: '#27ae60',
+  paused: '#f39c12',
+  sold_out: '#e74c3c',
+  expired: '#7f8c8d',
+};
+
+// Shown instead of the status of a listing an admin has hidden
+export const HIDDEN_LISTING_LABEL = 'Hidden by Moderators';
+export const HIDDEN_LISTING_COLOR = '#c0392b';
+
+// status -> [{ label, status }] for status changes, or [{ label, renew: true }] to extend the listing
+const LISTING_ACTIONS = {
+  draft: [
+    { label: 'Publish', status: 'active' },
+  ],
+  active: [
+    { label: 'Pause', status: 'paused' },
+    { label: 'Mark as Sold Out', status: 'sold_out' },
+    { label: 'Renew', renew: true },
+  ],
+  paused: [
+    { label: 'Resume', status: 'active' },
+    { label: 'Mark as Sold Out', status: 'sold_out' },
+    { label: 'Renew', renew: true },
+  ],
+  sold_out: [
+    { label: 'Relist', status: 'active' },
+    { label: 'Renew', renew: true },
+  ],
+  expired: [
+    { label: 'Renew', renew: true },
+  ],
+};
+
+/**
+ * What the seller can do with a listing in its current status
+ */
+export const getListingActions = (product) => LISTING_ACTIONS[product.status] || [];
+
+/**
+ * Whether buyers can see and order the listing
+ */
+export const isListingAvailable = (product) =>
+  product.status === 'active'
+  && !product.hidden_at
+  && !product.profiles?.suspended_at
+  && (!product.expires_at || new Date(product.expires_at) > new Date());
+
+/**
+ * Short text for when an active or paused listing expires, e.g. "Expires in 3 days"
+ */
+export const formatListingExpiry = (product) => {
+  if (!product.expires_at || !['active', 'paused'].includes(product.status)) return null;
+
+  const diffInDays = Math.ceil((new Date(product.expires_at).getTime() - Date.now()) / (1000 * 60 * 60 * 24));
+  if (diffInDays <= 0) {
+    return 'Expires today';
+  } else if (diffInDays === 1) {
+    return 'Expires tomorrow';
+  }
+  return `Expires in ${diffInDays} days`;
+};
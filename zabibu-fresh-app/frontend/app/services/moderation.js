@@ -0,0 +1,38 @@
+// Report reasons and audit trail labels for the moderation console
+
+export const REPORT_REASONS = [
+  { value: 'scam', label: 'Scam or fraud', icon: 'warning-outline' },
+  { value: 'spam', label: 'Spam', icon: 'mail-unread-outline' },
+  { value: 'abuse', label: 'Abusive or threatening', icon: 'hand-left-outline' },
+  { value: 'inappropriate', label: 'Inappropriate content', icon: 'eye-off-outline' },
+  { value: 'other', label: 'Something else', icon: 'ellipsis-horizontal-circle-outline' },
+];
+
+export const REPORT_DETAILS_MAX_LENGTH = 500;
+
+export const getReportReasonLabel = (value) =>
+  REPORT_REASONS.find((reason) => reason.value === value)?.label || 'Other';
+
+export const AUDIT_ACTION_LABELS = {
+  hide_product: 'Hid listing',
+  restore_product: 'Restored listing',
+  suspend_user: 'Suspended user',
+  reinstate_user: 'Reinstated user',
+  resolve_report: 'Resolved report',
+  dismiss_report: 'Dismissed report',
+};
+
+export const AUDIT_ACTION_ICONS = {
+  hide_product: 'eye-off-outline',
+  restore_product: 'eye-outline',
+  suspend_user: 'ban-outline',
+  reinstate_user: 'person-add-outline',
+  resolve_report: 'checkmark-done-outline',
+  dismiss_report: 'close-circle-outline',
+};
+
+/**
+ * One line describing what an audit trail entry was about, e.g. "Fresh grapes"
+ */
+export const describeAuditTarget = (entry) =>
+  entry.details?.title || entry.details?.name || `${entry.target_type} ${entry.target_id.slice(0, 8)}`;
@@ -0,0 +1,226 @@
+import * as Notifications from 'expo-notifications';
+import * as Device from 'expo-device';
+import Constants from 'expo-constants';
+import { Platform } from 'react-native';
+import { router } from 'expo-router';
+import { registerPushToken, unregisterPushToken, markNotificationsRead } from './supabase';
+import { queryKeys, setQueryData, invalidateQueries } from './queries';
+
+// Android channels the server picks between, see notify_user in the push
+// notifications migration. 'quiet' is used during the user's quiet hours.
+const CHANNELS = {
+  default: {
+    name: 'Messages and orders',
+    importance: Notifications.AndroidImportance.HIGH,
+    sound: 'default',
+    vibrationPattern: [0, 250, 250, 250],
+    lightColor: '#6200ee',
+  },
+  quiet: {
+    name: 'Quiet hours',
+    importance: Notifications.AndroidImportance.LOW,
+    sound: null,
+    enableVibrate: false,
+  },
+};
+
+export const NOTIFICATION_CATEGORY_ICONS = {
+  messages: 'chatbubble-outline',
+  offers: 'pricetag-outline',
+  orders: 'receipt-outline',
+  listings: 'time-outline',
+};
+
+export const NOTIFICATION_CATEGORY_COLORS = {
+  messages: '#3498db',
+  offers: '#8e44ad',
+  orders: '#27ae60',
+  listings: '#e67e22',
+};
+
+// Token registered for the signed-in user on this device
+let registeredToken = null;
+// `${otherUserId}_${productId}` of the conversation on screen, if any
+let openConversation = null;
+// Identifier of the last notification opened, so it is not opened twice
+let lastOpenedId = null;
+
+// Notifications for the conversation on screen are not shown: its messages appear live
+Notifications.setNotificationHandler({
+  handleNotification: async (notification) => {
+    const data = notification.request.content.data;
+    const show = !(data?.type === 'message' && openConversation === `${data.otherUserId}_${data.productId}`);
+    return {
+      shouldShowBanner: show,
+      shouldShowList: show,
+      shouldPlaySound: show,
+      shouldSetBadge: false,
+    };
+  },
+});
+
+/**
+ * Whether the user allowed notifications: 'granted', 'denied' or 'undetermined'
+ */
+export const getNotificationPermission = async () => {
+  const { status } = await Notifications.getPermissionsAsync();
+  return status;
+};
+
+/**
+ * Ask for permission if needed and register this device's push token for the
+ * signed-in user. Simulators and the web cannot receive pushes and are skipped.
+ * Returns `{ data: token, error }`; `data` is null when there is nothing to register.
+ */
+export const registerForPushNotifications = async () => {
+  if (Platform.OS === 'web' || !Device.isDevice) {
+    return { data: null, error: null };
+  }
+
+  try {
+    if (Platform.OS === 'android') {
+      await Promise.all(
+        Object.entries(CHANNELS).map(([id, channel]) => Notifications.setNotificationChannelAsync(id, channel))
+      );
+    }
+
+    let status = await getNotificationPermission();
+    if (status === 'undetermined') {
+      ({ status } = await Notifications.requestPermissionsAsync());
+    }
+    if (status !== 'granted') {
+      return { data: null, error: null };
+    }
+
+    const projectId = Constants.expoConfig?.extra?.eas?.projectId ?? Constants.easConfig?.projectId;
+    const { data: token } = await Notifications.getExpoPushTokenAsync({ projectId });
+
+    const { error } = await registerPushToken(token, Platform.OS);
+    if (error) {
+      return { data: null, error };
+    }
+
+    registeredToken = token;
+    return { data: token, error: null };
+  } catch (error) {
+    console.error('Error registering for push notifications:', error.message);
+    return { data: null, error };
+  }
+};
+
+/**
+ * Stop this device receiving the user's notifications. Call before signing out,
+ * while the session can still remove the token.
+ */
+export const unregisterFromPushNotifications = async () => {
+  if (!registeredToken) return { error: null };
+
+  const { error } = await unregisterPushToken(registeredToken);
+  if (!error) {
+    registeredToken = null;
+  }
+  return { error };
+};
+
+/**
+ * Tell the notification handler which conversation is on screen, or null when none is
+ */
+export const setOpenConversation = (otherUserId, productId) => {
+  openConversation = otherUserId ? `${otherUserId}_${productId}` : null;
+};
+
+/**
+ * Open the chat, order or listing a notification is about. `data` is the
+ * notification's `data`, from a push or a row of the notification centre.
+ */
+export const openNotificationTarget = (data = {}) => {
+  if (data.type === 'message') {
+    router.push({
+      pathname: '/(app)/chat/[chatId]',
+      params: {
+        chatId: `${data.otherUserId}_${data.productId}`,
+        receiverId: data.otherUserId,
+        receiverName: data.otherUserName || 'User',
+        productId: data.productId,
+        productTitle: data.productTitle || 'Product'
+      }
+    });
+  } else if (data.type === 'order') {
+    router.push({
+      pathname: '/(app)/order/[orderId]',
+      params: { orderId: data.orderId }
+    });
+  } else if (data.type === 'product') {
+    router.push({
+      pathname: '/(app)/product/[productId]',
+      params: { productId: data.productId }
+    });
+  }
+};
+
+/**
+ * Mark a user's notifications read, or all of them when `ids` is null. The
+ * loaded list and unread count change straight away.
+ */
+export const readNotifications = async (userId, ids = null) => {
+  const isIncluded = (notification) => ids === null || ids.includes(notification.id);
+  const readAt = new Date().toISOString();
+  let newlyRead = 0;
+
+  setQueryData(queryKeys.notifications(userId), (current) => ({
+    ...current,
+    data: current.data.map((notification) => {
+      if (notification.read_at || !isIncluded(notification)) return notification;
+      newlyRead += 1;
+      return { ...notification, read_at: readAt };
+    }),
+  }));
+  setQueryData(queryKeys.unreadNotificationCount(userId), (current) => ({
+    ...current,
+    data: ids === null ? 0 : Math.max(0, current.data - newlyRead),
+  }));
+
+  const { error } = await markNotificationsRead(ids);
+  if (error) {
+    invalidateQueries(queryKeys.notifications(userId));
+  }
+  return { error };
+};
+
+/**
+ * Open a row of the notification centre, marking it read
+ */
+export const openNotificationItem = (notification) => {
+  if (!notification.read_at) {
+    readNotifications(notification.user_id, [notification.id]);
+  }
+  openNotificationTarget(notification.data);
+};
+
+const openNotification = async (response) => {
+  const { identifier, content } = response.notification.request;
+  if (identifier === lastOpenedId) return;
+  lastOpenedId = identifier;
+
+  const data = content.data || {};
+  openNotificationTarget(data);
+  if (data.notificationId) {
+    await markNotificationsRead([data.notificationId]);
+    invalidateQueries('notifications:');
+  }
+};
+
+/**
+ * Open the chat or order a notification is about when the user taps it,
+ * including the one that launched the app. Returns an unsubscribe function.
+ */
+export const subscribeToNotificationTaps = () => {
+  Notifications.getLastNotificationResponseAsync()
+    .then((response) => {
+      if (response) openNotification(response);
+    })
+    .catch((error) => console.error('Error reading last notification:', error.message));
+
+  const subscription = Notifications.addNotificationResponseReceivedListener(openNotification);
+  return () => subscription.remove();
+};
@@ -0,0 +1,45 @@
+// How long the other side has to answer an offer
+export const OFFER_EXPIRY_HOURS = 48;
+
+export const OFFER_STATUS_LABELS = {
+  pending: 'Waiting for a reply',
+  accepted: 'Accepted',
+  declined: 'Declined',
+  countered: 'Countered',
+  expired: 'Expired',
+};
+
+export const OFFER_STATUS_COLORS = {
+  pending: '#f39c12',
+  accepted: '#27ae60',
+  declined: '#e74c3c',
+  countered: '#8e44ad',
+  expired: '#999',
+};
+
+export const isOfferMessage = (message) => message.message_type === 'offer';
+
+/**
+ * Status of an offer, with unanswered offers past their expiry reported as 'expired'
+ */
+export const getOfferStatus = (message) => {
+  if (message.offer_status === 'pending' && new Date(message.offer_expires_at) <= new Date()) {
+    return 'expired';
+  }
+  return message.offer_status || 'pending';
+};
+
+/**
+ * Whether the user can accept, decline or counter this offer now
+ */
+export const canRespondToOffer = (message, userId) =>
+  !message.pending && message.receiver_id === userId && getOfferStatus(message) === 'pending';
+
+/**
+ * Text stored as the message content, shown in the conversation list
+ */
+export const formatOfferSummary = ({ pricePerKg, quantityKg }, isCounter = false) =>
+  `${isCounter ? 'Counter offer' : 'Offer'}: ${quantityKg} kg at TZS ${pricePerKg.toLocaleString()}/kg`;
+
+export const getOfferExpiryDate = () =>
+  new Date(Date.now() + OFFER_EXPIRY_HOURS * 60 * 60 * 1000).toISOString();
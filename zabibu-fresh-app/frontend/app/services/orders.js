@@ -0,0 +1,83 @@
+// Labels, colours and the next steps of each order status
+
+export const ORDER_STATUS_LABELS = {
+  pending: 'Pending',
+  countered: 'Counter Offer',
+  accepted: 'Accepted',
+  rejected: 'Rejected',
+  ready: 'Ready',
+  collected: 'Collected',
+  completed: 'Completed',
+  cancelled: 'Cancelled',
+};
+
+export const ORDER_STATUS_COLORS = {
+  pending: '#f39c12',
+  countered: '#8e44ad',
+  accepted: '#2980b9',
+  rejected: '#e74c3c',
+  ready: '#16a085',
+  collected: '#27ae60',
+  completed: '#27ae60',
+  cancelled: '#999',
+};
+
+// status -> [{ status, label, by }], where `by` is 'seller', 'buyer' or 'either'
+const ORDER_TRANSITIONS = {
+  pending: [
+    { status: 'accepted', label: 'Accept', by: 'seller' },
+    { status: 'countered', label: 'Counter', by: 'seller' },
+    { status: 'rejected', label: 'Reject', by: 'seller' },
+    { status: 'cancelled', label: 'Cancel Order', by: 'buyer' },
+  ],
+  countered: [
+    { status: 'accepted', label: 'Accept Counter Offer', by: 'buyer' },
+    { status: 'cancelled', label: 'Decline & Cancel', by: 'buyer' },
+  ],
+  accepted: [
+    { status: 'ready', label: 'Mark as Ready', by: 'seller' },
+    { status: 'cancelled', label: 'Cancel Order', by: 'either' },
+  ],
+  ready: [
+    { status: 'collected', label: 'Mark as Collected', by: 'either' },
+    { status: 'cancelled', label: 'Cancel Order', by: 'either' },
+  ],
+  collected: [
+    { status: 'completed', label: 'Mark as Completed', by: 'either' },
+  ],
+};
+
+/**
+ * The steps the given user can take on an order right now
+ */
+export const getOrderActions = (order, userId) => {
+  const side = order.seller_id === userId ? 'seller' : order.buyer_id === userId ? 'buyer' : null;
+  if (!side) return [];
+
+  return (ORDER_TRANSITIONS[order.status] || []).filter(
+    (action) => action.by === 'either' || action.by === side
+  );
+};
+
+/**
+ * Whether an order is finished and can no longer change
+ */
+export const isOrderClosed = (order) =>
+  ['rejected', 'completed', 'cancelled'].includes(order.status);
+
+export const getOrderTotal = (order) =>
+  Number(order.quantity_kg) * Number(order.price_per_kg);
+
+/**
+ * Parse a YYYY-MM-DD date typed by the user. Returns the same string, or null if it is not a real date.
+ */
+export const parseOrderDate = (value) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value.trim());
+  if (!match) return null;
+
+  const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  if (date.getMonth() !== Number(match[2]) - 1 || date.getDate() !== Number(match[3])) {
+    return null;
+  }
+  return value.trim();
+};
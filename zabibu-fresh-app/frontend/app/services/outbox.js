@@ -0,0 +1,475 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import NetInfo from '@react-native-community/netinfo';
+import * as FileSystem from 'expo-file-system';
+import { AppState } from 'react-native';
+import {
+  sendMessage,
+  getMessageByClientId,
+  createProduct,
+  getProductByClientId,
+  updateProduct
+} from './supabase';
+import {
+  uploadImage,
+  deleteImage,
+  getImagePathFromUrl,
+  generateImageFileName,
+  uploadChatImage,
+  uploadChatAudio,
+  deleteChatAttachment
+} from './storage';
+import { generateClientId } from './realtime';
+import { invalidateQueries } from './queries';
+
+const STORAGE_KEY = 'outbox';
+const FILES_DIRECTORY = `${FileSystem.documentDirectory}outbox/`;
+const RETRY_BASE_DELAY_MS = 2000;
+const RETRY_MAX_DELAY_MS = 5 * 60 * 1000;
+// Attempts made while the phone looked online before an item is marked failed
+const MAX_ATTEMPTS = 6;
+// Postgres unique_violation: a retry of an insert that reached the server the first time
+const UNIQUE_VIOLATION = '23505';
+
+// Queued items of every user who signed in on this phone, oldest first:
+// { id, userId, type, payload, status: 'pending' | 'failed', attempts, nextAttemptAt, lastError, createdAt }
+let items = [];
+let loadPromise = null;
+let currentUserId = null;
+let isOnline = true;
+let flushing = null;
+let flushRequested = false;
+let retryTimer = null;
+let netInfoUnsubscribe = null;
+let appStateSubscription = null;
+const listeners = new Set();
+// Item id -> resolve() of the caller waiting for the first attempt
+const firstAttempts = new Map();
+
+const isNetworkError = (error) =>
+  !isOnline || /network request failed|failed to fetch|network error|timed? ?out/i.test(error?.message || '');
+
+const getRetryDelay = (attempts) =>
+  Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * 2 ** (attempts - 1));
+
+const loadOutbox = () => {
+  if (!loadPromise) {
+    loadPromise = AsyncStorage.getItem(STORAGE_KEY)
+      .then((stored) => {
+        items = stored ? JSON.parse(stored) : [];
+      })
+      .catch((error) => {
+        console.error('Error loading outbox:', error.message);
+        items = [];
+      });
+  }
+  return loadPromise;
+};
+
+const persist = () =>
+  AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(items)).catch((error) =>
+    console.error('Error saving outbox:', error.message)
+  );
+
+/**
+ * Queued items of the signed-in user, oldest first
+ */
+export const getOutboxItems = () => items.filter((item) => item.userId === currentUserId);
+
+const notifyChange = () => {
+  const userItems = getOutboxItems();
+  listeners.forEach((listener) => listener.onChange?.(userItems));
+};
+
+const updateItem = (id, changes) => {
+  items = items.map((item) => (item.id === id ? { ...item, ...changes } : item));
+  persist();
+  notifyChange();
+};
+
+const removeItem = (id) => {
+  items = items.filter((item) => item.id !== id);
+  persist();
+  notifyChange();
+};
+
+// Picked photos and recordings live in the cache directory, which the OS may
+// clear before the item is sent, so queued files are copied somewhere permanent
+const keepFile = async (uri) => {
+  try {
+    await FileSystem.makeDirectoryAsync(FILES_DIRECTORY, { intermediates: true });
+    const target = `${FILES_DIRECTORY}${generateClientId()}.${uri.split('.').pop()}`;
+    await FileSystem.copyAsync({ from: uri, to: target });
+    return target;
+  } catch (error) {
+    console.error('Error keeping outbox file:', error.message);
+    return uri;
+  }
+};
+
+const removeFile = (uri) => {
+  if (uri?.startsWith(FILES_DIRECTORY)) {
+    FileSystem.deleteAsync(uri, { idempotent: true }).catch(() => {});
+  }
+};
+
+const keepListingImages = async (payload) => ({
+  ...payload,
+  images: await Promise.all(payload.images.map(async (image) =>
+    image.remoteUrl ? image : { ...image, uri: await keepFile(image.uri) }
+  )),
+});
+
+// Uploads the photos that are not in storage yet. Each finished upload is saved
+// on the item, so a retry picks up where the last attempt stopped.
+const uploadListingImages = async (item, save) => {
+  const images = [...item.payload.images];
+
+  for (let index = 0; index < images.length; index += 1) {
+    if (images[index].remoteUrl) continue;
+
+    const fileName = generateImageFileName(item.userId, 'product_image.jpg');
+    const result = await uploadImage(images[index].uri, fileName);
+    if (!result.success) {
+      throw new Error(result.error || 'Failed to upload image.');
+    }
+
+    images[index] = {
+      ...images[index],
+      uploadedPath: result.data.path,
+      remoteUrl: result.data.publicUrl,
+      remoteThumbnailUrl: result.data.thumbnailUrl,
+    };
+    save({ images });
+  }
+
+  return {
+    imageUrl: images[0]?.remoteUrl || null,
+    imageUrls: images.map((image) => image.remoteUrl),
+    thumbnailUrls: images.map((image) => image.remoteThumbnailUrl || image.remoteUrl),
+  };
+};
+
+// `sent` is false when the item is discarded: undo the uploads it made
+const cleanUpListingImages = (item, sent) => {
+  item.payload.images.forEach((image) => {
+    removeFile(image.uri);
+    if (!sent && image.uploadedPath) {
+      deleteImage(image.uploadedPath);
+    }
+  });
+};
+
+// The row an earlier attempt saved, for a retry that hit UNIQUE_VIOLATION
+const savedRow = async (getByClientId, clientId) => {
+  const { data, error } = await getByClientId(clientId);
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * What each item type does. `prepare(payload)` runs once when the item is queued,
+ * `send(item, save)` makes one attempt and returns the saved row,
+ * `cleanUp(item, sent)` runs when the item leaves the outbox, and
+ * `invalidates` are the query prefixes to refresh once it is sent.
+ */
+const HANDLERS = {
+  // payload: sendMessage() fields, plus `attachment: { kind: 'image' | 'audio', localUri }`
+  // for a photo or voice note and `preview`, the row to show until it is saved
+  message: {
+    prepare: async (payload) => {
+      if (!payload.attachment) return payload;
+      const localUri = await keepFile(payload.attachment.localUri);
+      return {
+        ...payload,
+        attachment: { ...payload.attachment, localUri },
+        preview: { ...payload.preview, local_uri: localUri },
+      };
+    },
+    send: async (item, save) => {
+      const { attachment, preview, ...messageData } = item.payload;
+
+      if (attachment && !messageData.attachmentPath) {
+        const upload = attachment.kind === 'audio' ? uploadChatAudio : uploadChatImage;
+        const result = await upload(attachment.localUri, messageData.senderId, messageData.receiverId);
+        if (!result.success) throw new Error(result.error);
+
+        messageData.attachmentPath = result.data.path;
+        save({ attachmentPath: result.data.path });
+      }
+
+      const { data, error } = await sendMessage({ ...messageData, clientId: item.id });
+      if (error?.code === UNIQUE_VIOLATION) return savedRow(getMessageByClientId, item.id);
+      if (error) throw error;
+      return data;
+    },
+    cleanUp: (item, sent) => {
+      removeFile(item.payload.attachment?.localUri);
+      if (!sent && item.payload.attachmentPath) {
+        deleteChatAttachment(item.payload.attachmentPath);
+      }
+    },
+    invalidates: ['conversations:'],
+  },
+  // payload: { product: createProduct() fields without images, images: [{ uri, remoteUrl, remoteThumbnailUrl }] }
+  createProduct: {
+    prepare: keepListingImages,
+    send: async (item, save) => {
+      const imageFields = await uploadListingImages(item, save);
+      const { data, error } = await createProduct({
+        ...item.payload.product,
+        ...imageFields,
+        clientId: item.id,
+      });
+      if (error?.code === UNIQUE_VIOLATION) return savedRow(getProductByClientId, item.id);
+      if (error) throw error;
+      return data;
+    },
+    cleanUp: cleanUpListingImages,
+    invalidates: ['products:'],
+  },
+  // payload: { productId, product: updateProduct() fields without images, images, previousUrls }
+  updateProduct: {
+    prepare: keepListingImages,
+    send: async (item, save) => {
+      const { productId, product, previousUrls } = item.payload;
+      const imageFields = await uploadListingImages(item, save);
+      const { data, error } = await updateProduct(productId, { ...product, ...imageFields });
+      if (error) throw error;
+
+      // Only remove replaced photos once the listing no longer points at them
+      const removedPaths = previousUrls
+        .filter((url) => !imageFields.imageUrls.includes(url))
+        .map(getImagePathFromUrl)
+        .filter(Boolean);
+      await Promise.all(removedPaths.map((path) => deleteImage(path)));
+      return data;
+    },
+    cleanUp: cleanUpListingImages,
+    invalidates: ['products:'],
+  },
+};
+
+// Returns 'sent', 'offline' or 'failed'
+const attemptItem = async (item) => {
+  const handler = HANDLERS[item.type];
+  const resolveFirstAttempt = firstAttempts.get(item.id);
+  firstAttempts.delete(item.id);
+
+  let current = item;
+  const save = (changes) => {
+    current = { ...current, payload: { ...current.payload, ...changes } };
+    updateItem(item.id, { payload: current.payload });
+  };
+
+  try {
+    const data = await handler.send(item, save);
+
+    listeners.forEach((listener) => listener.onSent?.(current, data));
+    handler.cleanUp(current, true);
+    handler.invalidates.forEach(invalidateQueries);
+    removeItem(item.id);
+    resolveFirstAttempt?.({ data, error: null, queued: false });
+    return 'sent';
+  } catch (error) {
+    if (isNetworkError(error)) {
+      const attempts = item.attempts + 1;
+      updateItem(item.id, {
+        attempts,
+        status: attempts >= MAX_ATTEMPTS ? 'failed' : 'pending',
+        nextAttemptAt: Date.now() + getRetryDelay(attempts),
+        lastError: error.message,
+      });
+      resolveFirstAttempt?.({ data: null, error: null, queued: true });
+      return 'offline';
+    }
+
+    console.error(`Error sending queued ${item.type}:`, error.message);
+    // The user is still on the screen that queued it: hand the error back
+    // so they can fix their input, instead of keeping a failed copy
+    if (resolveFirstAttempt) {
+      handler.cleanUp(current, false);
+      removeItem(item.id);
+      resolveFirstAttempt({ data: null, error, queued: false });
+    } else {
+      updateItem(item.id, { status: 'failed', lastError: error.message });
+    }
+    return 'failed';
+  }
+};
+
+const scheduleRetry = () => {
+  clearTimeout(retryTimer);
+  retryTimer = null;
+
+  const nextAttemptAt = Math.min(
+    ...getOutboxItems()
+      .filter((item) => item.status === 'pending')
+      .map((item) => item.nextAttemptAt)
+  );
+  if (!Number.isFinite(nextAttemptAt) || !isOnline) return;
+
+  retryTimer = setTimeout(flushOutbox, Math.max(0, nextAttemptAt - Date.now()));
+};
+
+// Sends pending items in order. Stops at the first one that is not due yet or
+// could not reach the server, so messages never overtake each other.
+const runQueue = async () => {
+  await loadOutbox();
+  const attempted = new Set();
+
+  while (isOnline && currentUserId) {
+    const item = getOutboxItems().find(
+      (candidate) => candidate.status === 'pending' && !attempted.has(candidate.id)
+    );
+    if (!item || item.nextAttemptAt > Date.now()) break;
+
+    attempted.add(item.id);
+    if (await attemptItem(item) === 'offline') break;
+  }
+
+  // Whatever was not attempted stays queued
+  firstAttempts.forEach((resolve) => resolve({ data: null, error: null, queued: true }));
+  firstAttempts.clear();
+  scheduleRetry();
+};
+
+/**
+ * Try to send everything that is due now
+ */
+export const flushOutbox = () => {
+  flushRequested = true;
+  if (flushing) return flushing;
+
+  flushing = (async () => {
+    while (flushRequested) {
+      flushRequested = false;
+      try {
+        await runQueue();
+      } catch (error) {
+        console.error('Error flushing outbox:', error.message);
+      }
+    }
+    flushing = null;
+  })();
+  return flushing;
+};
+
+// Something changed for the better (back online, app reopened, a new item):
+// skip the backoff and try again now
+const retryNow = () => {
+  items = items.map((item) => (item.status === 'pending' ? { ...item, nextAttemptAt: 0 } : item));
+  return flushOutbox();
+};
+
+const handleConnectivityChange = (state) => {
+  const wasOnline = isOnline;
+  // `isInternetReachable` is null until it has been checked
+  isOnline = state.isConnected !== false && state.isInternetReachable !== false;
+  if (isOnline && !wasOnline) {
+    retryNow();
+  }
+};
+
+const handleAppStateChange = (nextState) => {
+  if (nextState === 'active') {
+    retryNow();
+  }
+};
+
+/**
+ * Queue an item and make the first attempt straight away when online.
+ * Resolves once that attempt is over with `{ data, error, queued }`:
+ * `data` is the saved row, `queued` is true when it will be retried later,
+ * and `error` is set when the server rejected it (it is then dropped from the outbox).
+ * `id` doubles as the row's `client_id`.
+ */
+export const enqueueOutboxItem = async (type, payload, id = generateClientId()) => {
+  await loadOutbox();
+
+  const item = {
+    id,
+    userId: currentUserId,
+    type,
+    payload: await HANDLERS[type].prepare(payload),
+    status: 'pending',
+    attempts: 0,
+    nextAttemptAt: 0,
+    lastError: null,
+    createdAt: new Date().toISOString(),
+  };
+  const firstAttempt = new Promise((resolve) => firstAttempts.set(id, resolve));
+
+  items = [...items, item];
+  persist();
+  notifyChange();
+  retryNow();
+
+  return firstAttempt;
+};
+
+/**
+ * Send a failed item again
+ */
+export const retryOutboxItem = (id) => {
+  updateItem(id, { status: 'pending', attempts: 0, nextAttemptAt: 0, lastError: null });
+  return flushOutbox();
+};
+
+/**
+ * Drop an item without sending it
+ */
+export const discardOutboxItem = (id) => {
+  const item = items.find((candidate) => candidate.id === id);
+  if (!item) return;
+  HANDLERS[item.type].cleanUp(item, false);
+  removeItem(id);
+};
+
+/**
+ * Watch the signed-in user's outbox. `listener` is `{ onChange(items), onSent(item, data) }`;
+ * `onChange` also fires right away with the current items. Returns an unsubscribe function.
+ */
+export const subscribeToOutbox = (listener) => {
+  listeners.add(listener);
+  loadOutbox().then(() => {
+    if (listeners.has(listener)) {
+      listener.onChange?.(getOutboxItems());
+    }
+  });
+
+  return () => {
+    listeners.delete(listener);
+  };
+};
+
+/**
+ * Start sending the given user's queued items, and keep retrying as the
+ * connection comes and goes. Other users' items wait for them to sign in again.
+ */
+export const startOutbox = (userId) => {
+  currentUserId = userId;
+
+  if (!netInfoUnsubscribe) {
+    netInfoUnsubscribe = NetInfo.addEventListener(handleConnectivityChange);
+  }
+  if (!appStateSubscription) {
+    appStateSubscription = AppState.addEventListener('change', handleAppStateChange);
+  }
+
+  loadOutbox().then(() => {
+    notifyChange();
+    retryNow();
+  });
+};
+
+export const stopOutbox = () => {
+  currentUserId = null;
+  clearTimeout(retryTimer);
+  retryTimer = null;
+
+  netInfoUnsubscribe?.();
+  netInfoUnsubscribe = null;
+  appStateSubscription?.remove();
+  appStateSubscription = null;
+  notifyChange();
+};
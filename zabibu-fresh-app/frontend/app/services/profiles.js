@@ -0,0 +1,10 @@
+export const PREFERRED_CONTACT_OPTIONS = [
+  { value: 'chat', label: 'In-app Chat', icon: 'chatbubble-outline' },
+  { value: 'phone', label: 'Phone Call', icon: 'call-outline' },
+  { value: 'whatsapp', label: 'WhatsApp', icon: 'logo-whatsapp' },
+];
+
+export const BIO_MAX_LENGTH = 300;
+
+export const getPreferredContactLabel = (value) =>
+  PREFERRED_CONTACT_OPTIONS.find((option) => option.value === value)?.label || null;
@@ -0,0 +1,196 @@
+import { getUserProfile } from './supabase';
+import { cacheKeys, readCache, writeCache } from './cache';
+
+// Data younger than this is served from memory without asking the server again
+const DEFAULT_STALE_TIME_MS = 30 * 1000;
+
+/**
+ * Query keys. Invalidate a whole group with its prefix, e.g. `invalidateQueries('products:')`.
+ */
+export const queryKeys = {
+  ...cacheKeys,
+  profile: (userId) => `profile:${userId}`,
+  unreadNotificationCount: (userId) => `notifications:${userId}:unread`,
+  // Moderation console lists, e.g. `admin:reports:product` or `admin:hidden-products`
+  admin: (list) => `admin:${list}`,
+};
+
+// Key -> { value, updatedAt, error, promise, invalidated, generation, fetcher, persist, listeners }.
+// `generation` goes up with every invalidation.
+const entries = new Map();
+
+const getEntry = (key) => {
+  let entry = entries.get(key);
+  if (!entry) {
+    entry = {
+      value: undefined,
+      updatedAt: null,
+      error: null,
+      promise: null,
+      invalidated: false,
+      generation: 0,
+      fetcher: null,
+      persist: false,
+      listeners: new Set(),
+    };
+    entries.set(key, entry);
+  }
+  return entry;
+};
+
+/**
+ * Snapshot of a query: `{ value, updatedAt, error, isFetching }`.
+ * `value` is undefined until the first successful fetch.
+ */
+export const getQueryState = (key) => {
+  const entry = entries.get(key);
+  return {
+    value: entry?.value,
+    updatedAt: entry?.updatedAt ?? null,
+    error: entry?.error ?? null,
+    isFetching: !!entry?.promise,
+  };
+};
+
+const notify = (key) => {
+  const state = getQueryState(key);
+  entries.get(key).listeners.forEach((listener) => listener(state));
+};
+
+/**
+ * Fetch a query. Everyone asking for the same key at once shares one request,
+ * and data younger than `staleTime` is returned without one unless `force` is set.
+ * `fetcher()` returns `{ data, error, ... }` like the supabase.js functions; all
+ * of it but `error` becomes the query's value. With `persist`, the value is also
+ * kept on the phone (see cache.js) and shown before the first fetch completes.
+ * A request still running when the key is invalidated is sent again.
+ * Resolves to `{ value, error }`.
+ */
+export const fetchQuery = (key, fetcher, { staleTime = DEFAULT_STALE_TIME_MS, force = false, persist = false } = {}) => {
+  const entry = getEntry(key);
+  entry.fetcher = fetcher;
+  entry.persist = entry.persist || persist;
+
+  if (entry.promise) {
+    return entry.promise;
+  }
+  const isFresh = entry.updatedAt && !entry.invalidated && Date.now() - entry.updatedAt < staleTime;
+  if (isFresh && !force) {
+    return Promise.resolve({ value: entry.value, error: null });
+  }
+
+  entry.promise = (async () => {
+    const generation = entry.generation;
+
+    if (entry.persist && entry.value === undefined) {
+      const cached = await readCache(key);
+      if (cached && entry.value === undefined) {
+        entry.value = cached.value;
+        entry.updatedAt = cached.updatedAt;
+        notify(key);
+      }
+    }
+
+    let result;
+    try {
+      result = await fetcher();
+    } catch (error) {
+      result = { error };
+    }
+
+    // Invalidated while in flight: the answer may predate the mutation, so ask again
+    if (entry.generation !== generation) {
+      entry.promise = null;
+      return fetchQuery(key, entry.fetcher, { force: true });
+    }
+
+    const { error, ...value } = result;
+    if (error) {
+      entry.error = error;
+    } else {
+      entry.value = value;
+      entry.updatedAt = Date.now();
+      entry.error = null;
+      entry.invalidated = false;
+      if (entry.persist) {
+        writeCache(key, value, entry.updatedAt);
+      }
+    }
+
+    entry.promise = null;
+    notify(key);
+    return { value: entry.value, error: entry.error };
+  })();
+
+  notify(key);
+  return entry.promise;
+};
+
+/**
+ * Change a query's value in place, e.g. for a realtime update.
+ * `updater(value)` returns the new value; it is not called before the first fetch.
+ */
+export const setQueryData = (key, updater) => {
+  const entry = entries.get(key);
+  if (!entry || entry.value === undefined) return;
+
+  entry.value = updater(entry.value);
+  if (entry.persist) {
+    // Keep the time of the last fetch: the rest of the data is no newer
+    writeCache(key, entry.value, entry.updatedAt);
+  }
+  notify(key);
+};
+
+/**
+ * Mark every query whose key starts with `prefix` as outdated, after a mutation.
+ * Queries that are on screen refetch straight away; the rest on their next use.
+ */
+export const invalidateQueries = (prefix) => {
+  entries.forEach((entry, key) => {
+    if (!key.startsWith(prefix)) return;
+
+    entry.invalidated = true;
+    entry.generation += 1;
+    if (entry.listeners.size > 0 && entry.fetcher) {
+      fetchQuery(key, entry.fetcher);
+    }
+  });
+};
+
+/**
+ * Call `listener(state)` whenever the query changes. Returns an unsubscribe function.
+ */
+export const subscribeToQuery = (key, listener) => {
+  const entry = getEntry(key);
+  entry.listeners.add(listener);
+  return () => {
+    entry.listeners.delete(listener);
+  };
+};
+
+const PROFILE_NOT_FOUND = new Error('Profile not found');
+
+/**
+ * The user's profile, fetched once however many callers ask for it at the same time.
+ * Resolves to `{ profile, error }`: `profile` is null without an `error` when the
+ * user has no profile row yet, and with one when it could not be loaded (e.g. offline).
+ */
+export const fetchProfile = async (userId, { force = false } = {}) => {
+  if (!userId) return { profile: null, error: null };
+
+  const { value, error } = await fetchQuery(
+    queryKeys.profile(userId),
+    async () => {
+      const { data, error: profileError } = await getUserProfile(userId);
+      if (profileError) return { error: profileError };
+      // Not cached, so the next call asks again, e.g. while sign-up is still creating it
+      return data ? { data } : { error: PROFILE_NOT_FOUND };
+    },
+    { force }
+  );
+
+  // After a failed refresh, the profile loaded earlier is still good to use
+  const profile = value?.data ?? null;
+  return { profile, error: profile || error === PROFILE_NOT_FOUND ? null : error };
+};
@@ -0,0 +1,229 @@
+import { AppState } from 'react-native';
+import { supabase } from './supabase';
+
+const RECONNECT_BASE_DELAY_MS = 1000;
+const RECONNECT_MAX_DELAY_MS = 30000;
+
+// Channel name -> { channel, bindings, listeners, attempts, retryTimer, hasConnected }.
+// Screens that watch the same conversation share one channel.
+const channels = new Map();
+let appStateSubscription = null;
+
+const notify = (entry, handler, ...args) => {
+  entry.listeners.forEach((listener) => listener[handler]?.(...args));
+};
+
+const scheduleReconnect = (name, entry) => {
+  if (entry.retryTimer || !channels.has(name)) return;
+
+  const delay = Math.min(RECONNECT_MAX_DELAY_MS, RECONNECT_BASE_DELAY_MS * 2 ** entry.attempts);
+  entry.attempts += 1;
+  entry.retryTimer = setTimeout(() => {
+    entry.retryTimer = null;
+    reconnect(name, entry);
+  }, delay);
+};
+
+const openChannel = (name, entry) => {
+  let channel = supabase.channel(name);
+
+  entry.bindings.forEach(({ event, filter, table = 'messages' }) => {
+    channel = channel.on(
+      'postgres_changes',
+      { event, schema: 'public', table, filter },
+      (payload) => notify(entry, 'onChange', payload)
+    );
+  });
+
+  entry.channel = channel;
+  channel.subscribe((status) => {
+    // Ignore late callbacks from a channel that has since been replaced
+    if (entry.channel !== channel) return;
+
+    if (status === 'SUBSCRIBED') {
+      // Anything sent while we were disconnected was missed: let screens refetch
+      if (entry.hasConnected) {
+        notify(entry, 'onResync');
+      }
+      entry.hasConnected = true;
+      entry.attempts = 0;
+    } else if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT' || status === 'CLOSED') {
+      scheduleReconnect(name, entry);
+    }
+  });
+};
+
+const reconnect = (name, entry) => {
+  if (!channels.has(name)) return;
+  const oldChannel = entry.channel;
+  entry.channel = null;
+  if (oldChannel) {
+    supabase.removeChannel(oldChannel);
+  }
+  openChannel(name, entry);
+};
+
+// Coming back to the foreground after the OS suspended the socket
+const handleAppStateChange = (nextState) => {
+  if (nextState !== 'active') return;
+
+  channels.forEach((entry, name) => {
+    if (entry.channel?.state === 'joined') {
+      notify(entry, 'onResync');
+    } else {
+      clearTimeout(entry.retryTimer);
+      entry.retryTimer = null;
+      reconnect(name, entry);
+    }
+  });
+};
+
+/**
+ * Listen on a shared channel. `bindings` are `{ event, filter, table }`, where `table`
+ * defaults to messages, and `listener` is `{ onChange(payload), onResync() }`.
+ * Returns an unsubscribe function.
+ */
+const subscribe = (name, bindings, listener) => {
+  let entry = channels.get(name);
+
+  if (!entry) {
+    entry = {
+      channel: null,
+      bindings,
+      listeners: new Set(),
+      attempts: 0,
+      retryTimer: null,
+      hasConnected: false,
+    };
+    channels.set(name, entry);
+    openChannel(name, entry);
+  }
+
+  if (!appStateSubscription) {
+    appStateSubscription = AppState.addEventListener('change', handleAppStateChange);
+  }
+
+  entry.listeners.add(listener);
+
+  return () => {
+    entry.listeners.delete(listener);
+    if (entry.listeners.size > 0) return;
+
+    channels.delete(name);
+    clearTimeout(entry.retryTimer);
+    const channel = entry.channel;
+    entry.channel = null;
+    if (channel) {
+      supabase.removeChannel(channel);
+    }
+
+    if (channels.size === 0 && appStateSubscription) {
+      appStateSubscription.remove();
+      appStateSubscription = null;
+    }
+  };
+};
+
+const isBetween = (message, userId, otherUserId) =>
+  (message.sender_id === userId && message.receiver_id === otherUserId) ||
+  (message.sender_id === otherUserId && message.receiver_id === userId);
+
+// Route a postgres_changes payload to the matching handler
+const dispatch = ({ eventType, new: message }, { onMessage, onMessageUpdate }) => {
+  if (!message) return;
+  if (eventType === 'INSERT') {
+    onMessage?.(message);
+  } else if (eventType === 'UPDATE') {
+    onMessageUpdate?.(message);
+  }
+};
+
+/**
+ * Live messages for one conversation (two users talking about one product).
+ * `onMessage(message)` fires for every new message and `onMessageUpdate(message)`
+ * when one changes, e.g. it was delivered or read. `onResync()` fires after a
+ * reconnect, when the screen should refetch to pick up anything it missed.
+ */
+export const subscribeToConversation = ({ userId, otherUserId, productId }, handlers) => {
+  const participants = [userId, otherUserId].sort().join(':');
+
+  return subscribe(
+    `conversation:${productId}:${participants}`,
+    [
+      { event: 'INSERT', filter: `product_id=eq.${productId}` },
+      { event: 'UPDATE', filter: `product_id=eq.${productId}` },
+    ],
+    {
+      onChange: (payload) => {
+        if (payload.new && isBetween(payload.new, userId, otherUserId)) {
+          dispatch(payload, handlers);
+        }
+      },
+      onResync: handlers.onResync,
+    }
+  );
+};
+
+/**
+ * Live messages sent or received by a user, across all conversations.
+ * Takes the same handlers as `subscribeToConversation`.
+ */
+export const subscribeToUserMessages = (userId, handlers) =>
+  subscribe(
+    `user-messages:${userId}`,
+    [
+      { event: 'INSERT', filter: `receiver_id=eq.${userId}` },
+      { event: 'INSERT', filter: `sender_id=eq.${userId}` },
+      { event: 'UPDATE', filter: `receiver_id=eq.${userId}` },
+      { event: 'UPDATE', filter: `sender_id=eq.${userId}` },
+    ],
+    {
+      onChange: (payload) => dispatch(payload, handlers),
+      onResync: handlers.onResync,
+    }
+  );
+
+/**
+ * Live changes to a user's notifications. `onChange()` fires when one arrives,
+ * is replaced by a newer one or is read, and after a reconnect.
+ */
+export const subscribeToNotifications = (userId, { onChange }) =>
+  subscribe(
+    `notifications:${userId}`,
+    [{ event: '*', table: 'notifications', filter: `user_id=eq.${userId}` }],
+    {
+      onChange: () => onChange(),
+      onResync: onChange,
+    }
+  );
+
+/**
+ * Random v4 UUID used as `client_id` to match an optimistic message with its
+ * saved row and realtime echo
+ */
+export const generateClientId = () =>
+  'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (char) => {
+    const random = (Math.random() * 16) | 0;
+    const value = char === 'x' ? random : (random & 0x3) | 0x8;
+    return value.toString(16);
+  });
+
+/**
+ * Insert or replace a message in a newest-first list. A message matching an
+ * existing row by `id` or `client_id` replaces it, so the optimistic copy, the
+ * insert response and the realtime echo collapse into one bubble.
+ */
+export const upsertMessage = (messages, message) => {
+  const index = messages.findIndex((existing) =>
+    existing.id === message.id ||
+    (message.client_id && existing.client_id === message.client_id)
+  );
+
+  if (index === -1) {
+    return [message, ...messages];
+  }
+
+  const next = [...messages];
+  next[index] = { ...next[index], ...message, pending: false };
+  return next;
+};
@@ -1,60 +1,166 @@
 import * as FileSystem from 'expo-file-system';
+import * as ImageManipulator from 'expo-image-manipulator';
+import { Image } from 'react-native';
 import { supabase } from './supabase';
 
+// Maximum number of photos a seller can attach to one listing
+export const MAX_PRODUCT_IMAGES = 5;
+
+// Every photo is stored twice: a full-size variant for detail views and a
+// small thumbnail for list cards. Each is shrunk until it fits its byte budget.
+export const IMAGE_VARIANTS = {
+  full: { maxWidth: 1280, maxBytes: 250 * 1024, folder: 'products' },
+  thumbnail: { maxWidth: 480, maxBytes: 40 * 1024, folder: 'products/thumbnails' },
+};
+
+const INITIAL_QUALITY = 0.8;
+const MIN_QUALITY = 0.3;
+const QUALITY_STEP = 0.15;
+const SCALE_STEP = 0.75;
+const MIN_WIDTH = 160;
+
+const getImageWidth = (imageUri) =>
+  new Promise((resolve, reject) => {
+    Image.getSize(imageUri, (width) => resolve(width), reject);
+  });
+
+const getFileSize = async (fileUri) => {
+  const info = await FileSystem.getInfoAsync(fileUri, { size: true });
+  return info.exists ? info.size : 0;
+};
+
 /**
- * Upload image to Supabase Storage (free tier includes 1GB storage)
+ * Resize and re-encode a local photo as JPEG until it fits within `maxBytes`.
+ * Quality is lowered first; once it bottoms out the photo is scaled down further.
  */
-export const uploadImage = async (imageUri, fileName) => {
-  try {
-    // Read the file as base64
-    const base64 = await FileSystem.readAsStringAsync(imageUri, {
-      encoding: FileSystem.EncodingType.Base64,
+export const compressImage = async (imageUri, { maxWidth, maxBytes }) => {
+  let width = Math.min(maxWidth, await getImageWidth(imageUri));
+  let quality = INITIAL_QUALITY;
+
+  for (;;) {
+    const result = await ImageManipulator.manipulateAsync(
+      imageUri,
+      [{ resize: { width } }],
+      { compress: quality, format: ImageManipulator.SaveFormat.JPEG }
+    );
+    const size = await getFileSize(result.uri);
+
+    if (size <= maxBytes || width <= MIN_WIDTH) {
+      return { uri: result.uri, width: result.width, height: result.height, size };
+    }
+
+    // Too big: discard this attempt and try a smaller encoding
+    await FileSystem.deleteAsync(result.uri, { idempotent: true });
+    if (quality - QUALITY_STEP >= MIN_QUALITY) {
+      quality -= QUALITY_STEP;
+    } else {
+      width = Math.max(MIN_WIDTH, Math.round(width * SCALE_STEP));
+    }
+  }
+};
+
+/**
+ * Upload a local file to the given path of a storage bucket (product-images unless told otherwise)
+ */
+const uploadFile = async (fileUri, storagePath, { bucket = 'product-images', contentType = 'image/jpeg' } = {}) => {
+  // Read the file as base64
+  const base64 = await FileSystem.readAsStringAsync(fileUri, {
+    encoding: FileSystem.EncodingType.Base64,
+  });
+
+  // Convert base64 to blob
+  const response = await fetch(`data:${contentType};base64,${base64}`);
+  const blob = await response.blob();
+
+  // Upload to Supabase Storage
+  const { data, error } = await supabase.storage
+    .from(bucket)
+    .upload(storagePath, blob, {
+      contentType,
+      cacheControl: '3600',
+      upsert: false
     });
 
-    // Convert base64 to blob
-    const response = await fetch(`data:image/jpeg;base64,${base64}`);
-    const blob = await response.blob();
+  if (error) {
+    return { data: null, error };
+  }
 
-    // Upload to Supabase Storage
-    const { data, error } = await supabase.storage
-      .from('product-images')
-      .upload(`products/${fileName}`, blob, {
-        contentType: 'image/jpeg',
-        cacheControl: '3600',
-        upsert: false
-      });
+  return { data: { path: data.path }, error: null };
+};
 
-    if (error) {
-      console.error('Upload error:', error);
-      return { success: false, error: error.message };
+const getPublicImageUrl = (storagePath) => {
+  const { data: { publicUrl } } = supabase.storage
+    .from('product-images')
+    .getPublicUrl(storagePath);
+  return publicUrl;
+};
+
+/**
+ * Upload image to Supabase Storage (free tier includes 1GB storage).
+ * The photo is compressed into a full-size variant and a thumbnail, and both are stored.
+ */
+export const uploadImage = async (imageUri, fileName) => {
+  let full = null;
+  let thumbnail = null;
+
+  try {
+    full = await compressImage(imageUri, IMAGE_VARIANTS.full);
+    thumbnail = await compressImage(imageUri, IMAGE_VARIANTS.thumbnail);
+
+    const fullUpload = await uploadFile(full.uri, `${IMAGE_VARIANTS.full.folder}/${fileName}`);
+    if (fullUpload.error) {
+      console.error('Upload error:', fullUpload.error);
+      return { success: false, error: fullUpload.error.message };
     }
 
-    // Get public URL
-    const { data: { publicUrl } } = supabase.storage
-      .from('product-images')
-      .getPublicUrl(`products/${fileName}`);
+    const thumbnailUpload = await uploadFile(thumbnail.uri, `${IMAGE_VARIANTS.thumbnail.folder}/${fileName}`);
+    if (thumbnailUpload.error) {
+      console.error('Thumbnail upload error:', thumbnailUpload.error);
+      await supabase.storage.from('product-images').remove([fullUpload.data.path]);
+      return { success: false, error: thumbnailUpload.error.message };
+    }
 
     return { 
       success: true, 
       data: { 
-        path: data.path, 
-        publicUrl 
+        path: fullUpload.data.path, 
+        publicUrl: getPublicImageUrl(fullUpload.data.path),
+        thumbnailPath: thumbnailUpload.data.path,
+        thumbnailUrl: getPublicImageUrl(thumbnailUpload.data.path)
       } 
     };
   } catch (error) {
     console.error('Upload exception:', error);
     return { success: false, error: error.message };
+  } finally {
+    // Compressed variants are temporary files in the app cache
+    await Promise.all(
+      [full, thumbnail]
+        .filter(Boolean)
+        .map((variant) => FileSystem.deleteAsync(variant.uri, { idempotent: true }))
+    );
   }
 };
 
 /**
- * Delete image from Supabase Storage
+ * Storage path of the thumbnail that belongs to a full-size image path
+ */
+export const getThumbnailPath = (imagePath) => {
+  const prefix = `${IMAGE_VARIANTS.full.folder}/`;
+  if (!imagePath || !imagePath.startsWith(prefix)) return null;
+  if (imagePath.startsWith(`${IMAGE_VARIANTS.thumbnail.folder}/`)) return null;
+  return `${IMAGE_VARIANTS.thumbnail.folder}/${imagePath.slice(prefix.length)}`;
+};
+
+/**
+ * Delete image (and its thumbnail, if any) from Supabase Storage
  */
 export const deleteImage = async (imagePath) => {
   try {
+    const thumbnailPath = getThumbnailPath(imagePath);
     const { error } = await supabase.storage
       .from('product-images')
-      .remove([imagePath]);
+      .remove(thumbnailPath ? [imagePath, thumbnailPath] : [imagePath]);
 
     if (error) {
       console.error('Delete error:', error);
@@ -68,11 +174,231 @@ export const deleteImage = async (imagePath) => {
   }
 };
 
+/**
+ * Resolve the storage path (e.g. `products/<file>.jpg`) from a public image URL
+ * of `bucket`
+ */
+export const getImagePathFromUrl = (publicUrl, bucket = 'product-images') => {
+  if (!publicUrl) return null;
+  const marker = `/${bucket}/`;
+  const index = publicUrl.indexOf(marker);
+  if (index === -1) return null;
+  return decodeURIComponent(publicUrl.slice(index + marker.length).split('?')[0]);
+};
+
+/**
+ * All photo URLs of a product in display order (cover first).
+ * Falls back to the single `image_url` for listings created before galleries.
+ */
+export const getProductImageUrls = (product) => {
+  if (!product) return [];
+  if (product.image_urls && product.image_urls.length > 0) {
+    return product.image_urls;
+  }
+  return product.image_url ? [product.image_url] : [];
+};
+
+/**
+ * Thumbnail URLs of a product, matching `getProductImageUrls` index for index.
+ * Listings without stored thumbnails fall back to the full-size photos.
+ */
+export const getProductThumbnailUrls = (product) => {
+  const imageUrls = getProductImageUrls(product);
+  const thumbnailUrls = product?.thumbnail_urls || [];
+  return imageUrls.map((url, index) => thumbnailUrls[index] || url);
+};
+
 /**
  * Generate unique filename for images
  */
 export const generateImageFileName = (userId, originalName = 'image') => {
   const timestamp = Date.now();
+  // Several photos can be uploaded within the same millisecond
+  const suffix = Math.random().toString(36).slice(2, 8);
   const extension = originalName.split('.').pop() || 'jpg';
-  return `${userId}_${timestamp}.${extension}`;
-};
\ No newline at end of file
+  return `${userId}_${timestamp}_${suffix}.${extension}`;
+};
+
+// Profile photos are public, under one folder per user. They only ever show
+// small, so they get a tighter budget than product photos.
+const AVATARS_BUCKET = 'avatars';
+const AVATAR_VARIANT = { maxWidth: 512, maxBytes: 100 * 1024 };
+
+/**
+ * Compress a profile photo and upload it to the user's folder of the avatars bucket.
+ * Returns `{ success, data: { path, publicUrl } }`.
+ */
+export const uploadAvatar = async (userId, imageUri) => {
+  let compressed = null;
+
+  try {
+    compressed = await compressImage(imageUri, AVATAR_VARIANT);
+    const { data, error } = await uploadFile(
+      compressed.uri,
+      `${userId}/${Date.now()}.jpg`,
+      { bucket: AVATARS_BUCKET }
+    );
+
+    if (error) {
+      console.error('Avatar upload error:', error);
+      return { success: false, error: error.message };
+    }
+
+    const { data: { publicUrl } } = supabase.storage
+      .from(AVATARS_BUCKET)
+      .getPublicUrl(data.path);
+
+    return { success: true, data: { path: data.path, publicUrl } };
+  } catch (error) {
+    console.error('Avatar upload exception:', error);
+    return { success: false, error: error.message };
+  } finally {
+    if (compressed) {
+      await FileSystem.deleteAsync(compressed.uri, { idempotent: true });
+    }
+  }
+};
+
+/**
+ * Delete a profile photo by its public URL, e.g. once another one replaced it.
+ * URLs outside the avatars bucket are left alone.
+ */
+export const deleteAvatar = async (publicUrl) => {
+  const avatarPath = getImagePathFromUrl(publicUrl, AVATARS_BUCKET);
+  if (!avatarPath) return { success: true };
+
+  try {
+    const { error } = await supabase.storage
+      .from(AVATARS_BUCKET)
+      .remove([avatarPath]);
+
+    if (error) {
+      console.error('Delete error:', error);
+      return { success: false, error: error.message };
+    }
+
+    return { success: true };
+  } catch (error) {
+    console.error('Delete exception:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Chat photos and voice notes are private: only the two people in the
+// conversation can read them, through short-lived signed URLs.
+const CHAT_ATTACHMENTS_BUCKET = 'chat-attachments';
+const SIGNED_URL_TTL_SECONDS = 60 * 60;
+
+// Storage path -> { url, expiresAt }, so scrolling back doesn't re-sign every attachment
+const signedUrlCache = new Map();
+
+const getChatAttachmentFolder = (senderId, receiverId) => `${senderId}/${receiverId}`;
+
+/**
+ * Compress a photo and upload it as a chat attachment.
+ * Returns `{ success, data: { path } }`.
+ */
+export const uploadChatImage = async (imageUri, senderId, receiverId) => {
+  let compressed = null;
+
+  try {
+    compressed = await compressImage(imageUri, IMAGE_VARIANTS.full);
+    const fileName = generateImageFileName(senderId, 'photo.jpg');
+    const { data, error } = await uploadFile(
+      compressed.uri,
+      `${getChatAttachmentFolder(senderId, receiverId)}/${fileName}`,
+      { bucket: CHAT_ATTACHMENTS_BUCKET }
+    );
+
+    if (error) {
+      console.error('Chat image upload error:', error);
+      return { success: false, error: error.message };
+    }
+
+    return { success: true, data: { path: data.path } };
+  } catch (error) {
+    console.error('Chat image upload exception:', error);
+    return { success: false, error: error.message };
+  } finally {
+    if (compressed) {
+      await FileSystem.deleteAsync(compressed.uri, { idempotent: true });
+    }
+  }
+};
+
+/**
+ * Upload a recorded voice note (AAC in an .m4a file) as a chat attachment.
+ * Returns `{ success, data: { path } }`.
+ */
+export const uploadChatAudio = async (audioUri, senderId, receiverId) => {
+  try {
+    const fileName = generateImageFileName(senderId, 'voice.m4a');
+    const { data, error } = await uploadFile(
+      audioUri,
+      `${getChatAttachmentFolder(senderId, receiverId)}/${fileName}`,
+      { bucket: CHAT_ATTACHMENTS_BUCKET, contentType: 'audio/mp4' }
+    );
+
+    if (error) {
+      console.error('Voice note upload error:', error);
+      return { success: false, error: error.message };
+    }
+
+    return { success: true, data: { path: data.path } };
+  } catch (error) {
+    console.error('Voice note upload exception:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Signed URL to view or play a chat attachment. Returns `{ success, data: { url } }`.
+ */
+export const getChatAttachmentUrl = async (attachmentPath) => {
+  const cached = signedUrlCache.get(attachmentPath);
+  // Leave a minute of margin so a URL doesn't expire while the file is loading
+  if (cached && cached.expiresAt - 60 * 1000 > Date.now()) {
+    return { success: true, data: { url: cached.url } };
+  }
+
+  try {
+    const { data, error } = await supabase.storage
+      .from(CHAT_ATTACHMENTS_BUCKET)
+      .createSignedUrl(attachmentPath, SIGNED_URL_TTL_SECONDS);
+
+    if (error) {
+      console.error('Signed URL error:', error);
+      return { success: false, error: error.message };
+    }
+
+    signedUrlCache.set(attachmentPath, {
+      url: data.signedUrl,
+      expiresAt: Date.now() + SIGNED_URL_TTL_SECONDS * 1000,
+    });
+    return { success: true, data: { url: data.signedUrl } };
+  } catch (error) {
+    console.error('Signed URL exception:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Remove a chat attachment, e.g. when sending its message failed
+ */
+export const deleteChatAttachment = async (attachmentPath) => {
+  try {
+    const { error } = await supabase.storage
+      .from(CHAT_ATTACHMENTS_BUCKET)
+      .remove([attachmentPath]);
+
+    if (error) {
+      console.error('Delete error:', error);
+      return { success: false, error: error.message };
+    }
+
+    return { success: true };
+  } catch (error) {
+    console.error('Delete exception:', error);
+    return { success: false, error: error.message };
+  }
+};
@@ -52,36 +52,49 @@ export const getUser = async () => {
 
 /**
  * Fetches the user profile from the 'profiles' table.
+ * `data` is null without an error when the user has no profile row.
  */
 export const getUserProfile = async (userId) => {
-  if (!userId) return null;
+  if (!userId) return { data: null, error: null };
   try {
     const { data, error, status } = await supabase
       .from("profiles")
-      .select(`full_name, phone, role, created_at`)
+      .select(`full_name, phone, role, roles, avatar_url, home_location, bio, preferred_contact, suspended_at, suspension_reason, created_at`)
       .eq("id", userId)
       .single();
 
-    if (error && status !== 406) {
+    // No row: .single() answers 406 with PGRST116
+    if (error && (error.code === "PGRST116" || status === 406)) {
+      return { data: null, error: null };
+    }
+    if (error) {
       console.error("Error fetching user profile:", error.message);
-      throw error;
+      return { data: null, error };
     }
 
-    return data ? {
+    return { data: {
       id: userId,
       fullName: data.full_name,
       phone: data.phone,
       role: data.role,
+      roles: data.roles?.length ? data.roles : [data.role],
+      avatarUrl: data.avatar_url,
+      homeLocation: data.home_location,
+      bio: data.bio,
+      preferredContact: data.preferred_contact,
+      suspendedAt: data.suspended_at,
+      suspensionReason: data.suspension_reason,
       createdAt: data.created_at
-    } : null;
+    }, error: null };
   } catch (error) {
     console.error("Error fetching user profile:", error.message);
-    return null;
+    return { data: null, error };
   }
 };
 
 /**
- * Creates a user profile in the 'profiles' table.
+ * Creates a user profile in the 'profiles' table, for accounts the signup
+ * trigger did not create one for.
  */
 export const createUserProfile = async (profileData) => {
   try {
@@ -98,12 +111,83 @@ export const createUserProfile = async (profileData) => {
 
     if (error) {
       console.error("Error creating user profile:", error.message);
-      throw error;
+      return { data: null, error };
     }
-    return data;
+    return { data, error: null };
   } catch (error) {
     console.error("Error creating user profile:", error.message);
-    return null;
+    return { data: null, error };
+  }
+};
+
+// Profile fields the user can edit, and their column names
+const PROFILE_COLUMNS = {
+  fullName: 'full_name',
+  avatarUrl: 'avatar_url',
+  homeLocation: 'home_location',
+  bio: 'bio',
+  preferredContact: 'preferred_contact',
+};
+
+/**
+ * Update the signed-in user's profile. Only the fields present in `updates`
+ * change; call `refreshProfile` from AuthContext afterwards.
+ */
+export const updateUserProfile = async (userId, updates) => {
+  try {
+    const row = {};
+    Object.entries(PROFILE_COLUMNS).forEach(([field, column]) => {
+      if (updates[field] !== undefined) row[column] = updates[field];
+    });
+
+    const { data, error } = await supabase
+      .from("profiles")
+      .update(row)
+      .eq("id", userId)
+      .select()
+      .single();
+
+    if (error) {
+      console.error("Error updating user profile:", error.message);
+      return { data: null, error };
+    }
+
+    return { data, error: null };
+  } catch (error) {
+    console.error("Error updating user profile:", error.message);
+    return { data: null, error };
+  }
+};
+
+// Roles an account can switch to; admin is granted from the dashboard only
+export const SWITCHABLE_ROLES = ["buyer", "seller"];
+
+/**
+ * Make `role` ('buyer' or 'seller') the active role of a profile. The account
+ * also gets that role if it did not have it yet.
+ */
+export const setActiveRole = async (userId, role) => {
+  if (!SWITCHABLE_ROLES.includes(role)) {
+    return { data: null, error: new Error(`Cannot switch to the ${role} role`) };
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from("profiles")
+      .update({ role })
+      .eq("id", userId)
+      .select()
+      .single();
+
+    if (error) {
+      console.error("Error switching role:", error.message);
+      return { data: null, error };
+    }
+
+    return { data, error: null };
+  } catch (error) {
+    console.error("Error switching role:", error.message);
+    return { data: null, error };
   }
 };
 
@@ -174,6 +258,106 @@ export const signOut = async () => {
   }
 };
 
+/**
+ * Text a one-time code for a phone. `purpose` is:
+ * - 'signup': again, for an account that signed up but never entered its code
+ * - 'login': to sign in to an existing account without the password
+ * - 'account': to verify the phone of the signed-in account
+ */
+export const sendPhoneOtp = async (phone, purpose) => {
+  try {
+    let result;
+    if (purpose === 'signup') {
+      result = await supabase.auth.resend({ type: 'sms', phone });
+    } else if (purpose === 'login') {
+      result = await supabase.auth.signInWithOtp({ phone, options: { shouldCreateUser: false } });
+    } else {
+      result = await supabase.auth.updateUser({ phone });
+    }
+
+    if (result.error) {
+      console.error("Error sending code:", result.error.message);
+      return { error: result.error };
+    }
+
+    return { error: null };
+  } catch (error) {
+    console.error("Error sending code:", error.message);
+    return { error };
+  }
+};
+
+/**
+ * Check a code sent by `sendPhoneOtp` for the same purpose. Signs the user in
+ * for 'signup' and 'login', and marks the phone verified in every case.
+ */
+export const verifyPhoneOtp = async (phone, token, purpose) => {
+  try {
+    const { data, error } = await supabase.auth.verifyOtp({
+      phone,
+      token,
+      type: purpose === 'account' ? 'phone_change' : 'sms',
+    });
+
+    if (error) {
+      console.error("Error verifying code:", error.message);
+      return { data: null, error };
+    }
+
+    return { data, error: null };
+  } catch (error) {
+    console.error("Error verifying code:", error.message);
+    return { data: null, error };
+  }
+};
+
+/**
+ * Text a password reset code to the phone of an account. Fails for numbers
+ * without an account and after too many codes for the number.
+ */
+export const requestPasswordReset = async (phone) => {
+  try {
+    const { error } = await supabase.rpc('request_password_reset', { p_phone: phone });
+
+    if (error) {
+      console.error("Error requesting password reset:", error.message);
+      return { error };
+    }
+
+    return { error: null };
+  } catch (error) {
+    console.error("Error requesting password reset:", error.message);
+    return { error };
+  }
+};
+
+/**
+ * Set a new password with the code sent by `requestPasswordReset`
+ */
+export const resetPasswordWithCode = async (phone, code, newPassword) => {
+  try {
+    const { data, error } = await supabase.rpc('reset_password_with_code', {
+      p_phone: phone,
+      p_code: code,
+      p_new_password: newPassword,
+    });
+
+    if (error) {
+      console.error("Error resetting password:", error.message);
+      return { error };
+    }
+
+    if (!data) {
+      return { error: new Error('That code is not correct. Please check it and try again.') };
+    }
+
+    return { error: null };
+  } catch (error) {
+    console.error("Error resetting password:", error.message);
+    return { error };
+  }
+};
+
 /**
  * Upload image to Supabase Storage (free tier: 1GB storage)
  */
@@ -206,42 +390,169 @@ export const uploadProductImage = async (imageUri, fileName) => {
   }
 };
 
+// Default number of rows fetched per page by the paginated queries
+export const DEFAULT_PAGE_SIZE = 20;
+
+/**
+ * Keyset cursor for the row after `rows`, or null when there are no more pages.
+ * `column` is the sort column; the row id breaks ties between equal values.
+ */
+const getNextCursor = (rows, column, limit) => {
+  if (!rows || rows.length < limit) return null;
+  const last = rows[rows.length - 1];
+  return { value: last[column], id: last.id };
+};
+
+// Sort orders supported by `getProducts`
+export const PRODUCT_SORT_OPTIONS = {
+  newest: { column: 'created_at', ascending: false },
+  cheapest: { column: 'price', ascending: true },
+  largest_quantity: { column: 'available_quantity', ascending: false },
+};
+
+/**
+ * Turn free text into a prefix full-text query, e.g. "red grap" -> "red:* & grap:*"
+ */
+const toPrefixTsQuery = (text) =>
+  text
+    .split(/\s+/)
+    // Drop tsquery operators so user input can't break the query
+    .map((word) => word.replace(/[&|!:*()<>'"\\]/g, ''))
+    .filter(Boolean)
+    .map((word) => `${word}:*`)
+    .join(' & ');
+
 /**
- * Get all products
+ * Get one page of products matching a query. Every field is optional:
+ * `{ sellerId, status, search, minPrice, maxPrice, minQuantity, location, sort, cursor, limit }`
+ * where `sort` is one of the keys of PRODUCT_SORT_OPTIONS (default 'newest').
+ * `status: 'active'` also leaves out listings whose lifetime has run out but
+ * that the hourly expiry job has not picked up yet, listings hidden by an admin
+ * and those of suspended sellers.
+ * Pass the returned `nextCursor` back as `cursor` to load the following page.
  */
-export const getProducts = async (sellerId = null) => {
+export const getProducts = async (filters = {}) => {
   try {
+    const {
+      sellerId,
+      status,
+      search,
+      minPrice,
+      maxPrice,
+      minQuantity,
+      location,
+      sort = 'newest',
+      cursor = null,
+      limit = DEFAULT_PAGE_SIZE,
+    } = filters;
+    const order = PRODUCT_SORT_OPTIONS[sort] || PRODUCT_SORT_OPTIONS.newest;
+    // An inner join, so the seller's suspension can filter the listings
+    const sellerJoin = status === 'active' ? '!inner' : '';
+
     let query = supabase
       .from('products')
       .select(`
         *,
-        profiles:seller_id (
+        profiles:seller_id${sellerJoin} (
           full_name,
-          phone
+          phone,
+          suspended_at
         )
       `)
-      .order('created_at', { ascending: false });
+      .order(order.column, { ascending: order.ascending })
+      .order('id', { ascending: order.ascending })
+      .limit(limit);
+
+    if (cursor) {
+      const op = order.ascending ? 'gt' : 'lt';
+      query = query.or(
+        `${order.column}.${op}."${cursor.value}",and(${order.column}.eq."${cursor.value}",id.${op}.${cursor.id})`
+      );
+    }
 
     if (sellerId) {
       query = query.eq('seller_id', sellerId);
     }
+    if (status) {
+      query = query.eq('status', status);
+    }
+    if (status === 'active') {
+      query = query
+        .gt('expires_at', new Date().toISOString())
+        .is('hidden_at', null)
+        .is('profiles.suspended_at', null);
+    }
+
+    const tsQuery = search ? toPrefixTsQuery(search) : '';
+    if (tsQuery) {
+      query = query.textSearch('search_vector', tsQuery, { config: 'simple' });
+    }
+
+    if (minPrice != null) {
+      query = query.gte('price', minPrice);
+    }
+    if (maxPrice != null) {
+      query = query.lte('price', maxPrice);
+    }
+    if (minQuantity != null) {
+      query = query.gte('available_quantity', minQuantity);
+    }
+    if (location) {
+      query = query.ilike('location', `%${location.replace(/[%_]/g, '\\$&')}%`);
+    }
 
     const { data, error } = await query;
 
     if (error) {
       console.error("Error fetching products:", error.message);
+      return { data: null, nextCursor: null, error };
+    }
+
+    return { data, nextCursor: getNextCursor(data, order.column, limit), error: null };
+  } catch (error) {
+    console.error("Error fetching products:", error.message);
+    return { data: null, nextCursor: null, error };
+  }
+};
+
+/**
+ * Get a single product by id
+ */
+export const getProductById = async (productId) => {
+  try {
+    const { data, error } = await supabase
+      .from('products')
+      .select(`
+        *,
+        profiles:seller_id (
+          full_name,
+          phone,
+          avatar_url,
+          home_location,
+          bio,
+          preferred_contact,
+          suspended_at,
+          created_at
+        )
+      `)
+      .eq('id', productId)
+      .single();
+
+    if (error) {
+      console.error("Error fetching product:", error.message);
       return { data: null, error };
     }
 
     return { data, error: null };
   } catch (error) {
-    console.error("Error fetching products:", error.message);
+    console.error("Error fetching product:", error.message);
     return { data: null, error };
   }
 };
 
 /**
- * Create a new product
+ * Create a new product. Pass `status: 'draft'` to save it without publishing.
+ * `clientId` is set by the outbox so a retried insert is not saved twice.
  */
 export const createProduct = async (productData) => {
   try {
@@ -251,10 +562,14 @@ export const createProduct = async (productData) => {
         title: productData.title,
         description: productData.description,
         image_url: productData.imageUrl,
+        image_urls: productData.imageUrls || [],
+        thumbnail_urls: productData.thumbnailUrls || [],
         price: productData.price,
         quantity: productData.quantity,
         location: productData.location,
-        seller_id: productData.sellerId
+        seller_id: productData.sellerId,
+        status: productData.status || 'active',
+        client_id: productData.clientId || null
       }])
       .select()
       .single();
@@ -271,6 +586,108 @@ export const createProduct = async (productData) => {
   }
 };
 
+/**
+ * Fetch the product an earlier createProduct() with the same `clientId` saved.
+ */
+export const getProductByClientId = async (clientId) => {
+  try {
+    const { data, error } = await supabase
+      .from('products')
+      .select()
+      .eq('client_id', clientId)
+      .single();
+
+    if (error) {
+      console.error("Error fetching product:", error.message);
+      return { data: null, error };
+    }
+
+    return { data, error: null };
+  } catch (error) {
+    console.error("Error fetching product:", error.message);
+    return { data: null, error };
+  }
+};
+
+/**
+ * Update an existing product. Only the fields present in `updates` are changed.
+ */
+export const updateProduct = async (productId, updates) => {
+  try {
+    const fields = {};
+    if (updates.title !== undefined) fields.title = updates.title;
+    if (updates.description !== undefined) fields.description = updates.description;
+    if (updates.imageUrl !== undefined) fields.image_url = updates.imageUrl;
+    if (updates.imageUrls !== undefined) fields.image_urls = updates.imageUrls;
+    if (updates.thumbnailUrls !== undefined) fields.thumbnail_urls = updates.thumbnailUrls;
+    if (updates.price !== undefined) fields.price = updates.price;
+    if (updates.quantity !== undefined) fields.quantity = updates.quantity;
+    if (updates.location !== undefined) fields.location = updates.location;
+
+    const { data, error } = await supabase
+      .from('products')
+      .update(fields)
+      .eq('id', productId)
+      .select()
+      .single();
+
+    if (error) {
+      console.error("Error updating product:", error.message);
+      return { data: null, error };
+    }
+
+    return { data, error: null };
+  } catch (error) {
+    console.error("Error updating product:", error.message);
+    return { data: null, error };
+  }
+};
+
+/**
+ * Move a listing to another status: 'active' to publish or resume, 'paused' or 'sold_out'
+ */
+export const setProductStatus = async (productId, status) => {
+  try {
+    const { data, error } = await supabase
+      .from('products')
+      .update({ status })
+      .eq('id', productId)
+      .select()
+      .single();
+
+    if (error) {
+      console.error("Error updating product status:", error.message);
+      return { data: null, error };
+    }
+
+    return { data, error: null };
+  } catch (error) {
+    console.error("Error updating product status:", error.message);
+    return { data: null, error };
+  }
+};
+
+/**
+ * Keep a listing up for another full lifetime. Also brings back an expired listing.
+ */
+export const renewProduct = async (productId) => {
+  try {
+    const { data, error } = await supabase.rpc('renew_product', {
+      p_product_id: productId
+    });
+
+    if (error) {
+      console.error("Error renewing product:", error.message);
+      return { data: null, error };
+    }
+
+    return { data, error: null };
+  } catch (error) {
+    console.error("Error renewing product:", error.message);
+    return { data: null, error };
+  }
+};
+
 /**
  * Delete a product
  */
@@ -294,31 +711,43 @@ export const deleteProduct = async (productId) => {
 };
 
 /**
- * Get messages for a conversation
+ * Get one page of messages for a conversation, newest first.
+ * Pass the returned `nextCursor` back as `cursor` to load older messages.
  */
-export const getMessages = async (senderId, receiverId, productId) => {
+export const getMessages = async (senderId, receiverId, productId, { cursor = null, limit = DEFAULT_PAGE_SIZE } = {}) => {
   try {
-    const { data, error } = await supabase
+    let query = supabase
       .from('messages')
       .select('*')
       .eq('product_id', productId)
       .or(`and(sender_id.eq.${senderId},receiver_id.eq.${receiverId}),and(sender_id.eq.${receiverId},receiver_id.eq.${senderId})`)
-      .order('created_at', { ascending: true });
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    // Message timestamps have microsecond precision, so created_at alone is a stable cursor
+    if (cursor) {
+      query = query.lt('created_at', cursor.value);
+    }
+
+    const { data, error } = await query;
 
     if (error) {
       console.error("Error fetching messages:", error.message);
-      return { data: null, error };
+      return { data: null, nextCursor: null, error };
     }
 
-    return { data, error: null };
+    return { data, nextCursor: getNextCursor(data, 'created_at', limit), error: null };
   } catch (error) {
     console.error("Error fetching messages:", error.message);
-    return { data: null, error };
+    return { data: null, nextCursor: null, error };
   }
 };
 
 /**
- * Send a message
+ * Send a message. Offers pass `messageType: 'offer'` with `offerPricePerKg`,
+ * `offerQuantityKg`, `offerExpiresAt` and, for a counter offer, `offerParentId`.
+ * Photos and voice notes pass `messageType: 'image' | 'audio'` with the uploaded
+ * `attachmentPath` (and `attachmentDurationMs` for audio).
  */
 export const sendMessage = async (messageData) => {
   try {
@@ -328,7 +757,15 @@ export const sendMessage = async (messageData) => {
         sender_id: messageData.senderId,
         receiver_id: messageData.receiverId,
         product_id: messageData.productId,
-        content: messageData.content
+        content: messageData.content,
+        client_id: messageData.clientId,
+        message_type: messageData.messageType || 'text',
+        offer_price_per_kg: messageData.offerPricePerKg ?? null,
+        offer_quantity_kg: messageData.offerQuantityKg ?? null,
+        offer_expires_at: messageData.offerExpiresAt || null,
+        offer_parent_id: messageData.offerParentId || null,
+        attachment_path: messageData.attachmentPath || null,
+        attachment_duration_ms: messageData.attachmentDurationMs ?? null
       }])
       .select()
       .single();
@@ -346,43 +783,791 @@ export const sendMessage = async (messageData) => {
 };
 
 /**
- * Get conversations for a user
+ * Fetch the message an earlier sendMessage() with the same `clientId` saved.
  */
-export const getConversations = async (userId) => {
+export const getMessageByClientId = async (clientId) => {
   try {
     const { data, error } = await supabase
       .from('messages')
-      .select(`
-        *,
-        products (
-          id,
-          title,
-          seller_id
-        ),
-        sender:profiles!messages_sender_id_fkey (
-          id,
-          full_name,
-          phone
-        ),
-        receiver:profiles!messages_receiver_id_fkey (
-          id,
-          full_name,
-          phone
-        )
-      `)
-      .or(`sender_id.eq.${userId},receiver_id.eq.${userId}`)
-      .order('created_at', { ascending: false });
+      .select()
+      .eq('client_id', clientId)
+      .single();
 
     if (error) {
-      console.error("Error fetching conversations:", error.message);
+      console.error("Error fetching message:", error.message);
       return { data: null, error };
     }
 
     return { data, error: null };
   } catch (error) {
-    console.error("Error fetching conversations:", error.message);
+    console.error("Error fetching message:", error.message);
     return { data: null, error };
   }
 };
 
-export default supabase;
\ No newline at end of file
+/**
+ * Accept or decline an offer the current user received. `response` is 'accepted' or 'declined'.
+ */
+export const respondToOffer = async (messageId, response) => {
+  try {
+    const { data, error } = await supabase.rpc('respond_to_offer', {
+      p_message_id: messageId,
+      p_response: response
+    });
+
+    if (error) {
+      console.error("Error responding to offer:", error.message);
+      return { data: null, error };
+    }
+
+    return { data, error: null };
+  } catch (error) {
+    console.error("Error responding to offer:", error.message);
+    return { data: null, error };
+  }
+};
+
+/**
+ * Get the price a buyer agreed with the seller in chat for a listing, or null if there is none
+ */
+export const getAgreedPrice = async (productId, buyerId) => {
+  try {
+    const { data, error } = await supabase
+      .from('agreed_prices')
+      .select('*')
+      .eq('product_id', productId)
+      .eq('buyer_id', buyerId)
+      .maybeSingle();
+
+    if (error) {
+      console.error("Error fetching agreed price:", error.message);
+      return { data: null, error };
+    }
+
+    return { data, error: null };
+  } catch (error) {
+    console.error("Error fetching agreed price:", error.message);
+    return { data: null, error };
+  }
+};
+
+/**
+ * Mark every message the current user has received as delivered
+ */
+export const markMessagesDelivered = async () => {
+  try {
+    const { error } = await supabase.rpc('mark_messages_delivered');
+
+    if (error) {
+      console.error("Error marking messages delivered:", error.message);
+      return { error };
+    }
+
+    return { error: null };
+  } catch (error) {
+    console.error("Error marking messages delivered:", error.message);
+    return { error };
+  }
+};
+
+/**
+ * Mark the current user's incoming messages in a conversation as read
+ */
+export const markConversationRead = async (otherUserId, productId) => {
+  try {
+    const { error } = await supabase.rpc('mark_conversation_read', {
+      p_other_user_id: otherUserId,
+      p_product_id: productId,
+    });
+
+    if (error) {
+      console.error("Error marking conversation read:", error.message);
+      return { error };
+    }
+
+    return { error: null };
+  } catch (error) {
+    console.error("Error marking conversation read:", error.message);
+    return { error };
+  }
+};
+
+/**
+ * Count the messages a user has received but not read yet
+ */
+export const getUnreadCount = async (userId) => {
+  try {
+    const { count, error } = await supabase
+      .from('messages')
+      .select('id', { count: 'exact', head: true })
+      .eq('receiver_id', userId)
+      .is('read_at', null);
+
+    if (error) {
+      console.error("Error fetching unread count:", error.message);
+      return { data: 0, error };
+    }
+
+    return { data: count || 0, error: null };
+  } catch (error) {
+    console.error("Error fetching unread count:", error.message);
+    return { data: 0, error };
+  }
+};
+
+/**
+ * Get one page of the current user's conversations, most recent first.
+ * Each conversation is one other user talking about one product, with its
+ * last message and unread count. Pass the returned `nextCursor` back as
+ * `cursor` to load older conversations.
+ */
+export const getConversations = async ({ cursor = null, limit = DEFAULT_PAGE_SIZE } = {}) => {
+  try {
+    const { data, error } = await supabase.rpc('get_conversations', {
+      p_limit: limit,
+      p_before: cursor ? cursor.value : null,
+    });
+
+    if (error) {
+      console.error("Error fetching conversations:", error.message);
+      return { data: null, nextCursor: null, error };
+    }
+
+    const conversations = (data || []).map((row) => ({
+      id: `${row.other_user_id}_${row.product_id}`,
+      otherUser: {
+        id: row.other_user_id,
+        fullName: row.other_user_name,
+        phone: row.other_user_phone,
+        avatarUrl: row.other_user_avatar_url
+      },
+      product: {
+        id: row.product_id,
+        title: row.product_title,
+        sellerId: row.product_seller_id
+      },
+      lastMessage: row.last_message,
+      lastMessageTime: row.last_message_at,
+      lastMessageSenderId: row.last_message_sender_id,
+      unreadCount: row.unread_count,
+    }));
+
+    const nextCursor = conversations.length < limit
+      ? null
+      : { value: conversations[conversations.length - 1].lastMessageTime };
+
+    return { data: conversations, nextCursor, error: null };
+  } catch (error) {
+    console.error("Error fetching conversations:", error.message);
+    return { data: null, nextCursor: null, error };
+  }
+};
+
+/**
+ * Place an order for a product. The seller, price and status are filled in by the database.
+ */
+export const createOrder = async (orderData) => {
+  try {
+    const { data, error } = await supabase
+      .from('orders')
+      .insert([{
+        product_id: orderData.productId,
+        quantity_kg: orderData.quantityKg,
+        requested_date: orderData.requestedDate || null,
+        note: orderData.note || null
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      console.error("Error creating order:", error.message);
+      return { data: null, error };
+    }
+
+    return { data, error: null };
+  } catch (error) {
+    console.error("Error creating order:", error.message);
+    return { data: null, error };
+  }
+};
+
+/**
+ * Get one page of a user's orders, newest first.
+ * `role` picks the side: 'buyer' for orders placed, 'seller' for orders received.
+ */
+export const getOrders = async (userId, role, { cursor = null, limit = DEFAULT_PAGE_SIZE } = {}) => {
+  try {
+    let query = supabase
+      .from('orders')
+      .select(`
+        *,
+        buyer:profiles!orders_buyer_id_fkey (
+          id,
+          full_name,
+          phone,
+          avatar_url
+        ),
+        seller:profiles!orders_seller_id_fkey (
+          id,
+          full_name,
+          phone,
+          avatar_url
+        )
+      `)
+      .eq(role === 'seller' ? 'seller_id' : 'buyer_id', userId)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (cursor) {
+      query = query.lt('created_at', cursor.value);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      console.error("Error fetching orders:", error.message);
+      return { data: null, nextCursor: null, error };
+    }
+
+    return { data, nextCursor: getNextCursor(data, 'created_at', limit), error: null };
+  } catch (error) {
+    console.error("Error fetching orders:", error.message);
+    return { data: null, nextCursor: null, error };
+  }
+};
+
+/**
+ * Get a single order with both parties
+ */
+export const getOrderById = async (orderId) => {
+  try {
+    const { data, error } = await supabase
+      .from('orders')
+      .select(`
+        *,
+        buyer:profiles!orders_buyer_id_fkey (
+          id,
+          full_name,
+          phone,
+          avatar_url
+        ),
+        seller:profiles!orders_seller_id_fkey (
+          id,
+          full_name,
+          phone,
+          avatar_url
+        )
+      `)
+      .eq('id', orderId)
+      .single();
+
+    if (error) {
+      console.error("Error fetching order:", error.message);
+      return { data: null, error };
+    }
+
+    return { data, error: null };
+  } catch (error) {
+    console.error("Error fetching order:", error.message);
+    return { data: null, error };
+  }
+};
+
+/**
+ * Move an order to a new status. The database rejects steps the current user may not take.
+ */
+export const updateOrderStatus = async (orderId, status) => {
+  try {
+    const { data, error } = await supabase
+      .from('orders')
+      .update({ status })
+      .eq('id', orderId)
+      .select()
+      .single();
+
+    if (error) {
+      console.error("Error updating order:", error.message);
+      return { data: null, error };
+    }
+
+    return { data, error: null };
+  } catch (error) {
+    console.error("Error updating order:", error.message);
+    return { data: null, error };
+  }
+};
+
+/**
+ * Seller proposes different terms for a pending order
+ */
+export const counterOrder = async (orderId, counter) => {
+  try {
+    const { data, error } = await supabase
+      .from('orders')
+      .update({
+        status: 'countered',
+        counter_quantity_kg: counter.quantityKg ?? null,
+        counter_price_per_kg: counter.pricePerKg ?? null,
+        counter_date: counter.date || null,
+        counter_note: counter.note || null
+      })
+      .eq('id', orderId)
+      .select()
+      .single();
+
+    if (error) {
+      console.error("Error countering order:", error.message);
+      return { data: null, error };
+    }
+
+    return { data, error: null };
+  } catch (error) {
+    console.error("Error countering order:", error.message);
+    return { data: null, error };
+  }
+};
+
+/**
+ * Register this device's Expo push token for the current user
+ */
+export const registerPushToken = async (token, platform) => {
+  try {
+    const { error } = await supabase.rpc('register_push_token', {
+      p_token: token,
+      p_platform: platform,
+    });
+
+    if (error) {
+      console.error("Error registering push token:", error.message);
+      return { error };
+    }
+
+    return { error: null };
+  } catch (error) {
+    console.error("Error registering push token:", error.message);
+    return { error };
+  }
+};
+
+/**
+ * Stop sending the current user's notifications to this device
+ */
+export const unregisterPushToken = async (token) => {
+  try {
+    const { error } = await supabase.rpc('unregister_push_token', { p_token: token });
+
+    if (error) {
+      console.error("Error unregistering push token:", error.message);
+      return { error };
+    }
+
+    return { error: null };
+  } catch (error) {
+    console.error("Error unregistering push token:", error.message);
+    return { error };
+  }
+};
+
+/**
+ * The current user's notification preferences. `data` is null until they first save them.
+ */
+export const getNotificationPreferences = async (userId) => {
+  try {
+    const { data, error } = await supabase
+      .from('notification_preferences')
+      .select('*')
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) {
+      console.error("Error fetching notification preferences:", error.message);
+      return { data: null, error };
+    }
+
+    return { data, error: null };
+  } catch (error) {
+    console.error("Error fetching notification preferences:", error.message);
+    return { data: null, error };
+  }
+};
+
+/**
+ * Save the current user's notification preferences
+ */
+export const updateNotificationPreferences = async (userId, preferences) => {
+  try {
+    const { data, error } = await supabase
+      .from('notification_preferences')
+      .upsert({
+        user_id: userId,
+        messages: preferences.messages,
+        offers: preferences.offers,
+        orders: preferences.orders,
+        listings: preferences.listings,
+        quiet_hours_enabled: preferences.quietHoursEnabled,
+        quiet_hours_start: preferences.quietHoursStart,
+        quiet_hours_end: preferences.quietHoursEnd,
+        time_zone: preferences.timeZone
+      })
+      .select()
+      .single();
+
+    if (error) {
+      console.error("Error updating notification preferences:", error.message);
+      return { data: null, error };
+    }
+
+    return { data, error: null };
+  } catch (error) {
+    console.error("Error updating notification preferences:", error.message);
+    return { data: null, error };
+  }
+};
+
+/**
+ * Fetch one page of the user's notifications, newest first
+ */
+export const getNotifications = async (userId, { cursor = null, limit = DEFAULT_PAGE_SIZE } = {}) => {
+  try {
+    let query = supabase
+      .from('notifications')
+      .select('*')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (cursor) {
+      query = query.lt('created_at', cursor.value);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      console.error("Error fetching notifications:", error.message);
+      return { data: null, nextCursor: null, error };
+    }
+
+    return { data, nextCursor: getNextCursor(data, 'created_at', limit), error: null };
+  } catch (error) {
+    console.error("Error fetching notifications:", error.message);
+    return { data: null, nextCursor: null, error };
+  }
+};
+
+/**
+ * Count the user's unread notifications
+ */
+export const getUnreadNotificationCount = async (userId) => {
+  try {
+    const { count, error } = await supabase
+      .from('notifications')
+      .select('id', { count: 'exact', head: true })
+      .eq('user_id', userId)
+      .is('read_at', null);
+
+    if (error) {
+      console.error("Error fetching unread notification count:", error.message);
+      return { data: 0, error };
+    }
+
+    return { data: count || 0, error: null };
+  } catch (error) {
+    console.error("Error fetching unread notification count:", error.message);
+    return { data: 0, error };
+  }
+};
+
+/**
+ * Mark the given notifications as read, or all of the current user's when `ids` is null
+ */
+export const markNotificationsRead = async (ids = null) => {
+  try {
+    const { error } = await supabase.rpc('mark_notifications_read', { p_ids: ids });
+
+    if (error) {
+      console.error("Error marking notifications read:", error.message);
+      return { error };
+    }
+
+    return { error: null };
+  } catch (error) {
+    console.error("Error marking notifications read:", error.message);
+    return { error };
+  }
+};
+
+/**
+ * Report a listing or a user to the admins. `report` is
+ * `{ productId }` or `{ userId }` plus `{ reason, details }`, where `reason`
+ * is one of the REPORT_REASONS values in services/moderation.js.
+ */
+export const reportContent = async (report) => {
+  try {
+    const { error } = await supabase
+      .from('reports')
+      .insert([{
+        product_id: report.productId || null,
+        reported_user_id: report.userId || null,
+        reason: report.reason,
+        details: report.details || null
+      }]);
+
+    if (error) {
+      console.error("Error reporting content:", error.message);
+      return { error };
+    }
+
+    return { error: null };
+  } catch (error) {
+    console.error("Error reporting content:", error.message);
+    return { error };
+  }
+};
+
+/**
+ * Admins only: get one page of open reports, newest first. `target` is
+ * 'product' for reported listings or 'user' for reported users.
+ */
+export const getReports = async (target, { cursor = null, limit = DEFAULT_PAGE_SIZE } = {}) => {
+  try {
+    let query = supabase
+      .from('reports')
+      .select(`
+        *,
+        product:products!reports_product_id_fkey (
+          id,
+          title,
+          seller_id,
+          hidden_at
+        ),
+        reported_user:profiles!reports_reported_user_id_fkey (
+          id,
+          full_name,
+          phone,
+          avatar_url,
+          suspended_at
+        ),
+        reporter:profiles!reports_reporter_id_fkey (
+          id,
+          full_name
+        )
+      `)
+      .eq('status', 'open')
+      .not(target === 'user' ? 'reported_user_id' : 'product_id', 'is', null)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (cursor) {
+      query = query.lt('created_at', cursor.value);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      console.error("Error fetching reports:", error.message);
+      return { data: null, nextCursor: null, error };
+    }
+
+    return { data, nextCursor: getNextCursor(data, 'created_at', limit), error: null };
+  } catch (error) {
+    console.error("Error fetching reports:", error.message);
+    return { data: null, nextCursor: null, error };
+  }
+};
+
+/**
+ * Admins only: get one page of hidden listings, most recently hidden first
+ */
+export const getHiddenProducts = async ({ cursor = null, limit = DEFAULT_PAGE_SIZE } = {}) => {
+  try {
+    let query = supabase
+      .from('products')
+      .select(`
+        id,
+        title,
+        seller_id,
+        hidden_at,
+        hidden_reason,
+        profiles:seller_id (
+          full_name
+        )
+      `)
+      .not('hidden_at', 'is', null)
+      .order('hidden_at', { ascending: false })
+      .limit(limit);
+
+    if (cursor) {
+      query = query.lt('hidden_at', cursor.value);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      console.error("Error fetching hidden products:", error.message);
+      return { data: null, nextCursor: null, error };
+    }
+
+    return { data, nextCursor: getNextCursor(data, 'hidden_at', limit), error: null };
+  } catch (error) {
+    console.error("Error fetching hidden products:", error.message);
+    return { data: null, nextCursor: null, error };
+  }
+};
+
+/**
+ * Admins only: get one page of suspended accounts, most recently suspended first
+ */
+export const getSuspendedUsers = async ({ cursor = null, limit = DEFAULT_PAGE_SIZE } = {}) => {
+  try {
+    let query = supabase
+      .from('profiles')
+      .select('id, full_name, phone, avatar_url, suspended_at, suspension_reason')
+      .not('suspended_at', 'is', null)
+      .order('suspended_at', { ascending: false })
+      .limit(limit);
+
+    if (cursor) {
+      query = query.lt('suspended_at', cursor.value);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      console.error("Error fetching suspended users:", error.message);
+      return { data: null, nextCursor: null, error };
+    }
+
+    return { data, nextCursor: getNextCursor(data, 'suspended_at', limit), error: null };
+  } catch (error) {
+    console.error("Error fetching suspended users:", error.message);
+    return { data: null, nextCursor: null, error };
+  }
+};
+
+/**
+ * Admins only: hide a listing from buyers, which also resolves its open
+ * reports, or restore it. The seller is notified either way.
+ */
+export const setProductHidden = async (productId, hidden, reason = null) => {
+  try {
+    const { error } = await supabase.rpc('admin_set_product_hidden', {
+      p_product_id: productId,
+      p_hidden: hidden,
+      p_reason: reason
+    });
+
+    if (error) {
+      console.error("Error hiding product:", error.message);
+      return { error };
+    }
+
+    return { error: null };
+  } catch (error) {
+    console.error("Error hiding product:", error.message);
+    return { error };
+  }
+};
+
+/**
+ * Admins only: suspend an account, which also resolves the open reports
+ * about it, or reinstate it. Suspended accounts cannot list, message or order.
+ */
+export const setUserSuspended = async (userId, suspended, reason = null) => {
+  try {
+    const { error } = await supabase.rpc('admin_set_user_suspended', {
+      p_user_id: userId,
+      p_suspended: suspended,
+      p_reason: reason
+    });
+
+    if (error) {
+      console.error("Error suspending user:", error.message);
+      return { error };
+    }
+
+    return { error: null };
+  } catch (error) {
+    console.error("Error suspending user:", error.message);
+    return { error };
+  }
+};
+
+/**
+ * Admins only: close a report without acting on it. `status` is 'resolved' or 'dismissed'.
+ */
+export const closeReport = async (reportId, status) => {
+  try {
+    const { error } = await supabase.rpc('admin_close_report', {
+      p_report_id: reportId,
+      p_status: status
+    });
+
+    if (error) {
+      console.error("Error closing report:", error.message);
+      return { error };
+    }
+
+    return { error: null };
+  } catch (error) {
+    console.error("Error closing report:", error.message);
+    return { error };
+  }
+};
+
+/**
+ * Admins only: platform-wide counts, as
+ * `{ users, suspended_users, active_listings, hidden_listings, open_reports, messages_per_day }`
+ * where `messages_per_day` is `[{ day, count }]` for the last `days` days, oldest first.
+ */
+export const getPlatformStats = async (days = 14) => {
+  try {
+    const { data, error } = await supabase.rpc('admin_get_platform_stats', { p_days: days });
+
+    if (error) {
+      console.error("Error fetching platform stats:", error.message);
+      return { data: null, error };
+    }
+
+    return { data, error: null };
+  } catch (error) {
+    console.error("Error fetching platform stats:", error.message);
+    return { data: null, error };
+  }
+};
+
+/**
+ * Admins only: get one page of the admin audit trail, newest first
+ */
+export const getAuditLog = async ({ cursor = null, limit = DEFAULT_PAGE_SIZE } = {}) => {
+  try {
+    let query = supabase
+      .from('admin_audit_log')
+      .select(`
+        *,
+        admin:profiles!admin_audit_log_admin_id_fkey (
+          id,
+          full_name
+        )
+      `)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (cursor) {
+      query = query.lt('created_at', cursor.value);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      console.error("Error fetching audit log:", error.message);
+      return { data: null, nextCursor: null, error };
+    }
+
+    return { data, nextCursor: getNextCursor(data, 'created_at', limit), error: null };
+  } catch (error) {
+    console.error("Error fetching audit log:", error.message);
+    return { data: null, nextCursor: null, error };
+  }
+};
+
+export default supabase;